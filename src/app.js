@@ -7,10 +7,13 @@ const sequelize = require('./config/db');
 const authRoutes = require('./router/authRoutes');
 const profileRoutes = require('./router/ProfileRoutes');
 const moduleRoutes = require('./router/ModuleRoutes');
+const learningPathRoutes = require('./router/LearningPathRoutes');
 const badgeRoutes = require('./router/BadgeRoutes');
 const facilitatorRoutes = require('./router/FacilitatorRoutes');
 const userRoutes = require('./router/UserRoutes');
 const rewardRoutes = require('./router/RewardRoutes');
+const certificateRoutes = require('./router/CertificateRoutes');
+const xapiRoutes = require('./router/XapiRoutes');
 
 
 const app = express();
@@ -41,9 +44,12 @@ app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/users', profileRoutes);
 app.use('/api/v1/user', userRoutes);
 app.use('/api/modules', moduleRoutes);// app.use('/', authRoutes);
+app.use('/api/learning-paths', learningPathRoutes);
 app.use('/api/v1/facilitators', facilitatorRoutes);
 app.use('/api/v1/badges', badgeRoutes);
 app.use('/api/v1/rewards', rewardRoutes);
+app.use('/api/v1/certificates', certificateRoutes);
+app.use('/api/v1/xapi', xapiRoutes);
 
 // 404 Handler
 app.use((req, res) => {
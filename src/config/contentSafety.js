@@ -0,0 +1,55 @@
+// Content advisories editors can put on a module, and the support lines shown with them.
+// Learners choose in their settings whether flagged modules open behind a warning screen.
+const ADVISORY_TYPES = {
+    violence: 'Violence',
+    domestic_abuse: 'Domestic abuse',
+    sexual_abuse: 'Sexual abuse',
+    child_abuse: 'Child abuse',
+    self_harm: 'Self-harm',
+    suicide: 'Suicide',
+    harassment: 'Harassment',
+    substance_abuse: 'Substance abuse'
+};
+
+const MAX_ADVISORY_NOTE_LENGTH = 500;
+
+// Shown on the warning screen; keep in sync with the agencies' published numbers
+const SUPPORT_HOTLINES = [
+    {
+        name: 'National Emergency Hotline',
+        description: 'Police, fire and medical emergencies',
+        phone: '911',
+        available: '24/7'
+    },
+    {
+        name: 'PNP Women and Children Protection Center',
+        description: 'Report violence against women and children',
+        phone: '0919-777-7377',
+        available: '24/7'
+    },
+    {
+        name: 'NCMH Crisis Hotline',
+        description: 'Mental health crisis and suicide prevention support',
+        phone: '1553',
+        alternate_phones: ['0917-899-8727', '0966-351-4518'],
+        available: '24/7'
+    },
+    {
+        name: 'Bantay Bata 163',
+        description: 'Help line for children and concerned adults',
+        phone: '163',
+        available: '24/7'
+    }
+];
+
+/**
+ * Check that a value is a known advisory type
+ */
+const isAdvisoryType = (type) => Object.prototype.hasOwnProperty.call(ADVISORY_TYPES, type);
+
+module.exports = {
+    ADVISORY_TYPES,
+    MAX_ADVISORY_NOTE_LENGTH,
+    SUPPORT_HOTLINES,
+    isAdvisoryType
+};
@@ -0,0 +1,41 @@
+// Languages module content can be translated into.
+// Module rows hold the default-locale text; other locales live in ModuleTranslations.
+const DEFAULT_LOCALE = 'en';
+
+const SUPPORTED_LOCALES = {
+    en: 'English',
+    fil: 'Filipino',
+    ceb: 'Cebuano',
+    ilo: 'Ilocano',
+    hil: 'Hiligaynon',
+    war: 'Waray',
+    bik: 'Bikol',
+    pam: 'Kapampangan'
+};
+
+// Other tags clients send for the same languages
+const LOCALE_ALIASES = {
+    tl: 'fil',
+    tgl: 'fil',
+    fil: 'fil',
+    eng: 'en'
+};
+
+/**
+ * Map a language tag (e.g. "fil-PH", "tl", "CEB") to a supported locale
+ * @returns {string|null} - Supported locale code, or null
+ */
+const resolveLocale = (tag) => {
+    if (!tag) return null;
+
+    const primary = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+    const locale = LOCALE_ALIASES[primary] || primary;
+
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_LOCALES, locale) ? locale : null;
+};
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    resolveLocale
+};
@@ -0,0 +1,179 @@
+// src/controller/CertificateController.js
+const CertificateService = require('../services/CertificateService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`CertificateController.${action} error:`, error);
+
+    if (['Certificate not found', 'Module not found', 'Learning path not found', 'User not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Certificate Controller - Completion certificates and verification
+ */
+class CertificateController {
+    /**
+     * Verify a certificate code (public)
+     * GET /api/v1/certificates/verify/:code
+     */
+    async verifyCertificate(req, res) {
+        try {
+            const result = await CertificateService.verifyCertificate(req.params.code);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            if (error.message === 'Certificate not found') {
+                return res.status(404).json({
+                    success: false,
+                    valid: false,
+                    message: 'No certificate was issued with this code'
+                });
+            }
+            return handleError(res, error, 'verifyCertificate', 'Failed to verify certificate');
+        }
+    }
+
+    /**
+     * Get current user's certificates
+     * GET /api/v1/certificates/me
+     */
+    async getMyCertificates(req, res) {
+        try {
+            const result = await CertificateService.getMyCertificates(req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getMyCertificates', 'Failed to fetch certificates');
+        }
+    }
+
+    /**
+     * Claim the certificate for a completed module
+     * POST /api/v1/certificates/modules/:moduleId
+     */
+    async claimModuleCertificate(req, res) {
+        try {
+            const result = await CertificateService.issueModuleCertificate(req.params.moduleId, req.user.id);
+
+            return res.status(result.created ? 201 : 200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'claimModuleCertificate', 'Failed to issue certificate');
+        }
+    }
+
+    /**
+     * Claim the certificate for a completed learning path
+     * POST /api/v1/certificates/learning-paths/:pathId
+     */
+    async claimPathCertificate(req, res) {
+        try {
+            const result = await CertificateService.issuePathCertificate(req.params.pathId, req.user.id);
+
+            return res.status(result.created ? 201 : 200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'claimPathCertificate', 'Failed to issue certificate');
+        }
+    }
+
+    /**
+     * Get a certificate with its PDF URL
+     * GET /api/v1/certificates/:id
+     */
+    async getCertificate(req, res) {
+        try {
+            const result = await CertificateService.getCertificate(req.params.id, req.user);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getCertificate', 'Failed to fetch certificate');
+        }
+    }
+
+    /**
+     * List issued certificates
+     * GET /api/v1/certificates
+     */
+    async getCertificates(req, res) {
+        try {
+            const result = await CertificateService.getCertificates({
+                user_id: req.query.user_id,
+                module_id: req.query.module_id,
+                learning_path_id: req.query.learning_path_id,
+                revoked: req.query.revoked === undefined ? undefined : req.query.revoked === 'true',
+                page: req.query.page,
+                limit: req.query.limit
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getCertificates', 'Failed to fetch certificates');
+        }
+    }
+
+    /**
+     * Revoke a certificate
+     * PATCH /api/v1/certificates/:id/revoke
+     */
+    async revokeCertificate(req, res) {
+        try {
+            const result = await CertificateService.revokeCertificate(
+                req.params.id,
+                req.user.id,
+                req.body ? req.body.reason : null
+            );
+
+            return res.status(200).json({
+                ...result,
+                message: 'Certificate revoked'
+            });
+        } catch (error) {
+            return handleError(res, error, 'revokeCertificate', 'Failed to revoke certificate');
+        }
+    }
+
+    /**
+     * Upload/replace the facilitator signature printed on certificates
+     * PUT /api/v1/certificates/signature
+     */
+    async updateSignature(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No signature image provided'
+                });
+            }
+
+            const result = await CertificateService.updateSignature(req.user.id, req.file.buffer);
+
+            return res.status(200).json({
+                ...result,
+                message: 'Signature updated successfully'
+            });
+        } catch (error) {
+            return handleError(res, error, 'updateSignature', 'Failed to update signature');
+        }
+    }
+}
+
+module.exports = new CertificateController();
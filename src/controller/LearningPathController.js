@@ -0,0 +1,198 @@
+// src/controller/LearningPathController.js
+const LearningPathService = require('../services/LearningPathService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`LearningPathController.${action} error:`, error);
+
+    if (['Learning path not found', 'Enrollment not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: error.errors.map(e => ({ field: e.path, message: e.message }))
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+const isEditor = (user) => !!user && (user.role === 'admin' || user.role === 'educator');
+
+/**
+ * Learning Path Controller - Curricula that sequence modules
+ */
+class LearningPathController {
+    /**
+     * Get learning paths (published only for learners)
+     * GET /api/learning-paths?category=vawc&search=grade
+     */
+    async getPaths(req, res) {
+        try {
+            const result = await LearningPathService.getPaths({
+                category: req.query.category,
+                search: req.query.search,
+                page: req.query.page,
+                limit: req.query.limit,
+                includeUnpublished: isEditor(req.user),
+                userId: req.user ? req.user.id : null
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getPaths', 'Failed to fetch learning paths');
+        }
+    }
+
+    /**
+     * Get a learning path with its modules (and progress when signed in)
+     * GET /api/learning-paths/:id
+     */
+    async getPathById(req, res) {
+        try {
+            const result = await LearningPathService.getPathById(
+                req.params.id,
+                isEditor(req.user),
+                req.user ? req.user.id : null
+            );
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getPathById', 'Failed to fetch learning path');
+        }
+    }
+
+    /**
+     * Get current user's enrolled paths with progress
+     * GET /api/learning-paths/me
+     */
+    async getMyPaths(req, res) {
+        try {
+            const result = await LearningPathService.getMyPaths(req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getMyPaths', 'Failed to fetch your learning paths');
+        }
+    }
+
+    /**
+     * Enroll in a learning path
+     * POST /api/learning-paths/:id/enroll
+     */
+    async enroll(req, res) {
+        try {
+            const result = await LearningPathService.enroll(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'enroll', 'Failed to enroll in learning path');
+        }
+    }
+
+    /**
+     * Leave a learning path
+     * DELETE /api/learning-paths/:id/enroll
+     */
+    async unenroll(req, res) {
+        try {
+            const result = await LearningPathService.unenroll(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'unenroll', 'Failed to leave learning path');
+        }
+    }
+
+    /**
+     * Create a learning path
+     * POST /api/learning-paths
+     */
+    async createPath(req, res) {
+        try {
+            if (!req.body.title) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Title is required'
+                });
+            }
+
+            const result = await LearningPathService.createPath(req.body, req.user.id);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Learning path created successfully',
+                path: result.path
+            });
+        } catch (error) {
+            return handleError(res, error, 'createPath', 'Failed to create learning path');
+        }
+    }
+
+    /**
+     * Update a learning path
+     * PUT /api/learning-paths/:id
+     */
+    async updatePath(req, res) {
+        try {
+            const result = await LearningPathService.updatePath(req.params.id, req.body, req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Learning path updated successfully',
+                path: result.path
+            });
+        } catch (error) {
+            return handleError(res, error, 'updatePath', 'Failed to update learning path');
+        }
+    }
+
+    /**
+     * Toggle publish status
+     * PATCH /api/learning-paths/:id/publish
+     */
+    async togglePublish(req, res) {
+        try {
+            const result = await LearningPathService.togglePublish(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'togglePublish', 'Failed to toggle publish status');
+        }
+    }
+
+    /**
+     * Soft delete a learning path
+     * DELETE /api/learning-paths/:id
+     */
+    async deletePath(req, res) {
+        try {
+            const result = await LearningPathService.deletePath(req.params.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'deletePath', 'Failed to delete learning path');
+        }
+    }
+}
+
+module.exports = new LearningPathController();
@@ -0,0 +1,47 @@
+// src/controller/ModuleAnalyticsController.js
+const ModuleAnalyticsService = require('../services/ModuleAnalyticsService');
+
+/**
+ * Module Analytics Controller - Learner analytics for educators and reviewers
+ */
+class ModuleAnalyticsController {
+    /**
+     * Get analytics for a module
+     * GET /api/modules/:id/analytics?from=2026-01-01&to=2026-03-31&interval=week
+     */
+    async getModuleAnalytics(req, res) {
+        try {
+            const result = await ModuleAnalyticsService.getModuleAnalytics(req.params.id, {
+                from: req.query.from,
+                to: req.query.to,
+                interval: req.query.interval
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('ModuleAnalyticsController.getModuleAnalytics error:', error);
+
+            if (error.message === 'Module not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Module not found'
+                });
+            }
+
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch module analytics'
+            });
+        }
+    }
+}
+
+module.exports = new ModuleAnalyticsController();
@@ -0,0 +1,152 @@
+// src/controller/ModuleAttachmentController.js
+const ModuleAttachmentService = require('../services/ModuleAttachmentService');
+const ModulePermissionService = require('../services/ModulePermissionService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleAttachmentController.${action} error:`, error);
+
+    if (['Module not found', 'Attachment not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: error.errors[0].message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            age_range: error.age_range,
+            missing_prerequisites: error.missing_prerequisites
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Attachment Controller - Downloadable files of a module
+ */
+class ModuleAttachmentController {
+    /**
+     * List attachments
+     * GET /api/modules/:id/attachments
+     */
+    async getAttachments(req, res) {
+        try {
+            const result = await ModuleAttachmentService.getAttachments(
+                req.params.id,
+                req.user.id,
+                ModulePermissionService.canReview(req.user)
+            );
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getAttachments', 'Failed to fetch attachments');
+        }
+    }
+
+    /**
+     * Download an attachment (counted), redirecting to the file
+     * GET /api/modules/:id/attachments/:attachmentId/download?redirect=false
+     */
+    async downloadAttachment(req, res) {
+        try {
+            const result = await ModuleAttachmentService.recordDownload(
+                req.params.id,
+                req.params.attachmentId,
+                req.user.id,
+                ModulePermissionService.canReview(req.user)
+            );
+
+            if (req.query.redirect === 'false') {
+                return res.status(200).json(result);
+            }
+            return res.redirect(302, result.url);
+        } catch (error) {
+            return handleError(res, error, 'downloadAttachment', 'Failed to download attachment');
+        }
+    }
+
+    /**
+     * Upload an attachment
+     * POST /api/modules/:id/attachments
+     */
+    async addAttachment(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'An attachment file is required'
+                });
+            }
+
+            const result = await ModuleAttachmentService.addAttachment(req.params.id, req.file, req.body, req.user.id);
+
+            return res.status(201).json({
+                ...result,
+                message: 'Attachment added'
+            });
+        } catch (error) {
+            return handleError(res, error, 'addAttachment', 'Failed to add attachment');
+        }
+    }
+
+    /**
+     * Relabel an attachment or make it the primary
+     * PATCH /api/modules/:id/attachments/:attachmentId
+     */
+    async updateAttachment(req, res) {
+        try {
+            const result = await ModuleAttachmentService.updateAttachment(req.params.id, req.params.attachmentId, req.body, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'updateAttachment', 'Failed to update attachment');
+        }
+    }
+
+    /**
+     * Reorder attachments
+     * PUT /api/modules/:id/attachments/order
+     */
+    async reorderAttachments(req, res) {
+        try {
+            const result = await ModuleAttachmentService.reorderAttachments(req.params.id, req.body.attachment_ids, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'reorderAttachments', 'Failed to reorder attachments');
+        }
+    }
+
+    /**
+     * Remove an attachment
+     * DELETE /api/modules/:id/attachments/:attachmentId
+     */
+    async removeAttachment(req, res) {
+        try {
+            const result = await ModuleAttachmentService.removeAttachment(req.params.id, req.params.attachmentId, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'removeAttachment', 'Failed to remove attachment');
+        }
+    }
+}
+
+module.exports = new ModuleAttachmentController();
@@ -0,0 +1,85 @@
+// src/controller/ModuleBookmarkController.js
+const ModuleBookmarkService = require('../services/ModuleBookmarkService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleBookmarkController.${action} error:`, error);
+
+    if (['Module not found', 'Bookmark not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            age_range: error.age_range
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Bookmark Controller - Saved modules
+ */
+class ModuleBookmarkController {
+    /**
+     * Get current user's bookmarks
+     * GET /api/modules/me/bookmarks
+     */
+    async getMyBookmarks(req, res) {
+        try {
+            const result = await ModuleBookmarkService.getUserBookmarks(req.user.id, {
+                page: req.query.page,
+                limit: req.query.limit
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getMyBookmarks', 'Failed to fetch bookmarks');
+        }
+    }
+
+    /**
+     * Bookmark a module
+     * POST /api/modules/:id/bookmark
+     */
+    async addBookmark(req, res) {
+        try {
+            const result = await ModuleBookmarkService.addBookmark(req.params.id, req.user.id);
+
+            return res.status(result.created ? 201 : 200).json({
+                ...result,
+                message: 'Module bookmarked'
+            });
+        } catch (error) {
+            return handleError(res, error, 'addBookmark', 'Failed to bookmark module');
+        }
+    }
+
+    /**
+     * Remove a bookmark
+     * DELETE /api/modules/:id/bookmark
+     */
+    async removeBookmark(req, res) {
+        try {
+            const result = await ModuleBookmarkService.removeBookmark(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'removeBookmark', 'Failed to remove bookmark');
+        }
+    }
+}
+
+module.exports = new ModuleBookmarkController();
@@ -0,0 +1,88 @@
+// src/controller/ModuleCollaboratorController.js
+const ModulePermissionService = require('../services/ModulePermissionService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleCollaboratorController.${action} error:`, error);
+
+    if (['Module not found', 'User not found', 'Collaborator not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Collaborator Controller - Module owner and co-authors
+ */
+class ModuleCollaboratorController {
+    /**
+     * List a module's owner and co-authors
+     * GET /api/modules/:id/collaborators
+     */
+    async getCollaborators(req, res) {
+        try {
+            const result = await ModulePermissionService.getCollaborators(req.params.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getCollaborators', 'Failed to fetch collaborators');
+        }
+    }
+
+    /**
+     * Invite a co-author
+     * POST /api/modules/:id/collaborators
+     */
+    async addCollaborator(req, res) {
+        try {
+            if (!req.body.user_id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'user_id is required'
+                });
+            }
+
+            const result = await ModulePermissionService.addCollaborator(req.params.id, req.body.user_id, req.user.id);
+
+            return res.status(result.created ? 201 : 200).json({
+                ...result,
+                message: result.created ? 'Collaborator added' : 'Already a collaborator'
+            });
+        } catch (error) {
+            return handleError(res, error, 'addCollaborator', 'Failed to add collaborator');
+        }
+    }
+
+    /**
+     * Remove a co-author
+     * DELETE /api/modules/:id/collaborators/:userId
+     */
+    async removeCollaborator(req, res) {
+        try {
+            const result = await ModulePermissionService.removeCollaborator(req.params.id, req.params.userId);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'removeCollaborator', 'Failed to remove collaborator');
+        }
+    }
+}
+
+module.exports = new ModuleCollaboratorController();
@@ -1,7 +1,39 @@
 // src/controller/ModuleController.js
 const ModuleService = require('../services/ModuleService');
+const SearchService = require('../services/SearchService');
+const ModuleProgressService = require('../services/ModuleProgressService');
+const RecommendationService = require('../services/RecommendationService');
+const ModulePermissionService = require('../services/ModulePermissionService');
+const ModuleCloneService = require('../services/ModuleCloneService');
 const { validateModuleFile, validateThumbnail } = require('../middleware/FileUploadMiddleware');
 
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleController.${action} error:`, error);
+
+    if (error.message === 'Module not found') {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
 /**
  * Module Controller - HTTP request handlers
  */
@@ -28,6 +60,15 @@ class ModuleController {
             return res.status(201).json(result);
         } catch (error) {
             console.error('ModuleController.createModule error:', error);
+
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+
             return res.status(500).json({
                 success: false,
                 message: error.message || 'Failed to create module'
@@ -79,7 +120,9 @@ class ModuleController {
                     moduleFile.buffer,
                     moduleFile.mimetype,
                     moduleFile.originalname,
-                    userId
+                    userId,
+                    // An uploaded thumbnail wins over the generated preview
+                    { skipPreview: !!(files.thumbnail && files.thumbnail[0]) }
                 );
 
                 uploadResults.file = fileResult.file;
@@ -119,6 +162,15 @@ class ModuleController {
             });
         } catch (error) {
             console.error('ModuleController.createModuleWithFiles error:', error);
+
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+
             return res.status(500).json({
                 success: false,
                 message: error.message || 'Failed to create module with files'
@@ -132,6 +184,13 @@ class ModuleController {
      */
     async getModules(req, res) {
         try {
+            if (req.query.search !== undefined && typeof req.query.search !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The search filter must be a single string'
+                });
+            }
+
             const filters = {
                 type: req.query.type,
                 category: req.query.category,
@@ -142,8 +201,13 @@ class ModuleController {
                 limit: req.query.limit,
                 orderBy: req.query.orderBy,
                 orderDirection: req.query.orderDirection,
-                includeUnpublished: req.user && (req.user.role === 'admin' || req.user.role === 'educator')
+                scheduled: req.query.scheduled === 'true',
+                workflow_status: req.query.workflow_status,
+                includeUnpublished: ModulePermissionService.canReview(req.user),
+                userId: req.user ? req.user.id : null
             };
+            // Editors work on the default-locale text unless they ask for a translation with ?lang=
+            filters.locale = filters.includeUnpublished && req.localeSource !== 'query' ? null : req.locale;
 
             const result = await ModuleService.getModules(filters);
 
@@ -157,6 +221,49 @@ class ModuleController {
         }
     }
 
+    /**
+     * Full-text search with relevance, highlights and facets
+     * GET /api/modules/search?q=consent&category=sexual_health&difficulty_level=beginner&tag=youth
+     */
+    async searchModules(req, res) {
+        try {
+            // Repeated parameters (?q=a&q=b) arrive as arrays
+            if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Search query (q) must be a single string'
+                });
+            }
+
+            const query = (req.query.q || '').trim();
+            if (!query && !req.query.tag) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Search query (q) is required'
+                });
+            }
+
+            const result = await SearchService.searchModules(query, {
+                category: req.query.category,
+                difficulty_level: req.query.difficulty_level,
+                type: req.query.type,
+                tag: req.query.tag,
+                page: req.query.page,
+                limit: req.query.limit,
+                includeUnpublished: ModulePermissionService.canReview(req.user),
+                viewer: await ModuleService.getViewerAge(req.user ? req.user.id : null)
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('ModuleController.searchModules error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to search modules'
+            });
+        }
+    }
+
     /**
      * Get featured modules
      * GET /api/modules/featured
@@ -164,7 +271,7 @@ class ModuleController {
     async getFeaturedModules(req, res) {
         try {
             const limit = parseInt(req.query.limit) || 6;
-            const result = await ModuleService.getFeaturedModules(limit);
+            const result = await ModuleService.getFeaturedModules(limit, req.user ? req.user.id : null);
 
             return res.status(200).json(result);
         } catch (error) {
@@ -176,6 +283,27 @@ class ModuleController {
         }
     }
 
+    /**
+     * Get personalized module recommendations for the current user
+     * GET /api/modules/recommended
+     */
+    async getRecommendedModules(req, res) {
+        try {
+            const result = await RecommendationService.getRecommendations(req.user.id, {
+                limit: req.query.limit,
+                locale: req.locale
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('ModuleController.getRecommendedModules error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch recommendations'
+            });
+        }
+    }
+
     /**
      * Get module by ID
      * GET /api/modules/:id
@@ -184,9 +312,19 @@ class ModuleController {
         try {
             const moduleId = req.params.id;
             const userId = req.user ? req.user.id : null; // Get user ID from the authenticated request
-            const includeUnpublished = req.user && (req.user.role === 'admin' || req.user.role === 'educator');
+            const includeUnpublished = ModulePermissionService.canReview(req.user);
+            // Editors work on the default-locale text unless they ask for a translation with ?lang=
+            const locale = includeUnpublished && req.localeSource !== 'query' ? null : req.locale;
 
-            const result = await ModuleService.getModuleById(moduleId, includeUnpublished);
+            const result = await ModuleService.getModuleById(moduleId, includeUnpublished, userId, locale);
+
+            // Staff also get what they may do with the module (owner, co-author, reviewer)
+            if (includeUnpublished) {
+                result.module.permissions = await ModulePermissionService.getPermissions(
+                    { id: result.module.id, created_by: result.module.created_by },
+                    req.user
+                );
+            }
 
             // Increment view count (non-blocking)
             ModuleService.incrementViewCount(moduleId, userId).catch(err => {
@@ -204,6 +342,16 @@ class ModuleController {
                 });
             }
 
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    missing_prerequisites: error.missing_prerequisites,
+                    age_range: error.age_range
+                });
+            }
+
             return res.status(500).json({
                 success: false,
                 message: 'Failed to fetch module'
@@ -224,8 +372,12 @@ class ModuleController {
 
             return res.status(200).json({
                 success: true,
-                message: 'Module updated successfully',
-                module: result.module
+                message: result.has_unpublished_changes
+                    ? 'Draft saved. Publish the latest revision to make it visible to learners.'
+                    : 'Module updated successfully',
+                module: result.module,
+                revision: result.revision,
+                has_unpublished_changes: result.has_unpublished_changes
             });
         } catch (error) {
             console.error('ModuleController.updateModule error:', error);
@@ -237,6 +389,14 @@ class ModuleController {
                 });
             }
 
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+
             return res.status(500).json({
                 success: false,
                 message: error.message || 'Failed to update module'
@@ -281,22 +441,11 @@ class ModuleController {
             return res.status(200).json({
                 success: true,
                 message: 'Module file uploaded successfully',
-                file: result.file
+                file: result.file,
+                thumbnail: result.thumbnail
             });
         } catch (error) {
-            console.error('ModuleController.uploadModuleFile error:', error);
-
-            if (error.message === 'Module not found') {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Module not found'
-                });
-            }
-
-            return res.status(500).json({
-                success: false,
-                message: error.message || 'Failed to upload file'
-            });
+            return handleError(res, error, 'uploadModuleFile', 'Failed to upload file');
         }
     }
 
@@ -364,7 +513,7 @@ class ModuleController {
         try {
             const moduleId = req.params.id;
 
-            const result = await ModuleService.deleteModule(moduleId);
+            const result = await ModuleService.deleteModule(moduleId, req.user.id);
 
             return res.status(200).json(result);
         } catch (error) {
@@ -384,6 +533,57 @@ class ModuleController {
         }
     }
 
+    /**
+     * List modules in the trash
+     * GET /api/modules/trash
+     */
+    async getTrash(req, res) {
+        try {
+            const result = await ModuleService.getTrash({
+                // Only owners and admins can restore, so others see their own modules
+                created_by: req.user.role === 'admin' ? undefined : req.user.id,
+                category: req.query.category,
+                search: req.query.search,
+                page: req.query.page,
+                limit: req.query.limit
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('ModuleController.getTrash error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch trash'
+            });
+        }
+    }
+
+    /**
+     * Restore a module from the trash
+     * POST /api/modules/:id/restore
+     */
+    async restoreModule(req, res) {
+        try {
+            const result = await ModuleService.restoreModule(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('ModuleController.restoreModule error:', error);
+
+            if (error.message === 'Module not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Module not found in trash'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to restore module'
+            });
+        }
+    }
+
     /**
      * Permanently delete module
      * DELETE /api/modules/:id/permanent
@@ -413,15 +613,51 @@ class ModuleController {
     }
 
     /**
-     * Toggle publish status
+     * Clone a module into a new draft owned by the current user
+     * POST /api/modules/:id/clone
+     */
+    async cloneModule(req, res) {
+        try {
+            const moduleId = req.params.id;
+            const userId = req.user.id;
+
+            const result = await ModuleCloneService.cloneModule(moduleId, req.body || {}, userId);
+
+            return res.status(201).json(result);
+        } catch (error) {
+            console.error('ModuleController.cloneModule error:', error);
+
+            if (error.message === 'Module not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Module not found'
+                });
+            }
+
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to clone module'
+            });
+        }
+    }
+
+    /**
+     * Toggle publish status (publishes approved modules, archives published ones)
      * PATCH /api/modules/:id/publish
      */
     async togglePublish(req, res) {
         try {
             const moduleId = req.params.id;
-            const userId = req.user.id;
 
-            const result = await ModuleService.togglePublish(moduleId, userId);
+            const result = await ModuleService.togglePublish(moduleId, req.user);
 
             return res.status(200).json(result);
         } catch (error) {
@@ -434,6 +670,15 @@ class ModuleController {
                 });
             }
 
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    workflow_status: error.workflow_status
+                });
+            }
+
             return res.status(500).json({
                 success: false,
                 message: 'Failed to toggle publish status'
@@ -441,6 +686,52 @@ class ModuleController {
         }
     }
 
+    /**
+     * Schedule automatic publish/unpublish
+     * PATCH /api/modules/:id/schedule
+     * Body: { publish_at, unpublish_at } (null clears)
+     */
+    async scheduleModule(req, res) {
+        try {
+            const moduleId = req.params.id;
+            const userId = req.user.id;
+            const { publish_at, unpublish_at } = req.body;
+
+            if (publish_at === undefined && unpublish_at === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Provide publish_at and/or unpublish_at'
+                });
+            }
+
+            const result = await ModuleService.scheduleModule(moduleId, { publish_at, unpublish_at }, userId);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('ModuleController.scheduleModule error:', error);
+
+            if (error.message === 'Module not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Module not found'
+                });
+            }
+
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update module schedule'
+            });
+        }
+    }
+
     /**
      * Toggle featured status
      * PATCH /api/modules/:id/featured
@@ -470,34 +761,154 @@ class ModuleController {
         }
     }
 
-    // /**
-    //  * Mark module as completed
-    //  * POST /api/modules/:id/complete
-    //  */
-    // async markComplete(req, res) {
-    //     try {
-    //         const moduleId = req.params.id;
-
-    //         // Increment completion count (non-blocking)
-    //         ModuleService.incrementCompletionCount(moduleId).catch(err => {
-    //             console.error('Failed to increment completion count:', err);
-    //         });
-
-    //         // TODO: Track user progress in a separate table
-    //         // This is just incrementing the counter for now
-
-    //         return res.status(200).json({
-    //             success: true,
-    //             message: 'Module marked as complete'
-    //         });
-    //     } catch (error) {
-    //         console.error('ModuleController.markComplete error:', error);
-    //         return res.status(500).json({
-    //             success: false,
-    //             message: 'Failed to mark module as complete'
-    //         });
-    //     }
-    // }
+    /**
+     * Mark module as completed
+     * POST /api/modules/:id/complete
+     */
+    async markComplete(req, res) {
+        try {
+            const moduleId = req.params.id;
+            const userId = req.user.id;
+
+            const result = await ModuleProgressService.markComplete(moduleId, userId);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Module marked as complete',
+                progress: result.progress,
+                just_completed: result.just_completed
+            });
+        } catch (error) {
+            console.error('ModuleController.markComplete error:', error);
+
+            if (error.message === 'Module not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Module not found'
+                });
+            }
+
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    missing_prerequisites: error.missing_prerequisites,
+                    age_range: error.age_range
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to mark module as complete'
+            });
+        }
+    }
+
+    /**
+     * Record progress in a module
+     * POST /api/modules/:id/progress
+     */
+    async updateProgress(req, res) {
+        try {
+            const moduleId = req.params.id;
+            const userId = req.user.id;
+            const { progress_percent, last_position, time_spent_seconds, status } = req.body;
+
+            // Validate numeric fields
+            if (progress_percent !== undefined && (typeof progress_percent !== 'number' || progress_percent < 0 || progress_percent > 100)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'progress_percent must be a number between 0 and 100'
+                });
+            }
+
+            if (time_spent_seconds !== undefined && (typeof time_spent_seconds !== 'number' || time_spent_seconds < 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'time_spent_seconds must be a non-negative number'
+                });
+            }
+
+            if (status !== undefined && !['started', 'in_progress', 'completed'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid progress status'
+                });
+            }
+
+            const result = await ModuleProgressService.updateProgress(moduleId, userId, {
+                progress_percent,
+                last_position,
+                time_spent_seconds,
+                status
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('ModuleController.updateProgress error:', error);
+
+            if (error.message === 'Module not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Module not found'
+                });
+            }
+
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code,
+                    missing_prerequisites: error.missing_prerequisites,
+                    age_range: error.age_range
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update progress'
+            });
+        }
+    }
+
+    /**
+     * Get current user's progress in a module
+     * GET /api/modules/:id/progress
+     */
+    async getModuleProgress(req, res) {
+        try {
+            const result = await ModuleProgressService.getModuleProgress(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('ModuleController.getModuleProgress error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch progress'
+            });
+        }
+    }
+
+    /**
+     * Get current user's progress across all modules
+     * GET /api/modules/me/progress?status=completed
+     */
+    async getMyProgress(req, res) {
+        try {
+            const result = await ModuleProgressService.getUserProgress(req.user.id, {
+                status: req.query.status
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            console.error('ModuleController.getMyProgress error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch progress'
+            });
+        }
+    }
 
     /**
      * Get module statistics
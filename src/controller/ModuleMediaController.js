@@ -0,0 +1,202 @@
+// src/controller/ModuleMediaController.js
+const ModuleMediaService = require('../services/ModuleMediaService');
+const ModulePermissionService = require('../services/ModulePermissionService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleMediaController.${action} error:`, error);
+
+    if (['Module not found', 'Media not found', 'Track not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: error.errors[0].message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            age_range: error.age_range,
+            missing_prerequisites: error.missing_prerequisites
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Media Controller - Video/audio/slide attachments, caption tracks and playback
+ */
+class ModuleMediaController {
+    /**
+     * List media with tracks and the current user's playback position
+     * GET /api/modules/:id/media
+     */
+    async getMedia(req, res) {
+        try {
+            const result = await ModuleMediaService.getMedia(
+                req.params.id,
+                req.user.id,
+                ModulePermissionService.canReview(req.user)
+            );
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getMedia', 'Failed to fetch media');
+        }
+    }
+
+    /**
+     * Plain-text transcript of a media item
+     * GET /api/modules/:id/media/:mediaId/transcript?lang=fil
+     */
+    async getTranscript(req, res) {
+        try {
+            const result = await ModuleMediaService.getTranscript(
+                req.params.id,
+                req.params.mediaId,
+                req.user.id,
+                req.locale,
+                ModulePermissionService.canReview(req.user)
+            );
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getTranscript', 'Failed to fetch transcript');
+        }
+    }
+
+    /**
+     * Save playback position
+     * PUT /api/modules/:id/media/:mediaId/playback
+     */
+    async savePlayback(req, res) {
+        try {
+            const result = await ModuleMediaService.savePlayback(req.params.id, req.params.mediaId, req.user.id, req.body);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'savePlayback', 'Failed to save playback position');
+        }
+    }
+
+    /**
+     * Upload a media file
+     * POST /api/modules/:id/media
+     */
+    async addMedia(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A media file is required'
+                });
+            }
+
+            const result = await ModuleMediaService.addMedia(req.params.id, req.file, req.body, req.user.id);
+
+            return res.status(201).json({
+                ...result,
+                message: 'Media added'
+            });
+        } catch (error) {
+            return handleError(res, error, 'addMedia', 'Failed to add media');
+        }
+    }
+
+    /**
+     * Rename a media item
+     * PATCH /api/modules/:id/media/:mediaId
+     */
+    async updateMedia(req, res) {
+        try {
+            const result = await ModuleMediaService.updateMedia(req.params.id, req.params.mediaId, req.body, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'updateMedia', 'Failed to update media');
+        }
+    }
+
+    /**
+     * Reorder media
+     * PUT /api/modules/:id/media/order
+     */
+    async reorderMedia(req, res) {
+        try {
+            const result = await ModuleMediaService.reorderMedia(req.params.id, req.body.media_ids, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'reorderMedia', 'Failed to reorder media');
+        }
+    }
+
+    /**
+     * Remove a media item
+     * DELETE /api/modules/:id/media/:mediaId
+     */
+    async removeMedia(req, res) {
+        try {
+            const result = await ModuleMediaService.removeMedia(req.params.id, req.params.mediaId, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'removeMedia', 'Failed to remove media');
+        }
+    }
+
+    /**
+     * Upload a caption track (WebVTT or SRT)
+     * POST /api/modules/:id/media/:mediaId/tracks
+     */
+    async addTrack(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A caption file (.vtt or .srt) is required'
+                });
+            }
+
+            const result = await ModuleMediaService.addTrack(req.params.id, req.params.mediaId, req.file, req.body, req.user.id);
+
+            return res.status(result.replaced ? 200 : 201).json({
+                ...result,
+                message: result.replaced ? 'Captions replaced' : 'Captions added'
+            });
+        } catch (error) {
+            return handleError(res, error, 'addTrack', 'Failed to add captions');
+        }
+    }
+
+    /**
+     * Remove a caption track
+     * DELETE /api/modules/:id/media/:mediaId/tracks/:trackId
+     */
+    async removeTrack(req, res) {
+        try {
+            const result = await ModuleMediaService.removeTrack(req.params.id, req.params.mediaId, req.params.trackId, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'removeTrack', 'Failed to remove captions');
+        }
+    }
+}
+
+module.exports = new ModuleMediaController();
@@ -0,0 +1,105 @@
+// src/controller/ModuleNoteController.js
+const ModuleNoteService = require('../services/ModuleNoteService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleNoteController.${action} error:`, error);
+
+    if (['Module not found', 'Note not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            age_range: error.age_range
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Note Controller - Private learner notes
+ */
+class ModuleNoteController {
+    /**
+     * Get current user's notes on a module
+     * GET /api/modules/:id/notes
+     */
+    async getNotes(req, res) {
+        try {
+            const result = await ModuleNoteService.getNotes(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getNotes', 'Failed to fetch notes');
+        }
+    }
+
+    /**
+     * Add a note
+     * POST /api/modules/:id/notes
+     */
+    async createNote(req, res) {
+        try {
+            const result = await ModuleNoteService.createNote(req.params.id, req.user.id, {
+                body: req.body.body,
+                position: req.body.position
+            });
+
+            return res.status(201).json({
+                ...result,
+                message: 'Note saved'
+            });
+        } catch (error) {
+            return handleError(res, error, 'createNote', 'Failed to save note');
+        }
+    }
+
+    /**
+     * Update a note
+     * PUT /api/modules/:id/notes/:noteId
+     */
+    async updateNote(req, res) {
+        try {
+            const result = await ModuleNoteService.updateNote(req.params.id, req.params.noteId, req.user.id, {
+                body: req.body.body,
+                position: req.body.position
+            });
+
+            return res.status(200).json({
+                ...result,
+                message: 'Note updated'
+            });
+        } catch (error) {
+            return handleError(res, error, 'updateNote', 'Failed to update note');
+        }
+    }
+
+    /**
+     * Delete a note
+     * DELETE /api/modules/:id/notes/:noteId
+     */
+    async deleteNote(req, res) {
+        try {
+            const result = await ModuleNoteService.deleteNote(req.params.id, req.params.noteId, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'deleteNote', 'Failed to delete note');
+        }
+    }
+}
+
+module.exports = new ModuleNoteController();
@@ -0,0 +1,92 @@
+// src/controller/ModulePackageController.js
+const ModulePackageService = require('../services/ModulePackageService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModulePackageController.${action} error:`, error);
+
+    if (error.message === 'Module not found') {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: error.errors[0].message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            action: error.action,
+            existing_module_id: error.existing_module_id
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Package Controller - Export/import modules as zip packages
+ */
+class ModulePackageController {
+    /**
+     * Download a module as a zip package
+     * GET /api/modules/:id/export?source=draft
+     */
+    async exportModule(req, res) {
+        try {
+            const result = await ModulePackageService.exportModule(req.params.id, {
+                source: req.query.source
+            });
+
+            res.set({
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${result.filename}"`,
+                'Content-Length': result.buffer.length
+            });
+            return res.status(200).send(result.buffer);
+        } catch (error) {
+            return handleError(res, error, 'exportModule', 'Failed to export module');
+        }
+    }
+
+    /**
+     * Create or update a module from a zip package
+     * POST /api/modules/import
+     */
+    async importModule(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A module package (.zip) is required'
+                });
+            }
+
+            const result = await ModulePackageService.importPackage(req.file.buffer, req.user, {
+                on_conflict: req.body.on_conflict
+            });
+
+            return res.status(result.action === 'created' ? 201 : 200).json({
+                ...result,
+                message: result.action === 'created' ? 'Module imported' : 'Module updated from package'
+            });
+        } catch (error) {
+            return handleError(res, error, 'importModule', 'Failed to import module package');
+        }
+    }
+}
+
+module.exports = new ModulePackageController();
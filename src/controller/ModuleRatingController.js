@@ -0,0 +1,145 @@
+// src/controller/ModuleRatingController.js
+const ModuleRatingService = require('../services/ModuleRatingService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleRatingController.${action} error:`, error);
+
+    if (['Module not found', 'Rating not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: error.errors.map(e => ({
+                field: e.path,
+                message: e.message
+            }))
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            age_range: error.age_range
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Rating Controller - Ratings, reviews and the feedback inbox
+ */
+class ModuleRatingController {
+    /**
+     * Get rating summary and reviews of a module
+     * GET /api/v1/modules/:id/ratings
+     */
+    async getModuleRatings(req, res) {
+        try {
+            const result = await ModuleRatingService.getModuleRatings(
+                req.params.id,
+                {
+                    sort: req.query.sort,
+                    page: req.query.page,
+                    limit: req.query.limit
+                },
+                req.user ? req.user.id : null
+            );
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getModuleRatings', 'Failed to fetch ratings');
+        }
+    }
+
+    /**
+     * Rate a module or update the current rating
+     * PUT /api/v1/modules/:id/ratings/me
+     */
+    async rateModule(req, res) {
+        try {
+            const result = await ModuleRatingService.rateModule(req.params.id, req.user.id, {
+                rating: req.body.rating,
+                feedback: req.body.feedback
+            });
+
+            return res.status(result.created ? 201 : 200).json({
+                ...result,
+                message: result.created ? 'Thanks for rating this module' : 'Rating updated'
+            });
+        } catch (error) {
+            return handleError(res, error, 'rateModule', 'Failed to save rating');
+        }
+    }
+
+    /**
+     * Remove the current user's rating
+     * DELETE /api/v1/modules/:id/ratings/me
+     */
+    async deleteMyRating(req, res) {
+        try {
+            const result = await ModuleRatingService.deleteMyRating(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'deleteMyRating', 'Failed to remove rating');
+        }
+    }
+
+    /**
+     * Feedback inbox for editors
+     * GET /api/v1/modules/ratings/inbox
+     */
+    async getFeedbackInbox(req, res) {
+        try {
+            const result = await ModuleRatingService.getFeedbackInbox({
+                status: req.query.status,
+                module_id: req.query.module_id,
+                has_feedback: req.query.has_feedback !== 'false',
+                max_rating: req.query.max_rating,
+                page: req.query.page,
+                limit: req.query.limit
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getFeedbackInbox', 'Failed to fetch feedback');
+        }
+    }
+
+    /**
+     * Hide, flag or restore a rating
+     * PATCH /api/v1/modules/ratings/:ratingId/moderate
+     */
+    async moderateRating(req, res) {
+        try {
+            const result = await ModuleRatingService.moderateRating(req.params.ratingId, req.user.id, {
+                status: req.body.status,
+                note: req.body.note
+            });
+
+            return res.status(200).json({
+                ...result,
+                message: 'Feedback updated'
+            });
+        } catch (error) {
+            return handleError(res, error, 'moderateRating', 'Failed to moderate feedback');
+        }
+    }
+}
+
+module.exports = new ModuleRatingController();
@@ -0,0 +1,124 @@
+// src/controller/ModuleRevisionController.js
+const ModuleRevisionService = require('../services/ModuleRevisionService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleRevisionController.${action} error:`, error);
+
+    if (['Module not found', 'Revision not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Revision Controller - Revision history handlers
+ */
+class ModuleRevisionController {
+    /**
+     * List revisions
+     * GET /api/modules/:id/revisions
+     */
+    async getRevisions(req, res) {
+        try {
+            const result = await ModuleRevisionService.getRevisions(req.params.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getRevisions', 'Failed to fetch revisions');
+        }
+    }
+
+    /**
+     * Get a revision with content
+     * GET /api/modules/:id/revisions/:revisionId
+     */
+    async getRevision(req, res) {
+        try {
+            const result = await ModuleRevisionService.getRevision(req.params.id, req.params.revisionId);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getRevision', 'Failed to fetch revision');
+        }
+    }
+
+    /**
+     * Diff content between two revisions
+     * GET /api/modules/:id/revisions/diff?from=12&to=15
+     */
+    async diffRevisions(req, res) {
+        try {
+            const { from, to } = req.query;
+            if (!from) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The "from" revision ID is required'
+                });
+            }
+
+            const result = await ModuleRevisionService.diffRevisions(req.params.id, from, to || null);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'diffRevisions', 'Failed to diff revisions');
+        }
+    }
+
+    /**
+     * Restore a revision into the draft
+     * POST /api/modules/:id/revisions/:revisionId/restore
+     * Body: { publish }
+     */
+    async restoreRevision(req, res) {
+        try {
+            const result = await ModuleRevisionService.restoreRevision(
+                req.params.id,
+                req.params.revisionId,
+                req.user,
+                { publish: req.body.publish === true || req.body.publish === 'true' }
+            );
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'restoreRevision', 'Failed to restore revision');
+        }
+    }
+
+    /**
+     * Serve a revision to learners
+     * POST /api/modules/:id/revisions/:revisionId/publish
+     */
+    async publishRevision(req, res) {
+        try {
+            const result = await ModuleRevisionService.publishRevision(
+                req.params.id,
+                req.params.revisionId,
+                req.user.id
+            );
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'publishRevision', 'Failed to publish revision');
+        }
+    }
+}
+
+module.exports = new ModuleRevisionController();
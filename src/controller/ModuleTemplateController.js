@@ -0,0 +1,152 @@
+// src/controller/ModuleTemplateController.js
+const ModuleTemplateService = require('../services/ModuleTemplateService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleTemplateController.${action} error:`, error);
+
+    if (['Module not found', 'Template not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: error.errors[0].message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Template Controller - Library of reusable module skeletons
+ */
+class ModuleTemplateController {
+    /**
+     * List templates
+     * GET /api/modules/templates?category=vawc&type=quiz&search=safety
+     */
+    async getTemplates(req, res) {
+        try {
+            const result = await ModuleTemplateService.getTemplates({
+                category: req.query.category,
+                type: req.query.type,
+                search: req.query.search
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getTemplates', 'Failed to fetch templates');
+        }
+    }
+
+    /**
+     * Get a template with its skeleton
+     * GET /api/modules/templates/:templateId
+     */
+    async getTemplate(req, res) {
+        try {
+            const result = await ModuleTemplateService.getTemplate(req.params.templateId);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getTemplate', 'Failed to fetch template');
+        }
+    }
+
+    /**
+     * Create a template
+     * POST /api/modules/templates
+     */
+    async createTemplate(req, res) {
+        try {
+            if (!req.body.name) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Template name is required'
+                });
+            }
+
+            const result = await ModuleTemplateService.createTemplate(req.body, req.user);
+
+            return res.status(201).json(result);
+        } catch (error) {
+            return handleError(res, error, 'createTemplate', 'Failed to create template');
+        }
+    }
+
+    /**
+     * Save a module as a template
+     * POST /api/modules/:id/template
+     */
+    async createTemplateFromModule(req, res) {
+        try {
+            const result = await ModuleTemplateService.createTemplateFromModule(req.params.id, req.body || {}, req.user);
+
+            return res.status(201).json(result);
+        } catch (error) {
+            return handleError(res, error, 'createTemplateFromModule', 'Failed to save module as template');
+        }
+    }
+
+    /**
+     * Update a template
+     * PUT /api/modules/templates/:templateId
+     */
+    async updateTemplate(req, res) {
+        try {
+            const result = await ModuleTemplateService.updateTemplate(req.params.templateId, req.body, req.user);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'updateTemplate', 'Failed to update template');
+        }
+    }
+
+    /**
+     * Delete a template
+     * DELETE /api/modules/templates/:templateId
+     */
+    async deleteTemplate(req, res) {
+        try {
+            const result = await ModuleTemplateService.deleteTemplate(req.params.templateId, req.user);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'deleteTemplate', 'Failed to delete template');
+        }
+    }
+
+    /**
+     * Start a new draft module from a template
+     * POST /api/modules/templates/:templateId/modules
+     */
+    async createModuleFromTemplate(req, res) {
+        try {
+            const result = await ModuleTemplateService.createModuleFromTemplate(req.params.templateId, req.body || {}, req.user.id);
+
+            return res.status(201).json(result);
+        } catch (error) {
+            return handleError(res, error, 'createModuleFromTemplate', 'Failed to create module from template');
+        }
+    }
+}
+
+module.exports = new ModuleTemplateController();
@@ -0,0 +1,162 @@
+// src/controller/ModuleTranslationController.js
+const ModuleTranslationService = require('../services/ModuleTranslationService');
+const { validateModuleFile } = require('../middleware/FileUploadMiddleware');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleTranslationController.${action} error:`, error);
+
+    if (['Module not found', 'Translation not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Translation Controller - Per-locale module content handlers
+ */
+class ModuleTranslationController {
+    /**
+     * Translation completeness report
+     * GET /api/modules/translations/report
+     */
+    async getReport(req, res) {
+        try {
+            const result = await ModuleTranslationService.getCompletenessReport({
+                locale: req.query.locale,
+                category: req.query.category,
+                is_published: req.query.is_published === undefined ? undefined : req.query.is_published === 'true',
+                page: req.query.page,
+                limit: req.query.limit
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getReport', 'Failed to build translation report');
+        }
+    }
+
+    /**
+     * List a module's translations
+     * GET /api/modules/:id/translations
+     */
+    async getTranslations(req, res) {
+        try {
+            const result = await ModuleTranslationService.getTranslations(req.params.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getTranslations', 'Failed to fetch translations');
+        }
+    }
+
+    /**
+     * Get one translation
+     * GET /api/modules/:id/translations/:locale
+     */
+    async getTranslation(req, res) {
+        try {
+            const result = await ModuleTranslationService.getTranslation(req.params.id, req.params.locale);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getTranslation', 'Failed to fetch translation');
+        }
+    }
+
+    /**
+     * Create or update a translation
+     * PUT /api/modules/:id/translations/:locale
+     */
+    async saveTranslation(req, res) {
+        try {
+            const result = await ModuleTranslationService.saveTranslation(
+                req.params.id,
+                req.params.locale,
+                req.body,
+                req.user.id
+            );
+
+            return res.status(result.created ? 201 : 200).json({
+                ...result,
+                message: result.created ? 'Translation created successfully' : 'Translation updated successfully'
+            });
+        } catch (error) {
+            return handleError(res, error, 'saveTranslation', 'Failed to save translation');
+        }
+    }
+
+    /**
+     * Upload/replace the translated module file
+     * POST /api/modules/:id/translations/:locale/file
+     */
+    async uploadTranslationFile(req, res) {
+        try {
+            const file = req.file;
+
+            if (!file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No file provided'
+                });
+            }
+
+            const validation = validateModuleFile(file);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: validation.error
+                });
+            }
+
+            const result = await ModuleTranslationService.uploadTranslationFile(
+                req.params.id,
+                req.params.locale,
+                file.buffer,
+                file.mimetype,
+                file.originalname,
+                req.user.id
+            );
+
+            return res.status(200).json({
+                ...result,
+                message: 'Translation file uploaded successfully'
+            });
+        } catch (error) {
+            return handleError(res, error, 'uploadTranslationFile', 'Failed to upload translation file');
+        }
+    }
+
+    /**
+     * Delete a translation
+     * DELETE /api/modules/:id/translations/:locale
+     */
+    async deleteTranslation(req, res) {
+        try {
+            const result = await ModuleTranslationService.deleteTranslation(req.params.id, req.params.locale, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'deleteTranslation', 'Failed to delete translation');
+        }
+    }
+}
+
+module.exports = new ModuleTranslationController();
@@ -0,0 +1,194 @@
+// src/controller/ModuleWorkflowController.js
+const ModuleWorkflowService = require('../services/ModuleWorkflowService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ModuleWorkflowController.${action} error:`, error);
+
+    if (['Module not found', 'User not found', 'Reviewer not found', 'Comment not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: error.errors[0].message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            action: error.action,
+            workflow_status: error.workflow_status,
+            allowed_actions: error.allowed_actions
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Module Workflow Controller - Editorial review, reviewers and review comments
+ */
+class ModuleWorkflowController {
+    /**
+     * Modules waiting for review
+     * GET /api/modules/workflow/queue?status=in_review&assigned=me
+     */
+    async getReviewQueue(req, res) {
+        try {
+            const result = await ModuleWorkflowService.getReviewQueue({
+                status: req.query.status,
+                assigned_to: req.query.assigned === 'me' ? req.user.id : null,
+                page: req.query.page,
+                limit: req.query.limit
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getReviewQueue', 'Failed to fetch review queue');
+        }
+    }
+
+    /**
+     * Workflow status, reviewers and transition history
+     * GET /api/modules/:id/workflow
+     */
+    async getWorkflow(req, res) {
+        try {
+            const result = await ModuleWorkflowService.getWorkflow(req.params.id, req.user);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getWorkflow', 'Failed to fetch workflow');
+        }
+    }
+
+    /**
+     * Move a module through the workflow
+     * POST /api/modules/:id/workflow/:action
+     */
+    async transition(req, res) {
+        try {
+            const result = await ModuleWorkflowService.transition(
+                req.params.id,
+                req.params.action,
+                req.user,
+                { note: req.body.note }
+            );
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'transition', 'Failed to update workflow');
+        }
+    }
+
+    /**
+     * List assigned reviewers
+     * GET /api/modules/:id/reviewers
+     */
+    async getReviewers(req, res) {
+        try {
+            const result = await ModuleWorkflowService.getReviewers(req.params.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getReviewers', 'Failed to fetch reviewers');
+        }
+    }
+
+    /**
+     * Assign a reviewer
+     * POST /api/modules/:id/reviewers
+     */
+    async assignReviewer(req, res) {
+        try {
+            if (!req.body.user_id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'user_id is required'
+                });
+            }
+
+            const result = await ModuleWorkflowService.assignReviewer(req.params.id, req.body.user_id, req.user.id);
+
+            return res.status(result.created ? 201 : 200).json({
+                ...result,
+                message: result.created ? 'Reviewer assigned' : 'Already a reviewer'
+            });
+        } catch (error) {
+            return handleError(res, error, 'assignReviewer', 'Failed to assign reviewer');
+        }
+    }
+
+    /**
+     * Unassign a reviewer
+     * DELETE /api/modules/:id/reviewers/:userId
+     */
+    async removeReviewer(req, res) {
+        try {
+            const result = await ModuleWorkflowService.removeReviewer(req.params.id, req.params.userId);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'removeReviewer', 'Failed to remove reviewer');
+        }
+    }
+
+    /**
+     * List review comments
+     * GET /api/modules/:id/review-comments?include_resolved=true
+     */
+    async getComments(req, res) {
+        try {
+            const result = await ModuleWorkflowService.getComments(req.params.id, {
+                includeResolved: req.query.include_resolved === 'true'
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getComments', 'Failed to fetch review comments');
+        }
+    }
+
+    /**
+     * Add a review comment
+     * POST /api/modules/:id/review-comments
+     */
+    async addComment(req, res) {
+        try {
+            const result = await ModuleWorkflowService.addComment(req.params.id, req.user.id, req.body.body);
+
+            return res.status(201).json(result);
+        } catch (error) {
+            return handleError(res, error, 'addComment', 'Failed to add review comment');
+        }
+    }
+
+    /**
+     * Resolve a review comment
+     * PATCH /api/modules/:id/review-comments/:commentId/resolve
+     */
+    async resolveComment(req, res) {
+        try {
+            const result = await ModuleWorkflowService.resolveComment(req.params.id, req.params.commentId, req.user);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'resolveComment', 'Failed to resolve review comment');
+        }
+    }
+}
+
+module.exports = new ModuleWorkflowController();
@@ -0,0 +1,170 @@
+// src/controller/QuizController.js
+const QuizService = require('../services/QuizService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`QuizController.${action} error:`, error);
+
+    if (['Module not found', 'Question not found', 'Attempt not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: error.errors.map(e => ({ field: e.path, message: e.message }))
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            missing_prerequisites: error.missing_prerequisites,
+            age_range: error.age_range
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * Quiz Controller - Question bank and attempt handlers
+ */
+class QuizController {
+    /**
+     * Get questions for a module (with answers)
+     * GET /api/modules/:id/questions
+     */
+    async getQuestions(req, res) {
+        try {
+            const result = await QuizService.getQuestions(req.params.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getQuestions', 'Failed to fetch questions');
+        }
+    }
+
+    /**
+     * Add a question to a module
+     * POST /api/modules/:id/questions
+     */
+    async createQuestion(req, res) {
+        try {
+            const { prompt, correct_answer } = req.body;
+            if (!prompt || correct_answer === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Prompt and correct_answer are required'
+                });
+            }
+
+            const result = await QuizService.createQuestion(req.params.id, req.body, req.user.id);
+
+            return res.status(201).json(result);
+        } catch (error) {
+            return handleError(res, error, 'createQuestion', 'Failed to create question');
+        }
+    }
+
+    /**
+     * Update a question
+     * PUT /api/modules/:id/questions/:questionId
+     */
+    async updateQuestion(req, res) {
+        try {
+            const result = await QuizService.updateQuestion(req.params.id, req.params.questionId, req.body, req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Question updated successfully',
+                question: result.question
+            });
+        } catch (error) {
+            return handleError(res, error, 'updateQuestion', 'Failed to update question');
+        }
+    }
+
+    /**
+     * Delete a question
+     * DELETE /api/modules/:id/questions/:questionId
+     */
+    async deleteQuestion(req, res) {
+        try {
+            const result = await QuizService.deleteQuestion(req.params.id, req.params.questionId, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'deleteQuestion', 'Failed to delete question');
+        }
+    }
+
+    /**
+     * Start or resume a quiz attempt
+     * POST /api/modules/:id/quiz/attempts
+     */
+    async startAttempt(req, res) {
+        try {
+            const result = await QuizService.startAttempt(req.params.id, req.user.id);
+
+            return res.status(201).json(result);
+        } catch (error) {
+            return handleError(res, error, 'startAttempt', 'Failed to start quiz attempt');
+        }
+    }
+
+    /**
+     * Submit answers for an attempt
+     * POST /api/modules/:id/quiz/attempts/:attemptId/submit
+     * Body: { answers: { [questionId]: answer } }
+     */
+    async submitAttempt(req, res) {
+        try {
+            const { answers } = req.body;
+            if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Answers must be an object keyed by question ID'
+                });
+            }
+
+            const result = await QuizService.submitAttempt(
+                req.params.id,
+                req.params.attemptId,
+                req.user.id,
+                answers
+            );
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'submitAttempt', 'Failed to submit quiz attempt');
+        }
+    }
+
+    /**
+     * Get current user's attempts for a module
+     * GET /api/modules/:id/quiz/attempts
+     */
+    async getMyAttempts(req, res) {
+        try {
+            const result = await QuizService.getUserAttempts(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getMyAttempts', 'Failed to fetch quiz attempts');
+        }
+    }
+}
+
+module.exports = new QuizController();
@@ -0,0 +1,137 @@
+// src/controller/ScormController.js
+const ScormService = require('../services/ScormService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`ScormController.${action} error:`, error);
+
+    if (['Module not found', 'SCORM package not found'].includes(error.message)) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: error.errors[0].message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            age_range: error.age_range,
+            missing_prerequisites: error.missing_prerequisites
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * SCORM Controller - SCORM package upload, launch and runtime tracking
+ */
+class ScormController {
+    /**
+     * Create a module from a SCORM package
+     * POST /api/modules/scorm
+     */
+    async importPackage(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A SCORM package (.zip) is required'
+                });
+            }
+
+            const result = await ScormService.importPackage(req.file.buffer, req.user, req.body);
+
+            return res.status(201).json({
+                ...result,
+                message: 'SCORM module created'
+            });
+        } catch (error) {
+            return handleError(res, error, 'importPackage', 'Failed to import SCORM package');
+        }
+    }
+
+    /**
+     * Replace a module's SCORM package
+     * PUT /api/modules/:id/scorm
+     */
+    async replacePackage(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A SCORM package (.zip) is required'
+                });
+            }
+
+            const result = await ScormService.replacePackage(req.params.id, req.file.buffer, req.user.id);
+
+            return res.status(200).json({
+                ...result,
+                message: 'SCORM package uploaded'
+            });
+        } catch (error) {
+            return handleError(res, error, 'replacePackage', 'Failed to upload SCORM package');
+        }
+    }
+
+    /**
+     * List a module's SCORM packages
+     * GET /api/modules/:id/scorm
+     */
+    async getPackages(req, res) {
+        try {
+            const result = await ScormService.getPackages(req.params.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getPackages', 'Failed to fetch SCORM packages');
+        }
+    }
+
+    /**
+     * Launch data for the SCORM player
+     * GET /api/modules/:id/scorm/launch
+     */
+    async getLaunch(req, res) {
+        try {
+            const result = await ScormService.getLaunch(req.params.id, req.user.id);
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'getLaunch', 'Failed to launch SCORM module');
+        }
+    }
+
+    /**
+     * Record runtime data committed by the SCO
+     * POST /api/modules/:id/scorm/runtime
+     */
+    async commit(req, res) {
+        try {
+            const result = await ScormService.commit(req.params.id, req.user.id, req.body.cmi, {
+                finish: req.body.finish === true || req.body.finish === 'true'
+            });
+
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(res, error, 'commit', 'Failed to save SCORM data');
+        }
+    }
+}
+
+module.exports = new ScormController();
@@ -1,5 +1,6 @@
 // controllers/SettingsController.js
-const { User, UserPrivacySettings, UserNotificationPreferences, AccountDeletionRequest, Session } = require('../model');
+const { User, UserPrivacySettings, UserNotificationPreferences, UserContentPreferences, AccountDeletionRequest, Session } = require('../model');
+const { ADVISORY_TYPES, isAdvisoryType } = require('../config/contentSafety');
 const jwtService = require('../services/JwtService');
 
 /**
@@ -146,6 +147,75 @@ exports.updateNotificationPreferences = async (req, res, next) => {
     }
 };
 
+/**
+ * Get content warning preferences
+ * available_topics lists the advisory types learners can pick from
+ */
+exports.getContentPreferences = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const preferences = await UserContentPreferences.findOrCreateForUser(userId);
+
+        res.json({
+            show_content_warnings: preferences.show_content_warnings,
+            sensitive_topics: preferences.getSensitiveTopics(),
+            available_topics: Object.entries(ADVISORY_TYPES).map(([type, label]) => ({ type, label }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update content warning preferences
+ * An empty sensitive_topics list means every advisory type shows the warning screen
+ */
+exports.updateContentPreferences = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+        const { show_content_warnings, sensitive_topics } = req.body;
+
+        if (sensitive_topics !== undefined && sensitive_topics !== null) {
+            const invalid = Array.isArray(sensitive_topics)
+                ? sensitive_topics.filter(topic => !isAdvisoryType(topic))
+                : null;
+
+            if (!invalid || invalid.length) {
+                const message = `sensitive_topics must be a list of: ${Object.keys(ADVISORY_TYPES).join(', ')}`;
+                return res.status(422).json({
+                    message,
+                    errors: {
+                        sensitive_topics: [message]
+                    }
+                });
+            }
+        }
+
+        const preferences = await UserContentPreferences.findOrCreateForUser(userId);
+
+        // Update fields
+        if (show_content_warnings !== undefined) {
+            preferences.show_content_warnings = show_content_warnings;
+        }
+        if (sensitive_topics !== undefined) {
+            preferences.sensitive_topics = [...new Set(sensitive_topics || [])];
+        }
+
+        await preferences.save();
+
+        res.json({
+            message: 'Content preferences updated successfully',
+            preferences: {
+                show_content_warnings: preferences.show_content_warnings,
+                sensitive_topics: preferences.getSensitiveTopics()
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Deactivate account
  */
@@ -0,0 +1,88 @@
+// src/controller/XapiController.js
+const XapiService = require('../services/XapiService');
+
+/**
+ * Map service errors to HTTP responses
+ */
+const handleError = (res, error, action, fallbackMessage) => {
+    console.error(`XapiController.${action} error:`, error);
+
+    if (error.message === 'Statement not found') {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+/**
+ * xAPI Controller - Statements resource of the local learning record store
+ * Responses follow the xAPI 1.0.3 spec (bare statement bodies, no success envelope)
+ */
+class XapiController {
+    /**
+     * LRS version information
+     * GET /api/v1/xapi/about
+     */
+    async about(req, res) {
+        return res.status(200).json(XapiService.about());
+    }
+
+    /**
+     * Store one or more statements
+     * POST /api/v1/xapi/statements
+     */
+    async postStatements(req, res) {
+        try {
+            const ids = await XapiService.storeStatements(req.body, req.user);
+
+            return res.status(200).json(ids);
+        } catch (error) {
+            return handleError(res, error, 'postStatements', 'Failed to store statements');
+        }
+    }
+
+    /**
+     * Store a statement under a given id
+     * PUT /api/v1/xapi/statements?statementId=
+     */
+    async putStatement(req, res) {
+        try {
+            await XapiService.putStatement(req.query.statementId, req.body, req.user);
+
+            return res.status(204).end();
+        } catch (error) {
+            return handleError(res, error, 'putStatement', 'Failed to store statement');
+        }
+    }
+
+    /**
+     * Fetch a statement or a page of statements
+     * GET /api/v1/xapi/statements
+     */
+    async getStatements(req, res) {
+        try {
+            const result = await XapiService.getStatements(req.query, req.user, `${req.baseUrl}${req.path}`);
+
+            res.set('X-Experience-API-Consistent-Through', new Date().toISOString());
+            return res.status(200).json(result.statement || result);
+        } catch (error) {
+            return handleError(res, error, 'getStatements', 'Failed to fetch statements');
+        }
+    }
+}
+
+module.exports = new XapiController();
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Migration: Create ModuleProgress Table
+ *
+ * Tracks each learner's progress through a module
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ModuleProgress', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('started', 'in_progress', 'completed'),
+        allowNull: false,
+        defaultValue: 'started',
+        comment: 'Progress state of the learner in this module'
+      },
+      progress_percent: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Percent of the module completed (0-100)'
+      },
+      last_position: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Last reading position (page number, section anchor, etc.)'
+      },
+      time_spent_seconds: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Total time spent in the module in seconds'
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP'),
+        comment: 'When the learner first opened the module'
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the learner completed the module'
+      },
+      last_accessed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Last time progress was reported'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // One progress record per user per module
+    await queryInterface.addIndex('ModuleProgress', ['user_id', 'module_id'], { unique: true });
+    await queryInterface.addIndex('ModuleProgress', ['module_id']);
+    await queryInterface.addIndex('ModuleProgress', ['status']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('ModuleProgress');
+  }
+};
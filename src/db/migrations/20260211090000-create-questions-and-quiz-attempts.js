@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Migration: Quiz & Assessment Engine
+ *
+ * - Adds module type, points and quiz settings to Modules
+ * - Creates Questions (question bank per module)
+ * - Creates QuizAttempts (scored learner attempts)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // ===== Module quiz settings =====
+    await queryInterface.addColumn('Modules', 'type', {
+      type: Sequelize.ENUM('lesson', 'quiz', 'activity', 'resource', 'assessment'),
+      allowNull: false,
+      defaultValue: 'lesson',
+      comment: 'Type of module'
+    });
+
+    await queryInterface.addColumn('Modules', 'points', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Points awarded for completing this module'
+    });
+
+    await queryInterface.addColumn('Modules', 'passing_score', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 70,
+      comment: 'Minimum score percent required to pass a quiz/assessment'
+    });
+
+    await queryInterface.addColumn('Modules', 'max_attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Maximum quiz attempts per learner (NULL = unlimited)'
+    });
+
+    await queryInterface.addColumn('Modules', 'shuffle_questions', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Randomize question order for each attempt'
+    });
+
+    await queryInterface.addIndex('Modules', ['type']);
+
+    // ===== Questions =====
+    await queryInterface.createTable('Questions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      question_type: {
+        type: Sequelize.ENUM('multiple_choice', 'multi_select', 'true_false', 'short_answer'),
+        allowNull: false,
+        defaultValue: 'multiple_choice',
+        comment: 'How the question is answered and graded'
+      },
+      prompt: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'Question text'
+      },
+      options: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Answer choices: [{ id, text }] (choice questions only)'
+      },
+      correct_answer: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Option id, array of option ids, boolean or accepted short answers'
+      },
+      explanation: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Shown to the learner after submitting'
+      },
+      points: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Points this question is worth'
+      },
+      order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Display order within the module'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('Questions', ['module_id', 'order']);
+
+    // ===== Quiz Attempts =====
+    await queryInterface.createTable('QuizAttempts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      attempt_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Sequence number of this attempt for the learner'
+      },
+      status: {
+        type: Sequelize.ENUM('in_progress', 'submitted'),
+        allowNull: false,
+        defaultValue: 'in_progress'
+      },
+      question_order: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Question IDs in the order they were presented'
+      },
+      answers: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Submitted answers keyed by question ID'
+      },
+      score: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Points earned'
+      },
+      max_score: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Points available'
+      },
+      score_percent: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Score as a percent of max_score'
+      },
+      passed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: true
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('QuizAttempts', ['user_id', 'module_id']);
+    await queryInterface.addIndex('QuizAttempts', ['module_id', 'status']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('QuizAttempts');
+    await queryInterface.dropTable('Questions');
+
+    await queryInterface.removeIndex('Modules', ['type']);
+    await queryInterface.removeColumn('Modules', 'shuffle_questions');
+    await queryInterface.removeColumn('Modules', 'max_attempts');
+    await queryInterface.removeColumn('Modules', 'passing_score');
+    await queryInterface.removeColumn('Modules', 'points');
+    await queryInterface.removeColumn('Modules', 'type');
+  }
+};
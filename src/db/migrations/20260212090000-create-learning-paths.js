@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Migration: Create Learning Paths
+ *
+ * - LearningPaths: named curricula (e.g. "VAWC Awareness for Grade 9")
+ * - LearningPathModules: ordered modules within a path
+ * - LearningPathEnrollments: learners following a path
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('LearningPaths', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Learning path title'
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Learning path description'
+      },
+      category: {
+        type: Sequelize.ENUM('gad', 'sexual_health', 'vawc', 'general'),
+        allowNull: false,
+        defaultValue: 'general',
+        comment: 'Learning path category'
+      },
+      target_audience: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Intended learners (e.g., "Grade 9")'
+      },
+      completion_points: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Bonus points awarded when the whole path is completed'
+      },
+      is_published: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether the path is visible to learners'
+      },
+      published_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the path was first published'
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+        comment: 'User who created this path'
+      },
+      updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'User who last updated this path'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Soft delete timestamp'
+      }
+    });
+
+    await queryInterface.addIndex('LearningPaths', ['is_published']);
+    await queryInterface.addIndex('LearningPaths', ['category']);
+    await queryInterface.addIndex('LearningPaths', ['created_by']);
+    await queryInterface.addIndex('LearningPaths', ['deleted_at']);
+
+    await queryInterface.createTable('LearningPathModules', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      learning_path_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'LearningPaths',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Position of the module within the path'
+      },
+      is_required: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Whether the module counts toward path completion'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('LearningPathModules', ['learning_path_id', 'module_id'], { unique: true });
+    await queryInterface.addIndex('LearningPathModules', ['module_id']);
+
+    await queryInterface.createTable('LearningPathEnrollments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      learning_path_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'LearningPaths',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      enrolled_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When all required modules were completed'
+      },
+      points_awarded: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Completion points granted for this path'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('LearningPathEnrollments', ['user_id', 'learning_path_id'], { unique: true });
+    await queryInterface.addIndex('LearningPathEnrollments', ['learning_path_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('LearningPathEnrollments');
+    await queryInterface.dropTable('LearningPathModules');
+    await queryInterface.dropTable('LearningPaths');
+  }
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Migration: Module Revisions
+ *
+ * - Creates ModuleRevisions (snapshot of a module on every save)
+ * - Adds Modules.published_revision_id (revision served to learners)
+ * - Backfills revision 1 for existing modules and publishes it for published modules
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ModuleRevisions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      revision_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Sequential revision number per module'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      content: {
+        type: Sequelize.TEXT('long'),
+        allowNull: true
+      },
+      file_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'R2 storage key of the module file at this revision'
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      file_type: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      thumbnail_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      tags: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      note: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Short description of the change'
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Author of this revision'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleRevisions', ['module_id', 'revision_number'], { unique: true });
+
+    await queryInterface.addColumn('Modules', 'published_revision_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'ModuleRevisions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Revision currently served to learners'
+    });
+
+    // ===== Backfill =====
+    await queryInterface.sequelize.query(`
+      INSERT INTO ModuleRevisions
+        (module_id, revision_number, title, description, content, file_key, file_name, file_type,
+         file_size, thumbnail_key, tags, metadata, note, created_by, created_at)
+      SELECT id, 1, title, description, content, file_key, file_name, file_type,
+        file_size, thumbnail_key, tags, metadata, 'Initial revision', COALESCE(updated_by, created_by), updated_at
+      FROM Modules
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE Modules m
+      JOIN ModuleRevisions r ON r.module_id = m.id AND r.revision_number = 1
+      SET m.published_revision_id = r.id
+      WHERE m.is_published = 1
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Modules', 'published_revision_id');
+    await queryInterface.dropTable('ModuleRevisions');
+  }
+};
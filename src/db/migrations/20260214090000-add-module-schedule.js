@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Migration: Module Publish Scheduling
+ *
+ * - Adds publish_at / unpublish_at to Modules, processed by ModuleScheduleJob
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Modules', 'publish_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the module should be published automatically'
+    });
+
+    await queryInterface.addColumn('Modules', 'unpublish_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the module should be unpublished automatically'
+    });
+
+    await queryInterface.addIndex('Modules', ['publish_at']);
+    await queryInterface.addIndex('Modules', ['unpublish_at']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Modules', ['unpublish_at']);
+    await queryInterface.removeIndex('Modules', ['publish_at']);
+    await queryInterface.removeColumn('Modules', 'unpublish_at');
+    await queryInterface.removeColumn('Modules', 'publish_at');
+  }
+};
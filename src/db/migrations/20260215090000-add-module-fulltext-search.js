@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Migration: Module Full-Text Search
+ *
+ * - Adds Modules.extracted_text (text pulled from the uploaded PDF/DOCX)
+ * - Adds FULLTEXT indexes used by SearchService for relevance ranking
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Modules', 'extracted_text', {
+      type: Sequelize.TEXT('long'),
+      allowNull: true,
+      comment: 'Plain text extracted from the module file for search'
+    });
+
+    await queryInterface.addIndex('Modules', ['title', 'description', 'content', 'extracted_text'], {
+      type: 'FULLTEXT',
+      name: 'modules_fulltext_search'
+    });
+
+    // Separate title index so title matches can be weighted higher
+    await queryInterface.addIndex('Modules', ['title'], {
+      type: 'FULLTEXT',
+      name: 'modules_fulltext_title'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Modules', 'modules_fulltext_title');
+    await queryInterface.removeIndex('Modules', 'modules_fulltext_search');
+    await queryInterface.removeColumn('Modules', 'extracted_text');
+  }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Migration: Module Document Statistics
+ *
+ * - Adds page_count, word_count and estimated_reading_minutes (extracted from the module file)
+ * - Adds thumbnail_generated so a first-page preview can be replaced on re-upload,
+ *   while thumbnails uploaded by editors are kept
+ * - Revisions snapshot the statistics alongside the file they describe
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ['Modules', 'ModuleRevisions']) {
+      await queryInterface.addColumn(table, 'page_count', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Pages in the module file (estimated for DOCX)'
+      });
+
+      await queryInterface.addColumn(table, 'word_count', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Words extracted from the module file'
+      });
+
+      await queryInterface.addColumn(table, 'estimated_reading_minutes', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Reading time estimated from word_count'
+      });
+    }
+
+    await queryInterface.addColumn('Modules', 'thumbnail_generated', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Thumbnail is an auto-generated first-page preview'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Modules', 'thumbnail_generated');
+
+    for (const table of ['ModuleRevisions', 'Modules']) {
+      await queryInterface.removeColumn(table, 'estimated_reading_minutes');
+      await queryInterface.removeColumn(table, 'word_count');
+      await queryInterface.removeColumn(table, 'page_count');
+    }
+  }
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Migration: Module Translations
+ *
+ * - Creates ModuleTranslations (per-locale title, description, content and file)
+ * - Modules keep the default-locale (English) text; missing translated fields fall back to it
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ModuleTranslations', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      locale: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        comment: 'Locale code (see src/config/locales.js)'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      content: {
+        type: Sequelize.TEXT('long'),
+        allowNull: true
+      },
+      file_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'R2 storage key of the translated module file'
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      file_type: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      page_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      word_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      estimated_reading_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleTranslations', ['module_id', 'locale'], { unique: true });
+    await queryInterface.addIndex('ModuleTranslations', ['locale']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('ModuleTranslations');
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Migration: Module Age Range
+ *
+ * - Adds Modules.min_age and Modules.max_age (inclusive, null = no bound)
+ * - Backfills them from the free-text age_group ("13-15", "18+", "under 13")
+ *   Values that cannot be parsed are left unrestricted for editors to review
+ */
+const parseAgeGroup = (text) => {
+  const value = String(text || '').trim().toLowerCase();
+  let match;
+
+  if ((match = value.match(/(\d{1,3})\s*(?:-|–|to)\s*(\d{1,3})/))) {
+    return { min_age: Number(match[1]), max_age: Number(match[2]) };
+  }
+  if ((match = value.match(/(\d{1,3})\s*(?:\+|and (?:up|above|older))/))) {
+    return { min_age: Number(match[1]), max_age: null };
+  }
+  if ((match = value.match(/(?:under|below)\s*(\d{1,3})/))) {
+    return { min_age: null, max_age: Number(match[1]) - 1 };
+  }
+  return null;
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Modules', 'min_age', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Youngest eligible learner age (inclusive)'
+    });
+
+    await queryInterface.addColumn('Modules', 'max_age', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Oldest eligible learner age (inclusive)'
+    });
+
+    await queryInterface.addIndex('Modules', ['min_age', 'max_age']);
+
+    // ===== Backfill =====
+    const [modules] = await queryInterface.sequelize.query(
+      'SELECT id, age_group FROM Modules WHERE age_group IS NOT NULL'
+    );
+
+    for (const module of modules) {
+      const range = parseAgeGroup(module.age_group);
+      if (!range || (range.min_age !== null && range.max_age !== null && range.min_age > range.max_age)) {
+        continue;
+      }
+
+      await queryInterface.bulkUpdate('Modules', range, { id: module.id });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Modules', ['min_age', 'max_age']);
+    await queryInterface.removeColumn('Modules', 'max_age');
+    await queryInterface.removeColumn('Modules', 'min_age');
+  }
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Migration: Completion Certificates
+ *
+ * - Creates Certificates (one per learner per completed module or learning path)
+ * - Adds Users.signature_key (facilitator signature image printed on certificates)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('Certificates', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        unique: true,
+        comment: 'Public verification code (e.g. PE-7KQ2-M9XD-4TRB)'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      certificate_type: {
+        type: Sequelize.ENUM('module', 'learning_path'),
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      learning_path_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'LearningPaths',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      recipient_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Learner name as printed'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Module or learning path title as printed'
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      signer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Facilitator whose signature is printed'
+      },
+      signer_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      file_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'R2 storage key of the generated PDF (null until generated)'
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      revocation_reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // NULLs are distinct in unique indexes, so each index only applies to its own certificate type
+    await queryInterface.addIndex('Certificates', ['user_id', 'module_id'], { unique: true });
+    await queryInterface.addIndex('Certificates', ['user_id', 'learning_path_id'], { unique: true });
+
+    await queryInterface.addColumn('Users', 'signature_key', {
+      type: Sequelize.STRING(500),
+      allowNull: true,
+      comment: 'R2 file key of the facilitator signature printed on certificates'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Users', 'signature_key');
+    await queryInterface.dropTable('Certificates');
+  }
+};
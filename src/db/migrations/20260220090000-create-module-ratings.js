@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Migration: Module Ratings
+ *
+ * - Creates ModuleRatings (one 1-5 rating with optional feedback per learner per module)
+ * - Adds rating_average, rating_count and rating_distribution to Modules
+ *   (recomputed on every rating change so listings can show and sort by them)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ModuleRatings', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      rating: {
+        type: Sequelize.TINYINT,
+        allowNull: false,
+        comment: '1 (not helpful) to 5 (very helpful)'
+      },
+      feedback: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('visible', 'hidden', 'flagged'),
+        allowNull: false,
+        defaultValue: 'visible',
+        comment: 'hidden: removed by a moderator; flagged: held for follow-up'
+      },
+      moderated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      moderated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      moderation_note: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleRatings', ['module_id', 'user_id'], { unique: true });
+    await queryInterface.addIndex('ModuleRatings', ['module_id', 'status']);
+    await queryInterface.addIndex('ModuleRatings', ['status']);
+
+    await queryInterface.addColumn('Modules', 'rating_average', {
+      type: Sequelize.DECIMAL(3, 2),
+      allowNull: true,
+      comment: 'Average rating (null until rated)'
+    });
+
+    await queryInterface.addColumn('Modules', 'rating_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('Modules', 'rating_distribution', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Count per star value, e.g. {"1":0,"2":1,"3":4,"4":9,"5":12}'
+    });
+
+    await queryInterface.addIndex('Modules', ['rating_average']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Modules', ['rating_average']);
+    await queryInterface.removeColumn('Modules', 'rating_distribution');
+    await queryInterface.removeColumn('Modules', 'rating_count');
+    await queryInterface.removeColumn('Modules', 'rating_average');
+    await queryInterface.dropTable('ModuleRatings');
+  }
+};
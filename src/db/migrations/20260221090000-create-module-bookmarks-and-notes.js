@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Migration: Module Bookmarks and Notes
+ *
+ * - Creates ModuleBookmarks (modules a learner saved for later)
+ * - Creates ModuleNotes (private learner notes; the body is AES-256-GCM encrypted
+ *   with NOTES_ENCRYPTION_KEY before it is stored)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ModuleBookmarks', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleBookmarks', ['user_id', 'module_id'], { unique: true });
+    await queryInterface.addIndex('ModuleBookmarks', ['module_id']);
+
+    await queryInterface.createTable('ModuleNotes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      body_encrypted: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'v1:<iv>:<auth tag>:<ciphertext> (base64, AES-256-GCM)'
+      },
+      position: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Where in the module the note was taken (page, section or timestamp)'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleNotes', ['user_id', 'module_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('ModuleNotes');
+    await queryInterface.dropTable('ModuleBookmarks');
+  }
+};
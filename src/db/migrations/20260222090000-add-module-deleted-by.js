@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Migration: Module Trash
+ *
+ * - Adds deleted_by to Modules (who moved the module to the trash)
+ * - Soft-deleted modules are purged after MODULE_TRASH_RETENTION_DAYS (see ModuleTrashJob)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Modules', 'deleted_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      after: 'deleted_at'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('Modules', 'deleted_by');
+  }
+};
@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * Migration: Module Editorial Workflow
+ *
+ * - Adds workflow_status (draft → in_review → approved → published → archived),
+ *   submitted_revision_id and approved_revision_id to Modules
+ * - Creates ModuleReviewers (assigned reviewers and their decision on the submitted revision)
+ * - Creates ModuleReviewComments
+ * - Creates ModuleWorkflowTransitions (audit of every status change)
+ * - Backfill: published modules start as published, with their live revision recorded as approved
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Modules', 'workflow_status', {
+      type: Sequelize.ENUM('draft', 'in_review', 'approved', 'published', 'archived'),
+      allowNull: false,
+      defaultValue: 'draft',
+      after: 'is_featured'
+    });
+
+    await queryInterface.addColumn('Modules', 'submitted_revision_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Revision under review',
+      after: 'published_revision_id'
+    });
+
+    await queryInterface.addColumn('Modules', 'approved_revision_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Revision approved for publishing',
+      after: 'submitted_revision_id'
+    });
+
+    await queryInterface.addIndex('Modules', ['workflow_status']);
+
+    await queryInterface.createTable('ModuleReviewers', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reviewer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      assigned_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      decision: {
+        type: Sequelize.ENUM('pending', 'approved', 'changes_requested'),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: 'Decision on revision_id; reset to pending when a new revision is submitted'
+      },
+      revision_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'ModuleRevisions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      decided_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleReviewers', ['module_id', 'reviewer_id'], { unique: true });
+    await queryInterface.addIndex('ModuleReviewers', ['reviewer_id', 'decision']);
+
+    await queryInterface.createTable('ModuleReviewComments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      revision_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'ModuleRevisions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      author_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      resolved_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleReviewComments', ['module_id', 'created_at']);
+
+    await queryInterface.createTable('ModuleWorkflowTransitions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      action: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        comment: 'submit, withdraw, approve, request_changes, publish, archive, reopen'
+      },
+      from_status: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      to_status: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      revision_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'ModuleRevisions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      actor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Null for scheduled (system) transitions',
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleWorkflowTransitions', ['module_id', 'created_at']);
+    await queryInterface.addIndex('ModuleWorkflowTransitions', ['revision_id', 'to_status']);
+
+    // ===== Backfill =====
+    await queryInterface.sequelize.query(`
+      UPDATE Modules
+      SET workflow_status = 'published', approved_revision_id = published_revision_id
+      WHERE is_published = 1
+    `);
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO ModuleWorkflowTransitions (module_id, action, from_status, to_status, revision_id, note, created_at)
+      SELECT id, 'publish', NULL, 'published', published_revision_id,
+        'Published before the editorial workflow', COALESCE(published_at, updated_at)
+      FROM Modules
+      WHERE is_published = 1
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('ModuleWorkflowTransitions');
+    await queryInterface.dropTable('ModuleReviewComments');
+    await queryInterface.dropTable('ModuleReviewers');
+    await queryInterface.removeIndex('Modules', ['workflow_status']);
+    await queryInterface.removeColumn('Modules', 'approved_revision_id');
+    await queryInterface.removeColumn('Modules', 'submitted_revision_id');
+    await queryInterface.removeColumn('Modules', 'workflow_status');
+  }
+};
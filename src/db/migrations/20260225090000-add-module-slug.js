@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Migration: Module Slug
+ *
+ * - Adds Modules.slug, a stable identifier that survives export/import across environments
+ * - Backfill: slug from the title, suffixed with the module ID when titles collide
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Modules', 'slug', {
+      type: Sequelize.STRING(160),
+      allowNull: true,
+      after: 'title'
+    });
+
+    const [modules] = await queryInterface.sequelize.query('SELECT id, title FROM Modules ORDER BY id');
+    const taken = new Set();
+
+    for (const module of modules) {
+      const base = String(module.title || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 140)
+        .replace(/-+$/, '') || 'module';
+      const slug = taken.has(base) ? `${base}-${module.id}` : base;
+      taken.add(slug);
+
+      await queryInterface.sequelize.query('UPDATE Modules SET slug = ? WHERE id = ?', {
+        replacements: [slug, module.id]
+      });
+    }
+
+    await queryInterface.addIndex('Modules', ['slug'], { unique: true });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Modules', ['slug']);
+    await queryInterface.removeColumn('Modules', 'slug');
+  }
+};
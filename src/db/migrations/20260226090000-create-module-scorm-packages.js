@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Migration: SCORM Packages
+ *
+ * - Creates ModuleScormPackages (one row per uploaded SCORM 1.2 / 2004 package, assets unpacked to storage)
+ * - Adds scorm_package_id to Modules and ModuleRevisions so package changes are reviewed and published like other edits
+ * - Adds score and scorm_data (persisted cmi runtime data) to ModuleProgress
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ModuleScormPackages', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      version: {
+        type: Sequelize.ENUM('1.2', '2004'),
+        allowNull: false
+      },
+      identifier: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'Manifest identifier'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      base_key: {
+        type: Sequelize.STRING(500),
+        allowNull: false,
+        comment: 'Storage folder the package was unpacked to (ends with /)'
+      },
+      launch_path: {
+        type: Sequelize.STRING(1000),
+        allowNull: false,
+        comment: 'Entry SCO href relative to base_key, with manifest parameters'
+      },
+      scos: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Launchable SCOs in organization order: [{ identifier, title, href }]'
+      },
+      mastery_score: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true,
+        comment: 'SCORM 1.2 adlcp:masteryscore of the entry SCO'
+      },
+      file_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      total_size: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      uploaded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleScormPackages', ['module_id']);
+
+    await queryInterface.addColumn('Modules', 'scorm_package_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'thumbnail_key'
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'scorm_package_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'thumbnail_key'
+    });
+
+    await queryInterface.addColumn('ModuleProgress', 'score', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true,
+      comment: 'Best reported score as a percentage',
+      after: 'progress_percent'
+    });
+
+    await queryInterface.addColumn('ModuleProgress', 'scorm_data', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Persisted SCORM cmi data model values'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('ModuleProgress', 'scorm_data');
+    await queryInterface.removeColumn('ModuleProgress', 'score');
+    await queryInterface.removeColumn('ModuleRevisions', 'scorm_package_id');
+    await queryInterface.removeColumn('Modules', 'scorm_package_id');
+    await queryInterface.dropTable('ModuleScormPackages');
+  }
+};
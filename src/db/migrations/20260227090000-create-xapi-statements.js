@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Migration: xAPI Statements
+ *
+ * - Creates XapiStatements, the local learning record store (LRS)
+ * - Statements are kept as received (statement JSON) with indexed query columns
+ * - forwarded_at / forward_attempts / forward_error track forwarding to an external LRS
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('XapiStatements', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      statement_id: {
+        type: Sequelize.CHAR(36),
+        allowNull: false,
+        unique: true,
+        comment: 'Statement UUID'
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Local learner the actor refers to, if any'
+      },
+      actor_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Inverse functional identifier of the actor (mbox, account, ...)'
+      },
+      verb_id: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      activity_id: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+        comment: 'Object id when the object is an activity'
+      },
+      registration: {
+        type: Sequelize.CHAR(36),
+        allowNull: true
+      },
+      statement: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      voided: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      timestamp: {
+        type: Sequelize.DATE(3),
+        allowNull: false
+      },
+      stored: {
+        type: Sequelize.DATE(3),
+        allowNull: false
+      },
+      forwarded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      forward_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      forward_error: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      }
+    });
+
+    await queryInterface.addIndex('XapiStatements', ['actor_key']);
+    await queryInterface.addIndex('XapiStatements', ['user_id']);
+    await queryInterface.addIndex('XapiStatements', ['verb_id']);
+    await queryInterface.addIndex('XapiStatements', ['activity_id']);
+    await queryInterface.addIndex('XapiStatements', ['registration']);
+    await queryInterface.addIndex('XapiStatements', ['stored']);
+    await queryInterface.addIndex('XapiStatements', ['forwarded_at', 'forward_attempts']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('XapiStatements');
+  }
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * Migration: Module Media
+ *
+ * - Creates ModuleMedia (video, audio and slide attachments of a module, in play order)
+ * - Creates ModuleMediaTracks (WebVTT captions/subtitles per language, with a plain-text transcript)
+ * - Creates ModuleMediaProgress (per-learner playback position so video and audio can resume)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ModuleMedia', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      kind: {
+        type: Sequelize.ENUM('video', 'audio', 'slides'),
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      file_key: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      mime_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      duration_seconds: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Probed from the file on upload; null when the container could not be read'
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      uploaded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleMedia', ['module_id', 'sort_order']);
+
+    await queryInterface.createTable('ModuleMediaTracks', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      media_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'ModuleMedia',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      kind: {
+        type: Sequelize.ENUM('captions', 'subtitles'),
+        allowNull: false,
+        defaultValue: 'captions'
+      },
+      language: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      label: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      file_key: {
+        type: Sequelize.STRING(500),
+        allowNull: false,
+        comment: 'WebVTT file (SRT uploads are converted)'
+      },
+      cue_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      transcript: {
+        type: Sequelize.TEXT('medium'),
+        allowNull: true,
+        comment: 'Cue text without timings'
+      },
+      is_default: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      uploaded_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleMediaTracks', ['media_id', 'kind', 'language'], {
+      unique: true,
+      name: 'module_media_tracks_media_kind_language'
+    });
+
+    await queryInterface.createTable('ModuleMediaProgress', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      media_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'ModuleMedia',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      position_seconds: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Where playback resumes'
+      },
+      furthest_seconds: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Furthest point reached'
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleMediaProgress', ['user_id', 'media_id'], {
+      unique: true,
+      name: 'module_media_progress_user_media'
+    });
+    await queryInterface.addIndex('ModuleMediaProgress', ['user_id', 'module_id']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('ModuleMediaProgress');
+    await queryInterface.dropTable('ModuleMediaTracks');
+    await queryInterface.dropTable('ModuleMedia');
+  }
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Migration: Module Attachments
+ *
+ * - Brings the files table in line with the File model (category, name, type, size, hash, soft delete)
+ * - Adds label, sort_order, is_primary and download_count so modules can carry several attachments
+ * - Backfills each module's current file as its primary attachment (Modules.file_* keeps mirroring it)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('files', 'entity_type', {
+      type: Sequelize.ENUM('user', 'announcement', 'module', 'badge', 'submission'),
+      allowNull: false
+    });
+
+    await queryInterface.changeColumn('files', 'file_url', {
+      type: Sequelize.STRING(500),
+      allowNull: true,
+      comment: 'DEPRECATED: Full URL. Use file_key instead.'
+    });
+
+    await queryInterface.addColumn('files', 'file_category', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+      comment: 'Category: avatar, thumbnail, attachment, content, etc.',
+      after: 'entity_id'
+    });
+
+    await queryInterface.addColumn('files', 'original_name', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      after: 'file_key'
+    });
+
+    await queryInterface.addColumn('files', 'mime_type', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      after: 'original_name'
+    });
+
+    await queryInterface.addColumn('files', 'file_size', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'mime_type'
+    });
+
+    await queryInterface.addColumn('files', 'file_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 hash for duplicate detection',
+      after: 'file_size'
+    });
+
+    await queryInterface.addColumn('files', 'label', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      comment: 'Display name shown to learners',
+      after: 'file_hash'
+    });
+
+    await queryInterface.addColumn('files', 'sort_order', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'label'
+    });
+
+    await queryInterface.addColumn('files', 'is_primary', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Module attachment mirrored in Modules.file_* (text extraction, previews, revisions)',
+      after: 'sort_order'
+    });
+
+    await queryInterface.addColumn('files', 'download_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'is_primary'
+    });
+
+    await queryInterface.addColumn('files', 'deleted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('files', ['file_key'], {
+      unique: true,
+      name: 'files_file_key_unique'
+    });
+    await queryInterface.addIndex('files', ['entity_type', 'entity_id', 'sort_order'], {
+      name: 'files_entity_sort_order'
+    });
+    await queryInterface.addIndex('files', ['file_hash']);
+    await queryInterface.addIndex('files', ['deleted_at']);
+
+    // Existing module files become primary attachments
+    await queryInterface.sequelize.query(`
+      INSERT IGNORE INTO files
+        (entity_type, entity_id, file_category, file_key, original_name, mime_type, file_size,
+         label, sort_order, is_primary, download_count, uploaded_by, created_at, updated_at)
+      SELECT 'module', id, 'attachment', file_key, file_name, file_type, file_size,
+         file_name, 0, true, 0, COALESCE(updated_by, created_by), NOW(), NOW()
+      FROM Modules
+      WHERE file_key IS NOT NULL AND COALESCE(updated_by, created_by) IS NOT NULL
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      "DELETE FROM files WHERE entity_type = 'module' AND file_category = 'attachment'"
+    );
+
+    await queryInterface.removeIndex('files', ['deleted_at']);
+    await queryInterface.removeIndex('files', ['file_hash']);
+    await queryInterface.removeIndex('files', 'files_entity_sort_order');
+    await queryInterface.removeIndex('files', 'files_file_key_unique');
+
+    await queryInterface.removeColumn('files', 'deleted_at');
+    await queryInterface.removeColumn('files', 'download_count');
+    await queryInterface.removeColumn('files', 'is_primary');
+    await queryInterface.removeColumn('files', 'sort_order');
+    await queryInterface.removeColumn('files', 'label');
+    await queryInterface.removeColumn('files', 'file_hash');
+    await queryInterface.removeColumn('files', 'file_size');
+    await queryInterface.removeColumn('files', 'mime_type');
+    await queryInterface.removeColumn('files', 'original_name');
+    await queryInterface.removeColumn('files', 'file_category');
+
+    await queryInterface.sequelize.query("UPDATE files SET file_url = '' WHERE file_url IS NULL");
+    await queryInterface.changeColumn('files', 'file_url', {
+      type: Sequelize.STRING(500),
+      allowNull: false
+    });
+
+    await queryInterface.changeColumn('files', 'entity_type', {
+      type: Sequelize.ENUM('user', 'announcement', 'module'),
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Migration: Content Advisories
+ *
+ * - Adds Modules.content_advisories (structured warnings such as violence, sexual abuse, self-harm)
+ * - Creates UserContentPreferences (per-learner opt-in to a warning screen before flagged content)
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Modules', 'content_advisories', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'List of { type, note } (types in config/contentSafety)',
+      after: 'tags'
+    });
+
+    await queryInterface.createTable('UserContentPreferences', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      show_content_warnings: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+        comment: 'Show a warning screen with support hotlines before flagged modules'
+      },
+      sensitive_topics: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Advisory types to warn about; empty means all'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('UserContentPreferences');
+    await queryInterface.removeColumn('Modules', 'content_advisories');
+  }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Migration: Module Templates
+ *
+ * - Creates ModuleTemplates, reusable module skeletons editors can start a new module from
+ * - skeleton holds module fields (content outline, type, category, age range, quiz settings, tags)
+ *   and example questions; templates carry no stored files
+ * - Built-in templates (is_builtin) have no owner and can only be changed by admins
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ModuleTemplates', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      category: {
+        type: Sequelize.ENUM('gad', 'sexual_health', 'vawc', 'general'),
+        allowNull: false,
+        defaultValue: 'general',
+        comment: 'Mirrors skeleton.category for filtering'
+      },
+      type: {
+        type: Sequelize.ENUM('lesson', 'quiz', 'activity', 'resource', 'assessment'),
+        allowNull: false,
+        defaultValue: 'lesson',
+        comment: 'Mirrors skeleton.type for filtering'
+      },
+      skeleton: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      is_builtin: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      usage_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      source_module_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Modules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('ModuleTemplates', ['category', 'type']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('ModuleTemplates');
+  }
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Migration: Snapshot Module Settings in Revisions
+ *
+ * - Adds type, category, min_age, max_age, required_modules, content_advisories and the
+ *   quiz settings (passing_score, max_attempts, shuffle_questions) to ModuleRevisions,
+ *   so learners get the age gate, prerequisites, advisories and quiz rules that were reviewed
+ * - Adds ModuleRevisions.questions (copy of the question bank at that revision)
+ * - Backfills existing revisions from the current module and its questions
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ModuleRevisions', 'type', {
+      type: Sequelize.ENUM('lesson', 'quiz', 'activity', 'resource', 'assessment'),
+      allowNull: false,
+      defaultValue: 'lesson',
+      after: 'content'
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'category', {
+      type: Sequelize.ENUM('gad', 'sexual_health', 'vawc', 'general'),
+      allowNull: false,
+      defaultValue: 'general',
+      after: 'type'
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'min_age', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'category'
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'max_age', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'min_age'
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'required_modules', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Prerequisite module IDs at this revision'
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'content_advisories', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'passing_score', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 70
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'max_attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'shuffle_questions', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('ModuleRevisions', 'questions', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Question bank (with answers) at this revision'
+    });
+
+    // ===== Backfill =====
+    // Older revisions did not record these settings; the module's current values are the best available
+    await queryInterface.sequelize.query(`
+      UPDATE ModuleRevisions r
+      JOIN Modules m ON m.id = r.module_id
+      SET r.type = m.type, r.category = m.category, r.min_age = m.min_age, r.max_age = m.max_age,
+        r.required_modules = m.required_modules, r.content_advisories = m.content_advisories,
+        r.passing_score = m.passing_score, r.max_attempts = m.max_attempts,
+        r.shuffle_questions = m.shuffle_questions
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE ModuleRevisions r
+      JOIN (
+        SELECT module_id, JSON_ARRAYAGG(JSON_OBJECT(
+          'id', id, 'question_type', question_type, 'prompt', prompt, 'options', options,
+          'correct_answer', correct_answer, 'explanation', explanation, 'points', points, 'order', \`order\`
+        )) AS questions
+        FROM Questions
+        GROUP BY module_id
+      ) q ON q.module_id = r.module_id
+      SET r.questions = q.questions
+    `);
+  },
+
+  down: async (queryInterface) => {
+    for (const column of [
+      'questions', 'shuffle_questions', 'max_attempts', 'passing_score', 'content_advisories',
+      'required_modules', 'max_age', 'min_age', 'category', 'type'
+    ]) {
+      await queryInterface.removeColumn('ModuleRevisions', column);
+    }
+  }
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Migration: Snapshot Module Translations in Revisions
+ *
+ * - Adds ModuleRevisions.translations (copy of every locale's text and file at that revision)
+ *   so learners only get translations that were reviewed and published with the module
+ * - Backfills existing revisions with the current translations
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ModuleRevisions', 'translations', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Translations (text and files per locale) at this revision'
+    });
+
+    // ===== Backfill =====
+    await queryInterface.sequelize.query(`
+      UPDATE ModuleRevisions r
+      JOIN (
+        SELECT module_id, JSON_ARRAYAGG(JSON_OBJECT(
+          'locale', locale, 'title', title, 'description', description, 'content', content,
+          'file_key', file_key, 'file_name', file_name, 'file_type', file_type, 'file_size', file_size,
+          'page_count', page_count, 'word_count', word_count, 'estimated_reading_minutes', estimated_reading_minutes
+        )) AS translations
+        FROM ModuleTranslations
+        GROUP BY module_id
+      ) t ON t.module_id = r.module_id
+      SET r.translations = t.translations
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('ModuleRevisions', 'translations');
+  }
+};
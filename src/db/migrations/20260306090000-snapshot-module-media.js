@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Migration: Snapshot Module Media in Revisions
+ *
+ * - Adds ModuleRevisions.media (copy of the media items and their caption tracks at that revision)
+ *   so learners only get media that was reviewed and published with the module
+ * - Adds ModuleMedia.deleted_at: media removed from the draft is soft-deleted, so playback
+ *   positions of media still served by the published revision are kept
+ * - Backfills existing revisions with the current media
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ModuleRevisions', 'media', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Media items with caption tracks at this revision'
+    });
+
+    await queryInterface.addColumn('ModuleMedia', 'deleted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // ===== Backfill =====
+    await queryInterface.sequelize.query(`
+      UPDATE ModuleRevisions r
+      JOIN (
+        SELECT m.module_id, JSON_ARRAYAGG(JSON_OBJECT(
+          'id', m.id, 'kind', m.kind, 'title', m.title, 'file_key', m.file_key, 'file_name', m.file_name,
+          'mime_type', m.mime_type, 'file_size', m.file_size, 'duration_seconds', m.duration_seconds,
+          'sort_order', m.sort_order,
+          'tracks', COALESCE((
+            SELECT JSON_ARRAYAGG(JSON_OBJECT(
+              'id', t.id, 'kind', t.kind, 'language', t.language, 'label', t.label, 'file_key', t.file_key,
+              'cue_count', t.cue_count, 'transcript', t.transcript, 'is_default', t.is_default = 1
+            ))
+            FROM ModuleMediaTracks t
+            WHERE t.media_id = m.id
+          ), JSON_ARRAY())
+        )) AS media
+        FROM ModuleMedia m
+        GROUP BY m.module_id
+      ) md ON md.module_id = r.module_id
+      SET r.media = md.media
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.sequelize.query('DELETE FROM ModuleMedia WHERE deleted_at IS NOT NULL');
+    await queryInterface.removeColumn('ModuleMedia', 'deleted_at');
+    await queryInterface.removeColumn('ModuleRevisions', 'media');
+  }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Migration: Snapshot Module Attachments in Revisions
+ *
+ * - Adds ModuleRevisions.attachments (copy of the attachment list at that revision)
+ *   so learners only get attachments that were reviewed and published with the module
+ * - Backfills existing revisions with the current attachments
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ModuleRevisions', 'attachments', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Attachments (files, labels and order) at this revision'
+    });
+
+    // ===== Backfill =====
+    await queryInterface.sequelize.query(`
+      UPDATE ModuleRevisions r
+      JOIN (
+        SELECT entity_id AS module_id, JSON_ARRAYAGG(JSON_OBJECT(
+          'id', id, 'file_key', file_key, 'original_name', original_name, 'mime_type', mime_type,
+          'file_size', file_size, 'label', label, 'sort_order', sort_order, 'is_primary', is_primary = 1,
+          'uploaded_by', uploaded_by
+        )) AS attachments
+        FROM files
+        WHERE entity_type = 'module' AND file_category = 'attachment' AND deleted_at IS NULL
+        GROUP BY entity_id
+      ) a ON a.module_id = r.module_id
+      SET r.attachments = a.attachments
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('ModuleRevisions', 'attachments');
+  }
+};
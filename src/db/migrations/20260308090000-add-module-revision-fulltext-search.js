@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Migration: Module Revision Full-Text Search
+ *
+ * - Adds ModuleRevisions.extracted_text (text of the revision's file) so learner search
+ *   matches the published revision instead of the draft
+ * - Adds FULLTEXT indexes on revisions matching the ones on Modules
+ * - Backfills extracted text for revisions that still point at the module's current file
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('ModuleRevisions', 'extracted_text', {
+      type: Sequelize.TEXT('long'),
+      allowNull: true,
+      comment: 'Plain text extracted from the revision file (search only)'
+    });
+
+    // ===== Backfill =====
+    await queryInterface.sequelize.query(`
+      UPDATE ModuleRevisions r
+      JOIN Modules m ON m.id = r.module_id
+      SET r.extracted_text = m.extracted_text
+      WHERE r.file_key = m.file_key
+    `);
+
+    await queryInterface.addIndex('ModuleRevisions', ['title', 'description', 'content', 'extracted_text'], {
+      type: 'FULLTEXT',
+      name: 'module_revisions_fulltext_search'
+    });
+
+    // Separate title index so title matches can be weighted higher
+    await queryInterface.addIndex('ModuleRevisions', ['title'], {
+      type: 'FULLTEXT',
+      name: 'module_revisions_fulltext_title'
+    });
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('ModuleRevisions', 'module_revisions_fulltext_title');
+    await queryInterface.removeIndex('ModuleRevisions', 'module_revisions_fulltext_search');
+    await queryInterface.removeColumn('ModuleRevisions', 'extracted_text');
+  }
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+const templates = [
+  {
+    name: 'Awareness lesson',
+    description: 'Lesson outline for introducing a form of violence: objectives, warning signs, rights and where to get help.',
+    category: 'vawc',
+    type: 'lesson',
+    skeleton: {
+      type: 'lesson',
+      category: 'vawc',
+      difficulty_level: 'beginner',
+      points: 10,
+      tags: ['awareness'],
+      content_advisories: [{ type: 'violence', note: null }, { type: 'domestic_abuse', note: null }],
+      content: [
+        '<h2>Learning objectives</h2>',
+        '<p>[By the end of this lesson, learners will be able to ...]</p>',
+        '<h2>What it is</h2>',
+        '<p>[Plain-language definition and the law that covers it]</p>',
+        '<h2>Warning signs</h2>',
+        '<ul><li>[Sign]</li><li>[Sign]</li><li>[Sign]</li></ul>',
+        '<h2>Your rights</h2>',
+        '<p>[What the law protects and who can file a complaint]</p>',
+        '<h2>Where to get help</h2>',
+        '<p>[Barangay VAW desk, hotlines and support services near the learner]</p>',
+        '<h2>Summary</h2>',
+        '<p>[Key points to remember]</p>'
+      ].join('\n'),
+      questions: []
+    }
+  },
+  {
+    name: 'Knowledge check quiz',
+    description: 'Short graded quiz with one question of each common type to replace with your own.',
+    category: 'general',
+    type: 'quiz',
+    skeleton: {
+      type: 'quiz',
+      category: 'general',
+      difficulty_level: 'beginner',
+      points: 20,
+      passing_score: 70,
+      max_attempts: 3,
+      shuffle_questions: true,
+      tags: ['quiz'],
+      content: '<p>[Instructions: how many questions, the passing score and how many attempts learners have]</p>',
+      questions: [
+        {
+          question_type: 'multiple_choice',
+          prompt: '[Question with one correct answer]',
+          options: [{ id: 'a', text: '[Correct option]' }, { id: 'b', text: '[Option]' }, { id: 'c', text: '[Option]' }],
+          correct_answer: 'a',
+          explanation: '[Why this is the answer]',
+          points: 1,
+          order: 0
+        },
+        {
+          question_type: 'true_false',
+          prompt: '[Statement learners mark true or false]',
+          options: null,
+          correct_answer: true,
+          explanation: '[Why]',
+          points: 1,
+          order: 1
+        },
+        {
+          question_type: 'short_answer',
+          prompt: '[Question with a short typed answer]',
+          options: null,
+          correct_answer: ['[Accepted answer]'],
+          explanation: '[Why]',
+          points: 1,
+          order: 2
+        }
+      ]
+    }
+  },
+  {
+    name: 'Scenario activity',
+    description: 'Activity built around a short story: learners read a scenario, reflect and plan a safe response.',
+    category: 'gad',
+    type: 'activity',
+    skeleton: {
+      type: 'activity',
+      category: 'gad',
+      difficulty_level: 'intermediate',
+      points: 15,
+      tags: ['scenario', 'reflection'],
+      content: [
+        '<h2>Scenario</h2>',
+        '<p>[A short, realistic story told from one character\'s point of view]</p>',
+        '<h2>Reflect</h2>',
+        '<ol><li>[What is happening in this story?]</li><li>[How might each person feel?]</li><li>[What would you do?]</li></ol>',
+        '<h2>Safe responses</h2>',
+        '<p>[Options the character has, and the people or services who can help]</p>',
+        '<h2>Takeaways</h2>',
+        '<p>[Key points to remember]</p>'
+      ].join('\n'),
+      questions: []
+    }
+  }
+];
+
+module.exports = {
+  up: async (queryInterface) => {
+    const now = new Date();
+
+    return queryInterface.bulkInsert('ModuleTemplates', templates.map(template => ({
+      name: template.name,
+      description: template.description,
+      category: template.category,
+      type: template.type,
+      skeleton: JSON.stringify(template.skeleton),
+      is_builtin: true,
+      usage_count: 0,
+      created_by: null,
+      created_at: now,
+      updated_at: now
+    })));
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    return queryInterface.bulkDelete('ModuleTemplates', {
+      is_builtin: true,
+      name: { [Sequelize.Op.in]: templates.map(template => template.name) }
+    }, {});
+  }
+};
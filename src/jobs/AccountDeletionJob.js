@@ -1,6 +1,6 @@
 // jobs/AccountDeletionJob.js
 const cron = require('node-cron');
-const { User, UserProfile, UserGuardian, UserPrivacySettings, UserNotificationPreferences, AccountDeletionRequest, Session, TokenBlacklist } = require('../model');
+const { User, UserProfile, UserGuardian, UserPrivacySettings, UserNotificationPreferences, UserContentPreferences, AccountDeletionRequest, Session, TokenBlacklist, ModuleBookmark, ModuleNote } = require('../model');
 const sequelize = require('../config/db');
 const AvatarService = require('../services/AvatarService');
 const emailService = require('../services/EmailService');
@@ -101,6 +101,23 @@ class AccountDeletionJob {
                 transaction
             });
 
+            // Delete private module notes and bookmarks
+            await ModuleNote.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            await ModuleBookmark.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
+            // Delete content-avoidance preferences (sensitive; the anonymised user row keeps them otherwise)
+            await UserContentPreferences.destroy({
+                where: { user_id: userId },
+                transaction
+            });
+
             // TODO: Delete other related records
             // - Progress records
             // - Achievement records
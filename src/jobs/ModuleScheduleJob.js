@@ -0,0 +1,42 @@
+const moduleService = require('../services/ModuleService');
+
+/**
+ * Publish and unpublish modules on their scheduled publish_at / unpublish_at
+ */
+async function processModuleSchedules() {
+    try {
+        const result = await moduleService.processSchedules();
+
+        if (result.published.length || result.unpublished.length) {
+            console.log(
+                `[ModuleSchedule] Published: ${result.published.length}, Unpublished: ${result.unpublished.length}`
+            );
+        }
+
+        if (result.failed.length) {
+            console.error(
+                `[ModuleSchedule] Failed: ${result.failed.map(f => `${f.action} module ${f.module_id}`).join(', ')}`
+            );
+        }
+    } catch (error) {
+        console.error('[ModuleSchedule] Error processing schedules:', error.message);
+    }
+}
+
+/**
+ * Schedule module publishing job
+ */
+function scheduleModulePublishing() {
+    // Run every minute so campaigns go live close to their scheduled time
+    const ONE_MINUTE = 60 * 1000;
+
+    setInterval(processModuleSchedules, ONE_MINUTE);
+
+    // Run immediately on startup to catch up on anything missed while down
+    processModuleSchedules();
+}
+
+module.exports = {
+    processModuleSchedules,
+    scheduleModulePublishing
+};
@@ -0,0 +1,36 @@
+const moduleService = require('../services/ModuleService');
+
+/**
+ * Permanently delete modules (and their R2 files) that outlived the trash retention period
+ */
+async function purgeModuleTrash() {
+    try {
+        const result = await moduleService.purgeTrash();
+
+        if (result.purged.length || result.failed.length) {
+            console.log(
+                `[ModuleTrash] Purged: ${result.purged.length}, Failed: ${result.failed.length}`
+            );
+        }
+    } catch (error) {
+        console.error('[ModuleTrash] Error purging trash:', error.message);
+    }
+}
+
+/**
+ * Schedule trash purge job
+ */
+function scheduleTrashPurge() {
+    // Retention is counted in days, so twice a day is precise enough
+    const TWELVE_HOURS = 12 * 60 * 60 * 1000;
+
+    setInterval(purgeModuleTrash, TWELVE_HOURS);
+
+    // Run immediately on startup to catch up on anything missed while down
+    purgeModuleTrash();
+}
+
+module.exports = {
+    purgeModuleTrash,
+    scheduleTrashPurge
+};
@@ -0,0 +1,42 @@
+const xapiService = require('../services/XapiService');
+
+/**
+ * Forward recorded xAPI statements to the external LRS
+ */
+async function forwardXapiStatements() {
+    try {
+        const result = await xapiService.forwardPending();
+
+        if (result.forwarded || result.failed) {
+            console.log(
+                `[XapiForward] Forwarded: ${result.forwarded}, Failed: ${result.failed}`
+            );
+        }
+    } catch (error) {
+        console.error('[XapiForward] Error forwarding statements:', error.message);
+    }
+}
+
+/**
+ * Schedule xAPI forwarding job
+ * @returns {boolean} - false when forwarding is disabled (XAPI_FORWARD_ENABLED / XAPI_FORWARD_ENDPOINT)
+ */
+function scheduleXapiForwarding() {
+    if (!xapiService.getForwardConfig().enabled) {
+        return false;
+    }
+
+    // Statements are sent in batches, so once a minute keeps the external LRS close to current
+    const ONE_MINUTE = 60 * 1000;
+
+    setInterval(forwardXapiStatements, ONE_MINUTE);
+
+    // Run immediately on startup to send anything recorded while down
+    forwardXapiStatements();
+    return true;
+}
+
+module.exports = {
+    forwardXapiStatements,
+    scheduleXapiForwarding
+};
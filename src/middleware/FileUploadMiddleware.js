@@ -4,7 +4,8 @@ const path = require('path');
 
 /**
  * File Upload Middleware for Module Resources
- * ONLY accepts PDF and Word documents
+ * Module files are PDF and Word documents ONLY; attachments, media (video, audio,
+ * slides), caption tracks and packages are uploaded through their own fields
  */
 
 // ==================== CONFIGURATION ====================
@@ -23,10 +24,50 @@ const FILE_CONFIG = {
     // File size limits (in bytes)
     maxFileSize: 25 * 1024 * 1024, // 25MB
 
+    // Module packages (zip with manifest, module file and thumbnail)
+    packageMimeTypes: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    maxPackageSize: 35 * 1024 * 1024, // 35MB
+
+    // SCORM 1.2 / 2004 packages (zip with imsmanifest.xml)
+    maxScormPackageSize: 100 * 1024 * 1024, // 100MB
+
+    // Module attachments: documents, spreadsheets, presentations and images
+    attachmentMimeTypes: [
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'image/jpeg', 'image/png', 'image/webp'
+    ],
+    attachmentExtensions: ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.jpg', '.jpeg', '.png', '.webp'],
+
+    // Module media: video, audio and slides
+    mediaMimeTypes: [
+        'video/mp4', 'video/webm', 'video/quicktime',
+        'audio/mpeg', 'audio/wav', 'audio/ogg',
+        'application/pdf',
+        'application/vnd.ms-powerpoint', // .ppt
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation' // .pptx
+    ],
+    mediaExtensions: ['.mp4', '.webm', '.mov', '.mp3', '.wav', '.ogg', '.pdf', '.ppt', '.pptx'],
+    maxMediaSize: 100 * 1024 * 1024, // 100MB
+
+    // Caption/subtitle tracks (MIME types vary by browser, so only the extension is checked)
+    trackExtensions: ['.vtt', '.srt'],
+    maxTrackSize: 2 * 1024 * 1024, // 2MB
+
     // Field names
     fields: {
         moduleFile: 'module_file',
-        thumbnail: 'thumbnail'
+        thumbnail: 'thumbnail',
+        modulePackage: 'package',
+        scormPackage: 'scorm_package',
+        media: 'media',
+        track: 'track',
+        attachment: 'attachment'
     }
 };
 
@@ -60,6 +101,41 @@ const fileFilter = (req, file, cb) => {
 
         return cb(new Error('Invalid thumbnail type. Only images (JPEG, PNG, WebP) are allowed.'), false);
     }
+    else if (fieldName === FILE_CONFIG.fields.modulePackage || fieldName === FILE_CONFIG.fields.scormPackage) {
+        // Module or SCORM package: zip only
+        if (FILE_CONFIG.packageMimeTypes.includes(file.mimetype) &&
+            path.extname(file.originalname).toLowerCase() === '.zip') {
+            return cb(null, true);
+        }
+
+        return cb(new Error('Invalid package type. Only .zip packages are allowed.'), false);
+    }
+    else if (fieldName === FILE_CONFIG.fields.attachment) {
+        // Attachment: documents, spreadsheets, presentations, images
+        if (FILE_CONFIG.attachmentMimeTypes.includes(file.mimetype) &&
+            FILE_CONFIG.attachmentExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+            return cb(null, true);
+        }
+
+        return cb(new Error('Invalid attachment type. Only documents (.pdf, .doc, .docx), spreadsheets (.xls, .xlsx), presentations (.ppt, .pptx) and images (.jpg, .png, .webp) are allowed.'), false);
+    }
+    else if (fieldName === FILE_CONFIG.fields.media) {
+        // Media: video, audio or slides
+        if (FILE_CONFIG.mediaMimeTypes.includes(file.mimetype) &&
+            FILE_CONFIG.mediaExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+            return cb(null, true);
+        }
+
+        return cb(new Error('Invalid media type. Only video (.mp4, .webm, .mov), audio (.mp3, .wav, .ogg) and slides (.pdf, .ppt, .pptx) are allowed.'), false);
+    }
+    else if (fieldName === FILE_CONFIG.fields.track) {
+        // Caption track: WebVTT or SRT
+        if (FILE_CONFIG.trackExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+            return cb(null, true);
+        }
+
+        return cb(new Error('Invalid caption file. Only WebVTT (.vtt) and SubRip (.srt) files are allowed.'), false);
+    }
 
     return cb(new Error('Unexpected field'), false);
 };
@@ -106,6 +182,66 @@ const uploadThumbnail = multer({
     }
 }).single(FILE_CONFIG.fields.thumbnail);
 
+/**
+ * Upload for module import packages
+ */
+const uploadModulePackage = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: FILE_CONFIG.maxPackageSize,
+        files: 1
+    }
+}).single(FILE_CONFIG.fields.modulePackage);
+
+/**
+ * Upload for SCORM packages
+ */
+const uploadScormPackage = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: FILE_CONFIG.maxScormPackageSize,
+        files: 1
+    }
+}).single(FILE_CONFIG.fields.scormPackage);
+
+/**
+ * Upload for module attachments
+ */
+const uploadModuleAttachment = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: FILE_CONFIG.maxFileSize,
+        files: 1
+    }
+}).single(FILE_CONFIG.fields.attachment);
+
+/**
+ * Upload for module media (video, audio, slides)
+ */
+const uploadModuleMedia = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: FILE_CONFIG.maxMediaSize,
+        files: 1
+    }
+}).single(FILE_CONFIG.fields.media);
+
+/**
+ * Upload for caption/subtitle tracks
+ */
+const uploadMediaTrack = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: FILE_CONFIG.maxTrackSize,
+        files: 1
+    }
+}).single(FILE_CONFIG.fields.track);
+
 // ==================== ERROR HANDLER MIDDLEWARE ====================
 
 /**
@@ -115,11 +251,19 @@ const handleUploadError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         // Multer-specific errors
         switch (err.code) {
-            case 'LIMIT_FILE_SIZE':
+            case 'LIMIT_FILE_SIZE': {
+                const maxSizes = {
+                    [FILE_CONFIG.fields.modulePackage]: FILE_CONFIG.maxPackageSize,
+                    [FILE_CONFIG.fields.scormPackage]: FILE_CONFIG.maxScormPackageSize,
+                    [FILE_CONFIG.fields.media]: FILE_CONFIG.maxMediaSize,
+                    [FILE_CONFIG.fields.track]: FILE_CONFIG.maxTrackSize
+                };
+                const maxSize = maxSizes[err.field] || FILE_CONFIG.maxFileSize;
                 return res.status(400).json({
                     success: false,
-                    message: `File size exceeds the maximum allowed size of ${FILE_CONFIG.maxFileSize / (1024 * 1024)}MB`
+                    message: `File size exceeds the maximum allowed size of ${maxSize / (1024 * 1024)}MB`
                 });
+            }
             case 'LIMIT_FILE_COUNT':
                 return res.status(400).json({
                     success: false,
@@ -242,6 +386,51 @@ const uploadThumbnailMiddleware = (req, res, next) => {
     });
 };
 
+/**
+ * Wrapper for uploadModulePackage with error handling
+ */
+const uploadModulePackageMiddleware = (req, res, next) => {
+    uploadModulePackage(req, res, (err) => {
+        handleUploadError(err, req, res, next);
+    });
+};
+
+/**
+ * Wrapper for uploadScormPackage with error handling
+ */
+const uploadScormPackageMiddleware = (req, res, next) => {
+    uploadScormPackage(req, res, (err) => {
+        handleUploadError(err, req, res, next);
+    });
+};
+
+/**
+ * Wrapper for uploadModuleAttachment with error handling
+ */
+const uploadModuleAttachmentMiddleware = (req, res, next) => {
+    uploadModuleAttachment(req, res, (err) => {
+        handleUploadError(err, req, res, next);
+    });
+};
+
+/**
+ * Wrapper for uploadModuleMedia with error handling
+ */
+const uploadModuleMediaMiddleware = (req, res, next) => {
+    uploadModuleMedia(req, res, (err) => {
+        handleUploadError(err, req, res, next);
+    });
+};
+
+/**
+ * Wrapper for uploadMediaTrack with error handling
+ */
+const uploadMediaTrackMiddleware = (req, res, next) => {
+    uploadMediaTrack(req, res, (err) => {
+        handleUploadError(err, req, res, next);
+    });
+};
+
 // ==================== EXPORTS ====================
 
 module.exports = {
@@ -249,6 +438,11 @@ module.exports = {
     uploadModuleFiles: uploadModuleFilesMiddleware,
     uploadModuleFile: uploadModuleFileMiddleware,
     uploadThumbnail: uploadThumbnailMiddleware,
+    uploadModulePackage: uploadModulePackageMiddleware,
+    uploadScormPackage: uploadScormPackageMiddleware,
+    uploadModuleAttachment: uploadModuleAttachmentMiddleware,
+    uploadModuleMedia: uploadModuleMediaMiddleware,
+    uploadMediaTrack: uploadMediaTrackMiddleware,
 
     // Validators
     validateModuleFile,
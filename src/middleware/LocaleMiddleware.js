@@ -0,0 +1,47 @@
+const { DEFAULT_LOCALE, resolveLocale } = require('../config/locales');
+
+/**
+ * Parse an Accept-Language header into language tags, most preferred first
+ */
+function parseAcceptLanguage(header) {
+    if (!header) return [];
+
+    return String(header)
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find(param => param.trim().startsWith('q='));
+            const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+            return { tag: tag.trim(), q: isNaN(q) ? 0 : q, index };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(entry => entry.tag);
+}
+
+/**
+ * Content language negotiation
+ * Sets req.locale from ?lang=, then Accept-Language, then the default locale.
+ * req.localeSource records which one was used ('query', 'header' or 'default').
+ */
+exports.negotiateLocale = (req, res, next) => {
+    const fromQuery = resolveLocale(req.query.lang);
+
+    if (fromQuery) {
+        req.locale = fromQuery;
+        req.localeSource = 'query';
+    } else {
+        const fromHeader = parseAcceptLanguage(req.get('accept-language'))
+            .map(resolveLocale)
+            .find(Boolean);
+
+        req.locale = fromHeader || DEFAULT_LOCALE;
+        req.localeSource = fromHeader ? 'header' : 'default';
+    }
+
+    // Responses differ per language, so shared caches must key on the header
+    res.vary('Accept-Language');
+    next();
+};
+
+exports.parseAcceptLanguage = parseAcceptLanguage;
@@ -0,0 +1,73 @@
+const { Module } = require('../model');
+const ModulePermissionService = require('../services/ModulePermissionService');
+
+/**
+ * Send the shared 403 body for refused module actions
+ */
+function sendDenied(res, error) {
+    return res.status(403).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        action: error.action
+    });
+}
+
+/**
+ * Only admins and educators may create modules
+ */
+exports.requireModuleAuthor = (req, res, next) => {
+    if (ModulePermissionService.canCreate(req.user)) {
+        return next();
+    }
+    return sendDenied(res, ModulePermissionService.denied('create'));
+};
+
+/**
+ * Only staff (admin, educator, moderator) may use editor routes
+ */
+exports.requireModuleReviewer = (req, res, next) => {
+    if (ModulePermissionService.canReview(req.user)) {
+        return next();
+    }
+    return sendDenied(res, ModulePermissionService.denied('review'));
+};
+
+/**
+ * Require a permission on the module in req.params.id
+ * Loads the module into req.module for the handler
+ * Usage: requireModulePermission('edit') or requireModulePermission('delete', { withDeleted: true })
+ * @param {string} action - review | edit | publish | approve | assign_reviewers | delete | manage_collaborators
+ * @param {Object} options - { withDeleted } also finds modules in the trash
+ */
+exports.requireModulePermission = (action, options = {}) => {
+    return async (req, res, next) => {
+        try {
+            const module = await Module.findByPk(req.params.id, {
+                attributes: ['id', 'created_by', 'is_published', 'deleted_at'],
+                paranoid: !options.withDeleted
+            });
+            if (!module) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Module not found'
+                });
+            }
+
+            await ModulePermissionService.assertCan(module, req.user, action);
+
+            req.module = module;
+            next();
+        } catch (error) {
+            if (error.code === 'MODULE_PERMISSION_DENIED') {
+                return sendDenied(res, error);
+            }
+
+            console.error('requireModulePermission error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to check module permissions'
+            });
+        }
+    };
+};
@@ -0,0 +1,191 @@
+// src/model/Certificate.js
+const crypto = require('crypto');
+
+// Unambiguous characters (no 0/O, 1/I) so codes can be read off a printout
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+module.exports = (sequelize, DataTypes) => {
+    const Certificate = sequelize.define('Certificate', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        code: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            unique: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        certificate_type: {
+            type: DataTypes.ENUM('module', 'learning_path'),
+            allowNull: false
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        learning_path_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        recipient_name: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        title: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        completed_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        signer_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        signer_name: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        file_key: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        file_size: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        revoked_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        revoked_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        revocation_reason: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'Certificates',
+        indexes: [
+            { unique: true, fields: ['code'] },
+            { unique: true, fields: ['user_id', 'module_id'] },
+            { unique: true, fields: ['user_id', 'learning_path_id'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    Certificate.associate = function (models) {
+        Certificate.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'recipient'
+        });
+
+        Certificate.belongsTo(models.User, {
+            foreignKey: 'signer_id',
+            as: 'signer'
+        });
+
+        Certificate.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        Certificate.belongsTo(models.LearningPath, {
+            foreignKey: 'learning_path_id',
+            as: 'learningPath'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Check if the certificate has been revoked
+     */
+    Certificate.prototype.isRevoked = function () {
+        return !!this.revoked_at;
+    };
+
+    /**
+     * Get PDF URL from key
+     */
+    Certificate.prototype.getFileUrl = function () {
+        if (!this.file_key) return null;
+
+        const fileStorageService = require('../services/FileStorageService');
+        return fileStorageService.constructUrl(this.file_key);
+    };
+
+    /**
+     * Details shown to anyone verifying a code (no account or contact data)
+     */
+    Certificate.prototype.toVerificationJSON = function () {
+        return {
+            code: this.code,
+            status: this.isRevoked() ? 'revoked' : 'valid',
+            certificate_type: this.certificate_type,
+            recipient_name: this.recipient_name,
+            title: this.title,
+            completed_at: this.completed_at,
+            issued_at: this.createdAt,
+            signer_name: this.signer_name,
+            revoked_at: this.revoked_at
+        };
+    };
+
+    /**
+     * Get safe JSON for API responses
+     */
+    Certificate.prototype.toSafeJSON = function () {
+        return {
+            id: this.id,
+            code: this.code,
+            user_id: this.user_id,
+            certificate_type: this.certificate_type,
+            module_id: this.module_id,
+            learning_path_id: this.learning_path_id,
+            recipient_name: this.recipient_name,
+            title: this.title,
+            completed_at: this.completed_at,
+            signer_name: this.signer_name,
+            file_url: this.getFileUrl(),
+            file_size: this.file_size,
+            is_revoked: this.isRevoked(),
+            revoked_at: this.revoked_at,
+            revocation_reason: this.revocation_reason,
+            created_at: this.createdAt
+        };
+    };
+
+    // ==================== CLASS METHODS ====================
+
+    /**
+     * Generate a verification code: PE-XXXX-XXXX-XXXX
+     */
+    Certificate.generateCode = function () {
+        const bytes = crypto.randomBytes(12);
+        const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+        return `PE-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+    };
+
+    /**
+     * Normalize a code typed by a verifier (case, spaces, missing dashes)
+     */
+    Certificate.normalizeCode = function (code) {
+        let chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        if (chars.length === 14 && chars.startsWith('PE')) chars = chars.slice(2);
+        if (chars.length !== 12) return null;
+        return `PE-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+    };
+
+    return Certificate;
+};
@@ -64,6 +64,29 @@ module.exports = (sequelize, DataTypes) => {
             comment: 'SHA-256 hash for duplicate detection'
         },
 
+        // === ATTACHMENTS ===
+        label: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            comment: 'Display name shown to learners'
+        },
+        sort_order: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        is_primary: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            comment: 'Module attachment mirrored in Modules.file_* (text extraction, previews, revisions)'
+        },
+        download_count: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+
         // === OWNERSHIP & TRACKING ===
         uploaded_by: {
             type: DataTypes.INTEGER,
@@ -85,6 +108,7 @@ module.exports = (sequelize, DataTypes) => {
         indexes: [
             // Fast lookup by entity
             { fields: ['entity_type', 'entity_id'] },
+            { fields: ['entity_type', 'entity_id', 'sort_order'], name: 'files_entity_sort_order' },
 
             // Fast lookup by uploader
             { fields: ['uploaded_by'] },
@@ -186,6 +210,10 @@ module.exports = (sequelize, DataTypes) => {
             mime_type: values.mime_type,
             file_size: values.file_size,
             formatted_size: this.getFormattedSize(),
+            label: values.label,
+            sort_order: values.sort_order,
+            is_primary: values.is_primary,
+            download_count: values.download_count,
             uploaded_by: values.uploaded_by,
             created_at: values.created_at,
             updated_at: values.updated_at
@@ -237,6 +265,59 @@ module.exports = (sequelize, DataTypes) => {
         });
     };
 
+    /**
+     * Point a module's primary attachment at its current file (Modules.file_*)
+     * Called whenever the module file changes outside the attachments API
+     * (legacy single-file upload, revision restore).
+     * @param {Object} options - { replace } drop the previous primary from the list
+     *   instead of keeping it as a regular attachment; its stored object is left
+     *   alone because revisions still reference it
+     * @returns {Promise<File|null>} - The primary attachment
+     */
+    File.syncModulePrimary = async function (module, uploadedBy, options = {}) {
+        const where = { entity_type: 'module', entity_id: module.id, file_category: 'attachment' };
+        const previous = await this.findOne({ where: { ...where, is_primary: true } });
+
+        if (previous && previous.file_key === module.file_key) {
+            return previous;
+        }
+
+        let primary = null;
+        if (module.file_key) {
+            primary = await this.findOne({ where: { ...where, file_key: module.file_key } });
+
+            if (!primary) {
+                const lastOrder = await this.max('sort_order', { where });
+                primary = await this.create({
+                    ...where,
+                    file_key: module.file_key,
+                    original_name: module.file_name,
+                    mime_type: module.file_type,
+                    file_size: module.file_size,
+                    label: module.file_name,
+                    sort_order: options.replace && previous
+                        ? previous.sort_order
+                        : (lastOrder === null || lastOrder === undefined ? -1 : lastOrder) + 1,
+                    uploaded_by: uploadedBy || module.updated_by || module.created_by
+                });
+            }
+        }
+
+        if (previous) {
+            if (options.replace) {
+                await previous.destroy({ force: true, hooks: false });
+            } else {
+                await previous.update({ is_primary: false });
+            }
+        }
+
+        if (primary) {
+            await primary.update({ is_primary: true });
+        }
+
+        return primary;
+    };
+
     /**
      * Get storage statistics
      */
@@ -0,0 +1,152 @@
+// src/model/LearningPath.js
+module.exports = (sequelize, DataTypes) => {
+    const LearningPath = sequelize.define('LearningPath', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        title: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Learning path title is required' },
+                len: {
+                    args: [3, 255],
+                    msg: 'Title must be between 3 and 255 characters'
+                }
+            }
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        category: {
+            type: DataTypes.ENUM('gad', 'sexual_health', 'vawc', 'general'),
+            allowNull: false,
+            defaultValue: 'general',
+            validate: {
+                isIn: {
+                    args: [['gad', 'sexual_health', 'vawc', 'general']],
+                    msg: 'Invalid category'
+                }
+            }
+        },
+        target_audience: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        completion_points: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            validate: {
+                min: { args: [0], msg: 'Completion points cannot be negative' }
+            }
+        },
+        is_published: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        published_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        created_by: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        updated_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        deleted_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'LearningPaths',
+        paranoid: true,
+        indexes: [
+            { fields: ['is_published'] },
+            { fields: ['category'] },
+            { fields: ['created_by'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    LearningPath.associate = function (models) {
+        LearningPath.belongsTo(models.User, {
+            foreignKey: 'created_by',
+            as: 'creator',
+            onDelete: 'RESTRICT'
+        });
+
+        // Ordered modules in this path
+        LearningPath.hasMany(models.LearningPathModule, {
+            foreignKey: 'learning_path_id',
+            as: 'items',
+            onDelete: 'CASCADE'
+        });
+
+        LearningPath.hasMany(models.LearningPathEnrollment, {
+            foreignKey: 'learning_path_id',
+            as: 'enrollments',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Publish learning path
+     */
+    LearningPath.prototype.publish = async function () {
+        this.is_published = true;
+        if (!this.published_at) {
+            this.published_at = new Date();
+        }
+        await this.save();
+    };
+
+    /**
+     * Unpublish learning path
+     */
+    LearningPath.prototype.unpublish = async function () {
+        this.is_published = false;
+        await this.save();
+    };
+
+    /**
+     * Get safe JSON for API responses
+     */
+    LearningPath.prototype.toSafeJSON = function () {
+        const data = {
+            id: this.id,
+            title: this.title,
+            description: this.description,
+            category: this.category,
+            target_audience: this.target_audience,
+            completion_points: this.completion_points,
+            is_published: this.is_published,
+            published_at: this.published_at,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+
+        // Include creator info if loaded
+        if (this.creator) {
+            data.creator = {
+                id: this.creator.id,
+                name: this.creator.name
+            };
+        }
+
+        return data;
+    };
+
+    return LearningPath;
+};
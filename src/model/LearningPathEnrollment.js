@@ -0,0 +1,61 @@
+// src/model/LearningPathEnrollment.js
+module.exports = (sequelize, DataTypes) => {
+    const LearningPathEnrollment = sequelize.define('LearningPathEnrollment', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        learning_path_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        enrolled_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        completed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        points_awarded: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'LearningPathEnrollments',
+        indexes: [
+            { unique: true, fields: ['user_id', 'learning_path_id'] },
+            { fields: ['learning_path_id'] }
+        ]
+    });
+
+    LearningPathEnrollment.associate = function (models) {
+        LearningPathEnrollment.belongsTo(models.LearningPath, {
+            foreignKey: 'learning_path_id',
+            as: 'learningPath'
+        });
+
+        LearningPathEnrollment.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    /**
+     * Check if the learner finished the path
+     */
+    LearningPathEnrollment.prototype.isCompleted = function () {
+        return !!this.completed_at;
+    };
+
+    return LearningPathEnrollment;
+};
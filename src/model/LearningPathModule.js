@@ -0,0 +1,50 @@
+// src/model/LearningPathModule.js
+module.exports = (sequelize, DataTypes) => {
+    const LearningPathModule = sequelize.define('LearningPathModule', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        learning_path_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        order: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        is_required: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'LearningPathModules',
+        indexes: [
+            { unique: true, fields: ['learning_path_id', 'module_id'] },
+            { fields: ['module_id'] }
+        ]
+    });
+
+    LearningPathModule.associate = function (models) {
+        LearningPathModule.belongsTo(models.LearningPath, {
+            foreignKey: 'learning_path_id',
+            as: 'learningPath'
+        });
+
+        LearningPathModule.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+    };
+
+    return LearningPathModule;
+};
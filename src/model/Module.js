@@ -1,4 +1,6 @@
 // src/model/Module.js
+const { ADVISORY_TYPES, MAX_ADVISORY_NOTE_LENGTH, isAdvisoryType } = require('../config/contentSafety');
+
 module.exports = (sequelize, DataTypes) => {
     const Module = sequelize.define('Module', {
         id: {
@@ -17,6 +19,18 @@ module.exports = (sequelize, DataTypes) => {
                 }
             }
         },
+        slug: {
+            type: DataTypes.STRING(160),
+            allowNull: true,
+            unique: true,
+            comment: 'Stable identifier used to match modules across environments (import/export)',
+            validate: {
+                is: {
+                    args: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+                    msg: 'Slug may only contain lowercase letters, numbers and single hyphens'
+                }
+            }
+        },
         description: {
             type: DataTypes.TEXT,
             allowNull: true
@@ -25,17 +39,22 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.TEXT('long'),
             allowNull: true
         },
-        // type: {
-        //     type: DataTypes.ENUM('lesson', 'quiz', 'activity', 'resource', 'assessment'),
-        //     allowNull: false,
-        //     defaultValue: 'lesson',
-        //     validate: {
-        //         isIn: {
-        //             args: [['lesson', 'quiz', 'activity', 'resource', 'assessment']],
-        //             msg: 'Invalid module type'
-        //         }
-        //     }
-        // },
+        extracted_text: {
+            type: DataTypes.TEXT('long'),
+            allowNull: true,
+            comment: 'Plain text extracted from the module file (search only)'
+        },
+        type: {
+            type: DataTypes.ENUM('lesson', 'quiz', 'activity', 'resource', 'assessment'),
+            allowNull: false,
+            defaultValue: 'lesson',
+            validate: {
+                isIn: {
+                    args: [['lesson', 'quiz', 'activity', 'resource', 'assessment']],
+                    msg: 'Invalid module type'
+                }
+            }
+        },
         category: {
             type: DataTypes.ENUM('gad', 'sexual_health', 'vawc', 'general'),
             allowNull: false,
@@ -56,6 +75,24 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.STRING(50),
             allowNull: true
         },
+        min_age: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 120
+            },
+            comment: 'Youngest eligible learner age (inclusive)'
+        },
+        max_age: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+                max: 120
+            },
+            comment: 'Oldest eligible learner age (inclusive)'
+        },
         file_key: {
             type: DataTypes.STRING(500),
             allowNull: true,
@@ -77,6 +114,29 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.STRING(500),
             allowNull: true
         },
+        scorm_package_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'SCORM package launched instead of the module file (see ModuleScormPackage)'
+        },
+        thumbnail_generated: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            comment: 'Thumbnail is an auto-generated first-page preview'
+        },
+        page_count: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        word_count: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        estimated_reading_minutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
         // duration_minutes: {
         //     type: DataTypes.INTEGER,
         //     allowNull: true,
@@ -84,14 +144,35 @@ module.exports = (sequelize, DataTypes) => {
         //         min: { args: [1], msg: 'Duration must be at least 1 minute' }
         //     }
         // },
-        // points: {
-        //     type: DataTypes.INTEGER,
-        //     allowNull: false,
-        //     defaultValue: 0,
-        //     validate: {
-        //         min: { args: [0], msg: 'Points cannot be negative' }
-        //     }
-        // },
+        points: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            validate: {
+                min: { args: [0], msg: 'Points cannot be negative' }
+            }
+        },
+        passing_score: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 70,
+            validate: {
+                min: { args: [0], msg: 'Passing score cannot be negative' },
+                max: { args: [100], msg: 'Passing score cannot exceed 100%' }
+            }
+        },
+        max_attempts: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: { args: [1], msg: 'Max attempts must be at least 1' }
+            }
+        },
+        shuffle_questions: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
         order: {
             type: DataTypes.INTEGER,
             allowNull: false,
@@ -107,6 +188,12 @@ module.exports = (sequelize, DataTypes) => {
             allowNull: false,
             defaultValue: false
         },
+        workflow_status: {
+            type: DataTypes.ENUM('draft', 'in_review', 'approved', 'published', 'archived'),
+            allowNull: false,
+            defaultValue: 'draft',
+            comment: 'Editorial state; is_published stays true while a live module is re-reviewed'
+        },
         required_modules: {
             type: DataTypes.JSON,
             allowNull: true,
@@ -117,6 +204,12 @@ module.exports = (sequelize, DataTypes) => {
             allowNull: true,
             defaultValue: []
         },
+        content_advisories: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: [],
+            comment: 'List of { type, note } (types in config/contentSafety)'
+        },
         metadata: {
             type: DataTypes.JSON,
             allowNull: true,
@@ -140,27 +233,92 @@ module.exports = (sequelize, DataTypes) => {
             allowNull: false,
             defaultValue: 0
         },
+        rating_average: {
+            type: DataTypes.DECIMAL(3, 2),
+            allowNull: true,
+            comment: 'Average rating (null until rated)'
+        },
+        rating_count: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        rating_distribution: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
         published_at: {
             type: DataTypes.DATE,
             allowNull: true
         },
+        publish_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Scheduled automatic publish time'
+        },
+        unpublish_at: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Scheduled automatic unpublish time'
+        },
+        published_revision_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Revision served to learners while the module row holds the working draft'
+        },
+        submitted_revision_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Revision under review'
+        },
+        approved_revision_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Revision approved for publishing'
+        },
         deleted_at: {
             type: DataTypes.DATE,
             allowNull: true
+        },
+        deleted_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Who moved the module to the trash'
         }
     }, {
         timestamps: true,
         underscored: true,
         tableName: 'Modules',
         paranoid: true, // Enable soft deletes
+        validate: {
+            scheduleOrder() {
+                if (this.publish_at && this.unpublish_at && new Date(this.unpublish_at) <= new Date(this.publish_at)) {
+                    throw new Error('Unpublish time must be after publish time');
+                }
+            },
+            ageRangeOrder() {
+                if (this.min_age !== null && this.min_age !== undefined &&
+                    this.max_age !== null && this.max_age !== undefined &&
+                    Number(this.min_age) > Number(this.max_age)) {
+                    throw new Error('Minimum age cannot be greater than maximum age');
+                }
+            }
+        },
         indexes: [
             { fields: ['type'] },
             { fields: ['category'] },
             { fields: ['difficulty_level'] },
             { fields: ['is_published'] },
             { fields: ['is_featured'] },
+            { fields: ['workflow_status'] },
             { fields: ['created_by'] },
-            { fields: ['order'] }
+            { fields: ['order'] },
+            { fields: ['publish_at'] },
+            { fields: ['unpublish_at'] },
+            { fields: ['min_age', 'max_age'] },
+            { fields: ['rating_average'] },
+            { type: 'FULLTEXT', name: 'modules_fulltext_search', fields: ['title', 'description', 'content', 'extracted_text'] },
+            { type: 'FULLTEXT', name: 'modules_fulltext_title', fields: ['title'] }
         ]
     });
 
@@ -180,6 +338,13 @@ module.exports = (sequelize, DataTypes) => {
             onDelete: 'SET NULL'
         });
 
+        // Moved to the trash by
+        Module.belongsTo(models.User, {
+            foreignKey: 'deleted_by',
+            as: 'deleter',
+            onDelete: 'SET NULL'
+        });
+
         // User progress tracking (if you have this table)
         if (models.ModuleProgress) {
             Module.hasMany(models.ModuleProgress, {
@@ -197,6 +362,119 @@ module.exports = (sequelize, DataTypes) => {
                 onDelete: 'CASCADE'
             });
         }
+
+        // Revision history
+        if (models.ModuleRevision) {
+            Module.hasMany(models.ModuleRevision, {
+                foreignKey: 'module_id',
+                as: 'revisions',
+                onDelete: 'CASCADE'
+            });
+
+            Module.belongsTo(models.ModuleRevision, {
+                foreignKey: 'published_revision_id',
+                as: 'publishedRevision',
+                constraints: false
+            });
+        }
+
+        // Uploaded SCORM packages (the module row points at the current one)
+        if (models.ModuleScormPackage) {
+            Module.hasMany(models.ModuleScormPackage, {
+                foreignKey: 'module_id',
+                as: 'scormPackages',
+                onDelete: 'CASCADE'
+            });
+
+            Module.belongsTo(models.ModuleScormPackage, {
+                foreignKey: 'scorm_package_id',
+                as: 'scormPackage',
+                constraints: false
+            });
+        }
+
+        // Downloadable attachments (files table, polymorphic)
+        if (models.File) {
+            Module.hasMany(models.File, {
+                foreignKey: 'entity_id',
+                as: 'attachments',
+                constraints: false,
+                scope: {
+                    entity_type: 'module',
+                    file_category: 'attachment'
+                }
+            });
+        }
+
+        // Video, audio and slide attachments
+        if (models.ModuleMedia) {
+            Module.hasMany(models.ModuleMedia, {
+                foreignKey: 'module_id',
+                as: 'media',
+                onDelete: 'CASCADE'
+            });
+        }
+
+        // Learner ratings and feedback
+        if (models.ModuleRating) {
+            Module.hasMany(models.ModuleRating, {
+                foreignKey: 'module_id',
+                as: 'ratings',
+                onDelete: 'CASCADE'
+            });
+        }
+
+        // Co-authors invited by the owner
+        if (models.ModuleCollaborator) {
+            Module.hasMany(models.ModuleCollaborator, {
+                foreignKey: 'module_id',
+                as: 'collaborators',
+                onDelete: 'CASCADE'
+            });
+        }
+
+        // Editorial review: assigned reviewers, comments and the transition audit
+        if (models.ModuleReviewer) {
+            Module.hasMany(models.ModuleReviewer, {
+                foreignKey: 'module_id',
+                as: 'reviewers',
+                onDelete: 'CASCADE'
+            });
+        }
+
+        if (models.ModuleReviewComment) {
+            Module.hasMany(models.ModuleReviewComment, {
+                foreignKey: 'module_id',
+                as: 'reviewComments',
+                onDelete: 'CASCADE'
+            });
+        }
+
+        if (models.ModuleWorkflowTransition) {
+            Module.hasMany(models.ModuleWorkflowTransition, {
+                foreignKey: 'module_id',
+                as: 'workflowTransitions',
+                onDelete: 'CASCADE'
+            });
+        }
+
+        // Learner bookmarks
+        if (models.ModuleBookmark) {
+            Module.hasMany(models.ModuleBookmark, {
+                foreignKey: 'module_id',
+                as: 'bookmarks',
+                onDelete: 'CASCADE'
+            });
+        }
+
+        // Per-locale translations
+        if (models.ModuleTranslation) {
+            Module.hasMany(models.ModuleTranslation, {
+                foreignKey: 'module_id',
+                as: 'translations',
+                onDelete: 'CASCADE'
+            });
+        }
     };
 
     // ==================== INSTANCE METHODS ====================
@@ -248,22 +526,50 @@ module.exports = (sequelize, DataTypes) => {
     };
 
     /**
-     * Publish module
+     * Check if a publish or unpublish is scheduled
+     */
+    Module.prototype.hasSchedule = function () {
+        return !!(this.publish_at || this.unpublish_at);
+    };
+
+    /**
+     * Rating counts per star value (1-5), zero-filled
      */
-    Module.prototype.publish = async function () {
-        this.is_published = true;
-        if (!this.published_at) {
-            this.published_at = new Date();
+    Module.prototype.getRatingDistribution = function () {
+        let stored = this.rating_distribution;
+        if (typeof stored === 'string') {
+            try {
+                stored = JSON.parse(stored);
+            } catch (e) {
+                stored = null;
+            }
         }
-        await this.save();
+
+        const distribution = {};
+        for (let star = 1; star <= 5; star++) {
+            distribution[star] = stored && stored[star] ? Number(stored[star]) : 0;
+        }
+        return distribution;
     };
 
     /**
-     * Unpublish module
+     * Check if the module is limited to an age range
      */
-    Module.prototype.unpublish = async function () {
-        this.is_published = false;
-        await this.save();
+    Module.prototype.isAgeRestricted = function () {
+        return (this.min_age !== null && this.min_age !== undefined) ||
+            (this.max_age !== null && this.max_age !== undefined);
+    };
+
+    /**
+     * Check if a learner of this age may open the module
+     * @param {number|null} age - Learner age (null when unknown)
+     */
+    Module.prototype.allowsAge = function (age) {
+        if (!this.isAgeRestricted()) return true;
+        if (age === null || age === undefined) return false;
+        if (this.min_age !== null && this.min_age !== undefined && age < this.min_age) return false;
+        if (this.max_age !== null && this.max_age !== undefined && age > this.max_age) return false;
+        return true;
     };
 
     /**
@@ -274,6 +580,39 @@ module.exports = (sequelize, DataTypes) => {
         await this.save();
     };
 
+    /**
+     * Check if module is graded through quiz attempts
+     */
+    Module.prototype.isAssessment = function () {
+        return this.type === 'quiz' || this.type === 'assessment';
+    };
+
+    /**
+     * Get prerequisite module IDs as integers
+     */
+    Module.prototype.getRequiredModuleIds = function () {
+        const required = Array.isArray(this.required_modules) ? this.required_modules : [];
+        return required.map(id => parseInt(id)).filter(Number.isInteger);
+    };
+
+    /**
+     * Get tags as a normalized list (see Module.normalizeTags)
+     */
+    Module.prototype.getTags = function () {
+        return Module.normalizeTags(this.tags);
+    };
+
+    /**
+     * Get content advisories with display labels (see Module.normalizeContentAdvisories)
+     */
+    Module.prototype.getContentAdvisories = function () {
+        return Module.normalizeContentAdvisories(this.content_advisories).map(advisory => ({
+            type: advisory.type,
+            label: ADVISORY_TYPES[advisory.type],
+            note: advisory.note
+        }));
+    };
+
     /**
      * Check if module has a file
      */
@@ -295,30 +634,53 @@ module.exports = (sequelize, DataTypes) => {
         const data = {
             id: this.id,
             title: this.title,
+            slug: this.slug,
             description: this.description,
             content: this.content,
             type: this.type,
             category: this.category,
             difficulty_level: this.difficulty_level,
             age_group: this.age_group,
+            min_age: this.min_age,
+            max_age: this.max_age,
+            is_age_restricted: this.isAgeRestricted(),
             file_url: this.getFileUrl(),
             file_name: this.file_name,
             file_type: this.file_type,
             file_size: this.file_size,
             thumbnail_url: this.getThumbnailUrl(),
+            scorm_package_id: this.scorm_package_id,
+            page_count: this.page_count,
+            word_count: this.word_count,
+            estimated_reading_minutes: this.estimated_reading_minutes,
             duration_minutes: this.duration_minutes,
             points: this.points,
+            passing_score: this.passing_score,
+            max_attempts: this.max_attempts,
+            shuffle_questions: this.shuffle_questions,
             order: this.order,
             is_published: this.is_published,
             is_featured: this.is_featured,
+            workflow_status: this.workflow_status,
             required_modules: this.required_modules || [],
             tags: this.tags || [],
+            content_advisories: this.getContentAdvisories(),
             metadata: this.metadata || {},
             view_count: this.view_count,
             completion_count: this.completion_count,
+            rating_average: this.rating_average !== null && this.rating_average !== undefined ? Number(this.rating_average) : null,
+            rating_count: this.rating_count || 0,
+            rating_distribution: this.getRatingDistribution(),
             created_at: this.created_at,
             updated_at: this.updated_at,
-            published_at: this.published_at
+            published_at: this.published_at,
+            publish_at: this.publish_at,
+            unpublish_at: this.unpublish_at,
+            is_scheduled: this.hasSchedule(),
+            published_revision_id: this.published_revision_id,
+            submitted_revision_id: this.submitted_revision_id,
+            approved_revision_id: this.approved_revision_id,
+            created_by: this.created_by
         };
 
         // Include creator info if loaded
@@ -333,14 +695,43 @@ module.exports = (sequelize, DataTypes) => {
         return data;
     };
 
+    /**
+     * The module as learners see it: snapshotted fields (content, age range, prerequisites,
+     * advisories, quiz settings) come from the published revision when it is loaded
+     * The copy is read-only; it is never saved
+     */
+    Module.prototype.getPublishedVersion = function () {
+        if (!this.publishedRevision) return this;
+
+        // Fields not loaded with the revision keep the module's value
+        const snapshot = this.publishedRevision.getSnapshot();
+        Object.keys(snapshot).forEach(field => {
+            if (snapshot[field] === undefined) delete snapshot[field];
+        });
+
+        const published = Module.build({ ...this.get(), ...snapshot }, { isNewRecord: false, raw: true });
+        published.publishedRevision = this.publishedRevision;
+        published.creator = this.creator;
+
+        return published;
+    };
+
+    /**
+     * Get JSON for learners (see getPublishedVersion)
+     */
+    Module.prototype.toPublishedJSON = function () {
+        return this.getPublishedVersion().toSafeJSON();
+    };
+
     /**
      * Default JSON serialization
      */
     Module.prototype.toJSON = function () {
         const values = { ...this.get() };
-        // Hide internal storage keys
+        // Hide internal storage keys and search-only text
         delete values.file_key;
         delete values.thumbnail_key;
+        delete values.extracted_text;
         // Add computed URLs
         values.file_url = this.getFileUrl();
         values.thumbnail_url = this.getThumbnailUrl();
@@ -349,6 +740,69 @@ module.exports = (sequelize, DataTypes) => {
 
     // ==================== CLASS METHODS ====================
 
+    /**
+     * Turn a title into a URL-safe slug (accents stripped, hyphen-separated)
+     * @param {string} text
+     * @returns {string} - Empty string when nothing usable is left
+     */
+    Module.slugify = function (text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 140)
+            .replace(/-+$/, '');
+    };
+
+    /**
+     * Normalize a tags value: lowercase, trimmed, de-duplicated
+     * MySQL may hand JSON columns back as strings
+     * @param {Array|string|null} tags
+     * @returns {Array<string>}
+     */
+    Module.normalizeTags = function (tags) {
+        if (typeof tags === 'string') {
+            try {
+                tags = JSON.parse(tags);
+            } catch (error) {
+                tags = [];
+            }
+        }
+        if (!Array.isArray(tags)) return [];
+        return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    };
+
+    /**
+     * Normalize a content advisories value: known types only, one entry per type
+     * Entries may be a type string or { type, note }
+     * @param {Array|string|null} advisories
+     * @returns {Array<Object>} - [{ type, note }]
+     */
+    Module.normalizeContentAdvisories = function (advisories) {
+        if (typeof advisories === 'string') {
+            try {
+                advisories = JSON.parse(advisories);
+            } catch (error) {
+                advisories = [];
+            }
+        }
+        if (!Array.isArray(advisories)) return [];
+
+        const byType = new Map();
+        advisories.forEach(entry => {
+            const type = String(typeof entry === 'string' ? entry : (entry && entry.type) || '').trim().toLowerCase();
+            if (!isAdvisoryType(type) || byType.has(type)) return;
+
+            const note = entry && typeof entry.note === 'string' && entry.note.trim()
+                ? entry.note.trim().slice(0, MAX_ADVISORY_NOTE_LENGTH)
+                : null;
+            byType.set(type, { type, note });
+        });
+        return [...byType.values()];
+    };
+
     /**
      * Find published modules
      */
@@ -395,46 +849,166 @@ module.exports = (sequelize, DataTypes) => {
     };
 
     /**
-     * Search modules
+     * Search published modules by relevance (FULLTEXT)
      */
     Module.search = async function (query, options = {}) {
         const { Op } = require('sequelize');
+        const searchService = require('../services/SearchService');
         return await this.findAll({
             where: {
                 is_published: true,
-                [Op.or]: [
-                    { title: { [Op.like]: `%${query}%` } },
-                    { description: { [Op.like]: `%${query}%` } },
-                    { tags: { [Op.like]: `%${query}%` } }
-                ]
+                [Op.and]: [searchService.buildMatchCondition(query, { published: true })]
             },
-            order: [['order', 'ASC']],
+            order: searchService.buildRelevanceOrder(query, { published: true }),
             ...options
         });
     };
 
+    /**
+     * WHERE condition for modules a learner of this age may see (age range of the published revision)
+     * Unknown ages (no date of birth, or signed out) only see unrestricted modules
+     * @param {number|null} age - Learner age
+     */
+    Module.ageCondition = function (age) {
+        if (age === null || age === undefined) {
+            return Module.publishedCondition('r.min_age IS NULL AND r.max_age IS NULL');
+        }
+
+        const value = sequelize.escape(Number(age));
+        return Module.publishedCondition(
+            `(r.min_age IS NULL OR r.min_age <= ${value}) AND (r.max_age IS NULL OR r.max_age >= ${value})`
+        );
+    };
+
+    /**
+     * WHERE condition for learner-facing filters on snapshotted fields (e.g. category, type)
+     * @param {Object} values - { field: value } matched against the published revision
+     */
+    Module.publishedFieldsCondition = function (values) {
+        return Module.publishedCondition(Object.entries(values)
+            .map(([field, value]) => `r.${sequelize.getQueryInterface().quoteIdentifier(field)} = ${sequelize.escape(value)}`)
+            .join(' AND '));
+    };
+
+    /**
+     * WHERE condition on the published revision (aliased r) of each module
+     * @param {string} sql - Trusted SQL condition; values must already be escaped
+     */
+    Module.publishedCondition = function (sql) {
+        return sequelize.literal(
+            `EXISTS (SELECT 1 FROM \`ModuleRevisions\` r WHERE r.\`id\` = \`Module\`.\`published_revision_id\` AND ${sql})`
+        );
+    };
+
+    /**
+     * Find a prerequisite cycle through moduleId if it required the given modules
+     * Both draft and published prerequisites are edges, since either may be enforced
+     * (learners get the published ones; the draft is published later)
+     * @param {number} moduleId
+     * @param {Array<number>} requiredIds - Prerequisites of moduleId to check
+     * @returns {Promise<Array<number>|null>} - Module IDs forming the cycle
+     */
+    Module.findPrerequisiteCycle = async function (moduleId, requiredIds) {
+        const modules = await Module.findAll({
+            attributes: ['id', 'required_modules', 'published_revision_id'],
+            include: [{
+                model: sequelize.models.ModuleRevision,
+                as: 'publishedRevision',
+                attributes: ['id', 'required_modules'],
+                required: false
+            }]
+        });
+        const graph = new Map(modules.map(m => [m.id, [...new Set([
+            ...m.getRequiredModuleIds(),
+            ...(m.publishedRevision ? m.publishedRevision.getRequiredModuleIds() : [])
+        ])]]));
+        graph.set(moduleId, requiredIds);
+
+        // Depth-first search from each direct prerequisite back to moduleId
+        const visited = new Set();
+        const walk = (id, path) => {
+            if (id === moduleId) return [...path, id];
+            if (visited.has(id)) return null;
+            visited.add(id);
+
+            for (const next of graph.get(id) || []) {
+                const cycle = walk(next, [...path, id]);
+                if (cycle) return cycle;
+            }
+            return null;
+        };
+
+        for (const id of requiredIds) {
+            const cycle = walk(id, [moduleId]);
+            if (cycle) return cycle;
+        }
+        return null;
+    };
+
+    /**
+     * Parse a free-text age group ("13-15", "18+", "under 13") into an age range
+     * @returns {Object|null} - { min_age, max_age } or null if not recognised
+     */
+    Module.parseAgeGroup = function (text) {
+        const value = String(text || '').trim().toLowerCase();
+        let match;
+
+        if ((match = value.match(/(\d{1,3})\s*(?:-|–|to)\s*(\d{1,3})/))) {
+            return { min_age: Number(match[1]), max_age: Number(match[2]) };
+        }
+        if ((match = value.match(/(\d{1,3})\s*(?:\+|and (?:up|above|older))/))) {
+            return { min_age: Number(match[1]), max_age: null };
+        }
+        if ((match = value.match(/(?:under|below)\s*(\d{1,3})/))) {
+            return { min_age: null, max_age: Number(match[1]) - 1 };
+        }
+        return null;
+    };
+
     // ==================== HOOKS ====================
 
     /**
      * Before destroy hook - cleanup files from storage
+     * Only on hard delete: soft-deleted modules keep their files so they can be restored from the trash
      */
     Module.beforeDestroy(async (module, options) => {
+        if (!options.force) return;
+
         try {
             const fileStorageService = require('../services/FileStorageService');
+            const moduleRevisionService = require('../services/ModuleRevisionService');
+            const moduleTranslationService = require('../services/ModuleTranslationService');
+            const moduleAttachmentService = require('../services/ModuleAttachmentService');
 
-            // Delete main file
-            if (module.file_key) {
-                await fileStorageService.deleteFile(module.file_key).catch(err => {
-                    console.error(`Failed to delete module file: ${module.file_key}`, err);
-                });
-            }
+            // Main file and thumbnail, files only referenced by older revisions, translated files and attachments
+            const keys = new Set([
+                ...await moduleRevisionService.getReferencedKeys(module),
+                ...await moduleTranslationService.getFileKeys(module.id),
+                ...await moduleAttachmentService.getFileKeys(module.id)
+            ]);
 
-            // Delete thumbnail
-            if (module.thumbnail_key) {
-                await fileStorageService.deleteFile(module.thumbnail_key).catch(err => {
-                    console.error(`Failed to delete module thumbnail: ${module.thumbnail_key}`, err);
+            for (const key of keys) {
+                await fileStorageService.deleteFile(key).catch(err => {
+                    console.error(`Failed to delete module file: ${key}`, err);
                 });
             }
+
+            // Unpacked SCORM packages
+            await fileStorageService.deleteFilesByPrefix(`modules/${module.id}/scorm/`).catch(err => {
+                console.error(`Failed to delete SCORM files of module ${module.id}`, err);
+            });
+
+            // Media attachments and caption tracks
+            await fileStorageService.deleteFilesByPrefix(`modules/${module.id}/media/`).catch(err => {
+                console.error(`Failed to delete media files of module ${module.id}`, err);
+            });
+
+            // Attachment rows are polymorphic, so nothing cascades to them
+            await sequelize.models.File.destroy({
+                where: { entity_type: 'module', entity_id: module.id },
+                force: true,
+                hooks: false
+            });
         } catch (error) {
             console.error('Error in Module.beforeDestroy hook:', error);
         }
@@ -0,0 +1,70 @@
+// src/model/ModuleBookmark.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleBookmark = sequelize.define('ModuleBookmark', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleBookmarks',
+        indexes: [
+            { unique: true, fields: ['user_id', 'module_id'] },
+            { fields: ['module_id'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleBookmark.associate = function (models) {
+        ModuleBookmark.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleBookmark.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Get safe JSON representation
+     */
+    ModuleBookmark.prototype.toSafeJSON = function () {
+        const data = {
+            id: this.id,
+            module_id: this.module_id,
+            bookmarked_at: this.createdAt
+        };
+
+        // Include module summary if loaded (as learners see it, see Module.getPublishedVersion)
+        if (this.module) {
+            const module = this.module.getPublishedVersion();
+            data.module = {
+                id: module.id,
+                title: module.title,
+                description: module.description,
+                category: module.category,
+                difficulty_level: module.difficulty_level,
+                estimated_reading_minutes: module.estimated_reading_minutes,
+                thumbnail_url: module.getThumbnailUrl()
+            };
+        }
+
+        return data;
+    };
+
+    return ModuleBookmark;
+};
@@ -0,0 +1,83 @@
+// src/model/ModuleCollaborator.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleCollaborator = sequelize.define('ModuleCollaborator', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        invited_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleCollaborators',
+        indexes: [
+            { unique: true, fields: ['module_id', 'user_id'] },
+            { fields: ['user_id'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleCollaborator.associate = function (models) {
+        ModuleCollaborator.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleCollaborator.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+
+        ModuleCollaborator.belongsTo(models.User, {
+            foreignKey: 'invited_by',
+            as: 'inviter'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Get safe JSON representation
+     */
+    ModuleCollaborator.prototype.toSafeJSON = function () {
+        const data = {
+            id: this.id,
+            module_id: this.module_id,
+            user_id: this.user_id,
+            invited_by: this.invited_by,
+            added_at: this.createdAt
+        };
+
+        // Include related records if loaded
+        if (this.user) {
+            data.user = {
+                id: this.user.id,
+                name: this.user.name,
+                email: this.user.email,
+                role: this.user.role
+            };
+        }
+        if (this.inviter) {
+            data.inviter = {
+                id: this.inviter.id,
+                name: this.inviter.name
+            };
+        }
+
+        return data;
+    };
+
+    return ModuleCollaborator;
+};
@@ -0,0 +1,151 @@
+// src/model/ModuleMedia.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleMedia = sequelize.define('ModuleMedia', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        kind: {
+            type: DataTypes.ENUM('video', 'audio', 'slides'),
+            allowNull: false,
+            validate: {
+                isIn: {
+                    args: [['video', 'audio', 'slides']],
+                    msg: 'Invalid media kind'
+                }
+            }
+        },
+        title: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Media title is required' },
+                len: { args: [1, 255], msg: 'Media title must be at most 255 characters' }
+            }
+        },
+        file_key: {
+            type: DataTypes.STRING(500),
+            allowNull: false
+        },
+        file_name: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        mime_type: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        file_size: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        duration_seconds: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: true,
+            comment: 'Probed from the file on upload; null when the container could not be read'
+        },
+        sort_order: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        uploaded_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        deleted_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleMedia',
+        paranoid: true, // Removed from the draft; revisions may still serve it
+        indexes: [
+            { fields: ['module_id', 'sort_order'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleMedia.associate = function (models) {
+        ModuleMedia.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleMedia.belongsTo(models.User, {
+            foreignKey: 'uploaded_by',
+            as: 'uploader'
+        });
+
+        ModuleMedia.hasMany(models.ModuleMediaTrack, {
+            foreignKey: 'media_id',
+            as: 'tracks',
+            onDelete: 'CASCADE'
+        });
+
+        ModuleMedia.hasMany(models.ModuleMediaProgress, {
+            foreignKey: 'media_id',
+            as: 'playback',
+            onDelete: 'CASCADE'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Check if the media has a timeline learners play through
+     */
+    ModuleMedia.prototype.isPlayable = function () {
+        return this.kind === 'video' || this.kind === 'audio';
+    };
+
+    /**
+     * Get file URL from key
+     */
+    ModuleMedia.prototype.getFileUrl = function () {
+        const fileStorageService = require('../services/FileStorageService');
+        return fileStorageService.constructUrl(this.file_key);
+    };
+
+    /**
+     * Get safe JSON for API responses
+     * @param {Object|null} playback - The current learner's ModuleMediaProgress, if any
+     */
+    ModuleMedia.prototype.toSafeJSON = function (playback = undefined) {
+        const data = {
+            id: this.id,
+            module_id: this.module_id,
+            kind: this.kind,
+            title: this.title,
+            file_url: this.getFileUrl(),
+            file_name: this.file_name,
+            mime_type: this.mime_type,
+            file_size: this.file_size,
+            duration_seconds: this.duration_seconds !== null && this.duration_seconds !== undefined ? Number(this.duration_seconds) : null,
+            sort_order: this.sort_order,
+            uploaded_by: this.uploaded_by,
+            created_at: this.createdAt
+        };
+
+        // Include tracks if loaded
+        if (this.tracks) {
+            data.tracks = this.tracks.map(track => track.toSafeJSON());
+        }
+
+        if (playback !== undefined) {
+            data.playback = playback ? playback.toSafeJSON() : null;
+        }
+
+        return data;
+    };
+
+    return ModuleMedia;
+};
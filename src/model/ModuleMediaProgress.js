@@ -0,0 +1,77 @@
+// src/model/ModuleMediaProgress.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleMediaProgress = sequelize.define('ModuleMediaProgress', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        media_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        position_seconds: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0,
+            comment: 'Where playback resumes'
+        },
+        furthest_seconds: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0,
+            comment: 'Furthest point reached'
+        },
+        completed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleMediaProgress',
+        indexes: [
+            { unique: true, fields: ['user_id', 'media_id'], name: 'module_media_progress_user_media' },
+            { fields: ['user_id', 'module_id'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleMediaProgress.associate = function (models) {
+        ModuleMediaProgress.belongsTo(models.ModuleMedia, {
+            foreignKey: 'media_id',
+            as: 'media'
+        });
+
+        ModuleMediaProgress.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Get safe JSON for API responses
+     */
+    ModuleMediaProgress.prototype.toSafeJSON = function () {
+        return {
+            media_id: this.media_id,
+            position_seconds: Number(this.position_seconds),
+            furthest_seconds: Number(this.furthest_seconds),
+            completed: !!this.completed_at,
+            completed_at: this.completed_at,
+            updated_at: this.updatedAt
+        };
+    };
+
+    return ModuleMediaProgress;
+};
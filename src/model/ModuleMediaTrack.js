@@ -0,0 +1,94 @@
+// src/model/ModuleMediaTrack.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleMediaTrack = sequelize.define('ModuleMediaTrack', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        media_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        kind: {
+            type: DataTypes.ENUM('captions', 'subtitles'),
+            allowNull: false,
+            defaultValue: 'captions',
+            validate: {
+                isIn: {
+                    args: [['captions', 'subtitles']],
+                    msg: 'Track kind must be captions or subtitles'
+                }
+            }
+        },
+        language: {
+            type: DataTypes.STRING(10),
+            allowNull: false
+        },
+        label: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        file_key: {
+            type: DataTypes.STRING(500),
+            allowNull: false,
+            comment: 'WebVTT file (SRT uploads are converted)'
+        },
+        cue_count: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        transcript: {
+            type: DataTypes.TEXT('medium'),
+            allowNull: true,
+            comment: 'Cue text without timings'
+        },
+        is_default: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        uploaded_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleMediaTracks',
+        indexes: [
+            { unique: true, fields: ['media_id', 'kind', 'language'], name: 'module_media_tracks_media_kind_language' }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleMediaTrack.associate = function (models) {
+        ModuleMediaTrack.belongsTo(models.ModuleMedia, {
+            foreignKey: 'media_id',
+            as: 'media'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Get safe JSON for API responses (the transcript is served separately)
+     */
+    ModuleMediaTrack.prototype.toSafeJSON = function () {
+        const fileStorageService = require('../services/FileStorageService');
+
+        return {
+            id: this.id,
+            media_id: this.media_id,
+            kind: this.kind,
+            language: this.language,
+            label: this.label,
+            src: fileStorageService.constructUrl(this.file_key),
+            cue_count: this.cue_count,
+            is_default: this.is_default
+        };
+    };
+
+    return ModuleMediaTrack;
+};
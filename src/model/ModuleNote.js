@@ -0,0 +1,66 @@
+// src/model/ModuleNote.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleNote = sequelize.define('ModuleNote', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        body_encrypted: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        position: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleNotes',
+        indexes: [
+            { fields: ['user_id', 'module_id'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleNote.associate = function (models) {
+        ModuleNote.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleNote.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Get JSON for the note's owner
+     * The stored body is ciphertext, so the decrypted text is passed in
+     * @param {string} body - Decrypted note text
+     */
+    ModuleNote.prototype.toOwnerJSON = function (body) {
+        return {
+            id: this.id,
+            module_id: this.module_id,
+            body,
+            position: this.position,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    };
+
+    return ModuleNote;
+};
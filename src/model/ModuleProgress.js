@@ -0,0 +1,151 @@
+// src/model/ModuleProgress.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleProgress = sequelize.define('ModuleProgress', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('started', 'in_progress', 'completed'),
+            allowNull: false,
+            defaultValue: 'started',
+            validate: {
+                isIn: {
+                    args: [['started', 'in_progress', 'completed']],
+                    msg: 'Invalid progress status'
+                }
+            }
+        },
+        progress_percent: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            validate: {
+                min: { args: [0], msg: 'Progress cannot be negative' },
+                max: { args: [100], msg: 'Progress cannot exceed 100%' }
+            }
+        },
+        score: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: true,
+            comment: 'Best reported score as a percentage'
+        },
+        last_position: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        time_spent_seconds: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            validate: {
+                min: { args: [0], msg: 'Time spent cannot be negative' }
+            }
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        completed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        last_accessed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        scorm_data: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            comment: 'Persisted SCORM cmi data model values'
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleProgress',
+        indexes: [
+            { unique: true, fields: ['user_id', 'module_id'] },
+            { fields: ['module_id'] },
+            { fields: ['status'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleProgress.associate = function (models) {
+        ModuleProgress.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleProgress.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Check if module is completed
+     */
+    ModuleProgress.prototype.isCompleted = function () {
+        return this.status === 'completed';
+    };
+
+    /**
+     * Get safe JSON for API responses
+     */
+    ModuleProgress.prototype.toSafeJSON = function () {
+        const data = {
+            module_id: this.module_id,
+            status: this.status,
+            progress_percent: this.progress_percent,
+            score: this.score !== null && this.score !== undefined ? Number(this.score) : null,
+            last_position: this.last_position,
+            time_spent_seconds: this.time_spent_seconds,
+            started_at: this.started_at,
+            completed_at: this.completed_at,
+            last_accessed_at: this.last_accessed_at
+        };
+
+        // Include module summary if loaded (as learners see it, see Module.getPublishedVersion)
+        if (this.module) {
+            const module = this.module.getPublishedVersion();
+            data.module = {
+                id: module.id,
+                title: module.title,
+                category: module.category,
+                difficulty_level: module.difficulty_level,
+                thumbnail_url: module.getThumbnailUrl()
+            };
+        }
+
+        return data;
+    };
+
+    // ==================== CLASS METHODS ====================
+
+    /**
+     * Find IDs of modules a user has completed
+     */
+    ModuleProgress.findCompletedModuleIds = async function (userId) {
+        const rows = await this.findAll({
+            where: { user_id: userId, status: 'completed' },
+            attributes: ['module_id'],
+            raw: true
+        });
+        return rows.map(row => row.module_id);
+    };
+
+    return ModuleProgress;
+};
@@ -0,0 +1,149 @@
+// src/model/ModuleRating.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleRating = sequelize.define('ModuleRating', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        rating: {
+            type: DataTypes.TINYINT,
+            allowNull: false,
+            validate: {
+                isInt: { msg: 'Rating must be a whole number' },
+                min: { args: [1], msg: 'Rating must be between 1 and 5' },
+                max: { args: [5], msg: 'Rating must be between 1 and 5' }
+            }
+        },
+        feedback: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            validate: {
+                len: {
+                    args: [0, 2000],
+                    msg: 'Feedback must not exceed 2000 characters'
+                }
+            }
+        },
+        status: {
+            type: DataTypes.ENUM('visible', 'hidden', 'flagged'),
+            allowNull: false,
+            defaultValue: 'visible',
+            validate: {
+                isIn: {
+                    args: [['visible', 'hidden', 'flagged']],
+                    msg: 'Invalid feedback status'
+                }
+            }
+        },
+        moderated_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        moderated_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        moderation_note: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleRatings',
+        indexes: [
+            { unique: true, fields: ['module_id', 'user_id'] },
+            { fields: ['module_id', 'status'] },
+            { fields: ['status'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleRating.associate = function (models) {
+        ModuleRating.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleRating.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+
+        ModuleRating.belongsTo(models.User, {
+            foreignKey: 'moderated_by',
+            as: 'moderator'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Check if the rating counts toward the module average
+     * Hidden ratings are excluded; flagged ones still count while held for follow-up
+     */
+    ModuleRating.prototype.countsTowardAverage = function () {
+        return this.status !== 'hidden';
+    };
+
+    /**
+     * JSON shown to other learners (reviews are anonymous)
+     * @param {number|null} viewerId - Current user, to mark their own review
+     */
+    ModuleRating.prototype.toPublicJSON = function (viewerId = null) {
+        return {
+            id: this.id,
+            rating: this.rating,
+            feedback: this.feedback,
+            is_own: viewerId !== null && this.user_id === viewerId,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    };
+
+    /**
+     * Get safe JSON for the reviewer and editors
+     */
+    ModuleRating.prototype.toSafeJSON = function () {
+        const data = {
+            id: this.id,
+            module_id: this.module_id,
+            user_id: this.user_id,
+            rating: this.rating,
+            feedback: this.feedback,
+            status: this.status,
+            moderated_by: this.moderated_by,
+            moderated_at: this.moderated_at,
+            moderation_note: this.moderation_note,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+
+        // Include related records if loaded
+        if (this.user) {
+            data.user = {
+                id: this.user.id,
+                name: this.user.name
+            };
+        }
+        if (this.module) {
+            data.module = {
+                id: this.module.id,
+                title: this.module.title
+            };
+        }
+
+        return data;
+    };
+
+    return ModuleRating;
+};
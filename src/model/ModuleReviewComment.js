@@ -0,0 +1,93 @@
+// src/model/ModuleReviewComment.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleReviewComment = sequelize.define('ModuleReviewComment', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        revision_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Revision under review when the comment was written'
+        },
+        author_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        body: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            validate: {
+                len: {
+                    args: [1, 5000],
+                    msg: 'Comment must be between 1 and 5000 characters'
+                }
+            }
+        },
+        resolved_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        resolved_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleReviewComments',
+        indexes: [
+            { fields: ['module_id', 'created_at'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleReviewComment.associate = function (models) {
+        ModuleReviewComment.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleReviewComment.belongsTo(models.User, {
+            foreignKey: 'author_id',
+            as: 'author'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Get safe JSON representation
+     */
+    ModuleReviewComment.prototype.toSafeJSON = function () {
+        const data = {
+            id: this.id,
+            module_id: this.module_id,
+            revision_id: this.revision_id,
+            author_id: this.author_id,
+            body: this.body,
+            is_resolved: !!this.resolved_at,
+            resolved_at: this.resolved_at,
+            resolved_by: this.resolved_by,
+            created_at: this.createdAt
+        };
+
+        // Include author if loaded
+        if (this.author) {
+            data.author = {
+                id: this.author.id,
+                name: this.author.name,
+                role: this.author.role
+            };
+        }
+
+        return data;
+    };
+
+    return ModuleReviewComment;
+};
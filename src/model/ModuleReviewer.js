@@ -0,0 +1,100 @@
+// src/model/ModuleReviewer.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleReviewer = sequelize.define('ModuleReviewer', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        reviewer_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        assigned_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        decision: {
+            type: DataTypes.ENUM('pending', 'approved', 'changes_requested'),
+            allowNull: false,
+            defaultValue: 'pending'
+        },
+        revision_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Revision the decision applies to'
+        },
+        decided_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleReviewers',
+        indexes: [
+            { unique: true, fields: ['module_id', 'reviewer_id'] },
+            { fields: ['reviewer_id', 'decision'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleReviewer.associate = function (models) {
+        ModuleReviewer.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleReviewer.belongsTo(models.User, {
+            foreignKey: 'reviewer_id',
+            as: 'reviewer'
+        });
+
+        ModuleReviewer.belongsTo(models.User, {
+            foreignKey: 'assigned_by',
+            as: 'assigner'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Check if the reviewer approved the given revision
+     */
+    ModuleReviewer.prototype.hasApproved = function (revisionId) {
+        return this.decision === 'approved' && this.revision_id === revisionId;
+    };
+
+    /**
+     * Get safe JSON representation
+     */
+    ModuleReviewer.prototype.toSafeJSON = function () {
+        const data = {
+            id: this.id,
+            module_id: this.module_id,
+            reviewer_id: this.reviewer_id,
+            assigned_by: this.assigned_by,
+            decision: this.decision,
+            revision_id: this.revision_id,
+            decided_at: this.decided_at,
+            assigned_at: this.createdAt
+        };
+
+        // Include related records if loaded
+        if (this.reviewer) {
+            data.reviewer = {
+                id: this.reviewer.id,
+                name: this.reviewer.name,
+                role: this.reviewer.role
+            };
+        }
+
+        return data;
+    };
+
+    return ModuleReviewer;
+};
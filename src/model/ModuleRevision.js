@@ -0,0 +1,453 @@
+// src/model/ModuleRevision.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleRevision = sequelize.define('ModuleRevision', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        revision_number: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        title: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        content: {
+            type: DataTypes.TEXT('long'),
+            allowNull: true
+        },
+        extracted_text: {
+            type: DataTypes.TEXT('long'),
+            allowNull: true,
+            comment: 'Plain text extracted from the revision file (search only)'
+        },
+        type: {
+            type: DataTypes.ENUM('lesson', 'quiz', 'activity', 'resource', 'assessment'),
+            allowNull: false,
+            defaultValue: 'lesson'
+        },
+        category: {
+            type: DataTypes.ENUM('gad', 'sexual_health', 'vawc', 'general'),
+            allowNull: false,
+            defaultValue: 'general'
+        },
+        min_age: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        max_age: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        file_key: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        file_name: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        file_type: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        file_size: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        thumbnail_key: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        scorm_package_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        page_count: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        word_count: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        estimated_reading_minutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        tags: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: []
+        },
+        metadata: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: {}
+        },
+        required_modules: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: []
+        },
+        content_advisories: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: []
+        },
+        passing_score: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 70
+        },
+        max_attempts: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        shuffle_questions: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        questions: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: [],
+            comment: 'Question bank (with answers) at this revision'
+        },
+        translations: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: [],
+            comment: 'Translations (text and files per locale) at this revision'
+        },
+        media: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: [],
+            comment: 'Media items with caption tracks at this revision'
+        },
+        attachments: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: [],
+            comment: 'Attachments (files, labels and order) at this revision'
+        },
+        note: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        created_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        updatedAt: false, // Revisions are immutable
+        underscored: true,
+        tableName: 'ModuleRevisions',
+        indexes: [
+            { unique: true, fields: ['module_id', 'revision_number'] },
+            { type: 'FULLTEXT', name: 'module_revisions_fulltext_search', fields: ['title', 'description', 'content', 'extracted_text'] },
+            { type: 'FULLTEXT', name: 'module_revisions_fulltext_title', fields: ['title'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleRevision.associate = function (models) {
+        ModuleRevision.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleRevision.belongsTo(models.User, {
+            foreignKey: 'created_by',
+            as: 'author'
+        });
+    };
+
+    // Module fields captured in every revision
+    ModuleRevision.SNAPSHOT_FIELDS = [
+        'title', 'description', 'content', 'type', 'category', 'min_age', 'max_age',
+        'file_key', 'file_name', 'file_type', 'file_size', 'thumbnail_key',
+        'scorm_package_id', 'page_count', 'word_count', 'estimated_reading_minutes',
+        'tags', 'metadata', 'required_modules', 'content_advisories',
+        'passing_score', 'max_attempts', 'shuffle_questions'
+    ];
+
+    // Related records copied into every revision (JSON lists, see createFromModule)
+    ModuleRevision.COLLECTION_FIELDS = ['questions', 'translations', 'media', 'attachments'];
+
+    // Question fields kept in ModuleRevision.questions
+    const QUESTION_FIELDS = ['id', 'question_type', 'prompt', 'options', 'correct_answer', 'explanation', 'points', 'order'];
+
+    // Translation fields kept in ModuleRevision.translations
+    const TRANSLATION_FIELDS = [
+        'locale', 'title', 'description', 'content', 'file_key', 'file_name', 'file_type', 'file_size',
+        'page_count', 'word_count', 'estimated_reading_minutes'
+    ];
+
+    // Media fields kept in ModuleRevision.media (each item also keeps its tracks)
+    const MEDIA_FIELDS = [
+        'id', 'kind', 'title', 'file_key', 'file_name', 'mime_type', 'file_size', 'duration_seconds', 'sort_order'
+    ];
+    const TRACK_FIELDS = ['id', 'kind', 'language', 'label', 'file_key', 'cue_count', 'transcript', 'is_default'];
+
+    // Attachment (File) fields kept in ModuleRevision.attachments; download counts stay on the File row
+    const ATTACHMENT_FIELDS = [
+        'id', 'file_key', 'original_name', 'mime_type', 'file_size', 'label', 'sort_order', 'is_primary', 'uploaded_by'
+    ];
+
+    /**
+     * Parse a JSON list column (MySQL may hand JSON columns back as strings)
+     */
+    const parseList = (value) => {
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return [];
+            }
+        }
+        return Array.isArray(value) ? value : [];
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Get the snapshotted module fields
+     */
+    ModuleRevision.prototype.getSnapshot = function () {
+        return ModuleRevision.SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+            snapshot[field] = this[field];
+            return snapshot;
+        }, {});
+    };
+
+    /**
+     * Prerequisite module IDs at this revision, as integers
+     */
+    ModuleRevision.prototype.getRequiredModuleIds = function () {
+        const required = Array.isArray(this.required_modules) ? this.required_modules : [];
+        return required.map(id => parseInt(id)).filter(Number.isInteger);
+    };
+
+    /**
+     * The question bank at this revision, as (unsaved) Question instances in display order
+     */
+    ModuleRevision.prototype.getQuestions = function () {
+        const { Question } = sequelize.models;
+
+        return parseList(this.questions)
+            .map(question => Question.build({ ...question, module_id: this.module_id }, { isNewRecord: false, raw: true }))
+            .sort((a, b) => a.order - b.order || a.id - b.id);
+    };
+
+    /**
+     * Translations at this revision, as (unsaved) ModuleTranslation instances
+     */
+    ModuleRevision.prototype.getTranslations = function () {
+        const { ModuleTranslation } = sequelize.models;
+
+        return parseList(this.translations)
+            .map(translation => ModuleTranslation.build({ ...translation, module_id: this.module_id }, { isNewRecord: false, raw: true }));
+    };
+
+    /**
+     * Media at this revision, as (unsaved) ModuleMedia instances with their tracks, in play order
+     */
+    ModuleRevision.prototype.getMedia = function () {
+        const { ModuleMedia, ModuleMediaTrack } = sequelize.models;
+
+        return parseList(this.media)
+            .map(({ tracks, ...item }) => {
+                const media = ModuleMedia.build({ ...item, module_id: this.module_id }, { isNewRecord: false, raw: true });
+                media.tracks = parseList(tracks)
+                    .map(track => ModuleMediaTrack.build({ ...track, media_id: item.id }, { isNewRecord: false, raw: true }))
+                    .sort((a, b) => a.language.localeCompare(b.language));
+                return media;
+            })
+            .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id);
+    };
+
+    /**
+     * Attachments at this revision, as (unsaved) File instances in display order
+     */
+    ModuleRevision.prototype.getAttachments = function () {
+        const { File } = sequelize.models;
+
+        return parseList(this.attachments)
+            .map(attachment => File.build({
+                ...attachment,
+                entity_type: 'module',
+                entity_id: this.module_id,
+                file_category: 'attachment'
+            }, { isNewRecord: false, raw: true }))
+            .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id);
+    };
+
+    /**
+     * Storage keys this revision serves (module file, thumbnail, translated files, media, captions and attachments)
+     */
+    ModuleRevision.prototype.getFileKeys = function () {
+        return [
+            this.file_key,
+            this.thumbnail_key,
+            ...parseList(this.translations).map(translation => translation.file_key),
+            ...parseList(this.attachments).map(attachment => attachment.file_key),
+            ...parseList(this.media).flatMap(item => [
+                item.file_key,
+                ...parseList(item.tracks).map(track => track.file_key)
+            ])
+        ].filter(Boolean);
+    };
+
+    /**
+     * Content fields as exposed in module responses (storage keys become URLs)
+     */
+    ModuleRevision.prototype.toContentJSON = function () {
+        const fileStorageService = require('../services/FileStorageService');
+        const { Module } = sequelize.models;
+
+        return {
+            title: this.title,
+            description: this.description,
+            content: this.content,
+            type: this.type,
+            category: this.category,
+            min_age: this.min_age,
+            max_age: this.max_age,
+            file_url: this.file_key ? fileStorageService.constructUrl(this.file_key) : null,
+            file_name: this.file_name,
+            file_type: this.file_type,
+            file_size: this.file_size,
+            thumbnail_url: this.thumbnail_key ? fileStorageService.constructUrl(this.thumbnail_key) : null,
+            scorm_package_id: this.scorm_package_id,
+            page_count: this.page_count,
+            word_count: this.word_count,
+            estimated_reading_minutes: this.estimated_reading_minutes,
+            tags: this.tags || [],
+            metadata: this.metadata || {},
+            required_modules: this.required_modules || [],
+            content_advisories: Module.normalizeContentAdvisories(this.content_advisories),
+            passing_score: this.passing_score,
+            max_attempts: this.max_attempts,
+            shuffle_questions: this.shuffle_questions,
+            question_count: parseList(this.questions).length,
+            translated_locales: parseList(this.translations).map(translation => translation.locale).sort(),
+            media_count: parseList(this.media).length,
+            attachment_count: parseList(this.attachments).length
+        };
+    };
+
+    /**
+     * Get safe JSON for API responses
+     * @param {boolean} includeContent - Include the (possibly large) content body
+     */
+    ModuleRevision.prototype.toSafeJSON = function (includeContent = true) {
+        const data = {
+            id: this.id,
+            module_id: this.module_id,
+            revision_number: this.revision_number,
+            ...this.toContentJSON(),
+            note: this.note,
+            created_by: this.created_by,
+            created_at: this.created_at
+        };
+
+        if (!includeContent) {
+            delete data.content;
+            data.content_length = this.content ? this.content.length : 0;
+        }
+
+        // Include author info if loaded
+        if (this.author) {
+            data.author = {
+                id: this.author.id,
+                name: this.author.name
+            };
+        }
+
+        return data;
+    };
+
+    // ==================== CLASS METHODS ====================
+
+    /**
+     * Snapshot a module's current state, including its related records, as its next revision
+     */
+    ModuleRevision.createFromModule = async function (module, authorId, options = {}) {
+        const latest = await this.max('revision_number', {
+            where: { module_id: module.id },
+            transaction: options.transaction
+        });
+
+        const questions = await sequelize.models.Question.findAll({
+            where: { module_id: module.id },
+            attributes: QUESTION_FIELDS,
+            order: [['order', 'ASC'], ['id', 'ASC']],
+            transaction: options.transaction
+        });
+
+        const translations = await sequelize.models.ModuleTranslation.findAll({
+            where: { module_id: module.id },
+            attributes: TRANSLATION_FIELDS,
+            order: [['locale', 'ASC']],
+            transaction: options.transaction
+        });
+
+        const media = await sequelize.models.ModuleMedia.findAll({
+            where: { module_id: module.id },
+            attributes: MEDIA_FIELDS,
+            include: [{ model: sequelize.models.ModuleMediaTrack, as: 'tracks', attributes: TRACK_FIELDS, required: false }],
+            order: [['sort_order', 'ASC'], ['id', 'ASC']],
+            transaction: options.transaction
+        });
+
+        const attachments = await sequelize.models.File.findAll({
+            where: { entity_type: 'module', entity_id: module.id, file_category: 'attachment' },
+            attributes: ATTACHMENT_FIELDS,
+            order: [['sort_order', 'ASC'], ['id', 'ASC']],
+            transaction: options.transaction
+        });
+
+        return await this.create({
+            module_id: module.id,
+            revision_number: (latest || 0) + 1,
+            ...ModuleRevision.SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+                snapshot[field] = module[field];
+                return snapshot;
+            }, {}),
+            extracted_text: module.extracted_text,
+            questions: questions.map(question => question.get({ plain: true })),
+            translations: translations.map(translation => translation.get({ plain: true })),
+            media: media.map(item => item.get({ plain: true })),
+            attachments: attachments.map(attachment => attachment.get({ plain: true })),
+            note: options.note ? String(options.note).slice(0, 255) : null,
+            created_by: authorId || null
+        }, { transaction: options.transaction });
+    };
+
+    /**
+     * Get the most recent revision of a module
+     */
+    ModuleRevision.findLatest = async function (moduleId, options = {}) {
+        return await this.findOne({
+            where: { module_id: moduleId },
+            order: [['revision_number', 'DESC']],
+            ...options
+        });
+    };
+
+    return ModuleRevision;
+};
@@ -0,0 +1,111 @@
+// src/model/ModuleScormPackage.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleScormPackage = sequelize.define('ModuleScormPackage', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        version: {
+            type: DataTypes.ENUM('1.2', '2004'),
+            allowNull: false
+        },
+        identifier: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        title: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        base_key: {
+            type: DataTypes.STRING(500),
+            allowNull: false,
+            comment: 'Storage folder the package was unpacked to (ends with /)'
+        },
+        launch_path: {
+            type: DataTypes.STRING(1000),
+            allowNull: false,
+            comment: 'Entry SCO href relative to base_key, with manifest parameters'
+        },
+        scos: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: []
+        },
+        mastery_score: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: true
+        },
+        file_count: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        total_size: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        uploaded_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleScormPackages',
+        indexes: [
+            { fields: ['module_id'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleScormPackage.associate = function (models) {
+        ModuleScormPackage.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleScormPackage.belongsTo(models.User, {
+            foreignKey: 'uploaded_by',
+            as: 'uploader'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Public URL of the entry SCO
+     */
+    ModuleScormPackage.prototype.getLaunchUrl = function () {
+        const fileStorageService = require('../services/FileStorageService');
+        return fileStorageService.constructUrl(`${this.base_key}${this.launch_path}`);
+    };
+
+    /**
+     * Get safe JSON representation
+     */
+    ModuleScormPackage.prototype.toSafeJSON = function () {
+        return {
+            id: this.id,
+            module_id: this.module_id,
+            version: this.version,
+            identifier: this.identifier,
+            title: this.title,
+            launch_url: this.getLaunchUrl(),
+            scos: this.scos || [],
+            mastery_score: this.mastery_score !== null && this.mastery_score !== undefined ? Number(this.mastery_score) : null,
+            file_count: this.file_count,
+            total_size: this.total_size,
+            uploaded_by: this.uploaded_by,
+            uploaded_at: this.createdAt
+        };
+    };
+
+    return ModuleScormPackage;
+};
@@ -0,0 +1,134 @@
+// src/model/ModuleTemplate.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleTemplate = sequelize.define('ModuleTemplate', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(150),
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Template name is required' },
+                len: { args: [1, 150], msg: 'Template name must not exceed 150 characters' }
+            }
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        category: {
+            type: DataTypes.ENUM('gad', 'sexual_health', 'vawc', 'general'),
+            allowNull: false,
+            defaultValue: 'general',
+            comment: 'Mirrors skeleton.category for filtering'
+        },
+        type: {
+            type: DataTypes.ENUM('lesson', 'quiz', 'activity', 'resource', 'assessment'),
+            allowNull: false,
+            defaultValue: 'lesson',
+            comment: 'Mirrors skeleton.type for filtering'
+        },
+        skeleton: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: {}
+        },
+        is_builtin: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        usage_count: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        source_module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        created_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleTemplates',
+        indexes: [
+            { fields: ['category', 'type'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+
+    ModuleTemplate.associate = function (models) {
+        ModuleTemplate.belongsTo(models.User, {
+            foreignKey: 'created_by',
+            as: 'creator'
+        });
+        ModuleTemplate.belongsTo(models.Module, {
+            foreignKey: 'source_module_id',
+            as: 'sourceModule',
+            constraints: false
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Get the skeleton as an object
+     * MySQL may hand JSON columns back as strings
+     */
+    ModuleTemplate.prototype.getSkeleton = function () {
+        let skeleton = this.skeleton;
+        if (typeof skeleton === 'string') {
+            try {
+                skeleton = JSON.parse(skeleton);
+            } catch (error) {
+                skeleton = {};
+            }
+        }
+        return skeleton && typeof skeleton === 'object' ? skeleton : {};
+    };
+
+    /**
+     * Get safe JSON for API responses
+     * @param {boolean} includeSkeleton - Lists leave out the skeleton
+     */
+    ModuleTemplate.prototype.toSafeJSON = function (includeSkeleton = true) {
+        const skeleton = this.getSkeleton();
+        const data = {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            category: this.category,
+            type: this.type,
+            is_builtin: this.is_builtin,
+            question_count: Array.isArray(skeleton.questions) ? skeleton.questions.length : 0,
+            usage_count: this.usage_count,
+            source_module_id: this.source_module_id,
+            created_by: this.created_by,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+
+        if (includeSkeleton) {
+            data.skeleton = skeleton;
+        }
+
+        // Include creator info if loaded
+        if (this.creator) {
+            data.creator = {
+                id: this.creator.id,
+                name: this.creator.name
+            };
+        }
+
+        return data;
+    };
+
+    return ModuleTemplate;
+};
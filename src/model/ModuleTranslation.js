@@ -0,0 +1,186 @@
+// src/model/ModuleTranslation.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleTranslation = sequelize.define('ModuleTranslation', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        locale: {
+            type: DataTypes.STRING(10),
+            allowNull: false
+        },
+        title: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        content: {
+            type: DataTypes.TEXT('long'),
+            allowNull: true
+        },
+        file_key: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        file_name: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        file_type: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        file_size: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        page_count: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        word_count: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        estimated_reading_minutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        created_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        updated_by: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'ModuleTranslations',
+        indexes: [
+            { unique: true, fields: ['module_id', 'locale'] },
+            { fields: ['locale'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleTranslation.associate = function (models) {
+        ModuleTranslation.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleTranslation.belongsTo(models.User, {
+            foreignKey: 'updated_by',
+            as: 'translator'
+        });
+    };
+
+    // Translatable parts of a module ('file' covers the file_* columns)
+    ModuleTranslation.TRANSLATABLE_FIELDS = ['title', 'description', 'content', 'file'];
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Check if a translatable field has a value
+     */
+    ModuleTranslation.prototype.hasField = function (field) {
+        if (field === 'file') return !!this.file_key;
+        return typeof this[field] === 'string' && this[field].trim() !== '';
+    };
+
+    /**
+     * Fields the source module has that this translation is still missing
+     * @param {Object} source - Module (or module JSON) with the default-locale text
+     */
+    ModuleTranslation.prototype.getMissingFields = function (source) {
+        return ModuleTranslation.requiredFields(source).filter(field => !this.hasField(field));
+    };
+
+    /**
+     * Translated fields as exposed in module responses (empty fields are left out
+     * so the default-locale value shows through)
+     */
+    ModuleTranslation.prototype.toContentJSON = function () {
+        const data = {};
+
+        ['title', 'description', 'content'].forEach(field => {
+            if (this.hasField(field)) data[field] = this[field];
+        });
+
+        if (this.hasField('file')) {
+            const fileStorageService = require('../services/FileStorageService');
+            Object.assign(data, {
+                file_url: fileStorageService.constructUrl(this.file_key),
+                file_name: this.file_name,
+                file_type: this.file_type,
+                file_size: this.file_size,
+                page_count: this.page_count,
+                word_count: this.word_count,
+                estimated_reading_minutes: this.estimated_reading_minutes
+            });
+        }
+
+        return data;
+    };
+
+    /**
+     * Get safe JSON for API responses
+     */
+    ModuleTranslation.prototype.toSafeJSON = function () {
+        const fileStorageService = require('../services/FileStorageService');
+
+        const data = {
+            id: this.id,
+            module_id: this.module_id,
+            locale: this.locale,
+            title: this.title,
+            description: this.description,
+            content: this.content,
+            file_url: this.file_key ? fileStorageService.constructUrl(this.file_key) : null,
+            file_name: this.file_name,
+            file_type: this.file_type,
+            file_size: this.file_size,
+            page_count: this.page_count,
+            word_count: this.word_count,
+            estimated_reading_minutes: this.estimated_reading_minutes,
+            updated_by: this.updated_by,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+
+        // Include translator info if loaded
+        if (this.translator) {
+            data.translator = {
+                id: this.translator.id,
+                name: this.translator.name
+            };
+        }
+
+        return data;
+    };
+
+    // ==================== CLASS METHODS ====================
+
+    /**
+     * Translatable fields a module actually has (a translation only needs these)
+     * @param {Object} source - Module (or module JSON) with the default-locale text
+     */
+    ModuleTranslation.requiredFields = function (source) {
+        return ModuleTranslation.TRANSLATABLE_FIELDS.filter(field => {
+            if (field === 'file') return !!(source.file_key || source.file_url);
+            return typeof source[field] === 'string' && source[field].trim() !== '';
+        });
+    };
+
+    return ModuleTranslation;
+};
@@ -0,0 +1,113 @@
+// src/model/ModuleWorkflowTransition.js
+module.exports = (sequelize, DataTypes) => {
+    const ModuleWorkflowTransition = sequelize.define('ModuleWorkflowTransition', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        action: {
+            type: DataTypes.STRING(30),
+            allowNull: false
+        },
+        from_status: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        to_status: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        revision_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        actor_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Null for scheduled (system) transitions'
+        },
+        note: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        updatedAt: false, // Audit entries are immutable
+        underscored: true,
+        tableName: 'ModuleWorkflowTransitions',
+        indexes: [
+            { fields: ['module_id', 'created_at'] },
+            { fields: ['revision_id', 'to_status'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    ModuleWorkflowTransition.associate = function (models) {
+        ModuleWorkflowTransition.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        ModuleWorkflowTransition.belongsTo(models.User, {
+            foreignKey: 'actor_id',
+            as: 'actor'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Get safe JSON representation
+     */
+    ModuleWorkflowTransition.prototype.toSafeJSON = function () {
+        const data = {
+            id: this.id,
+            module_id: this.module_id,
+            action: this.action,
+            from_status: this.from_status,
+            to_status: this.to_status,
+            revision_id: this.revision_id,
+            actor_id: this.actor_id,
+            note: this.note,
+            created_at: this.createdAt
+        };
+
+        // Include actor if loaded (null actor = scheduled job)
+        if (this.actor) {
+            data.actor = {
+                id: this.actor.id,
+                name: this.actor.name,
+                role: this.actor.role
+            };
+        }
+
+        return data;
+    };
+
+    // ==================== CLASS METHODS ====================
+
+    /**
+     * Check if a revision ever cleared review (approved or made live)
+     */
+    ModuleWorkflowTransition.isApprovedRevision = async function (moduleId, revisionId) {
+        const { Op } = require('sequelize');
+        const count = await this.count({
+            where: {
+                module_id: moduleId,
+                revision_id: revisionId,
+                [Op.or]: [
+                    { to_status: 'approved' },
+                    { action: ['publish', 'publish_revision'] }
+                ]
+            }
+        });
+        return count > 0;
+    };
+
+    return ModuleWorkflowTransition;
+};
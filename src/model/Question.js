@@ -0,0 +1,191 @@
+// src/model/Question.js
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'short_answer'];
+
+/**
+ * Normalize free-text answers for comparison
+ */
+const normalizeText = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+module.exports = (sequelize, DataTypes) => {
+    const Question = sequelize.define('Question', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        question_type: {
+            type: DataTypes.ENUM(...QUESTION_TYPES),
+            allowNull: false,
+            defaultValue: 'multiple_choice',
+            validate: {
+                isIn: {
+                    args: [QUESTION_TYPES],
+                    msg: 'Invalid question type'
+                }
+            }
+        },
+        prompt: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            validate: {
+                notEmpty: { msg: 'Question prompt is required' }
+            }
+        },
+        options: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        correct_answer: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        explanation: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        points: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            validate: {
+                min: { args: [0], msg: 'Points cannot be negative' }
+            }
+        },
+        order: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'Questions',
+        indexes: [
+            { fields: ['module_id', 'order'] }
+        ],
+        validate: {
+            /**
+             * Ensure options and correct_answer match the question type
+             */
+            answerMatchesType() {
+                const optionIds = Array.isArray(this.options) ? this.options.map(o => o && o.id) : [];
+
+                switch (this.question_type) {
+                    case 'multiple_choice':
+                    case 'multi_select':
+                        if (optionIds.length < 2) {
+                            throw new Error('Choice questions need at least 2 options');
+                        }
+                        if (new Set(optionIds).size !== optionIds.length || optionIds.some(id => !id)) {
+                            throw new Error('Each option needs a unique id');
+                        }
+                        if (this.question_type === 'multiple_choice' && !optionIds.includes(this.correct_answer)) {
+                            throw new Error('Correct answer must be one of the option ids');
+                        }
+                        if (this.question_type === 'multi_select') {
+                            if (!Array.isArray(this.correct_answer) || this.correct_answer.length === 0) {
+                                throw new Error('Multi-select questions need at least one correct option');
+                            }
+                            if (this.correct_answer.some(id => !optionIds.includes(id))) {
+                                throw new Error('Correct answers must be option ids');
+                            }
+                        }
+                        break;
+                    case 'true_false':
+                        if (typeof this.correct_answer !== 'boolean') {
+                            throw new Error('True/false questions need a boolean correct answer');
+                        }
+                        break;
+                    case 'short_answer':
+                        if (!Array.isArray(this.correct_answer) || this.correct_answer.length === 0 ||
+                            this.correct_answer.some(a => typeof a !== 'string' || !a.trim())) {
+                            throw new Error('Short answer questions need at least one accepted answer');
+                        }
+                        break;
+                }
+            }
+        }
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    Question.associate = function (models) {
+        Question.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Check whether an answer is correct
+     */
+    Question.prototype.isCorrect = function (answer) {
+        if (answer === undefined || answer === null) return false;
+
+        switch (this.question_type) {
+            case 'multiple_choice':
+                return String(answer) === String(this.correct_answer);
+            case 'multi_select': {
+                if (!Array.isArray(answer)) return false;
+                const given = new Set(answer.map(String));
+                const expected = new Set(this.correct_answer.map(String));
+                return given.size === expected.size && [...expected].every(id => given.has(id));
+            }
+            case 'true_false':
+                return String(answer).toLowerCase() === String(this.correct_answer);
+            case 'short_answer':
+                return this.correct_answer.map(normalizeText).includes(normalizeText(answer));
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * Learner-facing JSON (hides answers)
+     */
+    Question.prototype.toLearnerJSON = function () {
+        return {
+            id: this.id,
+            question_type: this.question_type,
+            prompt: this.prompt,
+            options: this.options || null,
+            points: this.points
+        };
+    };
+
+    /**
+     * Editor-facing JSON (includes answers)
+     */
+    Question.prototype.toSafeJSON = function () {
+        return {
+            ...this.toLearnerJSON(),
+            correct_answer: this.correct_answer,
+            explanation: this.explanation,
+            order: this.order,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    };
+
+    // ==================== CLASS METHODS ====================
+
+    Question.TYPES = QUESTION_TYPES;
+
+    /**
+     * Find questions for a module in display order
+     */
+    Question.findByModule = async function (moduleId, options = {}) {
+        return await this.findAll({
+            where: { module_id: moduleId },
+            order: [['order', 'ASC'], ['id', 'ASC']],
+            ...options
+        });
+    };
+
+    return Question;
+};
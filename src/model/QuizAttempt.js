@@ -0,0 +1,123 @@
+// src/model/QuizAttempt.js
+module.exports = (sequelize, DataTypes) => {
+    const QuizAttempt = sequelize.define('QuizAttempt', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        module_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        attempt_number: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1
+        },
+        status: {
+            type: DataTypes.ENUM('in_progress', 'submitted'),
+            allowNull: false,
+            defaultValue: 'in_progress'
+        },
+        question_order: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: []
+        },
+        answers: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        score: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        max_score: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        score_percent: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        passed: {
+            type: DataTypes.BOOLEAN,
+            allowNull: true
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        submitted_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'QuizAttempts',
+        indexes: [
+            { fields: ['user_id', 'module_id'] },
+            { fields: ['module_id', 'status'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    QuizAttempt.associate = function (models) {
+        QuizAttempt.belongsTo(models.Module, {
+            foreignKey: 'module_id',
+            as: 'module'
+        });
+
+        QuizAttempt.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * Check if attempt has been submitted
+     */
+    QuizAttempt.prototype.isSubmitted = function () {
+        return this.status === 'submitted';
+    };
+
+    /**
+     * Get safe JSON for API responses
+     */
+    QuizAttempt.prototype.toSafeJSON = function () {
+        return {
+            id: this.id,
+            module_id: this.module_id,
+            attempt_number: this.attempt_number,
+            status: this.status,
+            score: this.score,
+            max_score: this.max_score,
+            score_percent: this.score_percent,
+            passed: this.passed,
+            started_at: this.started_at,
+            submitted_at: this.submitted_at
+        };
+    };
+
+    // ==================== CLASS METHODS ====================
+
+    /**
+     * Count submitted attempts for a user in a module
+     */
+    QuizAttempt.countSubmitted = async function (userId, moduleId) {
+        return await this.count({
+            where: { user_id: userId, module_id: moduleId, status: 'submitted' }
+        });
+    };
+
+    return QuizAttempt;
+};
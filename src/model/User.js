@@ -41,6 +41,11 @@ module.exports = (sequelize, DataTypes) => {
             allowNull: true,
             comment: 'R2 file key (e.g., avatars/123/file.jpg) - NOT full URL'
         },
+        signature_key: {
+            type: DataTypes.STRING(500),
+            allowNull: true,
+            comment: 'R2 file key of the facilitator signature printed on certificates'
+        },
         // === DEPRECATED: Keep for migration/compatibility ===
         avatar_url: {
             type: DataTypes.STRING(500),
@@ -193,6 +198,11 @@ module.exports = (sequelize, DataTypes) => {
             as: 'notificationPreferences',
             onDelete: 'CASCADE'
         });
+        User.hasOne(models.UserContentPreferences, {
+            foreignKey: 'user_id',
+            as: 'contentPreferences',
+            onDelete: 'CASCADE'
+        });
 
         // Guardians
         User.hasMany(models.UserGuardian, {
@@ -292,6 +302,16 @@ module.exports = (sequelize, DataTypes) => {
         await this.save({ fields: ['last_login_at'], hooks: false });
     };
 
+    /**
+     * Award gamification points (level up every 1000 points)
+     */
+    User.prototype.awardPoints = async function (points, options = {}) {
+        this.score = (this.score || 0) + points;
+        this.experience_points = (this.experience_points || 0) + points;
+        this.level = Math.floor(this.score / 1000) + 1;
+        await this.save({ fields: ['score', 'experience_points', 'level'], ...options });
+    };
+
     // === Role & Status Checkers ===
     User.prototype.isOAuthUser = function () { return !!this.provider && this.provider !== 'local'; };
     User.prototype.isAdmin = function () { return this.role === 'admin'; };
@@ -354,6 +374,7 @@ module.exports = (sequelize, DataTypes) => {
         const values = { ...this.get() };
         delete values.password; // Always hide password
         delete values.avatar_key; // Hide internal storage key
+        delete values.signature_key;
         values.avatar_url = this.getAvatarUrl(); // Expose computed URL
         return values;
     };
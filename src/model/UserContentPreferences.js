@@ -0,0 +1,84 @@
+// models/UserContentPreferences.js
+const { isAdvisoryType } = require('../config/contentSafety');
+
+module.exports = (sequelize, DataTypes) => {
+    const UserContentPreferences = sequelize.define('UserContentPreferences', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: true
+        },
+        show_content_warnings: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false,
+            allowNull: false,
+            comment: 'Show a warning screen with support hotlines before flagged modules'
+        },
+        sensitive_topics: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            defaultValue: [],
+            comment: 'Advisory types to warn about; empty means all'
+        }
+    }, {
+        timestamps: true,
+        underscored: true,
+        tableName: 'UserContentPreferences'
+    });
+
+    // Associations
+    UserContentPreferences.associate = function (models) {
+        UserContentPreferences.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // Static methods
+    UserContentPreferences.findOrCreateForUser = async function (userId) {
+        const [preferences] = await this.findOrCreate({
+            where: { user_id: userId },
+            defaults: {
+                user_id: userId,
+                show_content_warnings: false,
+                sensitive_topics: []
+            }
+        });
+        return preferences;
+    };
+
+    // Instance methods
+    UserContentPreferences.prototype.getSensitiveTopics = function () {
+        let topics = this.sensitive_topics;
+        // MySQL may hand JSON columns back as strings
+        if (typeof topics === 'string') {
+            try {
+                topics = JSON.parse(topics);
+            } catch (error) {
+                topics = [];
+            }
+        }
+        return Array.isArray(topics) ? topics.filter(isAdvisoryType) : [];
+    };
+
+    /**
+     * Advisories the learner asked to be warned about
+     * @param {Array<Object>} advisories - Normalized module advisories ({ type, ... })
+     * @returns {Array<Object>} - Empty when no warning screen is needed
+     */
+    UserContentPreferences.prototype.matchAdvisories = function (advisories) {
+        if (!this.show_content_warnings || !Array.isArray(advisories)) return [];
+
+        const topics = this.getSensitiveTopics();
+        return topics.length
+            ? advisories.filter(advisory => topics.includes(advisory.type))
+            : advisories;
+    };
+
+    return UserContentPreferences;
+};
@@ -0,0 +1,109 @@
+// src/model/XapiStatement.js
+module.exports = (sequelize, DataTypes) => {
+    const XapiStatement = sequelize.define('XapiStatement', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        statement_id: {
+            type: DataTypes.CHAR(36),
+            allowNull: false,
+            unique: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        actor_key: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        verb_id: {
+            type: DataTypes.STRING(500),
+            allowNull: false
+        },
+        activity_id: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        registration: {
+            type: DataTypes.CHAR(36),
+            allowNull: true
+        },
+        statement: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        voided: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        timestamp: {
+            type: DataTypes.DATE(3),
+            allowNull: false
+        },
+        stored: {
+            type: DataTypes.DATE(3),
+            allowNull: false
+        },
+        forwarded_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        forward_attempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        forward_error: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        }
+    }, {
+        timestamps: false, // stored is the LRS timestamp
+        underscored: true,
+        tableName: 'XapiStatements',
+        indexes: [
+            { fields: ['actor_key'] },
+            { fields: ['user_id'] },
+            { fields: ['verb_id'] },
+            { fields: ['activity_id'] },
+            { fields: ['registration'] },
+            { fields: ['stored'] },
+            { fields: ['forwarded_at', 'forward_attempts'] }
+        ]
+    });
+
+    // ==================== ASSOCIATIONS ====================
+    XapiStatement.associate = function (models) {
+        XapiStatement.belongsTo(models.User, {
+            foreignKey: 'user_id',
+            as: 'user'
+        });
+    };
+
+    // ==================== INSTANCE METHODS ====================
+
+    /**
+     * The statement as served by the LRS
+     */
+    XapiStatement.prototype.toStatement = function () {
+        // MySQL may hand JSON columns back as strings
+        return typeof this.statement === 'string' ? JSON.parse(this.statement) : this.statement;
+    };
+
+    /**
+     * Check if the statement voids another statement
+     */
+    XapiStatement.prototype.isVoiding = function () {
+        return this.verb_id === XapiStatement.VOIDED_VERB;
+    };
+
+    // ==================== CLASS METHODS ====================
+
+    XapiStatement.VOIDED_VERB = 'http://adlnet.gov/expapi/verbs/voided';
+
+    return XapiStatement;
+};
@@ -41,13 +41,36 @@ const UserProfile = require('./UserProfile')(sequelize, Sequelize.DataTypes);
 const UserGuardian = require('./UserGuardian')(sequelize, Sequelize.DataTypes);
 const UserPrivacySettings = require('./UserPrivacySettings')(sequelize, Sequelize.DataTypes);
 const UserNotificationPreferences = require('./UserNotificationPreferences')(sequelize, Sequelize.DataTypes);
+const UserContentPreferences = require('./UserContentPreferences')(sequelize, Sequelize.DataTypes);
 const AccountDeletionRequest = require('./AccountDeletionrequest')(sequelize, Sequelize.DataTypes);
 const File = require('./File')(sequelize, Sequelize.DataTypes);
 const Module = require('./Module')(sequelize, Sequelize.DataTypes);
 const ModuleView = require('./ModuleView')(sequelize, Sequelize.DataTypes);
+const ModuleProgress = require('./ModuleProgress')(sequelize, Sequelize.DataTypes);
+const ModuleRevision = require('./ModuleRevision')(sequelize, Sequelize.DataTypes);
+const ModuleTranslation = require('./ModuleTranslation')(sequelize, Sequelize.DataTypes);
+const ModuleRating = require('./ModuleRating')(sequelize, Sequelize.DataTypes);
+const ModuleBookmark = require('./ModuleBookmark')(sequelize, Sequelize.DataTypes);
+const ModuleNote = require('./ModuleNote')(sequelize, Sequelize.DataTypes);
+const ModuleCollaborator = require('./ModuleCollaborator')(sequelize, Sequelize.DataTypes);
+const ModuleReviewer = require('./ModuleReviewer')(sequelize, Sequelize.DataTypes);
+const ModuleReviewComment = require('./ModuleReviewComment')(sequelize, Sequelize.DataTypes);
+const ModuleWorkflowTransition = require('./ModuleWorkflowTransition')(sequelize, Sequelize.DataTypes);
+const ModuleScormPackage = require('./ModuleScormPackage')(sequelize, Sequelize.DataTypes);
+const ModuleMedia = require('./ModuleMedia')(sequelize, Sequelize.DataTypes);
+const ModuleMediaTrack = require('./ModuleMediaTrack')(sequelize, Sequelize.DataTypes);
+const ModuleMediaProgress = require('./ModuleMediaProgress')(sequelize, Sequelize.DataTypes);
+const ModuleTemplate = require('./ModuleTemplate')(sequelize, Sequelize.DataTypes);
+const Question = require('./Question')(sequelize, Sequelize.DataTypes);
+const QuizAttempt = require('./QuizAttempt')(sequelize, Sequelize.DataTypes);
+const LearningPath = require('./LearningPath')(sequelize, Sequelize.DataTypes);
+const LearningPathModule = require('./LearningPathModule')(sequelize, Sequelize.DataTypes);
+const LearningPathEnrollment = require('./LearningPathEnrollment')(sequelize, Sequelize.DataTypes);
 const Badge = require('./Badge')(sequelize, Sequelize.DataTypes);
 const UserRedemption = require('./UserRedemption')(sequelize, Sequelize.DataTypes);
 const Reward = require('./Reward')(sequelize, Sequelize.DataTypes);
+const Certificate = require('./Certificate')(sequelize, Sequelize.DataTypes);
+const XapiStatement = require('./XapiStatement')(sequelize, Sequelize.DataTypes);
 
 // 2. Add them to the models object so associations can find them
 const models = { 
@@ -58,13 +81,36 @@ const models = {
     UserGuardian, 
     UserPrivacySettings, 
     UserNotificationPreferences, 
+    UserContentPreferences,
     AccountDeletionRequest,
     File,
     Module,
     ModuleView,
+    ModuleProgress,
+    ModuleRevision,
+    ModuleTranslation,
+    ModuleRating,
+    ModuleBookmark,
+    ModuleNote,
+    ModuleCollaborator,
+    ModuleReviewer,
+    ModuleReviewComment,
+    ModuleWorkflowTransition,
+    ModuleScormPackage,
+    ModuleMedia,
+    ModuleMediaTrack,
+    ModuleMediaProgress,
+    ModuleTemplate,
+    Question,
+    QuizAttempt,
+    LearningPath,
+    LearningPathModule,
+    LearningPathEnrollment,
     Badge,
     UserRedemption,
-    Reward
+    Reward,
+    Certificate,
+    XapiStatement
 };
 
 // 3. Execute associations
@@ -0,0 +1,101 @@
+// src/router/CertificateRoutes.js
+const express = require('express');
+const router = express.Router();
+const CertificateController = require('../controller/CertificateController');
+const { authenticate, requireRole } = require('../middleware/AuthMiddleware');
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
+
+// Signature images (memory storage, uploaded to R2 after processing)
+const uploadSignature = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 2 * 1024 * 1024 // 2MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (!['image/png', 'image/jpeg', 'image/jpg', 'image/webp'].includes(file.mimetype)) {
+            return cb(new Error('Only PNG, JPEG or WebP images are allowed'), false);
+        }
+        cb(null, true);
+    }
+}).single('signature');
+
+// Verification is public, so limit code guessing
+const verifyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60,
+    message: {
+        message: 'Too many verification requests',
+        code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * Verify a certificate code
+ * GET /api/v1/certificates/verify/:code
+ */
+router.get('/verify/:code', verifyLimiter, CertificateController.verifyCertificate);
+
+// ==================== PROTECTED ROUTES ====================
+
+router.use(authenticate);
+
+/**
+ * Get current user's certificates
+ * GET /api/v1/certificates/me
+ */
+router.get('/me', CertificateController.getMyCertificates);
+
+/**
+ * Claim the certificate for a completed module (issued automatically on completion)
+ * POST /api/v1/certificates/modules/:moduleId
+ */
+router.post('/modules/:moduleId', CertificateController.claimModuleCertificate);
+
+/**
+ * Claim the certificate for a completed learning path (issued automatically on completion)
+ * POST /api/v1/certificates/learning-paths/:pathId
+ */
+router.post('/learning-paths/:pathId', CertificateController.claimPathCertificate);
+
+/**
+ * Upload/Replace the facilitator signature printed on certificates
+ * PUT /api/v1/certificates/signature
+ * Form-data: signature (PNG with transparent background works best)
+ */
+router.put('/signature', requireRole(['admin', 'educator']), (req, res, next) => {
+    uploadSignature(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                success: false,
+                message: err.code === 'LIMIT_FILE_SIZE' ? 'Signature image exceeds the 2MB limit' : err.message
+            });
+        }
+        next();
+    });
+}, CertificateController.updateSignature);
+
+/**
+ * List issued certificates
+ * GET /api/v1/certificates?user_id=&module_id=&learning_path_id=&revoked=false
+ */
+router.get('/', requireRole(['admin', 'educator', 'moderator']), CertificateController.getCertificates);
+
+/**
+ * Get a certificate (owner or staff)
+ * GET /api/v1/certificates/:id
+ */
+router.get('/:id', CertificateController.getCertificate);
+
+/**
+ * Revoke a certificate
+ * PATCH /api/v1/certificates/:id/revoke
+ * Body: { reason }
+ */
+router.patch('/:id/revoke', requireRole(['admin']), CertificateController.revokeCertificate);
+
+module.exports = router;
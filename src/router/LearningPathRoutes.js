@@ -0,0 +1,72 @@
+// src/router/LearningPathRoutes.js
+const express = require('express');
+const router = express.Router();
+const LearningPathController = require('../controller/LearningPathController');
+const { authenticate, optionalAuth, requireRole } = require('../middleware/AuthMiddleware');
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * Get learning paths (educators also see unpublished paths)
+ * GET /api/learning-paths?category=vawc&search=grade
+ */
+router.get('/', optionalAuth, LearningPathController.getPaths);
+
+/**
+ * Get current user's enrolled paths with progress
+ * GET /api/learning-paths/me
+ */
+router.get('/me', authenticate, LearningPathController.getMyPaths);
+
+/**
+ * Get single learning path with ordered modules (and progress when signed in)
+ * GET /api/learning-paths/:id
+ */
+router.get('/:id', optionalAuth, LearningPathController.getPathById);
+
+// ==================== PROTECTED ROUTES ====================
+
+router.use(authenticate);
+
+/**
+ * Enroll in a learning path
+ * POST /api/learning-paths/:id/enroll
+ */
+router.post('/:id/enroll', LearningPathController.enroll);
+
+/**
+ * Leave a learning path (409 PATH_ALREADY_COMPLETED once the path is completed)
+ * DELETE /api/learning-paths/:id/enroll
+ */
+router.delete('/:id/enroll', LearningPathController.unenroll);
+
+// ==================== ADMIN/EDUCATOR ROUTES ====================
+
+router.use(requireRole(['admin', 'educator']));
+
+/**
+ * Create a learning path
+ * POST /api/learning-paths
+ * Body: { title, description, category, target_audience, completion_points, modules: [id | { module_id, is_required }] }
+ */
+router.post('/', LearningPathController.createPath);
+
+/**
+ * Update a learning path (passing modules replaces the sequence)
+ * PUT /api/learning-paths/:id
+ */
+router.put('/:id', LearningPathController.updatePath);
+
+/**
+ * Toggle publish status
+ * PATCH /api/learning-paths/:id/publish
+ */
+router.patch('/:id/publish', LearningPathController.togglePublish);
+
+/**
+ * Soft delete learning path
+ * DELETE /api/learning-paths/:id
+ */
+router.delete('/:id', LearningPathController.deletePath);
+
+module.exports = router;
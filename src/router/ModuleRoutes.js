@@ -2,26 +2,84 @@
 const express = require('express');
 const router = express.Router();
 const ModuleController = require('../controller/ModuleController');
+const QuizController = require('../controller/QuizController');
+const ModuleRevisionController = require('../controller/ModuleRevisionController');
+const ModuleTranslationController = require('../controller/ModuleTranslationController');
+const ModuleRatingController = require('../controller/ModuleRatingController');
+const ModuleBookmarkController = require('../controller/ModuleBookmarkController');
+const ModuleNoteController = require('../controller/ModuleNoteController');
+const ModuleCollaboratorController = require('../controller/ModuleCollaboratorController');
+const ModuleWorkflowController = require('../controller/ModuleWorkflowController');
+const ModulePackageController = require('../controller/ModulePackageController');
+const ScormController = require('../controller/ScormController');
+const ModuleMediaController = require('../controller/ModuleMediaController');
+const ModuleAttachmentController = require('../controller/ModuleAttachmentController');
+const ModuleAnalyticsController = require('../controller/ModuleAnalyticsController');
+const ModuleTemplateController = require('../controller/ModuleTemplateController');
 const { authenticate, optionalAuth } = require('../middleware/AuthMiddleware');
+const { negotiateLocale } = require('../middleware/LocaleMiddleware');
+const {
+    requireModuleAuthor,
+    requireModuleReviewer,
+    requireModulePermission
+} = require('../middleware/ModulePermissionMiddleware');
 const {
     uploadModuleFiles,
     uploadModuleFile,
-    uploadThumbnail
+    uploadThumbnail,
+    uploadModulePackage,
+    uploadScormPackage,
+    uploadModuleAttachment,
+    uploadModuleMedia,
+    uploadMediaTrack
 } = require('../middleware/FileUploadMiddleware');
 
 // ==================== PUBLIC ROUTES ====================
 
 /**
  * Get all published modules (with filters)
+ * Each module is flagged is_locked for the current user when prerequisites are incomplete
  * GET /api/modules?category=gad&type=lesson&difficulty_level=beginner&search=health
+ * Sort by rating with ?orderBy=rating (unrated modules last)
+ * Educators see drafts and can filter to scheduled modules with ?scheduled=true
+ * Text is served in the ?lang= or Accept-Language locale where translated (e.g. ?lang=fil)
+ * Learners only see modules for their age (profile date of birth); age-restricted modules are hidden when it is unknown
  */
-router.get('/', ModuleController.getModules);
+router.get('/', optionalAuth, negotiateLocale, ModuleController.getModules);
+
+/**
+ * Full-text search with relevance ranking, highlighted snippets and facet counts
+ * GET /api/modules/search?q=consent&category=sexual_health&difficulty_level=beginner&tag=youth
+ */
+router.get('/search', optionalAuth, ModuleController.searchModules);
 
 /**
  * Get featured modules
  * GET /api/modules/featured?limit=6
  */
-router.get('/featured', ModuleController.getFeaturedModules);
+router.get('/featured', optionalAuth, ModuleController.getFeaturedModules);
+
+/**
+ * Get personalized recommendations, each with an explanation ("Because you completed ...")
+ * Based on completed and viewed modules, tags, category, difficulty progression and age group
+ * GET /api/modules/recommended?limit=6&lang=fil
+ * Declared before /:id, so it authenticates itself
+ */
+router.get('/recommended', authenticate, negotiateLocale, ModuleController.getRecommendedModules);
+
+/**
+ * List modules in the trash (purged after MODULE_TRASH_RETENTION_DAYS)
+ * GET /api/modules/trash?category=gad&search=consent&page=1
+ * Declared before /:id, so it authenticates itself
+ */
+router.get('/trash', authenticate, requireModuleAuthor, ModuleController.getTrash);
+
+/**
+ * List module templates (built-in first, then most used)
+ * GET /api/modules/templates?category=vawc&type=quiz&search=safety
+ * Declared before /:id, so it authenticates itself
+ */
+router.get('/templates', authenticate, requireModuleAuthor, ModuleTemplateController.getTemplates);
 
 /**
  * Get module statistics
@@ -31,42 +89,210 @@ router.get('/stats', ModuleController.getStats);
 
 /**
  * Get single module by ID
- * GET /api/modules/:id
+ * GET /api/modules/:id?lang=ceb
+ * 403 AGE_RESTRICTED / AGE_VERIFICATION_REQUIRED when the learner is outside the module's age range
  */
-router.get('/:id', optionalAuth, ModuleController.getModuleById);
+router.get('/:id', optionalAuth, negotiateLocale, ModuleController.getModuleById);
+
+/**
+ * Get rating summary and written reviews of a module
+ * GET /api/modules/:id/ratings?sort=recent|highest|lowest&page=1
+ */
+router.get('/:id/ratings', optionalAuth, ModuleRatingController.getModuleRatings);
 
 // ==================== PROTECTED ROUTES ====================
 // All routes below require authentication
 
 router.use(authenticate);
 
-// /**
-//  * Mark module as completed
-//  * POST /api/modules/:id/complete
-//  */
-// router.post('/:id/complete', ModuleController.markComplete);
+/**
+ * Get current user's progress across all modules
+ * GET /api/modules/me/progress?status=completed
+ */
+router.get('/me/progress', ModuleController.getMyProgress);
 
-// ==================== ADMIN/EDUCATOR ROUTES ====================
-// Routes below require admin or educator role
+/**
+ * Get current user's bookmarked modules
+ * GET /api/modules/me/bookmarks?page=1&limit=20
+ */
+router.get('/me/bookmarks', ModuleBookmarkController.getMyBookmarks);
 
-const requireEducator = (req, res, next) => {
-    if (req.user.role === 'admin' || req.user.role === 'educator') {
-        return next();
-    }
-    return res.status(403).json({
-        success: false,
-        message: 'Access denied. Educator or Admin role required.'
-    });
-};
+/**
+ * Get current user's progress in a module
+ * GET /api/modules/:id/progress
+ */
+router.get('/:id/progress', ModuleController.getModuleProgress);
+
+/**
+ * Record progress in a module
+ * POST /api/modules/:id/progress
+ * Body: { progress_percent, last_position, time_spent_seconds, status }
+ */
+router.post('/:id/progress', ModuleController.updateProgress);
 
-// router.use(requireEducator);
+/**
+ * Mark module as completed
+ * POST /api/modules/:id/complete
+ */
+router.post('/:id/complete', ModuleController.markComplete);
+
+/**
+ * Launch a SCORM module: package URL, learner, entry (ab-initio/resume) and stored cmi values
+ * GET /api/modules/:id/scorm/launch
+ */
+router.get('/:id/scorm/launch', ScormController.getLaunch);
+
+/**
+ * Commit SCORM runtime data (LMSCommit/LMSFinish, Commit/Terminate)
+ * POST /api/modules/:id/scorm/runtime
+ * Body: { cmi: { 'cmi.core.lesson_status': 'passed', 'cmi.suspend_data': '...' }, finish }
+ * Completion, score, location and (on finish) session time are recorded in progress
+ */
+router.post('/:id/scorm/runtime', ScormController.commit);
+
+/**
+ * List downloadable attachments in display order (is_primary marks the module file)
+ * GET /api/modules/:id/attachments
+ */
+router.get('/:id/attachments', ModuleAttachmentController.getAttachments);
+
+/**
+ * Download an attachment: counts the download and redirects to the file
+ * GET /api/modules/:id/attachments/:attachmentId/download?redirect=false
+ * redirect=false returns { url, attachment } instead
+ */
+router.get('/:id/attachments/:attachmentId/download', ModuleAttachmentController.downloadAttachment);
+
+/**
+ * List video, audio and slides in play order, with caption tracks and the user's playback position
+ * GET /api/modules/:id/media
+ */
+router.get('/:id/media', ModuleMediaController.getMedia);
+
+/**
+ * Plain-text transcript of a video/audio item (requested language, else the default track)
+ * GET /api/modules/:id/media/:mediaId/transcript?lang=fil
+ */
+router.get('/:id/media/:mediaId/transcript', negotiateLocale, ModuleMediaController.getTranscript);
+
+/**
+ * Save playback position; module progress follows how much of the module's video/audio was played
+ * PUT /api/modules/:id/media/:mediaId/playback
+ * Body: { position_seconds, time_spent_seconds, ended }
+ */
+router.put('/:id/media/:mediaId/playback', ModuleMediaController.savePlayback);
+
+/**
+ * Get current user's quiz attempts for a module
+ * GET /api/modules/:id/quiz/attempts
+ */
+router.get('/:id/quiz/attempts', QuizController.getMyAttempts);
+
+/**
+ * Start (or resume) a quiz attempt
+ * POST /api/modules/:id/quiz/attempts
+ */
+router.post('/:id/quiz/attempts', QuizController.startAttempt);
+
+/**
+ * Submit answers for a quiz attempt
+ * POST /api/modules/:id/quiz/attempts/:attemptId/submit
+ * Body: { answers: { [questionId]: answer } }
+ */
+router.post('/:id/quiz/attempts/:attemptId/submit', QuizController.submitAttempt);
+
+/**
+ * Rate a module (learners who have opened it); rating again updates it
+ * PUT /api/modules/:id/ratings/me
+ * Body: { rating: 1-5, feedback }
+ */
+router.put('/:id/ratings/me', ModuleRatingController.rateModule);
+
+/**
+ * Remove current user's rating
+ * DELETE /api/modules/:id/ratings/me
+ */
+router.delete('/:id/ratings/me', ModuleRatingController.deleteMyRating);
+
+/**
+ * Bookmark a module
+ * POST /api/modules/:id/bookmark
+ */
+router.post('/:id/bookmark', ModuleBookmarkController.addBookmark);
+
+/**
+ * Remove a bookmark
+ * DELETE /api/modules/:id/bookmark
+ */
+router.delete('/:id/bookmark', ModuleBookmarkController.removeBookmark);
+
+/**
+ * Get current user's private notes on a module
+ * GET /api/modules/:id/notes
+ */
+router.get('/:id/notes', ModuleNoteController.getNotes);
+
+/**
+ * Add a private note (encrypted at rest)
+ * POST /api/modules/:id/notes
+ * Body: { body, position } - position is optional (page, section or timestamp)
+ */
+router.post('/:id/notes', ModuleNoteController.createNote);
+
+/**
+ * Update a note
+ * PUT /api/modules/:id/notes/:noteId
+ * Body: { body, position }
+ */
+router.put('/:id/notes/:noteId', ModuleNoteController.updateNote);
+
+/**
+ * Delete a note
+ * DELETE /api/modules/:id/notes/:noteId
+ */
+router.delete('/:id/notes/:noteId', ModuleNoteController.deleteNote);
+
+// ==================== ADMIN/EDUCATOR/MODERATOR ROUTES ====================
+// Routes below require a staff role; per-module rules (403 MODULE_PERMISSION_DENIED):
+//   review  - any staff role (admin, educator, moderator)
+//   edit    - admins, the module owner and invited co-authors
+//   publish, delete, manage collaborators - admins and the module owner
+//   approve - moderators and admins who are not an author of the module
+//   assign reviewers - moderators, admins and the module owner
+
+router.use(requireModuleReviewer);
+
+/**
+ * Translation completeness per locale across modules
+ * GET /api/modules/translations/report?locale=fil&category=gad&is_published=true
+ */
+router.get('/translations/report', ModuleTranslationController.getReport);
+
+/**
+ * Feedback inbox (written feedback only unless has_feedback=false)
+ * GET /api/modules/ratings/inbox?status=flagged&module_id=3&max_rating=2
+ */
+router.get('/ratings/inbox', ModuleRatingController.getFeedbackInbox);
+
+/**
+ * Hide, flag or restore a rating
+ * PATCH /api/modules/ratings/:ratingId/moderate
+ * Body: { status: visible|hidden|flagged, note }
+ */
+router.patch('/ratings/:ratingId/moderate', ModuleRatingController.moderateRating);
+
+/**
+ * Modules waiting for review (oldest first)
+ * GET /api/modules/workflow/queue?status=in_review&assigned=me
+ */
+router.get('/workflow/queue', ModuleWorkflowController.getReviewQueue);
 
 /**
  * Create module without files
  * POST /api/modules
  * Body: { title, description, content, type, category, difficulty_level, ... }
  */
-router.post('/', ModuleController.createModule);
+router.post('/', requireModuleAuthor, ModuleController.createModule);
 
 /**
  * Create module with files (PDF/DOCX + thumbnail)
@@ -76,46 +302,384 @@ router.post('/', ModuleController.createModule);
  *   - thumbnail: Image file (optional)
  *   - title, description, etc. (text fields)
  */
-router.post('/with-files', uploadModuleFiles, ModuleController.createModuleWithFiles);
+router.post('/with-files', requireModuleAuthor, uploadModuleFiles, ModuleController.createModuleWithFiles);
+
+/**
+ * Import a module package (created as a draft, or updates the module with the same slug)
+ * POST /api/modules/import
+ * Form-data:
+ *   - package: .zip exported by GET /api/modules/:id/export
+ *   - on_conflict: fail (default) | update | copy
+ */
+router.post('/import', requireModuleAuthor, uploadModulePackage, ModulePackageController.importModule);
+
+/**
+ * Create a module from a SCORM 1.2 / 2004 package (created as a draft)
+ * POST /api/modules/scorm
+ * Form-data:
+ *   - scorm_package: .zip with imsmanifest.xml
+ *   - title, description, etc. (text fields; title defaults to the manifest title)
+ */
+router.post('/scorm', requireModuleAuthor, uploadScormPackage, ScormController.importPackage);
+
+/**
+ * Get a template with its skeleton (module fields and example questions)
+ * GET /api/modules/templates/:templateId
+ */
+router.get('/templates/:templateId', requireModuleAuthor, ModuleTemplateController.getTemplate);
+
+/**
+ * Create a template
+ * POST /api/modules/templates
+ * Body: { name, description, is_builtin (admins), skeleton: { content, type, category, age_group, tags, questions, ... } }
+ */
+router.post('/templates', requireModuleAuthor, ModuleTemplateController.createTemplate);
+
+/**
+ * Update a template (its creator or an admin; built-in templates: admins only)
+ * PUT /api/modules/templates/:templateId
+ * Body: { name, description, skeleton }
+ */
+router.put('/templates/:templateId', requireModuleAuthor, ModuleTemplateController.updateTemplate);
+
+/**
+ * Delete a template (its creator or an admin; built-in templates: admins only)
+ * DELETE /api/modules/templates/:templateId
+ */
+router.delete('/templates/:templateId', requireModuleAuthor, ModuleTemplateController.deleteTemplate);
+
+/**
+ * Start a new draft module from a template
+ * POST /api/modules/templates/:templateId/modules
+ * Body: { title, slug } - title defaults to the template name
+ */
+router.post('/templates/:templateId/modules', requireModuleAuthor, ModuleTemplateController.createModuleFromTemplate);
+
+/**
+ * Clone a module into a new draft (content, questions, translations, attachments,
+ * media and SCORM package; stored files are copied under the new module)
+ * POST /api/modules/:id/clone
+ * Body: { title, slug } - title defaults to "<title> (Copy)"
+ */
+router.post('/:id/clone', requireModuleAuthor, ModuleController.cloneModule);
+
+/**
+ * Save a module's fields and questions as a template (stored files are not included)
+ * POST /api/modules/:id/template
+ * Body: { name, description }
+ */
+router.post('/:id/template', requireModuleAuthor, ModuleTemplateController.createTemplateFromModule);
 
 /**
  * Update module metadata
  * PUT /api/modules/:id
  * Body: { title, description, content, type, category, ... }
  */
-router.put('/:id', ModuleController.updateModule);
+router.put('/:id', requireModulePermission('edit'), ModuleController.updateModule);
 
 /**
- * Upload/Replace module file (PDF/DOCX)
+ * Upload/Replace module file (PDF/DOCX) - replaces the primary attachment
  * POST /api/modules/:id/file
  * Form-data: module_file
  */
-router.post('/:id/file', uploadModuleFile, ModuleController.uploadModuleFile);
+router.post('/:id/file', requireModulePermission('edit'), uploadModuleFile, ModuleController.uploadModuleFile);
+
+/**
+ * Add an attachment (the first PDF/Word attachment becomes the module file)
+ * POST /api/modules/:id/attachments
+ * Form-data:
+ *   - attachment: .pdf, .doc, .docx, .xls, .xlsx, .ppt, .pptx, .jpg, .png or .webp
+ *   - label (defaults to the file name), is_primary
+ */
+router.post('/:id/attachments', requireModulePermission('edit'), uploadModuleAttachment, ModuleAttachmentController.addAttachment);
+
+/**
+ * Reorder attachments
+ * PUT /api/modules/:id/attachments/order
+ * Body: { attachment_ids: [4, 2, 7] } - every attachment of the module
+ */
+router.put('/:id/attachments/order', requireModulePermission('edit'), ModuleAttachmentController.reorderAttachments);
+
+/**
+ * Relabel an attachment or make it the module file (PDF/Word only)
+ * PATCH /api/modules/:id/attachments/:attachmentId
+ * Body: { label, is_primary: true }
+ */
+router.patch('/:id/attachments/:attachmentId', requireModulePermission('edit'), ModuleAttachmentController.updateAttachment);
+
+/**
+ * Remove an attachment (removing the primary promotes the next PDF/Word attachment)
+ * DELETE /api/modules/:id/attachments/:attachmentId
+ */
+router.delete('/:id/attachments/:attachmentId', requireModulePermission('edit'), ModuleAttachmentController.removeAttachment);
 
 /**
  * Upload/Replace thumbnail
  * POST /api/modules/:id/thumbnail
  * Form-data: thumbnail
  */
-router.post('/:id/thumbnail', uploadThumbnail, ModuleController.uploadThumbnail);
+router.post('/:id/thumbnail', requireModulePermission('edit'), uploadThumbnail, ModuleController.uploadThumbnail);
+
+/**
+ * List the module's SCORM packages (scorm_package_id is the draft's current one)
+ * GET /api/modules/:id/scorm
+ */
+router.get('/:id/scorm', ScormController.getPackages);
+
+/**
+ * Upload/Replace the SCORM package (goes live after review like other edits)
+ * PUT /api/modules/:id/scorm
+ * Form-data: scorm_package
+ */
+router.put('/:id/scorm', requireModulePermission('edit'), uploadScormPackage, ScormController.replacePackage);
+
+/**
+ * Add video, audio or slides (duration is read from the file)
+ * POST /api/modules/:id/media
+ * Form-data:
+ *   - media: .mp4, .webm, .mov, .mp3, .wav, .ogg, .pdf, .ppt or .pptx
+ *   - title (defaults to the file name), kind (video|audio|slides, defaults to the file type)
+ */
+router.post('/:id/media', requireModulePermission('edit'), uploadModuleMedia, ModuleMediaController.addMedia);
+
+/**
+ * Reorder media
+ * PUT /api/modules/:id/media/order
+ * Body: { media_ids: [3, 1, 2] } - every media item of the module
+ */
+router.put('/:id/media/order', requireModulePermission('edit'), ModuleMediaController.reorderMedia);
+
+/**
+ * Rename a media item
+ * PATCH /api/modules/:id/media/:mediaId
+ * Body: { title }
+ */
+router.patch('/:id/media/:mediaId', requireModulePermission('edit'), ModuleMediaController.updateMedia);
+
+/**
+ * Remove a media item, its captions and files
+ * DELETE /api/modules/:id/media/:mediaId
+ */
+router.delete('/:id/media/:mediaId', requireModulePermission('edit'), ModuleMediaController.removeMedia);
+
+/**
+ * Add or replace captions for a language (SRT is converted to WebVTT)
+ * POST /api/modules/:id/media/:mediaId/tracks
+ * Form-data:
+ *   - track: .vtt or .srt
+ *   - language (e.g. fil), kind (captions|subtitles), label, is_default
+ */
+router.post('/:id/media/:mediaId/tracks', requireModulePermission('edit'), uploadMediaTrack, ModuleMediaController.addTrack);
+
+/**
+ * Remove a caption track
+ * DELETE /api/modules/:id/media/:mediaId/tracks/:trackId
+ */
+router.delete('/:id/media/:mediaId/tracks/:trackId', requireModulePermission('edit'), ModuleMediaController.removeTrack);
 
 /**
- * Toggle publish status
+ * Toggle publish status: publishes an approved module or archives a published one
  * PATCH /api/modules/:id/publish
  */
-router.patch('/:id/publish', ModuleController.togglePublish);
+router.patch('/:id/publish', requireModulePermission('publish'), ModuleController.togglePublish);
+
+/**
+ * Schedule automatic publish/unpublish
+ * PATCH /api/modules/:id/schedule
+ * Body: { publish_at, unpublish_at } - ISO dates, null clears
+ */
+router.patch('/:id/schedule', requireModulePermission('publish'), ModuleController.scheduleModule);
 
 /**
  * Toggle featured status
  * PATCH /api/modules/:id/featured
  */
-router.patch('/:id/featured', ModuleController.toggleFeatured);
+router.patch('/:id/featured', requireModulePermission('publish'), ModuleController.toggleFeatured);
+
+/**
+ * Learner analytics: viewers over time, completion funnel, time spent, drop-off,
+ * quiz pass rates and breakdowns by age group, sex and province
+ * GET /api/modules/:id/analytics?from=2026-01-01&to=2026-03-31&interval=day|week|month
+ * Groups smaller than ANALYTICS_MIN_GROUP_SIZE are pooled into "other"
+ */
+router.get('/:id/analytics', ModuleAnalyticsController.getModuleAnalytics);
+
+/**
+ * Workflow status, approvals, reviewers and transition history
+ * GET /api/modules/:id/workflow
+ */
+router.get('/:id/workflow', ModuleWorkflowController.getWorkflow);
+
+/**
+ * Move a module through the review workflow (permission depends on the action)
+ * POST /api/modules/:id/workflow/:action
+ * Actions: submit | withdraw | approve | request_changes | publish | archive | reopen
+ * Body: { note } - required for request_changes
+ */
+router.post('/:id/workflow/:action', ModuleWorkflowController.transition);
+
+/**
+ * List assigned reviewers and their decisions
+ * GET /api/modules/:id/reviewers
+ */
+router.get('/:id/reviewers', ModuleWorkflowController.getReviewers);
+
+/**
+ * Assign a reviewer (active moderator or admin, not an author)
+ * POST /api/modules/:id/reviewers
+ * Body: { user_id }
+ */
+router.post('/:id/reviewers', requireModulePermission('assign_reviewers'), ModuleWorkflowController.assignReviewer);
+
+/**
+ * Unassign a reviewer
+ * DELETE /api/modules/:id/reviewers/:userId
+ */
+router.delete('/:id/reviewers/:userId', requireModulePermission('assign_reviewers'), ModuleWorkflowController.removeReviewer);
+
+/**
+ * List review comments (open only unless include_resolved=true)
+ * GET /api/modules/:id/review-comments?include_resolved=true
+ */
+router.get('/:id/review-comments', ModuleWorkflowController.getComments);
+
+/**
+ * Comment on the revision under review
+ * POST /api/modules/:id/review-comments
+ * Body: { body }
+ */
+router.post('/:id/review-comments', ModuleWorkflowController.addComment);
+
+/**
+ * Resolve a review comment (its author or anyone who may edit the module)
+ * PATCH /api/modules/:id/review-comments/:commentId/resolve
+ */
+router.patch('/:id/review-comments/:commentId/resolve', ModuleWorkflowController.resolveComment);
+
+/**
+ * Get question bank for a module (includes answers)
+ * GET /api/modules/:id/questions
+ */
+router.get('/:id/questions', QuizController.getQuestions);
+
+/**
+ * Add a question to a module
+ * POST /api/modules/:id/questions
+ * Body: { question_type, prompt, options, correct_answer, explanation, points, order }
+ */
+router.post('/:id/questions', requireModulePermission('edit'), QuizController.createQuestion);
+
+/**
+ * Update a question
+ * PUT /api/modules/:id/questions/:questionId
+ */
+router.put('/:id/questions/:questionId', requireModulePermission('edit'), QuizController.updateQuestion);
+
+/**
+ * Delete a question
+ * DELETE /api/modules/:id/questions/:questionId
+ */
+router.delete('/:id/questions/:questionId', requireModulePermission('edit'), QuizController.deleteQuestion);
+
+/**
+ * Download a module as a zip package (published revision unless source=draft)
+ * GET /api/modules/:id/export?source=draft
+ */
+router.get('/:id/export', ModulePackageController.exportModule);
+
+/**
+ * List revisions (newest first)
+ * GET /api/modules/:id/revisions
+ */
+router.get('/:id/revisions', ModuleRevisionController.getRevisions);
+
+/**
+ * Diff content between two revisions (to defaults to the latest draft)
+ * GET /api/modules/:id/revisions/diff?from=12&to=15
+ */
+router.get('/:id/revisions/diff', ModuleRevisionController.diffRevisions);
+
+/**
+ * Get a revision with content
+ * GET /api/modules/:id/revisions/:revisionId
+ */
+router.get('/:id/revisions/:revisionId', ModuleRevisionController.getRevision);
+
+/**
+ * Restore a revision into the draft
+ * POST /api/modules/:id/revisions/:revisionId/restore
+ * Body: { publish } - also serve the restored revision to learners (module owner or admin only)
+ */
+router.post('/:id/revisions/:revisionId/restore', requireModulePermission('edit'), ModuleRevisionController.restoreRevision);
+
+/**
+ * Serve a previously approved revision to learners
+ * POST /api/modules/:id/revisions/:revisionId/publish
+ */
+router.post('/:id/revisions/:revisionId/publish', requireModulePermission('publish'), ModuleRevisionController.publishRevision);
+
+/**
+ * List translations with per-locale completeness
+ * GET /api/modules/:id/translations
+ */
+router.get('/:id/translations', ModuleTranslationController.getTranslations);
+
+/**
+ * Get one translation
+ * GET /api/modules/:id/translations/:locale
+ */
+router.get('/:id/translations/:locale', ModuleTranslationController.getTranslation);
+
+/**
+ * Create or update a translation
+ * PUT /api/modules/:id/translations/:locale
+ * Body: { title, description, content } - null or '' clears a field
+ */
+router.put('/:id/translations/:locale', requireModulePermission('edit'), ModuleTranslationController.saveTranslation);
+
+/**
+ * Upload/Replace the translated module file (PDF/DOCX)
+ * POST /api/modules/:id/translations/:locale/file
+ * Form-data: module_file
+ */
+router.post('/:id/translations/:locale/file', requireModulePermission('edit'), uploadModuleFile, ModuleTranslationController.uploadTranslationFile);
+
+/**
+ * Delete a translation and its file
+ * DELETE /api/modules/:id/translations/:locale
+ */
+router.delete('/:id/translations/:locale', requireModulePermission('edit'), ModuleTranslationController.deleteTranslation);
+
+/**
+ * List the module owner and co-authors
+ * GET /api/modules/:id/collaborators
+ */
+router.get('/:id/collaborators', ModuleCollaboratorController.getCollaborators);
+
+/**
+ * Invite a co-author (educator or admin)
+ * POST /api/modules/:id/collaborators
+ * Body: { user_id }
+ */
+router.post('/:id/collaborators', requireModulePermission('manage_collaborators'), ModuleCollaboratorController.addCollaborator);
+
+/**
+ * Remove a co-author
+ * DELETE /api/modules/:id/collaborators/:userId
+ */
+router.delete('/:id/collaborators/:userId', requireModulePermission('manage_collaborators'), ModuleCollaboratorController.removeCollaborator);
+
+/**
+ * Restore a module from the trash
+ * POST /api/modules/:id/restore
+ */
+router.post('/:id/restore', requireModulePermission('delete', { withDeleted: true }), ModuleController.restoreModule);
 
 /**
- * Soft delete module
+ * Move module to the trash (soft delete)
  * DELETE /api/modules/:id
  */
-router.delete('/:id', ModuleController.deleteModule);
+router.delete('/:id', requireModulePermission('delete'), ModuleController.deleteModule);
 
 // ==================== ADMIN-ONLY ROUTES ====================
 
@@ -125,7 +689,8 @@ const requireAdmin = (req, res, next) => {
     }
     return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin role required.'
+        message: 'Access denied. Admin role required.',
+        code: 'MODULE_PERMISSION_DENIED'
     });
 };
 
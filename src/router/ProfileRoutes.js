@@ -173,6 +173,10 @@ router.put('/settings/privacy', settingsController.updatePrivacySettings);
 router.get('/settings/notifications', settingsController.getNotificationPreferences);
 router.put('/settings/notifications', settingsController.updateNotificationPreferences);
 
+// ===== Content Warning Preferences =====
+router.get('/settings/content', settingsController.getContentPreferences);
+router.put('/settings/content', settingsController.updateContentPreferences);
+
 // ===== Account Management =====
 router.post('/account/deactivate', settingsController.deactivateAccount);
 router.post('/account/reactivate', settingsController.reactivateAccount);
@@ -0,0 +1,60 @@
+// src/router/XapiRoutes.js
+const express = require('express');
+const router = express.Router();
+const XapiController = require('../controller/XapiController');
+const { authenticate } = require('../middleware/AuthMiddleware');
+
+const XAPI_VERSION = '1.0.3';
+
+/**
+ * Every LRS response carries the xAPI version
+ */
+router.use((req, res, next) => {
+    res.set('X-Experience-API-Version', XAPI_VERSION);
+    next();
+});
+
+/**
+ * LRS version information (no version header required)
+ * GET /api/v1/xapi/about
+ */
+router.get('/about', XapiController.about);
+
+// ==================== PROTECTED ROUTES ====================
+// Statements require authentication and an X-Experience-API-Version: 1.0.x request header
+
+router.use(authenticate);
+
+router.use((req, res, next) => {
+    if (!/^1\.0(\.\d+)?$/.test(req.get('X-Experience-API-Version') || '')) {
+        return res.status(400).json({
+            success: false,
+            message: 'X-Experience-API-Version header (1.0.x) is required',
+            code: 'XAPI_VERSION_REQUIRED'
+        });
+    }
+    next();
+});
+
+/**
+ * Fetch statements (staff read all statements, learners only their own)
+ * GET /api/v1/xapi/statements?statementId=
+ * GET /api/v1/xapi/statements?agent={"account":{...}}&verb=&activity=&registration=&since=&until=&limit=&ascending=&format=ids
+ * Paged through the "more" link; voided statements only via ?voidedStatementId=
+ */
+router.get('/statements', XapiController.getStatements);
+
+/**
+ * Store one statement or an array (learners record statements about themselves; admins any)
+ * POST /api/v1/xapi/statements
+ * Returns the statement ids
+ */
+router.post('/statements', XapiController.postStatements);
+
+/**
+ * Store a statement with a client-chosen id
+ * PUT /api/v1/xapi/statements?statementId=<uuid>
+ */
+router.put('/statements', XapiController.putStatement);
+
+module.exports = router;
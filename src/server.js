@@ -3,6 +3,9 @@ const http = require('http');
 const app = require('./app');
 const sequelize = require('./config/db');
 const { scheduleCleanup } = require('./jobs/CleanupJob');
+const { scheduleModulePublishing } = require('./jobs/ModuleScheduleJob');
+const { scheduleTrashPurge } = require('./jobs/ModuleTrashJob');
+const { scheduleXapiForwarding } = require('./jobs/XapiForwardJob');
 
 const PORT = process.env.PORT || 3000;
 const server = http.createServer(app);
@@ -17,6 +20,19 @@ const startServer = async () => {
         scheduleCleanup();
         console.log('✅ Cleanup job scheduled');
 
+        // Start module publish scheduling job
+        scheduleModulePublishing();
+        console.log('✅ Module schedule job started');
+
+        // Start module trash purge job
+        scheduleTrashPurge();
+        console.log('✅ Module trash purge job started');
+
+        // Start xAPI forwarding job (only when an external LRS is configured)
+        if (scheduleXapiForwarding()) {
+            console.log('✅ xAPI forwarding job started');
+        }
+
         // Start server
         server.listen(PORT, () => {
             console.log(`🚀 Server: http://localhost:${PORT}`);
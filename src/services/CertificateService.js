@@ -0,0 +1,450 @@
+// src/services/CertificateService.js
+const PDFDocument = require('pdfkit');
+const {
+    Certificate,
+    User,
+    Module,
+    ModuleProgress,
+    ModuleRevision,
+    LearningPath,
+    LearningPathEnrollment
+} = require('../model');
+const FileStorageService = require('./FileStorageService');
+const { Op } = require('sequelize');
+
+// Roles that can open any learner's certificate
+const STAFF_ROLES = ['admin', 'educator', 'moderator'];
+
+const MAX_CODE_ATTEMPTS = 3;
+
+/**
+ * Certificate Service - Completion certificates (PDF) and public verification
+ */
+class CertificateService {
+    /**
+     * Issue the certificate for a completed module (returns the existing one if already issued)
+     * The title is the one of the published revision learners completed, never the draft
+     */
+    async issueModuleCertificate(moduleId, userId) {
+        try {
+            const module = await Module.findByPk(moduleId, {
+                include: [{ model: ModuleRevision, as: 'publishedRevision', attributes: ['id', 'title'], required: false }]
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const progress = await ModuleProgress.findOne({
+                where: { user_id: userId, module_id: module.id }
+            });
+            if (!progress || !progress.isCompleted()) {
+                throw Object.assign(new Error('Complete the module to receive its certificate'), {
+                    statusCode: 409,
+                    code: 'MODULE_NOT_COMPLETED'
+                });
+            }
+
+            return await this._issue(userId, {
+                certificate_type: 'module',
+                module_id: module.id,
+                title: module.getPublishedVersion().title,
+                completed_at: progress.completed_at || new Date()
+            }, module.created_by);
+        } catch (error) {
+            console.error('CertificateService.issueModuleCertificate error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Issue the certificate for a completed learning path (returns the existing one if already issued)
+     */
+    async issuePathCertificate(pathId, userId) {
+        try {
+            const path = await LearningPath.findByPk(pathId);
+            if (!path) {
+                throw new Error('Learning path not found');
+            }
+
+            const enrollment = await LearningPathEnrollment.findOne({
+                where: { user_id: userId, learning_path_id: path.id }
+            });
+            if (!enrollment || !enrollment.isCompleted()) {
+                throw Object.assign(new Error('Complete the learning path to receive its certificate'), {
+                    statusCode: 409,
+                    code: 'PATH_NOT_COMPLETED'
+                });
+            }
+
+            return await this._issue(userId, {
+                certificate_type: 'learning_path',
+                learning_path_id: path.id,
+                title: path.title,
+                completed_at: enrollment.completed_at
+            }, path.created_by);
+        } catch (error) {
+            console.error('CertificateService.issuePathCertificate error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Public verification by code
+     */
+    async verifyCertificate(code) {
+        try {
+            const normalized = Certificate.normalizeCode(code);
+            const certificate = normalized
+                ? await Certificate.findOne({ where: { code: normalized } })
+                : null;
+
+            if (!certificate) {
+                throw new Error('Certificate not found');
+            }
+
+            return {
+                success: true,
+                valid: !certificate.isRevoked(),
+                certificate: certificate.toVerificationJSON()
+            };
+        } catch (error) {
+            console.error('CertificateService.verifyCertificate error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the current user's certificates
+     */
+    async getMyCertificates(userId) {
+        try {
+            const certificates = await Certificate.findAll({
+                where: { user_id: userId },
+                order: [['completed_at', 'DESC']]
+            });
+
+            return {
+                success: true,
+                certificates: certificates.map(c => c.toSafeJSON())
+            };
+        } catch (error) {
+            console.error('CertificateService.getMyCertificates error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List certificates (staff)
+     * @param {Object} filters - { user_id, module_id, learning_path_id, revoked, page, limit }
+     */
+    async getCertificates(filters = {}) {
+        try {
+            const where = {};
+            if (filters.user_id) where.user_id = filters.user_id;
+            if (filters.module_id) where.module_id = filters.module_id;
+            if (filters.learning_path_id) where.learning_path_id = filters.learning_path_id;
+            if (filters.revoked !== undefined) {
+                where.revoked_at = filters.revoked ? { [Op.ne]: null } : null;
+            }
+
+            const page = parseInt(filters.page) || 1;
+            const limit = Math.min(parseInt(filters.limit) || 20, 100);
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await Certificate.findAndCountAll({
+                where,
+                order: [['created_at', 'DESC']],
+                limit,
+                offset
+            });
+
+            return {
+                success: true,
+                certificates: rows.map(c => c.toSafeJSON()),
+                pagination: {
+                    total: count,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.error('CertificateService.getCertificates error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a certificate (owner or staff); the PDF is generated now if an earlier attempt failed
+     */
+    async getCertificate(certificateId, user) {
+        try {
+            const certificate = await Certificate.findByPk(certificateId);
+            if (!certificate || (certificate.user_id !== user.id && !STAFF_ROLES.includes(user.role))) {
+                throw new Error('Certificate not found');
+            }
+
+            if (!certificate.file_key && !certificate.isRevoked()) {
+                await this._generateFile(certificate);
+            }
+
+            return {
+                success: true,
+                certificate: certificate.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('CertificateService.getCertificate error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a certificate (it then verifies as revoked)
+     */
+    async revokeCertificate(certificateId, revokedBy, reason = null) {
+        try {
+            const certificate = await Certificate.findByPk(certificateId);
+            if (!certificate) {
+                throw new Error('Certificate not found');
+            }
+            if (certificate.isRevoked()) {
+                throw Object.assign(new Error('Certificate is already revoked'), {
+                    statusCode: 409,
+                    code: 'CERTIFICATE_REVOKED'
+                });
+            }
+
+            await certificate.update({
+                revoked_at: new Date(),
+                revoked_by: revokedBy,
+                revocation_reason: reason ? String(reason).slice(0, 255) : null
+            });
+
+            return {
+                success: true,
+                certificate: certificate.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('CertificateService.revokeCertificate error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload/replace the signature image printed on certificates the user signs
+     */
+    async updateSignature(userId, fileBuffer) {
+        try {
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const result = await FileStorageService.uploadSignatureImage(fileBuffer, user.id, user.signature_key);
+            await user.update({ signature_key: result.key });
+
+            return {
+                success: true,
+                signature: {
+                    url: result.url,
+                    size: result.size
+                }
+            };
+        } catch (error) {
+            console.error('CertificateService.updateSignature error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Render a certificate as a PDF
+     * @param {Object} data - { code, certificate_type, recipient_name, title, completed_at, signer_name }
+     * @param {Buffer|null} signatureImage - PNG/JPEG signature
+     * @returns {Promise<Buffer>}
+     */
+    renderPdf(data, signatureImage = null) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                layout: 'landscape',
+                margin: 0,
+                info: {
+                    Title: `Certificate of Completion - ${data.title}`,
+                    Author: 'ProtectEd',
+                    Subject: data.code
+                }
+            });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const width = doc.page.width;
+            const height = doc.page.height;
+            const contentWidth = width - 160;
+
+            // Border
+            doc.lineWidth(3).strokeColor('#1f4e79').rect(24, 24, width - 48, height - 48).stroke();
+            doc.lineWidth(1).rect(34, 34, width - 68, height - 68).stroke();
+
+            doc.fillColor('#1f4e79').font('Helvetica-Bold').fontSize(14)
+                .text('ProtectEd', 80, 70, { width: contentWidth, align: 'center', characterSpacing: 2 });
+
+            doc.fontSize(32)
+                .text('CERTIFICATE OF COMPLETION', 80, 100, { width: contentWidth, align: 'center' });
+
+            doc.fillColor('#333333').font('Helvetica').fontSize(14)
+                .text('This certifies that', 80, 170, { width: contentWidth, align: 'center' });
+
+            doc.fillColor('#000000').font('Helvetica-Bold').fontSize(28)
+                .text(data.recipient_name, 80, 198, { width: contentWidth, align: 'center' });
+
+            doc.fillColor('#333333').font('Helvetica').fontSize(14)
+                .text(
+                    data.certificate_type === 'learning_path'
+                        ? 'has successfully completed the learning path'
+                        : 'has successfully completed the module',
+                    80, 248, { width: contentWidth, align: 'center' }
+                );
+
+            doc.fillColor('#000000').font('Helvetica-Bold').fontSize(20)
+                .text(data.title, 80, 276, { width: contentWidth, align: 'center' });
+
+            doc.fillColor('#333333').font('Helvetica').fontSize(13)
+                .text(`on ${this._formatDate(data.completed_at)}`, 80, 340, { width: contentWidth, align: 'center' });
+
+            // Signature block
+            const signatureX = 120;
+            const lineY = height - 130;
+            if (signatureImage) {
+                try {
+                    doc.image(signatureImage, signatureX, lineY - 62, { fit: [220, 58], align: 'center', valign: 'bottom' });
+                } catch (err) {
+                    console.warn('Failed to draw certificate signature:', err.message);
+                }
+            }
+            doc.lineWidth(1).strokeColor('#333333')
+                .moveTo(signatureX, lineY).lineTo(signatureX + 220, lineY).stroke();
+            doc.fillColor('#000000').font('Helvetica-Bold').fontSize(12)
+                .text(data.signer_name || 'ProtectEd', signatureX, lineY + 6, { width: 220, align: 'center' });
+            doc.fillColor('#555555').font('Helvetica').fontSize(10)
+                .text('Facilitator', signatureX, lineY + 22, { width: 220, align: 'center' });
+
+            // Verification block
+            const verifyX = width - 400;
+            doc.fillColor('#000000').font('Helvetica-Bold').fontSize(12)
+                .text(`Certificate code: ${data.code}`, verifyX, lineY - 20, { width: 280, align: 'right' });
+            const verificationUrl = this._verificationUrl(data.code);
+            if (verificationUrl) {
+                doc.fillColor('#555555').font('Helvetica').fontSize(9)
+                    .text(`Verify at ${verificationUrl}`, verifyX, lineY, { width: 280, align: 'right' });
+            }
+
+            doc.end();
+        });
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Create the certificate row (once per learner and module/path) and its PDF
+     * PDF problems never block issuing; getCertificate retries them
+     * @private
+     */
+    async _issue(userId, attributes, signerId) {
+        const ownerWhere = attributes.certificate_type === 'module'
+            ? { user_id: userId, module_id: attributes.module_id }
+            : { user_id: userId, learning_path_id: attributes.learning_path_id };
+
+        const existing = await Certificate.findOne({ where: ownerWhere });
+        if (existing) {
+            return { success: true, created: false, certificate: existing.toSafeJSON() };
+        }
+
+        const user = await User.findByPk(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        const signer = signerId ? await User.findByPk(signerId) : null;
+
+        let certificate = null;
+        for (let attempt = 1; !certificate; attempt++) {
+            try {
+                certificate = await Certificate.create({
+                    ...attributes,
+                    code: Certificate.generateCode(),
+                    user_id: user.id,
+                    recipient_name: user.name || user.email,
+                    title: String(attributes.title).slice(0, 255),
+                    signer_id: signer ? signer.id : null,
+                    signer_name: signer ? signer.name : null
+                });
+            } catch (error) {
+                if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+
+                // Issued concurrently for the same module/path
+                const concurrent = await Certificate.findOne({ where: ownerWhere });
+                if (concurrent) {
+                    return { success: true, created: false, certificate: concurrent.toSafeJSON() };
+                }
+                // Otherwise the random code collided
+                if (attempt >= MAX_CODE_ATTEMPTS) throw error;
+            }
+        }
+
+        await this._generateFile(certificate, signer);
+
+        return { success: true, created: true, certificate: certificate.toSafeJSON() };
+    }
+
+    /**
+     * Render and store the certificate PDF
+     * @private
+     */
+    async _generateFile(certificate, signer = undefined) {
+        try {
+            if (signer === undefined) {
+                signer = certificate.signer_id ? await User.findByPk(certificate.signer_id) : null;
+            }
+
+            let signatureImage = null;
+            if (signer && signer.signature_key) {
+                try {
+                    signatureImage = await FileStorageService.getFileBuffer(signer.signature_key);
+                } catch (err) {
+                    console.warn('Failed to load facilitator signature:', err.message);
+                }
+            }
+
+            const pdf = await this.renderPdf(certificate, signatureImage);
+            const upload = await FileStorageService.uploadCertificate(pdf, certificate.user_id, certificate.code);
+            await certificate.update({ file_key: upload.key, file_size: upload.size });
+        } catch (error) {
+            console.error(`Failed to generate certificate PDF ${certificate.code}:`, error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _verificationUrl(code) {
+        const base = process.env.CERTIFICATE_VERIFY_URL ||
+            (process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/certificates/verify` : null);
+        return base ? `${base.replace(/\/+$/, '')}/${code}` : null;
+    }
+
+    /**
+     * @private
+     */
+    _formatDate(date) {
+        return new Date(date).toLocaleDateString('en-PH', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'Asia/Manila'
+        });
+    }
+}
+
+module.exports = new CertificateService();
@@ -0,0 +1,121 @@
+// src/services/DocumentExtractionService.js
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const PDF_MIME = 'application/pdf';
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Average adult silent reading speed
+const WORDS_PER_MINUTE = 200;
+
+// Used to estimate page count for DOCX, which has no fixed pagination
+const WORDS_PER_PAGE = 500;
+
+// Width of the generated first-page preview (thumbnail processing resizes it further)
+const PREVIEW_WIDTH = 1200;
+
+/**
+ * Document Extraction Service - Plain text, page counts and previews from module files
+ */
+class DocumentExtractionService {
+    /**
+     * Check if text can be extracted from this file type
+     * Legacy .doc files are stored but not parsed
+     */
+    supports(mimetype) {
+        return mimetype === PDF_MIME || mimetype === DOCX_MIME;
+    }
+
+    /**
+     * Extract text, statistics and (for PDFs) a first-page preview
+     * @param {Buffer} buffer - File contents
+     * @param {string} mimetype - File MIME type
+     * @param {Object} options - { preview } render a first-page PNG (PDF only)
+     * @returns {Promise<Object|null>} - { text, page_count, word_count, estimated_reading_minutes, preview } or null if unsupported
+     */
+    async extract(buffer, mimetype, options = {}) {
+        try {
+            if (mimetype === PDF_MIME) {
+                return await this._extractPdf(buffer, options);
+            }
+            if (mimetype === DOCX_MIME) {
+                return await this._extractDocx(buffer);
+            }
+            return null;
+        } catch (error) {
+            console.error('DocumentExtractionService.extract error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    async _extractPdf(buffer, options) {
+        const parser = new PDFParse({ data: new Uint8Array(buffer) });
+
+        try {
+            const textResult = await parser.getText({ pageJoiner: '' });
+
+            let preview = null;
+            if (options.preview && textResult.total > 0) {
+                const screenshot = await parser.getScreenshot({
+                    partial: [1],
+                    desiredWidth: PREVIEW_WIDTH,
+                    imageDataUrl: false,
+                    imageBuffer: true
+                });
+                if (screenshot.pages.length > 0) {
+                    preview = Buffer.from(screenshot.pages[0].data);
+                }
+            }
+
+            return {
+                ...this._stats(textResult.text, textResult.total),
+                preview
+            };
+        } finally {
+            await parser.destroy();
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _extractDocx(buffer) {
+        const result = await mammoth.extractRawText({ buffer });
+        const stats = this._stats(result.value, null);
+
+        return {
+            ...stats,
+            // Word documents reflow, so the page count is an estimate
+            page_count: stats.word_count > 0 ? Math.ceil(stats.word_count / WORDS_PER_PAGE) : 0,
+            preview: null
+        };
+    }
+
+    /**
+     * Normalize text and compute reading statistics
+     * @private
+     */
+    _stats(rawText, pageCount) {
+        const text = String(rawText || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        const wordCount = text ? text.split(/\s+/).length : 0;
+
+        return {
+            text,
+            page_count: pageCount,
+            word_count: wordCount,
+            estimated_reading_minutes: wordCount > 0 ? Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)) : 0
+        };
+    }
+}
+
+module.exports = new DocumentExtractionService();
@@ -0,0 +1,100 @@
+// src/services/EncryptionService.js
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+const IV_BYTES = 12;
+
+/**
+ * Encryption Service - AES-256-GCM for private data stored at rest
+ * - Key from NOTES_ENCRYPTION_KEY (32 bytes as 64 hex chars or base64)
+ * - Payload format: v1:<iv>:<auth tag>:<ciphertext> (base64 parts)
+ * - Associated data binds a payload to its owner, so it cannot be copied to another row
+ */
+class EncryptionService {
+    constructor() {
+        this.key = null;
+    }
+
+    /**
+     * Check if a key is configured
+     */
+    isConfigured() {
+        try {
+            return !!this._getKey();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Encrypt text
+     * @param {string} plaintext
+     * @param {string} associatedData - Context the payload is bound to (e.g. "module-note:12:4")
+     * @returns {string} - Versioned payload
+     */
+    encrypt(plaintext, associatedData = '') {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this._getKey(), iv);
+        cipher.setAAD(Buffer.from(associatedData, 'utf8'));
+
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+
+        return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+    }
+
+    /**
+     * Decrypt a payload created by encrypt()
+     * @param {string} payload
+     * @param {string} associatedData - Must match the value used to encrypt
+     * @returns {string}
+     */
+    decrypt(payload, associatedData = '') {
+        const parts = String(payload).split(':');
+        if (parts.length !== 4 || parts[0] !== VERSION) {
+            throw new Error('Unsupported encrypted payload');
+        }
+
+        const [, iv, tag, ciphertext] = parts;
+        const decipher = crypto.createDecipheriv(ALGORITHM, this._getKey(), Buffer.from(iv, 'base64'));
+        decipher.setAAD(Buffer.from(associatedData, 'utf8'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Load the key on first use so the app still starts without it
+     * @private
+     */
+    _getKey() {
+        if (this.key) return this.key;
+
+        const raw = process.env.NOTES_ENCRYPTION_KEY;
+        if (!raw) {
+            throw Object.assign(new Error('Encryption key is not configured'), {
+                statusCode: 503,
+                code: 'ENCRYPTION_UNAVAILABLE'
+            });
+        }
+
+        const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+        if (key.length !== 32) {
+            throw Object.assign(new Error('NOTES_ENCRYPTION_KEY must be 32 bytes (64 hex chars or base64)'), {
+                statusCode: 503,
+                code: 'ENCRYPTION_UNAVAILABLE'
+            });
+        }
+
+        this.key = key;
+        return key;
+    }
+}
+
+module.exports = new EncryptionService();
@@ -1,5 +1,5 @@
 // services/FileStorageService.js
-const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand, ListObjectsV2Command, CopyObjectCommand } = require('@aws-sdk/client-s3');
 const sharp = require('sharp');
 const crypto = require('crypto');
 const path = require('path');
@@ -16,7 +16,11 @@ const path = require('path');
  * /avatars/{userId}/{timestamp}-{hash}.jpg
  * /announcements/{announcementId}/{timestamp}-{hash}.{ext}
  * /modules/{moduleId}/{type}/{timestamp}-{hash}.{ext}
+ * /modules/{moduleId}/scorm/{packageKey}/{path inside the package}
+ * /modules/{moduleId}/media/{timestamp}-{hash}.{ext} (tracks under media/tracks/)
  * /badges/{badgeId}/{timestamp}-{hash}.png
+ * /signatures/{userId}/{timestamp}-{hash}.png
+ * /certificates/{userId}/{timestamp}-{hash}.pdf
  * /uploads/{userId}/{category}/{timestamp}-{hash}.{ext}
  */
 class FileStorageService {
@@ -78,6 +82,12 @@ class FileStorageService {
                     quality: 90,
                     format: 'png',
                     preserveTransparency: true
+                },
+                signature: {
+                    maxWidth: 600,
+                    maxHeight: 200,
+                    format: 'png',
+                    preserveTransparency: true
                 }
             },
 
@@ -89,7 +99,7 @@ class FileStorageService {
             },
 
             // Security
-            allowedExtensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'mp4', 'webm', 'mp3', 'wav'],
+            allowedExtensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'mp4', 'webm', 'mov', 'mp3', 'wav', 'ogg'],
             blockedExtensions: ['exe', 'bat', 'cmd', 'sh', 'php', 'asp', 'aspx', 'jsp', 'js', 'html', 'htm']
         };
 
@@ -221,7 +231,10 @@ class FileStorageService {
     async uploadModuleFile(fileBuffer, moduleId, fileType, mimetype, originalFilename, options = {}) {
         try {
             // Validate file type based on purpose
-            const allowedCategories = fileType === 'thumbnail' ? ['images'] : ['images', 'documents', 'videos'];
+            const allowedCategories = {
+                thumbnail: ['images'],
+                attachment: ['images', 'documents', 'spreadsheets', 'presentations']
+            }[fileType] || ['images', 'documents', 'videos'];
             this._validateFileType(mimetype, allowedCategories);
 
             const ext = this._extractExtension(originalFilename, mimetype);
@@ -264,6 +277,125 @@ class FileStorageService {
         }
     }
 
+    /**
+     * Upload one asset of an unpacked SCORM package
+     * Keeps the package's relative path so the content's own links keep working.
+     * HTML and scripts are expected here (SCORM content runs in the browser);
+     * server-side executables are still refused.
+     * @param {string} packageKey - Folder shared by all assets of one package upload
+     * @param {string} relativePath - Path inside the package (already normalized)
+     */
+    async uploadScormAsset(fileBuffer, moduleId, packageKey, relativePath) {
+        try {
+            const ext = path.extname(relativePath).slice(1).toLowerCase();
+            const serverSide = ['exe', 'bat', 'cmd', 'sh', 'php', 'asp', 'aspx', 'jsp'];
+            if (serverSide.includes(ext)) {
+                throw new Error(`File extension ".${ext}" is not allowed for security reasons`);
+            }
+
+            const key = `modules/${moduleId}/scorm/${packageKey}/${relativePath}`;
+            const contentType = this._getMimetypeFromExt(ext);
+
+            await this._uploadToR2(
+                fileBuffer,
+                key,
+                contentType,
+                this.config.cacheControl.immutable,
+                {
+                    moduleId: String(moduleId),
+                    fileType: 'scorm'
+                }
+            );
+
+            return {
+                key: key,
+                url: this._constructUrl(key),
+                size: fileBuffer.length,
+                contentType
+            };
+
+        } catch (error) {
+            console.error('SCORM asset upload error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a module media attachment (video, audio or slides)
+     * Stored as uploaded: media is streamed by the browser, not transformed
+     */
+    async uploadModuleMedia(fileBuffer, moduleId, mimetype, originalFilename, options = {}) {
+        try {
+            const validation = this.validateFile({ buffer: fileBuffer, mimetype, originalFilename }, 'video');
+            if (!validation.valid) {
+                throw new Error(`File validation failed: ${validation.errors.join(', ')}`);
+            }
+            this._validateFileType(mimetype, ['videos', 'audio', 'presentations', 'documents']);
+
+            const ext = this._extractExtension(originalFilename, mimetype);
+            const key = this._generateKey(`modules/${moduleId}/media`, null, ext);
+
+            await this._uploadToR2(
+                fileBuffer,
+                key,
+                mimetype,
+                this.config.cacheControl.immutable,
+                {
+                    moduleId: String(moduleId),
+                    fileType: 'media',
+                    originalFilename: originalFilename,
+                    uploadedBy: options.uploadedBy ? String(options.uploadedBy) : undefined
+                }
+            );
+
+            return {
+                key: key,
+                url: this._constructUrl(key),
+                size: fileBuffer.length,
+                contentType: mimetype,
+                uploadedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('Module media upload error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a WebVTT caption/subtitle track for module media
+     * @param {string} vtt - WebVTT document (already validated)
+     */
+    async uploadMediaTrack(vtt, moduleId, mediaId, language) {
+        try {
+            const buffer = Buffer.from(vtt, 'utf8');
+            const key = this._generateKey(`modules/${moduleId}/media/tracks`, null, 'vtt');
+
+            await this._uploadToR2(
+                buffer,
+                key,
+                'text/vtt; charset=utf-8',
+                this.config.cacheControl.immutable,
+                {
+                    moduleId: String(moduleId),
+                    mediaId: String(mediaId),
+                    fileType: 'track',
+                    language: language
+                }
+            );
+
+            return {
+                key: key,
+                url: this._constructUrl(key),
+                size: buffer.length
+            };
+
+        } catch (error) {
+            console.error('Media track upload error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Upload Badge/Achievement Image
      */
@@ -296,6 +428,77 @@ class FileStorageService {
         }
     }
 
+    /**
+     * Upload Facilitator Signature Image (used on certificates)
+     * @param {string|null} oldSignatureKey - Previous signature KEY to delete
+     */
+    async uploadSignatureImage(fileBuffer, userId, oldSignatureKey = null) {
+        try {
+            const processedImage = await this._processSignature(fileBuffer);
+            const key = this._generateKey(`signatures/${userId}`, null, 'png');
+
+            await this._uploadToR2(
+                processedImage,
+                key,
+                'image/png',
+                this.config.cacheControl.immutable,
+                {
+                    userId: String(userId),
+                    type: 'signature'
+                }
+            );
+
+            if (oldSignatureKey) {
+                await this.deleteFile(oldSignatureKey).catch(err => {
+                    console.warn('Failed to delete old signature:', err.message);
+                });
+            }
+
+            return {
+                key: key,
+                url: this._constructUrl(key),
+                size: processedImage.length,
+                uploadedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('Signature upload error:', error);
+            throw new Error(`Failed to upload signature: ${error.message}`);
+        }
+    }
+
+    /**
+     * Upload Generated Certificate PDF
+     */
+    async uploadCertificate(pdfBuffer, userId, certificateCode) {
+        try {
+            const key = this._generateKey(`certificates/${userId}`, null, 'pdf');
+
+            await this._uploadToR2(
+                pdfBuffer,
+                key,
+                'application/pdf',
+                this.config.cacheControl.immutable,
+                {
+                    userId: String(userId),
+                    certificateCode: certificateCode,
+                    type: 'certificate'
+                }
+            );
+
+            return {
+                key: key,
+                url: this._constructUrl(key),
+                size: pdfBuffer.length,
+                uploadedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('Certificate upload error:', error);
+            throw new Error(`Failed to upload certificate: ${error.message}`);
+        }
+    }
+
     /**
      * Delete File by KEY (not URL)
      * @param {string} keyOrUrl - File key OR full URL (will extract key)
@@ -346,6 +549,90 @@ class FileStorageService {
         };
     }
 
+    /**
+     * Delete every file under a prefix (e.g. an unpacked SCORM package)
+     * @returns {Promise<number>} - Number of files deleted
+     */
+    async deleteFilesByPrefix(prefix) {
+        if (!prefix || !prefix.endsWith('/')) {
+            throw new Error('Prefix must be a folder ending with "/"');
+        }
+
+        let deleted = 0;
+        let continuationToken;
+        do {
+            const response = await this.r2Client.send(new ListObjectsV2Command({
+                Bucket: this.config.bucketName,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+
+            const keys = (response.Contents || []).map(item => item.Key);
+            const results = await this.deleteMultipleFiles(keys);
+            deleted += results.successful;
+
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return deleted;
+    }
+
+    /**
+     * Copy a file inside the bucket (server-side, nothing is downloaded)
+     * @param {string} sourceKeyOrUrl - File key OR full URL
+     * @param {string} destinationKey - Key of the copy
+     * @returns {Promise<Object>} - { key, url }
+     */
+    async copyFile(sourceKeyOrUrl, destinationKey) {
+        try {
+            const sourceKey = this._extractKeyFromUrlOrKey(sourceKeyOrUrl);
+            if (!sourceKey || !destinationKey) {
+                throw new Error('Invalid file key or URL');
+            }
+
+            await this.r2Client.send(new CopyObjectCommand({
+                Bucket: this.config.bucketName,
+                Key: destinationKey,
+                CopySource: `${this.config.bucketName}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+                MetadataDirective: 'COPY'
+            }));
+
+            return { key: destinationKey, url: this._constructUrl(destinationKey) };
+        } catch (error) {
+            console.error('Copy file error:', error);
+            throw new Error(`Failed to copy file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Copy every file under a prefix to another prefix (e.g. an unpacked SCORM package)
+     * @returns {Promise<number>} - Number of files copied
+     */
+    async copyFilesByPrefix(sourcePrefix, destinationPrefix) {
+        if (!sourcePrefix || !sourcePrefix.endsWith('/') || !destinationPrefix || !destinationPrefix.endsWith('/')) {
+            throw new Error('Prefix must be a folder ending with "/"');
+        }
+
+        let copied = 0;
+        let continuationToken;
+        do {
+            const response = await this.r2Client.send(new ListObjectsV2Command({
+                Bucket: this.config.bucketName,
+                Prefix: sourcePrefix,
+                ContinuationToken: continuationToken
+            }));
+
+            for (const item of response.Contents || []) {
+                await this.copyFile(item.Key, destinationPrefix + item.Key.slice(sourcePrefix.length));
+                copied++;
+            }
+
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return copied;
+    }
+
     /**
      * List Files by Prefix
      */
@@ -404,6 +691,31 @@ class FileStorageService {
         }
     }
 
+    /**
+     * Download File Contents
+     * @param {string} keyOrUrl - File key OR full URL
+     * @returns {Promise<Buffer>} - File contents
+     */
+    async getFileBuffer(keyOrUrl) {
+        try {
+            const key = this._extractKeyFromUrlOrKey(keyOrUrl);
+
+            const command = new GetObjectCommand({
+                Bucket: this.config.bucketName,
+                Key: key
+            });
+
+            const response = await this.r2Client.send(command);
+            const bytes = await response.Body.transformToByteArray();
+
+            return Buffer.from(bytes);
+
+        } catch (error) {
+            console.error('Get file buffer error:', error);
+            throw new Error(`Failed to download file: ${error.message}`);
+        }
+    }
+
     /**
      * Comprehensive File Validation
      * @param {Object} file - File object with buffer, mimetype, originalFilename
@@ -714,6 +1026,23 @@ class FileStorageService {
             .toBuffer();
     }
 
+    /**
+     * Process Signature Image (trim whitespace, preserve transparency)
+     * @private
+     */
+    async _processSignature(buffer) {
+        const opts = this.config.imageOptimization.signature;
+
+        return await sharp(buffer)
+            .trim()
+            .resize(opts.maxWidth, opts.maxHeight, {
+                fit: 'inside',
+                withoutEnlargement: true
+            })
+            .png({ compressionLevel: 9 })
+            .toBuffer();
+    }
+
     /**
      * Extract File Extension
      * @private
@@ -771,12 +1100,54 @@ class FileStorageService {
             'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
             'application/vnd.ms-excel': 'xls',
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+            'application/vnd.ms-powerpoint': 'ppt',
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
             'video/mp4': 'mp4',
-            'video/webm': 'webm'
+            'video/webm': 'webm',
+            'video/quicktime': 'mov',
+            'audio/mpeg': 'mp3',
+            'audio/wav': 'wav',
+            'audio/ogg': 'ogg'
         };
         return map[mimetype] || 'bin';
     }
 
+    /**
+     * Get mimetype from file extension (web content served from storage)
+     * @private
+     */
+    _getMimetypeFromExt(ext) {
+        const map = {
+            html: 'text/html',
+            htm: 'text/html',
+            js: 'application/javascript',
+            css: 'text/css',
+            json: 'application/json',
+            xml: 'application/xml',
+            xsd: 'application/xml',
+            txt: 'text/plain',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg',
+            png: 'image/png',
+            gif: 'image/gif',
+            svg: 'image/svg+xml',
+            webp: 'image/webp',
+            ico: 'image/x-icon',
+            woff: 'font/woff',
+            woff2: 'font/woff2',
+            ttf: 'font/ttf',
+            mp3: 'audio/mpeg',
+            wav: 'audio/wav',
+            ogg: 'audio/ogg',
+            mp4: 'video/mp4',
+            webm: 'video/webm',
+            vtt: 'text/vtt',
+            pdf: 'application/pdf',
+            swf: 'application/x-shockwave-flash'
+        };
+        return map[ext] || 'application/octet-stream';
+    }
+
     /**
      * Format bytes to human readable
      * @private
@@ -0,0 +1,659 @@
+// src/services/LearningPathService.js
+const {
+    sequelize,
+    LearningPath,
+    LearningPathModule,
+    LearningPathEnrollment,
+    Module,
+    ModuleProgress,
+    ModuleRevision,
+    User
+} = require('../model');
+const CertificateService = require('./CertificateService');
+const { Op } = require('sequelize');
+
+// Module fields shown inside a path; snapshotted ones come from the published revision (see _itemJSON)
+const MODULE_SUMMARY_ATTRIBUTES = [
+    'id', 'title', 'type', 'category', 'difficulty_level', 'thumbnail_key', 'points', 'is_published', 'published_revision_id'
+];
+const REVISION_SUMMARY_ATTRIBUTES = ['id', 'title', 'type', 'category', 'thumbnail_key'];
+
+/**
+ * Learning Path Service - Curricula that sequence modules
+ */
+class LearningPathService {
+    /**
+     * Create a learning path
+     * @param {Object} data - { title, description, category, target_audience, completion_points, modules }
+     *                        modules: [moduleId, ...] or [{ module_id, is_required }, ...] in path order
+     */
+    async createPath(data, createdBy) {
+        const transaction = await sequelize.transaction();
+        let path;
+        try {
+            const items = await this._normalizeModules(data.modules || []);
+
+            path = await LearningPath.create({
+                ...this._pathFields(data),
+                created_by: createdBy,
+                updated_by: createdBy
+            }, { transaction });
+
+            await LearningPathModule.bulkCreate(
+                items.map(item => ({ ...item, learning_path_id: path.id })),
+                { transaction }
+            );
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('LearningPathService.createPath error:', error);
+            throw error;
+        }
+
+        return await this.getPathById(path.id, true);
+    }
+
+    /**
+     * Update a learning path
+     * Passing `modules` replaces the whole sequence
+     */
+    async updatePath(pathId, data, updatedBy) {
+        const transaction = await sequelize.transaction();
+        try {
+            const path = await LearningPath.findByPk(pathId, { transaction });
+            if (!path) {
+                throw new Error('Learning path not found');
+            }
+
+            await path.update({
+                ...this._pathFields(data),
+                updated_by: updatedBy
+            }, { transaction });
+
+            if (data.modules !== undefined) {
+                const items = await this._normalizeModules(data.modules || []);
+
+                await LearningPathModule.destroy({
+                    where: { learning_path_id: path.id },
+                    transaction
+                });
+                await LearningPathModule.bulkCreate(
+                    items.map(item => ({ ...item, learning_path_id: path.id })),
+                    { transaction }
+                );
+            }
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            console.error('LearningPathService.updatePath error:', error);
+            throw error;
+        }
+
+        return await this.getPathById(pathId, true);
+    }
+
+    /**
+     * Delete learning path (soft delete)
+     */
+    async deletePath(pathId) {
+        try {
+            const path = await LearningPath.findByPk(pathId);
+            if (!path) {
+                throw new Error('Learning path not found');
+            }
+
+            await path.destroy();
+
+            return {
+                success: true,
+                message: 'Learning path deleted successfully'
+            };
+        } catch (error) {
+            console.error('LearningPathService.deletePath error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Publish/unpublish learning path
+     */
+    async togglePublish(pathId, updatedBy) {
+        try {
+            const path = await this._findPathWithModules({ id: pathId });
+            if (!path) {
+                throw new Error('Learning path not found');
+            }
+
+            if (path.is_published) {
+                await path.unpublish();
+            } else {
+                const publishedItems = this._visibleItems(path, false);
+                if (publishedItems.length === 0) {
+                    throw Object.assign(new Error('Add at least one published module before publishing this path'), {
+                        statusCode: 409,
+                        code: 'PATH_EMPTY'
+                    });
+                }
+                await path.publish();
+            }
+
+            await path.update({ updated_by: updatedBy });
+
+            return {
+                success: true,
+                is_published: path.is_published,
+                message: path.is_published ? 'Learning path published' : 'Learning path unpublished'
+            };
+        } catch (error) {
+            console.error('LearningPathService.togglePublish error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get learning paths
+     * @param {Object} filters - { category, search, includeUnpublished, userId, page, limit }
+     */
+    async getPaths(filters = {}) {
+        try {
+            const where = {};
+            if (filters.category) where.category = filters.category;
+            if (!filters.includeUnpublished) where.is_published = true;
+            if (filters.search) {
+                where.title = { [Op.like]: `%${filters.search}%` };
+            }
+
+            const page = parseInt(filters.page) || 1;
+            const limit = parseInt(filters.limit) || 20;
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await LearningPath.findAndCountAll({
+                where,
+                include: [{
+                    model: User,
+                    as: 'creator',
+                    attributes: ['id', 'name']
+                }],
+                order: [['created_at', 'DESC']],
+                limit,
+                offset
+            });
+
+            // Module counts per path
+            const items = await LearningPathModule.findAll({
+                where: { learning_path_id: rows.map(p => p.id) },
+                include: [{
+                    model: Module,
+                    as: 'module',
+                    attributes: ['id', 'is_published'],
+                    required: true
+                }]
+            });
+
+            const enrolledIds = filters.userId
+                ? (await LearningPathEnrollment.findAll({
+                    where: { user_id: filters.userId, learning_path_id: rows.map(p => p.id) },
+                    attributes: ['learning_path_id']
+                })).map(e => e.learning_path_id)
+                : [];
+
+            const paths = rows.map(path => ({
+                ...path.toSafeJSON(),
+                module_count: items.filter(item => (
+                    item.learning_path_id === path.id && (filters.includeUnpublished || item.module.is_published)
+                )).length,
+                is_enrolled: enrolledIds.includes(path.id)
+            }));
+
+            return {
+                success: true,
+                paths,
+                pagination: {
+                    total: count,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.error('LearningPathService.getPaths error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a learning path with its ordered modules
+     * When userId is given, per-module and path-level progress are included
+     */
+    async getPathById(pathId, includeUnpublished = false, userId = null) {
+        try {
+            const where = { id: pathId };
+            if (!includeUnpublished) {
+                where.is_published = true;
+            }
+
+            const path = await this._findPathWithModules(where);
+            if (!path) {
+                throw new Error('Learning path not found');
+            }
+
+            const items = this._visibleItems(path, includeUnpublished);
+            const data = {
+                ...path.toSafeJSON(),
+                modules: items.map(item => this._itemJSON(item))
+            };
+
+            if (userId) {
+                const progressRecords = await ModuleProgress.findAll({
+                    where: { user_id: userId, module_id: items.map(item => item.module_id) }
+                });
+                const enrollment = await LearningPathEnrollment.findOne({
+                    where: { user_id: userId, learning_path_id: path.id }
+                });
+
+                data.modules = items.map(item => this._itemJSON(item, progressRecords));
+                data.progress = this._computeProgress(items, progressRecords);
+                data.enrollment = enrollment ? this._enrollmentJSON(enrollment) : null;
+            }
+
+            return {
+                success: true,
+                path: data
+            };
+        } catch (error) {
+            console.error('LearningPathService.getPathById error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== ENROLLMENT ====================
+
+    /**
+     * Enroll a learner in a published path
+     * Modules already completed count toward the path immediately
+     */
+    async enroll(pathId, userId) {
+        try {
+            const path = await this._findPathWithModules({ id: pathId, is_published: true });
+            if (!path) {
+                throw new Error('Learning path not found');
+            }
+
+            const [enrollment, created] = await LearningPathEnrollment.findOrCreate({
+                where: { user_id: userId, learning_path_id: path.id },
+                defaults: {
+                    user_id: userId,
+                    learning_path_id: path.id,
+                    enrolled_at: new Date()
+                }
+            });
+
+            const progress = await this._checkCompletion(path, enrollment);
+
+            return {
+                success: true,
+                message: created ? 'Enrolled in learning path' : 'Already enrolled in learning path',
+                enrollment: this._enrollmentJSON(enrollment),
+                progress
+            };
+        } catch (error) {
+            console.error('LearningPathService.enroll error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Leave a learning path
+     * Completed enrollments are kept: they record that completion points were awarded
+     */
+    async unenroll(pathId, userId) {
+        try {
+            const enrollment = await LearningPathEnrollment.findOne({
+                where: { user_id: userId, learning_path_id: pathId }
+            });
+            if (!enrollment) {
+                throw new Error('Enrollment not found');
+            }
+            // Conditional delete so a completion landing at the same time is never lost
+            const deleted = enrollment.completed_at
+                ? 0
+                : await LearningPathEnrollment.destroy({ where: { id: enrollment.id, completed_at: null } });
+            if (!deleted) {
+                throw Object.assign(new Error('You cannot leave a learning path you have completed'), {
+                    statusCode: 409,
+                    code: 'PATH_ALREADY_COMPLETED'
+                });
+            }
+
+            return {
+                success: true,
+                message: 'Left learning path'
+            };
+        } catch (error) {
+            console.error('LearningPathService.unenroll error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the current user's enrolled paths with progress
+     */
+    async getMyPaths(userId) {
+        try {
+            const enrollments = await LearningPathEnrollment.findAll({
+                where: { user_id: userId },
+                order: [['enrolled_at', 'DESC']]
+            });
+
+            const paths = [];
+            for (const enrollment of enrollments) {
+                const path = await this._findPathWithModules({
+                    id: enrollment.learning_path_id,
+                    is_published: true
+                });
+                // Skip paths that were unpublished or deleted
+                if (!path) continue;
+
+                const items = this._visibleItems(path, false);
+                const progressRecords = await ModuleProgress.findAll({
+                    where: { user_id: userId, module_id: items.map(item => item.module_id) }
+                });
+
+                paths.push({
+                    ...path.toSafeJSON(),
+                    enrollment: this._enrollmentJSON(enrollment),
+                    progress: this._computeProgress(items, progressRecords)
+                });
+            }
+
+            return {
+                success: true,
+                paths,
+                summary: {
+                    total: paths.length,
+                    completed: paths.filter(p => p.enrollment.completed_at).length,
+                    in_progress: paths.filter(p => !p.enrollment.completed_at).length
+                }
+            };
+        } catch (error) {
+            console.error('LearningPathService.getMyPaths error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Re-check the learner's enrolled paths that contain a just-completed module
+     * Called from ModuleProgressService when a module is completed for the first time
+     * @returns {Promise<Array>} - Paths completed by this module
+     */
+    async handleModuleCompleted(moduleId, userId) {
+        try {
+            const enrollments = await LearningPathEnrollment.findAll({
+                where: { user_id: userId, completed_at: null },
+                include: [{
+                    model: LearningPath,
+                    as: 'learningPath',
+                    required: true,
+                    where: { is_published: true },
+                    include: [{
+                        model: LearningPathModule,
+                        as: 'items',
+                        required: true,
+                        where: { module_id: moduleId },
+                        attributes: ['id']
+                    }]
+                }]
+            });
+
+            const completedPaths = [];
+            for (const enrollment of enrollments) {
+                const path = await this._findPathWithModules({ id: enrollment.learning_path_id });
+                const progress = await this._checkCompletion(path, enrollment);
+                if (progress.just_completed) {
+                    completedPaths.push({
+                        id: path.id,
+                        title: path.title,
+                        points_awarded: enrollment.points_awarded,
+                        certificate: progress.certificate || null
+                    });
+                }
+            }
+
+            return completedPaths;
+        } catch (error) {
+            console.error('LearningPathService.handleModuleCompleted error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Compute path progress and complete the enrollment (awarding points once) when done
+     * @private
+     */
+    async _checkCompletion(path, enrollment) {
+        const items = this._visibleItems(path, false);
+        const progressRecords = await ModuleProgress.findAll({
+            where: { user_id: enrollment.user_id, module_id: items.map(item => item.module_id) }
+        });
+        const progress = this._computeProgress(items, progressRecords);
+        progress.just_completed = false;
+
+        if (progress.is_completed && !enrollment.completed_at) {
+            const completedAt = new Date();
+
+            // Conditional update so concurrent completions award points only once
+            const [updated] = await LearningPathEnrollment.update(
+                { completed_at: completedAt, points_awarded: path.completion_points },
+                { where: { id: enrollment.id, completed_at: null } }
+            );
+
+            if (updated) {
+                enrollment.completed_at = completedAt;
+                enrollment.points_awarded = path.completion_points;
+                progress.just_completed = true;
+
+                if (path.completion_points > 0) {
+                    const user = await User.findByPk(enrollment.user_id);
+                    if (user) {
+                        await user.awardPoints(path.completion_points);
+                    }
+                }
+
+                // Completion certificate (never blocks completing the path)
+                try {
+                    const result = await CertificateService.issuePathCertificate(path.id, enrollment.user_id);
+                    progress.certificate = result.certificate;
+                } catch (err) {
+                    console.error('Failed to issue learning path certificate:', err);
+                }
+            }
+        }
+
+        return progress;
+    }
+
+    /**
+     * Path-level progress from the learner's module progress
+     * Only required, published modules count toward completion
+     * @private
+     */
+    _computeProgress(items, progressRecords) {
+        const completedIds = progressRecords
+            .filter(record => record.isCompleted())
+            .map(record => record.module_id);
+
+        const required = items.filter(item => item.is_required && item.module.is_published);
+        const completedRequired = required.filter(item => completedIds.includes(item.module_id));
+        const nextItem = items.find(item => item.module.is_published && !completedIds.includes(item.module_id));
+
+        return {
+            total_modules: required.length,
+            completed_modules: completedRequired.length,
+            progress_percent: required.length > 0
+                ? Math.round((completedRequired.length / required.length) * 100)
+                : 0,
+            is_completed: required.length > 0 && completedRequired.length === required.length,
+            next_module: nextItem ? { id: nextItem.module.id, title: nextItem.module.getPublishedVersion().title } : null
+        };
+    }
+
+    /**
+     * Load a path with its ordered items and modules
+     * @private
+     */
+    async _findPathWithModules(where) {
+        return await LearningPath.findOne({
+            where,
+            include: [
+                {
+                    model: User,
+                    as: 'creator',
+                    attributes: ['id', 'name']
+                },
+                {
+                    model: LearningPathModule,
+                    as: 'items',
+                    required: false,
+                    include: [{
+                        model: Module,
+                        as: 'module',
+                        attributes: MODULE_SUMMARY_ATTRIBUTES,
+                        include: [{
+                            model: ModuleRevision,
+                            as: 'publishedRevision',
+                            attributes: REVISION_SUMMARY_ATTRIBUTES,
+                            required: false
+                        }]
+                    }]
+                }
+            ],
+            order: [[{ model: LearningPathModule, as: 'items' }, 'order', 'ASC']]
+        });
+    }
+
+    /**
+     * Items whose module still exists (and is published, for learners)
+     * @private
+     */
+    _visibleItems(path, includeUnpublished) {
+        return (path.items || []).filter(item => (
+            item.module && (includeUnpublished || item.module.is_published)
+        ));
+    }
+
+    /**
+     * Validate and order the module list for a path
+     * @private
+     */
+    async _normalizeModules(modules) {
+        if (!Array.isArray(modules)) {
+            throw Object.assign(new Error('Modules must be an array'), {
+                statusCode: 400,
+                code: 'INVALID_PATH_MODULES'
+            });
+        }
+
+        const items = modules.map((entry, index) => {
+            const isObject = entry !== null && typeof entry === 'object';
+            return {
+                module_id: Number(isObject ? entry.module_id : entry),
+                is_required: isObject && entry.is_required !== undefined ? Boolean(entry.is_required) : true,
+                order: index
+            };
+        });
+
+        const ids = items.map(item => item.module_id);
+        if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+            throw Object.assign(new Error('Module IDs must be positive integers'), {
+                statusCode: 400,
+                code: 'INVALID_PATH_MODULES'
+            });
+        }
+        if (new Set(ids).size !== ids.length) {
+            throw Object.assign(new Error('A module can only appear once in a path'), {
+                statusCode: 400,
+                code: 'INVALID_PATH_MODULES'
+            });
+        }
+
+        const existing = await Module.findAll({
+            where: { id: ids },
+            attributes: ['id']
+        });
+        const existingIds = existing.map(m => m.id);
+        const missing = ids.filter(id => !existingIds.includes(id));
+        if (missing.length > 0) {
+            throw Object.assign(new Error(`Modules not found: ${missing.join(', ')}`), {
+                statusCode: 400,
+                code: 'INVALID_PATH_MODULES'
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Pick allowed path fields
+     * @private
+     */
+    _pathFields(data) {
+        const fields = {};
+        ['title', 'description', 'category', 'target_audience', 'completion_points'].forEach(field => {
+            if (data[field] !== undefined) {
+                fields[field] = data[field];
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Path item with the module as learners see it (its published revision, once there is one)
+     * @private
+     */
+    _itemJSON(item, progressRecords = null) {
+        const module = item.module.getPublishedVersion();
+        const data = {
+            module_id: item.module_id,
+            order: item.order,
+            is_required: item.is_required,
+            module: {
+                id: module.id,
+                title: module.title,
+                type: module.type,
+                category: module.category,
+                difficulty_level: module.difficulty_level,
+                thumbnail_url: module.getThumbnailUrl(),
+                points: module.points,
+                is_published: module.is_published
+            }
+        };
+
+        if (progressRecords) {
+            const record = progressRecords.find(p => p.module_id === item.module_id);
+            data.progress = {
+                status: record ? record.status : 'not_started',
+                progress_percent: record ? record.progress_percent : 0,
+                completed_at: record ? record.completed_at : null
+            };
+        }
+
+        return data;
+    }
+
+    /**
+     * @private
+     */
+    _enrollmentJSON(enrollment) {
+        return {
+            enrolled_at: enrollment.enrolled_at,
+            completed_at: enrollment.completed_at,
+            points_awarded: enrollment.points_awarded
+        };
+    }
+}
+
+module.exports = new LearningPathService();
@@ -0,0 +1,357 @@
+// src/services/MediaProbeService.js
+
+// MPEG audio tables, indexed by [version][layer] (version: 1 = MPEG-1, 2 = MPEG-2/2.5)
+const MP3_BITRATES = {
+    1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Matroska / WebM element IDs
+const EBML_SEGMENT = 0x18538067;
+const EBML_INFO = 0x1549A966;
+const EBML_TIMECODE_SCALE = 0x2AD7B1;
+const EBML_DURATION = 0x4489;
+
+// How far into a file to look for the first MP3 frame (past tags and padding)
+const MP3_SYNC_SEARCH_BYTES = 64 * 1024;
+
+/**
+ * Media Probe Service - Playback duration of uploaded video and audio
+ * Reads container headers directly (MP4/MOV, WebM, MP3, WAV, Ogg), so no
+ * ffmpeg install is needed on the server. Unknown or damaged files give null.
+ */
+class MediaProbeService {
+    /**
+     * Duration of a media file in seconds
+     * @param {Buffer} buffer - File contents
+     * @param {string} mimetype - File MIME type
+     * @returns {number|null} - Seconds (2 decimals), or null if it could not be read
+     */
+    probeDuration(buffer, mimetype) {
+        try {
+            let seconds = null;
+
+            switch (mimetype) {
+                case 'video/mp4':
+                case 'video/quicktime':
+                    seconds = this._probeMp4(buffer);
+                    break;
+                case 'video/webm':
+                    seconds = this._probeWebm(buffer);
+                    break;
+                case 'audio/mpeg':
+                    seconds = this._probeMp3(buffer);
+                    break;
+                case 'audio/wav':
+                    seconds = this._probeWav(buffer);
+                    break;
+                case 'audio/ogg':
+                    seconds = this._probeOgg(buffer);
+                    break;
+                default:
+                    return null;
+            }
+
+            if (!Number.isFinite(seconds) || seconds <= 0) {
+                return null;
+            }
+            return Math.round(seconds * 100) / 100;
+        } catch (error) {
+            console.error('MediaProbeService.probeDuration error:', error.message);
+            return null;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * ISO base media (MP4, MOV): moov > mvhd holds timescale and duration
+     * @private
+     */
+    _probeMp4(buffer) {
+        const moov = this._findBox(buffer, 0, buffer.length, 'moov');
+        if (!moov) return null;
+
+        const mvhd = this._findBox(buffer, moov.start, moov.end, 'mvhd');
+        if (!mvhd) return null;
+
+        const version = buffer.readUInt8(mvhd.start);
+        if (version === 1) {
+            const timescale = buffer.readUInt32BE(mvhd.start + 20);
+            const duration = Number(buffer.readBigUInt64BE(mvhd.start + 24));
+            return timescale ? duration / timescale : null;
+        }
+
+        const timescale = buffer.readUInt32BE(mvhd.start + 12);
+        const duration = buffer.readUInt32BE(mvhd.start + 16);
+        return timescale ? duration / timescale : null;
+    }
+
+    /**
+     * Find a box among the children in [offset, end)
+     * @private
+     * @returns {Object|null} - { start, end } of the box payload
+     */
+    _findBox(buffer, offset, end, type) {
+        while (offset + 8 <= end) {
+            let size = buffer.readUInt32BE(offset);
+            const boxType = buffer.toString('latin1', offset + 4, offset + 8);
+            let header = 8;
+
+            if (size === 1) {
+                if (offset + 16 > end) return null;
+                size = Number(buffer.readBigUInt64BE(offset + 8));
+                header = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+
+            if (size < header) return null;
+
+            if (boxType === type) {
+                return { start: offset + header, end: Math.min(end, offset + size) };
+            }
+            offset += size;
+        }
+        return null;
+    }
+
+    /**
+     * Matroska (WebM): Segment > Info holds TimecodeScale and a float Duration
+     * @private
+     */
+    _probeWebm(buffer) {
+        let offset = 0;
+
+        // Top level: EBML header, then the Segment
+        while (offset < buffer.length) {
+            const element = this._readEbmlElement(buffer, offset);
+            if (!element) return null;
+
+            if (element.id === EBML_SEGMENT) {
+                return this._probeWebmSegment(buffer, element.dataStart, element.dataEnd);
+            }
+            offset = element.dataEnd;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _probeWebmSegment(buffer, offset, end) {
+        while (offset < end) {
+            const element = this._readEbmlElement(buffer, offset, end);
+            if (!element) return null;
+
+            if (element.id === EBML_INFO) {
+                let scale = 1000000;
+                let duration = null;
+                let child = element.dataStart;
+
+                while (child < element.dataEnd) {
+                    const field = this._readEbmlElement(buffer, child, element.dataEnd);
+                    if (!field) break;
+
+                    const length = field.dataEnd - field.dataStart;
+                    if (field.id === EBML_TIMECODE_SCALE && length > 0 && length <= 6) {
+                        scale = buffer.readUIntBE(field.dataStart, length);
+                    } else if (field.id === EBML_DURATION) {
+                        if (length === 4) duration = buffer.readFloatBE(field.dataStart);
+                        if (length === 8) duration = buffer.readDoubleBE(field.dataStart);
+                    }
+                    child = field.dataEnd;
+                }
+
+                // Live recordings are written without a duration
+                return duration === null ? null : (duration * scale) / 1e9;
+            }
+            offset = element.dataEnd;
+        }
+        return null;
+    }
+
+    /**
+     * Read an EBML element header (variable-length ID and size)
+     * An unknown size (all ones) extends to the end of the parent
+     * @private
+     * @returns {Object|null} - { id, dataStart, dataEnd }
+     */
+    _readEbmlElement(buffer, offset, end = buffer.length) {
+        const id = this._readVint(buffer, offset, false);
+        if (!id) return null;
+
+        const size = this._readVint(buffer, offset + id.length, true);
+        if (!size) return null;
+
+        const dataStart = offset + id.length + size.length;
+        const dataEnd = size.unknown ? end : dataStart + size.value;
+        if (dataEnd > end || dataStart > end) {
+            // Truncated upload: the Info element is still usable if it was read
+            return dataStart <= end ? { id: id.value, dataStart, dataEnd: end } : null;
+        }
+
+        return { id: id.value, dataStart, dataEnd };
+    }
+
+    /**
+     * @private
+     */
+    _readVint(buffer, offset, stripMarker) {
+        if (offset >= buffer.length) return null;
+
+        const first = buffer[offset];
+        let length = 1;
+        while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+            length++;
+        }
+        if (length > 8 || offset + length > buffer.length) return null;
+
+        let value = stripMarker ? first & (0xFF >> length) : first;
+        let allOnes = value === (0xFF >> length);
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + buffer[offset + i];
+            if (buffer[offset + i] !== 0xFF) allOnes = false;
+        }
+
+        return { value, length, unknown: stripMarker && allOnes };
+    }
+
+    /**
+     * MP3: Xing/Info or VBRI frame count when present, otherwise constant bitrate
+     * @private
+     */
+    _probeMp3(buffer) {
+        let offset = 0;
+
+        // ID3v2 tag (size is syncsafe)
+        if (buffer.length > 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+            const size = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) | ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+            offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+        }
+
+        const limit = Math.min(buffer.length - 4, offset + MP3_SYNC_SEARCH_BYTES);
+        let frame = null;
+        for (; offset < limit; offset++) {
+            if (buffer[offset] === 0xFF && (buffer[offset + 1] & 0xE0) === 0xE0) {
+                frame = this._readMp3Header(buffer, offset);
+                if (frame) break;
+            }
+        }
+        if (!frame) return null;
+
+        // Xing / Info header sits after the side information of the first frame
+        const sideInfo = frame.version === 1
+            ? (frame.mono ? 17 : 32)
+            : (frame.mono ? 9 : 17);
+        const xing = offset + 4 + sideInfo;
+        if (xing + 12 <= buffer.length) {
+            const tag = buffer.toString('latin1', xing, xing + 4);
+            if ((tag === 'Xing' || tag === 'Info') && (buffer.readUInt32BE(xing + 4) & 0x1)) {
+                return (buffer.readUInt32BE(xing + 8) * frame.samplesPerFrame) / frame.sampleRate;
+            }
+        }
+
+        const vbri = offset + 36;
+        if (vbri + 18 <= buffer.length && buffer.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+            return (buffer.readUInt32BE(vbri + 14) * frame.samplesPerFrame) / frame.sampleRate;
+        }
+
+        let audioBytes = buffer.length - offset;
+        if (buffer.length > 128 && buffer.toString('latin1', buffer.length - 128, buffer.length - 125) === 'TAG') {
+            audioBytes -= 128;
+        }
+        return (audioBytes * 8) / (frame.bitrate * 1000);
+    }
+
+    /**
+     * @private
+     */
+    _readMp3Header(buffer, offset) {
+        const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+        const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+        const bitrateIndex = buffer[offset + 2] >> 4;
+        const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+
+        if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+            return null;
+        }
+
+        const version = versionBits === 3 ? 1 : 2;
+        const layer = 4 - layerBits;
+        const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version === 2 ? 576 : 1152);
+
+        return {
+            version,
+            bitrate: MP3_BITRATES[version][layer][bitrateIndex],
+            sampleRate: MP3_SAMPLE_RATES[versionBits][sampleRateIndex],
+            samplesPerFrame,
+            mono: (buffer[offset + 3] >> 6) === 3
+        };
+    }
+
+    /**
+     * WAV: data chunk size over the fmt chunk's byte rate
+     * @private
+     */
+    _probeWav(buffer) {
+        if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+            return null;
+        }
+
+        let offset = 12;
+        let byteRate = null;
+        while (offset + 8 <= buffer.length) {
+            const chunk = buffer.toString('latin1', offset, offset + 4);
+            const size = buffer.readUInt32LE(offset + 4);
+
+            if (chunk === 'fmt ' && offset + 16 <= buffer.length) {
+                byteRate = buffer.readUInt32LE(offset + 16);
+            } else if (chunk === 'data') {
+                return byteRate ? size / byteRate : null;
+            }
+
+            // Chunks are padded to an even size
+            offset += 8 + size + (size % 2);
+        }
+        return null;
+    }
+
+    /**
+     * Ogg (Vorbis, Opus): granule position of the last page over the sample rate
+     * @private
+     */
+    _probeOgg(buffer) {
+        if (buffer.length < 28 || buffer.toString('latin1', 0, 4) !== 'OggS') return null;
+
+        // The first page carries the codec identification header
+        const packet = 27 + buffer[26];
+        let sampleRate = null;
+        let preSkip = 0;
+        if (buffer.toString('latin1', packet, packet + 7) === '\x01vorbis') {
+            sampleRate = buffer.readUInt32LE(packet + 12);
+        } else if (buffer.toString('latin1', packet, packet + 8) === 'OpusHead') {
+            // Opus granule positions always count 48 kHz samples
+            sampleRate = 48000;
+            preSkip = buffer.readUInt16LE(packet + 10);
+        }
+        if (!sampleRate) return null;
+
+        const last = buffer.lastIndexOf('OggS', buffer.length - 27, 'latin1');
+        if (last < 0) return null;
+
+        const granule = Number(buffer.readBigInt64LE(last + 6));
+        return granule > 0 ? (granule - preSkip) / sampleRate : null;
+    }
+}
+
+module.exports = new MediaProbeService();
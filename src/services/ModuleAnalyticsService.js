@@ -0,0 +1,461 @@
+// src/services/ModuleAnalyticsService.js
+const { Module, ModuleView, ModuleProgress, QuizAttempt, UserProfile, ModuleMedia, ModuleMediaProgress } = require('../model');
+const { Op, fn, col, literal } = require('sequelize');
+
+// Smallest demographic group reported on its own (k-anonymity); override with ANALYTICS_MIN_GROUP_SIZE
+const DEFAULT_MIN_GROUP_SIZE = 5;
+
+const INTERVAL_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%x-W%v',
+    month: '%Y-%m'
+};
+
+const AGE_BANDS = [
+    { key: '13-17', min: 13, max: 17 },
+    { key: '18-24', min: 18, max: 24 },
+    { key: '25-34', min: 25, max: 34 },
+    { key: '35-44', min: 35, max: 44 },
+    { key: '45-59', min: 45, max: 59 },
+    { key: '60+', min: 60, max: Infinity }
+];
+
+// Progress ranges learners who have not completed are grouped into
+const DROP_OFF_BUCKET_SIZE = 10;
+const MEDIA_MILESTONES = [25, 50, 75, 100];
+
+/**
+ * Module Analytics Service - Per-module learner analytics for educators
+ *
+ * Views, progress and quiz attempts can be limited to a date range (from/to).
+ * Breakdowns by age group, sex and province never show a group smaller than
+ * the minimum group size: small groups are pooled into "other", and the
+ * smallest remaining groups join the pool until it is large enough too.
+ */
+class ModuleAnalyticsService {
+    /**
+     * Get analytics for one module
+     * @param {Object} options - { from, to, interval: day|week|month }
+     * @returns {Promise<Object>} - { summary, viewers_over_time, funnel, drop_off, media, quiz, breakdowns }
+     */
+    async getModuleAnalytics(moduleId, options = {}) {
+        try {
+            const module = await Module.findByPk(moduleId, {
+                attributes: ['id', 'title', 'type', 'passing_score', 'is_published', 'published_at']
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const interval = options.interval || 'week';
+            if (!INTERVAL_FORMATS[interval]) {
+                throw this._invalid(`interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`);
+            }
+            const range = this._dateRange(options.from, options.to);
+            const minGroupSize = this.getMinGroupSize();
+
+            const progress = await ModuleProgress.findAll({
+                where: { module_id: module.id, ...this._rangeWhere('started_at', range) },
+                attributes: ['user_id', 'status', 'progress_percent', 'time_spent_seconds'],
+                raw: true
+            });
+            const attempts = await QuizAttempt.findAll({
+                where: {
+                    module_id: module.id,
+                    status: 'submitted',
+                    ...this._rangeWhere('submitted_at', range)
+                },
+                attributes: ['user_id', 'attempt_number', 'score_percent', 'passed'],
+                raw: true
+            });
+            const uniqueViewers = await ModuleView.count({
+                where: { module_id: module.id, ...this._rangeWhere('created_at', range) }
+            });
+
+            const quiz = this._quizStats(attempts);
+            const learners = this._learnerStats(progress, quiz);
+
+            return {
+                success: true,
+                module: { id: module.id, title: module.title, type: module.type },
+                range: {
+                    from: range.from ? range.from.toISOString() : null,
+                    to: range.to ? range.to.toISOString() : null,
+                    interval
+                },
+                min_group_size: minGroupSize,
+                summary: {
+                    unique_viewers: uniqueViewers,
+                    ...this._summarize(learners)
+                },
+                viewers_over_time: await this._viewersOverTime(module.id, range, interval),
+                funnel: this._funnel(uniqueViewers, learners, quiz),
+                drop_off: this._dropOff(learners),
+                media: await this._mediaDropOff(module.id, range),
+                quiz: quiz.attempts ? quiz.summary : null,
+                breakdowns: await this._breakdowns(learners, quiz, minGroupSize)
+            };
+        } catch (error) {
+            console.error('ModuleAnalyticsService.getModuleAnalytics error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Smallest group shown in demographic breakdowns
+     */
+    getMinGroupSize() {
+        const size = parseInt(process.env.ANALYTICS_MIN_GROUP_SIZE);
+        if (Number.isNaN(size) || size < 1) return DEFAULT_MIN_GROUP_SIZE;
+        return size;
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * One entry per learner with progress on the module
+     * @private
+     */
+    _learnerStats(progress, quiz) {
+        return progress.map(row => ({
+            user_id: row.user_id,
+            completed: row.status === 'completed',
+            progress_percent: row.status === 'completed' ? 100 : Number(row.progress_percent) || 0,
+            time_spent_seconds: Number(row.time_spent_seconds) || 0,
+            quiz_taken: quiz.takers.has(row.user_id),
+            quiz_passed: quiz.passers.has(row.user_id)
+        }));
+    }
+
+    /**
+     * Completion and time spent for a set of learners
+     * @private
+     */
+    _summarize(learners) {
+        const completed = learners.filter(learner => learner.completed);
+        const timed = learners.map(learner => learner.time_spent_seconds).filter(seconds => seconds > 0);
+        const completedTimed = completed.map(learner => learner.time_spent_seconds).filter(seconds => seconds > 0);
+
+        return {
+            learners: learners.length,
+            completed: completed.length,
+            completion_rate: this._rate(completed.length, learners.length),
+            average_progress_percent: learners.length
+                ? Math.round(learners.reduce((sum, learner) => sum + learner.progress_percent, 0) / learners.length)
+                : null,
+            average_time_spent_seconds: this._average(timed),
+            median_time_spent_seconds: this._median(timed),
+            average_completion_time_seconds: this._average(completedTimed)
+        };
+    }
+
+    /**
+     * Submitted quiz attempts per learner
+     * @private
+     */
+    _quizStats(attempts) {
+        const takers = new Set();
+        const passers = new Set();
+        const firstAttempts = [];
+
+        attempts.forEach(attempt => {
+            takers.add(attempt.user_id);
+            if (attempt.passed) passers.add(attempt.user_id);
+            if (attempt.attempt_number === 1) firstAttempts.push(attempt);
+        });
+
+        return {
+            attempts: attempts.length,
+            takers,
+            passers,
+            summary: {
+                attempts: attempts.length,
+                learners: takers.size,
+                passed_learners: passers.size,
+                pass_rate: this._rate(passers.size, takers.size),
+                first_attempt_pass_rate: this._rate(firstAttempts.filter(attempt => attempt.passed).length, firstAttempts.length),
+                average_attempts_per_learner: takers.size ? Math.round(attempts.length / takers.size * 100) / 100 : null,
+                average_score_percent: this._average(attempts.map(attempt => Number(attempt.score_percent)).filter(score => !Number.isNaN(score)))
+            }
+        };
+    }
+
+    /**
+     * First views per period (ModuleViews holds one row per learner and module)
+     * @private
+     */
+    async _viewersOverTime(moduleId, range, interval) {
+        const period = fn('DATE_FORMAT', col('created_at'), INTERVAL_FORMATS[interval]);
+
+        const rows = await ModuleView.findAll({
+            where: { module_id: moduleId, ...this._rangeWhere('created_at', range) },
+            attributes: [
+                [period, 'period'],
+                [fn('COUNT', col('user_id')), 'new_viewers']
+            ],
+            group: [literal('period')],
+            order: [[literal('period'), 'ASC']],
+            raw: true
+        });
+
+        let total = 0;
+        return rows.map(row => {
+            total += Number(row.new_viewers);
+            return {
+                period: row.period,
+                new_viewers: Number(row.new_viewers),
+                cumulative_viewers: total
+            };
+        });
+    }
+
+    /**
+     * Viewed -> started -> halfway -> completed (-> passed quiz)
+     * @private
+     */
+    _funnel(uniqueViewers, learners, quiz) {
+        const steps = [
+            { step: 'viewed', count: uniqueViewers },
+            { step: 'started', count: learners.length },
+            { step: 'halfway', count: learners.filter(learner => learner.progress_percent >= 50).length },
+            { step: 'completed', count: learners.filter(learner => learner.completed).length }
+        ];
+        if (quiz.attempts) {
+            steps.push({ step: 'passed_quiz', count: quiz.passers.size });
+        }
+
+        return steps.map((step, index) => ({
+            ...step,
+            rate_from_previous: index ? this._rate(step.count, steps[index - 1].count) : null,
+            rate_from_start: this._rate(step.count, steps[0].count)
+        }));
+    }
+
+    /**
+     * Where learners who have not completed stopped, in progress ranges
+     * @private
+     */
+    _dropOff(learners) {
+        const open = learners.filter(learner => !learner.completed);
+        const buckets = [];
+
+        for (let start = 0; start < 100; start += DROP_OFF_BUCKET_SIZE) {
+            const end = start + DROP_OFF_BUCKET_SIZE - 1;
+            const count = open.filter(learner => learner.progress_percent >= start && learner.progress_percent <= end).length;
+            buckets.push({
+                range: `${start}-${end}%`,
+                learners: count,
+                share: this._rate(count, open.length)
+            });
+        }
+
+        return {
+            not_completed: open.length,
+            buckets
+        };
+    }
+
+    /**
+     * How far learners got in each video/audio item
+     * @private
+     */
+    async _mediaDropOff(moduleId, range) {
+        const media = await ModuleMedia.findAll({
+            where: { module_id: moduleId, kind: { [Op.in]: ['video', 'audio'] } },
+            attributes: ['id', 'title', 'kind', 'duration_seconds'],
+            order: [['sort_order', 'ASC'], ['id', 'ASC']]
+        });
+        if (!media.length) return [];
+
+        const progress = await ModuleMediaProgress.findAll({
+            where: { module_id: moduleId, ...this._rangeWhere('created_at', range) },
+            attributes: ['media_id', 'furthest_seconds', 'completed_at'],
+            raw: true
+        });
+
+        return media.map(item => {
+            const rows = progress.filter(row => row.media_id === item.id);
+            const duration = item.duration_seconds !== null ? Number(item.duration_seconds) : null;
+
+            return {
+                media_id: item.id,
+                title: item.title,
+                kind: item.kind,
+                duration_seconds: duration,
+                started: rows.length,
+                completed: rows.filter(row => row.completed_at).length,
+                // Learners who reached each point of the duration (unknown without a duration)
+                reached: duration
+                    ? MEDIA_MILESTONES.map(milestone => ({
+                        percent: milestone,
+                        learners: rows.filter(row => row.completed_at || Number(row.furthest_seconds) >= duration * milestone / 100).length
+                    }))
+                    : null
+            };
+        });
+    }
+
+    /**
+     * Learner breakdowns by age group, sex and province
+     * @private
+     */
+    async _breakdowns(learners, quiz, minGroupSize) {
+        const profiles = learners.length
+            ? await UserProfile.findAll({
+                where: { user_id: learners.map(learner => learner.user_id) },
+                attributes: ['user_id', 'date_of_birth', 'sex', 'province']
+            })
+            : [];
+        const byUser = new Map(profiles.map(profile => [profile.user_id, profile]));
+
+        const groupBy = (keyOf) => {
+            const groups = new Map();
+            learners.forEach(learner => {
+                const key = keyOf(byUser.get(learner.user_id)) || 'unknown';
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(learner);
+            });
+            return this._anonymize(groups, minGroupSize, quiz.attempts > 0);
+        };
+
+        return {
+            age_group: groupBy(profile => profile && this._ageBand(profile.getAge())),
+            sex: groupBy(profile => profile && profile.sex),
+            province: groupBy(profile => profile && profile.province && profile.province.trim())
+        };
+    }
+
+    /**
+     * Apply the minimum group size to a breakdown
+     * Groups below it are pooled into "other"; the smallest remaining groups join
+     * the pool until it reaches the minimum, so no group can be derived from the totals
+     * @param {Map<string, Array>} groups - Group key -> learners
+     * @private
+     */
+    _anonymize(groups, minGroupSize, includeQuiz) {
+        const total = [...groups.values()].reduce((sum, members) => sum + members.length, 0);
+        if (total < minGroupSize) {
+            return { suppressed: true, groups: [] };
+        }
+
+        const sorted = [...groups.entries()].sort((a, b) => a[1].length - b[1].length);
+        const visible = sorted.filter(([, members]) => members.length >= minGroupSize);
+        const pooled = sorted.filter(([, members]) => members.length < minGroupSize);
+
+        let pooledCount = pooled.reduce((sum, [, members]) => sum + members.length, 0);
+        while (pooled.length && pooledCount < minGroupSize && visible.length) {
+            const next = visible.shift();
+            pooled.push(next);
+            pooledCount += next[1].length;
+        }
+
+        const describe = (key, members) => {
+            const summary = this._summarize(members);
+            const group = {
+                key,
+                learners: summary.learners,
+                completed: summary.completed,
+                completion_rate: summary.completion_rate,
+                average_time_spent_seconds: summary.average_time_spent_seconds
+            };
+            if (includeQuiz) {
+                const takers = members.filter(member => member.quiz_taken).length;
+                group.quiz_pass_rate = this._rate(members.filter(member => member.quiz_passed).length, takers);
+            }
+            return group;
+        };
+
+        const result = visible
+            .sort((a, b) => b[1].length - a[1].length)
+            .map(([key, members]) => describe(key, members));
+
+        if (pooled.length) {
+            result.push({
+                ...describe('other', pooled.flatMap(([, members]) => members)),
+                pooled_groups: pooled.length
+            });
+        }
+
+        return { suppressed: false, groups: result };
+    }
+
+    /**
+     * @private
+     */
+    _ageBand(age) {
+        if (age === null || age === undefined) return null;
+        const band = AGE_BANDS.find(candidate => age >= candidate.min && age <= candidate.max);
+        return band ? band.key : null;
+    }
+
+    /**
+     * @private
+     */
+    _dateRange(from, to) {
+        const range = { from: null, to: null };
+
+        ['from', 'to'].forEach(field => {
+            const value = field === 'from' ? from : to;
+            if (!value) return;
+
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                throw this._invalid(`${field} must be a valid date`);
+            }
+            // A date without a time covers the whole "to" day
+            if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+                date.setUTCHours(23, 59, 59, 999);
+            }
+            range[field] = date;
+        });
+
+        if (range.from && range.to && range.from > range.to) {
+            throw this._invalid('from must be before to');
+        }
+        return range;
+    }
+
+    /**
+     * @private
+     */
+    _rangeWhere(field, range) {
+        const condition = {};
+        if (range.from) condition[Op.gte] = range.from;
+        if (range.to) condition[Op.lte] = range.to;
+        return Object.getOwnPropertySymbols(condition).length ? { [field]: condition } : {};
+    }
+
+    /**
+     * Percentage rounded to one decimal, null when there is nothing to divide by
+     * @private
+     */
+    _rate(count, total) {
+        return total ? Math.round(count / total * 1000) / 10 : null;
+    }
+
+    /**
+     * @private
+     */
+    _average(values) {
+        return values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    }
+
+    /**
+     * @private
+     */
+    _median(values) {
+        if (!values.length) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    }
+
+    /**
+     * @private
+     */
+    _invalid(message) {
+        return Object.assign(new Error(message), { statusCode: 400, code: 'INVALID_ANALYTICS_QUERY' });
+    }
+}
+
+module.exports = new ModuleAnalyticsService();
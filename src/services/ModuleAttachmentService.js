@@ -0,0 +1,405 @@
+// src/services/ModuleAttachmentService.js
+const crypto = require('crypto');
+const { Module, File, sequelize } = require('../model');
+const ModuleService = require('./ModuleService');
+const ModuleRevisionService = require('./ModuleRevisionService');
+const FileStorageService = require('./FileStorageService');
+
+const MAX_ATTACHMENTS_PER_MODULE = 20;
+
+// Types that can be the module file (text extraction, previews, legacy file_url)
+const PRIMARY_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+/**
+ * Module Attachment Service - Ordered, labelled downloads of a module
+ *
+ * Attachments are File rows (entity_type 'module', file_category 'attachment').
+ * One PDF/Word attachment is the primary: it is mirrored in Modules.file_* so
+ * text extraction, previews, revisions and clients reading file_url keep working.
+ * Every change is recorded as a module revision; learners get the attachments of the
+ * published revision. Stored objects referenced by revisions are kept when an attachment is removed.
+ */
+class ModuleAttachmentService {
+    /**
+     * List attachments in display order
+     * @param {boolean} includeUnpublished - Staff may list attachments of drafts
+     */
+    async getAttachments(moduleId, userId, includeUnpublished = false) {
+        try {
+            const module = await this._findModule(moduleId, userId, includeUnpublished);
+            const attachments = includeUnpublished
+                ? await this._attachmentsOf(module.id)
+                : await this._withDownloadCounts(this._publishedAttachments(module));
+
+            return {
+                success: true,
+                attachments: attachments.map(attachment => attachment.toJSON())
+            };
+        } catch (error) {
+            console.error('ModuleAttachmentService.getAttachments error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload an attachment
+     * The first PDF/Word attachment becomes the primary unless one exists
+     * @param {Object} file - Multer file (attachment field)
+     * @param {Object} data - { label, is_primary }
+     */
+    async addAttachment(moduleId, file, data = {}, userId) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const where = this._attachmentWhere(module.id);
+            const count = await File.count({ where });
+            if (count >= MAX_ATTACHMENTS_PER_MODULE) {
+                throw this._invalid(`A module can have at most ${MAX_ATTACHMENTS_PER_MODULE} attachments`, 'ATTACHMENT_LIMIT_REACHED');
+            }
+
+            const wantsPrimary = data.is_primary === true || data.is_primary === 'true';
+            if (wantsPrimary && !PRIMARY_TYPES.includes(file.mimetype)) {
+                throw this._invalid('Only PDF and Word documents can be the primary attachment', 'INVALID_PRIMARY_ATTACHMENT');
+            }
+
+            const upload = await FileStorageService.uploadModuleFile(
+                file.buffer,
+                module.id,
+                'attachment',
+                file.mimetype,
+                file.originalname,
+                { uploadedBy: userId }
+            );
+
+            let attachment;
+            try {
+                const lastOrder = await File.max('sort_order', { where });
+                attachment = await File.create({
+                    ...where,
+                    file_key: upload.key,
+                    original_name: file.originalname,
+                    mime_type: file.mimetype,
+                    file_size: upload.size,
+                    file_hash: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+                    label: this._label(data.label, file.originalname),
+                    sort_order: (lastOrder === null || lastOrder === undefined ? -1 : lastOrder) + 1,
+                    uploaded_by: userId
+                });
+            } catch (error) {
+                await FileStorageService.deleteFile(upload.key).catch(() => {});
+                throw error;
+            }
+
+            const becomesPrimary = wantsPrimary || (!module.file_key && PRIMARY_TYPES.includes(file.mimetype));
+            if (becomesPrimary) {
+                await ModuleService.applyModuleFile(module, {
+                    key: attachment.file_key,
+                    name: attachment.original_name,
+                    type: attachment.mime_type,
+                    size: attachment.file_size,
+                    buffer: file.buffer
+                }, userId);
+                await attachment.reload();
+            } else {
+                await module.update({ updated_by: userId });
+                await ModuleRevisionService.recordRevision(module, userId, { note: `Added attachment "${attachment.label}"` });
+            }
+
+            return {
+                success: true,
+                attachment: attachment.toJSON()
+            };
+        } catch (error) {
+            console.error('ModuleAttachmentService.addAttachment error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Relabel an attachment or make it the primary
+     * @param {Object} data - { label, is_primary: true }
+     */
+    async updateAttachment(moduleId, attachmentId, data = {}, userId) {
+        try {
+            const { module, attachment } = await this._findAttachment(moduleId, attachmentId);
+
+            const wantsPrimary = data.is_primary === true || data.is_primary === 'true';
+            const makePrimary = wantsPrimary && !attachment.is_primary;
+            if (makePrimary && !PRIMARY_TYPES.includes(attachment.mime_type)) {
+                throw this._invalid('Only PDF and Word documents can be the primary attachment', 'INVALID_PRIMARY_ATTACHMENT');
+            }
+
+            if (data.label !== undefined) {
+                attachment.label = this._label(data.label, attachment.original_name);
+            }
+            const relabelled = attachment.changed('label');
+            await attachment.save();
+
+            // Switching the primary records its own revision (see ModuleService.applyModuleFile)
+            if (makePrimary) {
+                await this._makePrimary(module, attachment, userId);
+                await attachment.reload();
+            } else if (relabelled) {
+                await module.update({ updated_by: userId });
+                await ModuleRevisionService.recordRevision(module, userId, { note: `Relabelled attachment "${attachment.label}"` });
+            }
+
+            return {
+                success: true,
+                attachment: attachment.toJSON()
+            };
+        } catch (error) {
+            console.error('ModuleAttachmentService.updateAttachment error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the display order
+     * @param {Array<number>} attachmentIds - Every attachment ID of the module, in the new order
+     */
+    async reorderAttachments(moduleId, attachmentIds, userId = null) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const attachments = await this._attachmentsOf(module.id);
+            const ids = Array.isArray(attachmentIds) ? attachmentIds.map(Number) : [];
+            const known = new Set(attachments.map(attachment => attachment.id));
+
+            if (ids.length !== attachments.length || new Set(ids).size !== ids.length || !ids.every(id => known.has(id))) {
+                throw this._invalid('attachment_ids must list every attachment of the module exactly once', 'INVALID_ATTACHMENT_ORDER');
+            }
+
+            await sequelize.transaction(async (transaction) => {
+                for (const [index, id] of ids.entries()) {
+                    await File.update({ sort_order: index }, { where: { id }, transaction });
+                }
+            });
+            await ModuleRevisionService.recordRevision(module, userId, { note: 'Reordered attachments' });
+
+            return await this.getAttachments(module.id, null, true);
+        } catch (error) {
+            console.error('ModuleAttachmentService.reorderAttachments error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove an attachment
+     * Removing the primary promotes the next PDF/Word attachment, or clears the module file
+     */
+    async removeAttachment(moduleId, attachmentId, userId) {
+        try {
+            const { module, attachment } = await this._findAttachment(moduleId, attachmentId);
+
+            // Hooks off: File.afterDestroy would delete the stored object unconditionally
+            await File.destroy({ where: { id: attachment.id }, force: true, hooks: false });
+
+            // Changing the module file records its own revision (see ModuleService.applyModuleFile)
+            if (attachment.is_primary) {
+                const next = (await this._attachmentsOf(module.id))
+                    .find(other => PRIMARY_TYPES.includes(other.mime_type));
+
+                if (next) {
+                    await this._makePrimary(module, next, userId);
+                } else {
+                    await ModuleService.applyModuleFile(module, null, userId);
+                }
+            } else {
+                await module.update({ updated_by: userId });
+                await ModuleRevisionService.recordRevision(module, userId, { note: `Removed attachment "${attachment.label}"` });
+            }
+
+            const referenced = await ModuleRevisionService.getReferencedKeys(module);
+            if (!referenced.includes(attachment.file_key)) {
+                await FileStorageService.deleteFile(attachment.file_key).catch(err => {
+                    console.error(`Failed to delete attachment file: ${attachment.file_key}`, err);
+                });
+            }
+
+            return {
+                success: true,
+                message: 'Attachment removed'
+            };
+        } catch (error) {
+            console.error('ModuleAttachmentService.removeAttachment error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count a download and return the file URL
+     * @returns {Promise<Object>} - { url, attachment }
+     */
+    async recordDownload(moduleId, attachmentId, userId, includeUnpublished = false) {
+        try {
+            const module = await this._findModule(moduleId, userId, includeUnpublished);
+            const attachment = includeUnpublished
+                ? await File.findOne({
+                    where: { ...this._attachmentWhere(module.id), id: attachmentId }
+                })
+                : (await this._withDownloadCounts(this._publishedAttachments(module)))
+                    .find(item => item.id === Number(attachmentId));
+            if (!attachment) {
+                throw new Error('Attachment not found');
+            }
+
+            // Attachments already removed from the draft have no row left to count on
+            await File.increment('download_count', { where: { id: attachment.id } });
+
+            return {
+                success: true,
+                url: attachment.getUrl(),
+                attachment: {
+                    ...attachment.toJSON(),
+                    download_count: attachment.download_count + 1
+                }
+            };
+        } catch (error) {
+            console.error('ModuleAttachmentService.recordDownload error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Storage keys of all attachments (used when a module is permanently deleted)
+     */
+    async getFileKeys(moduleId) {
+        const attachments = await File.findAll({
+            where: this._attachmentWhere(moduleId),
+            attributes: ['file_key'],
+            paranoid: false
+        });
+        return attachments.map(attachment => attachment.file_key);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    _attachmentWhere(moduleId) {
+        return { entity_type: 'module', entity_id: moduleId, file_category: 'attachment' };
+    }
+
+    /**
+     * @private
+     */
+    async _attachmentsOf(moduleId) {
+        return await File.findAll({
+            where: this._attachmentWhere(moduleId),
+            order: [['sort_order', 'ASC'], ['id', 'ASC']]
+        });
+    }
+
+    /**
+     * Attachments of the published revision (see ModuleRevision.getAttachments)
+     * @private
+     */
+    _publishedAttachments(module) {
+        return module.publishedRevision ? module.publishedRevision.getAttachments() : [];
+    }
+
+    /**
+     * Fill in current download counts (they are not part of revisions)
+     * @private
+     */
+    async _withDownloadCounts(attachments) {
+        const rows = attachments.length
+            ? await File.findAll({ where: { id: attachments.map(a => a.id) }, attributes: ['id', 'download_count'] })
+            : [];
+        const counts = new Map(rows.map(row => [row.id, row.download_count]));
+
+        attachments.forEach(attachment => {
+            attachment.download_count = counts.get(attachment.id) || 0;
+        });
+        return attachments;
+    }
+
+    /**
+     * Load a module the user may see: the published version if eligible, or the draft of any module for staff
+     * @private
+     */
+    async _findModule(moduleId, userId, includeUnpublished) {
+        const where = { id: moduleId };
+        if (!includeUnpublished) {
+            where.is_published = true;
+        }
+
+        const module = await Module.findOne({ where });
+        if (!module) {
+            throw new Error('Module not found');
+        }
+
+        if (includeUnpublished) {
+            return module;
+        }
+
+        await ModuleService.assertAgeEligible(module, userId);
+        await ModuleService.assertPrerequisitesMet(module, userId);
+
+        return await ModuleService.getPublishedVersion(module);
+    }
+
+    /**
+     * @private
+     */
+    async _findAttachment(moduleId, attachmentId) {
+        const module = await Module.findByPk(moduleId);
+        if (!module) {
+            throw new Error('Module not found');
+        }
+
+        const attachment = await File.findOne({
+            where: { ...this._attachmentWhere(module.id), id: attachmentId }
+        });
+        if (!attachment) {
+            throw new Error('Attachment not found');
+        }
+
+        return { module, attachment };
+    }
+
+    /**
+     * Mirror an existing attachment into the module file
+     * @private
+     */
+    async _makePrimary(module, attachment, userId) {
+        const buffer = await FileStorageService.getFileBuffer(attachment.file_key);
+
+        await ModuleService.applyModuleFile(module, {
+            key: attachment.file_key,
+            name: attachment.original_name,
+            type: attachment.mime_type,
+            size: attachment.file_size,
+            buffer
+        }, userId);
+    }
+
+    /**
+     * @private
+     */
+    _label(label, fallback) {
+        const value = typeof label === 'string' && label.trim() ? label.trim() : fallback;
+        return value ? String(value).slice(0, 255) : null;
+    }
+
+    /**
+     * @private
+     */
+    _invalid(message, code) {
+        return Object.assign(new Error(message), { statusCode: 400, code });
+    }
+}
+
+module.exports = new ModuleAttachmentService();
@@ -0,0 +1,108 @@
+// src/services/ModuleBookmarkService.js
+const { Module, ModuleBookmark, ModuleRevision } = require('../model');
+const ModuleService = require('./ModuleService');
+
+/**
+ * Module Bookmark Service - Modules learners saved for later
+ */
+class ModuleBookmarkService {
+    /**
+     * Bookmark a published module (bookmarking twice is a no-op)
+     */
+    async addBookmark(moduleId, userId) {
+        try {
+            const module = await Module.findOne({
+                where: { id: moduleId, is_published: true }
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            await ModuleService.assertAgeEligible(module, userId);
+
+            const [bookmark, created] = await ModuleBookmark.findOrCreate({
+                where: { module_id: module.id, user_id: userId }
+            });
+
+            return {
+                success: true,
+                created,
+                bookmark: bookmark.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleBookmarkService.addBookmark error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a bookmark
+     */
+    async removeBookmark(moduleId, userId) {
+        try {
+            const deleted = await ModuleBookmark.destroy({
+                where: { module_id: moduleId, user_id: userId }
+            });
+            if (!deleted) {
+                throw new Error('Bookmark not found');
+            }
+
+            return {
+                success: true,
+                message: 'Bookmark removed'
+            };
+        } catch (error) {
+            console.error('ModuleBookmarkService.removeBookmark error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's bookmarks (newest first)
+     * Modules that were unpublished or deleted since are left out; the summary is the published revision's
+     * @param {Object} filters - { page, limit }
+     */
+    async getUserBookmarks(userId, filters = {}) {
+        try {
+            const page = parseInt(filters.page) || 1;
+            const limit = Math.min(parseInt(filters.limit) || 20, 100);
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await ModuleBookmark.findAndCountAll({
+                where: { user_id: userId },
+                include: [{
+                    model: Module,
+                    as: 'module',
+                    where: { is_published: true },
+                    required: true,
+                    attributes: ['id', 'title', 'description', 'category', 'difficulty_level', 'estimated_reading_minutes', 'thumbnail_key', 'published_revision_id'],
+                    include: [{
+                        model: ModuleRevision,
+                        as: 'publishedRevision',
+                        required: true,
+                        attributes: ['id', 'title', 'description', 'category', 'estimated_reading_minutes', 'thumbnail_key']
+                    }]
+                }],
+                order: [['created_at', 'DESC']],
+                limit,
+                offset
+            });
+
+            return {
+                success: true,
+                bookmarks: rows.map(bookmark => bookmark.toSafeJSON()),
+                pagination: {
+                    total: count,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.error('ModuleBookmarkService.getUserBookmarks error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ModuleBookmarkService();
@@ -0,0 +1,261 @@
+// src/services/ModuleCloneService.js
+const path = require('path');
+const { Module, Question, ModuleTranslation, ModuleScormPackage, ModuleMedia, ModuleMediaTrack, File } = require('../model');
+const ModuleService = require('./ModuleService');
+const ModuleRevisionService = require('./ModuleRevisionService');
+const FileStorageService = require('./FileStorageService');
+
+// Module fields carried over to the copy (stored files, SCORM and related rows are copied separately)
+const CLONED_FIELDS = [
+    'description', 'content', 'extracted_text', 'type', 'category', 'difficulty_level',
+    'age_group', 'min_age', 'max_age', 'file_name', 'file_type', 'file_size',
+    'thumbnail_generated', 'page_count', 'word_count', 'estimated_reading_minutes',
+    'points', 'passing_score', 'max_attempts', 'shuffle_questions', 'order',
+    'required_modules', 'tags', 'content_advisories', 'metadata'
+];
+
+// Columns never copied from related rows
+const ROW_EXCLUDED_FIELDS = ['id', 'module_id', 'media_id', 'entity_id', 'createdAt', 'updatedAt', 'deletedAt', 'deleted_at'];
+
+/**
+ * Module Clone Service - Deep copies of modules for localized or grade-specific variants
+ *
+ * The copy is a new draft built from the source's working draft: fields, questions,
+ * translations, attachments, media with caption tracks and the current SCORM package.
+ * Stored files are duplicated under the new module's prefix, so either module can be
+ * edited or deleted without touching the other. Ratings, progress, revisions,
+ * collaborators and review state are not copied.
+ */
+class ModuleCloneService {
+    /**
+     * Clone a module
+     * @param {Object} data - { title, slug } (title defaults to "<source title> (Copy)")
+     * @param {number} userId - Becomes the owner of the copy
+     * @returns {Promise<Object>} - { success, module, source_module_id }
+     */
+    async cloneModule(moduleId, data = {}, userId) {
+        let clone = null;
+
+        try {
+            const source = await Module.findByPk(moduleId);
+            if (!source) {
+                throw new Error('Module not found');
+            }
+
+            const title = typeof data.title === 'string' && data.title.trim()
+                ? data.title.trim()
+                : `${source.title} (Copy)`.slice(0, 255);
+
+            clone = await Module.create({
+                ...this._pick(source, CLONED_FIELDS),
+                title,
+                slug: await ModuleService.resolveSlug(data.slug, title),
+                is_published: false,
+                is_featured: false,
+                workflow_status: 'draft',
+                created_by: userId
+            });
+
+            // Each stored object is copied once, so the primary attachment and Modules.file_key stay the same key
+            const copies = new Map();
+            const copy = (key) => this._copyKey(key, source.id, clone.id, copies);
+
+            const updates = {
+                file_key: source.file_key ? await copy(source.file_key) : null,
+                thumbnail_key: source.thumbnail_key ? await copy(source.thumbnail_key) : null
+            };
+
+            if (source.scorm_package_id) {
+                updates.scorm_package_id = await this._cloneScormPackage(source.scorm_package_id, source.id, clone.id, userId);
+            }
+
+            await clone.update(updates, { hooks: false });
+
+            await this._cloneQuestions(source.id, clone.id);
+            await this._cloneTranslations(source.id, clone.id, userId, copy);
+            await this._cloneAttachments(source.id, clone.id, userId, copy);
+            await this._cloneMedia(source.id, clone.id, userId, copy);
+
+            await ModuleRevisionService.recordRevision(clone, userId, { note: `Cloned from "${source.title}"` });
+
+            return {
+                success: true,
+                module: clone.toSafeJSON(),
+                source_module_id: source.id
+            };
+        } catch (error) {
+            console.error('ModuleCloneService.cloneModule error:', error);
+            if (clone) {
+                await this._discard(clone);
+            }
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    async _cloneQuestions(sourceId, cloneId) {
+        const questions = await Question.findAll({
+            where: { module_id: sourceId },
+            order: [['order', 'ASC'], ['id', 'ASC']]
+        });
+
+        for (const question of questions) {
+            await Question.create({ ...this._rowValues(question), module_id: cloneId });
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _cloneTranslations(sourceId, cloneId, userId, copy) {
+        const translations = await ModuleTranslation.findAll({ where: { module_id: sourceId } });
+
+        for (const translation of translations) {
+            await ModuleTranslation.create({
+                ...this._rowValues(translation),
+                module_id: cloneId,
+                file_key: translation.file_key ? await copy(translation.file_key) : null,
+                created_by: userId,
+                updated_by: null
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _cloneAttachments(sourceId, cloneId, userId, copy) {
+        const attachments = await File.findAll({
+            where: { entity_type: 'module', entity_id: sourceId, file_category: 'attachment' },
+            order: [['sort_order', 'ASC'], ['id', 'ASC']]
+        });
+
+        for (const attachment of attachments) {
+            await File.create({
+                ...this._rowValues(attachment),
+                entity_id: cloneId,
+                file_key: await copy(attachment.file_key),
+                file_url: null,
+                download_count: 0,
+                uploaded_by: userId
+            }, { hooks: false });
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _cloneMedia(sourceId, cloneId, userId, copy) {
+        const media = await ModuleMedia.findAll({
+            where: { module_id: sourceId },
+            include: [{ model: ModuleMediaTrack, as: 'tracks' }],
+            order: [['sort_order', 'ASC'], ['id', 'ASC']]
+        });
+
+        for (const item of media) {
+            const cloned = await ModuleMedia.create({
+                ...this._rowValues(item),
+                module_id: cloneId,
+                file_key: await copy(item.file_key),
+                uploaded_by: userId
+            });
+
+            for (const track of item.tracks || []) {
+                await ModuleMediaTrack.create({
+                    ...this._rowValues(track),
+                    media_id: cloned.id,
+                    file_key: await copy(track.file_key),
+                    uploaded_by: userId
+                });
+            }
+        }
+    }
+
+    /**
+     * Copy the module's current SCORM package folder and record
+     * @private
+     * @returns {Promise<number|null>} - ID of the copied package
+     */
+    async _cloneScormPackage(packageId, sourceId, cloneId, userId) {
+        const scormPackage = await ModuleScormPackage.findOne({
+            where: { id: packageId, module_id: sourceId }
+        });
+        if (!scormPackage) return null;
+
+        const baseKey = this._rebaseKey(scormPackage.base_key, sourceId, cloneId);
+        await FileStorageService.copyFilesByPrefix(scormPackage.base_key, baseKey);
+
+        const cloned = await ModuleScormPackage.create({
+            ...this._rowValues(scormPackage),
+            module_id: cloneId,
+            base_key: baseKey,
+            uploaded_by: userId
+        });
+        return cloned.id;
+    }
+
+    /**
+     * Copy a stored object to the clone's prefix (once per source key)
+     * @private
+     */
+    async _copyKey(key, sourceId, cloneId, copies) {
+        if (!copies.has(key)) {
+            const { key: copied } = await FileStorageService.copyFile(key, this._rebaseKey(key, sourceId, cloneId));
+            copies.set(key, copied);
+        }
+        return copies.get(key);
+    }
+
+    /**
+     * modules/<source>/... becomes modules/<clone>/...; other keys keep their file name
+     * @private
+     */
+    _rebaseKey(key, sourceId, cloneId) {
+        const prefix = `modules/${sourceId}/`;
+        return key.startsWith(prefix)
+            ? `modules/${cloneId}/${key.slice(prefix.length)}`
+            : `modules/${cloneId}/${path.basename(key)}`;
+    }
+
+    /**
+     * Remove a partly built clone and everything stored under its prefix
+     * @private
+     */
+    async _discard(clone) {
+        try {
+            await clone.destroy({ force: true });
+            await FileStorageService.deleteFilesByPrefix(`modules/${clone.id}/`);
+        } catch (error) {
+            console.error(`Failed to clean up clone ${clone.id}:`, error);
+        }
+    }
+
+    /**
+     * Column values of a related row without its keys and timestamps
+     * @private
+     */
+    _rowValues(row) {
+        return Object.keys(row.constructor.rawAttributes)
+            .filter(field => !ROW_EXCLUDED_FIELDS.includes(field))
+            .reduce((values, field) => {
+                values[field] = row.get(field);
+                return values;
+            }, {});
+    }
+
+    /**
+     * @private
+     */
+    _pick(source, fields) {
+        return fields.reduce((picked, field) => {
+            if (source[field] !== undefined) picked[field] = source[field];
+            return picked;
+        }, {});
+    }
+}
+
+module.exports = new ModuleCloneService();
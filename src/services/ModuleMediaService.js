@@ -0,0 +1,711 @@
+// src/services/ModuleMediaService.js
+const path = require('path');
+const { Module, ModuleMedia, ModuleMediaTrack, ModuleMediaProgress, sequelize } = require('../model');
+const ModuleService = require('./ModuleService');
+const ModuleRevisionService = require('./ModuleRevisionService');
+const ModuleProgressService = require('./ModuleProgressService');
+const FileStorageService = require('./FileStorageService');
+const MediaProbeService = require('./MediaProbeService');
+const { SUPPORTED_LOCALES, resolveLocale } = require('../config/locales');
+
+const MAX_MEDIA_PER_MODULE = 50;
+const MAX_TRACK_CUES = 20000;
+
+// Share of a video/audio item that counts as watched/listened to
+const MEDIA_COMPLETION_RATIO = 0.95;
+
+const MEDIA_KINDS = {
+    'video/mp4': 'video',
+    'video/webm': 'video',
+    'video/quicktime': 'video',
+    'audio/mpeg': 'audio',
+    'audio/wav': 'audio',
+    'audio/ogg': 'audio',
+    'application/pdf': 'slides',
+    'application/vnd.ms-powerpoint': 'slides',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'slides'
+};
+
+// hh:mm:ss.ttt (WebVTT allows the hours to be left out; SRT uses a comma)
+const TIMESTAMP = /^(?:(\d{1,}):)?(\d{2}):(\d{2})[.,](\d{3})$/;
+
+/**
+ * Module Media Service - Video, audio and slide attachments with captions and playback position
+ *
+ * Editors change the draft media (in sort_order); every change is recorded as a module
+ * revision, and learners get the media of the published revision. Removed media is
+ * soft-deleted so playback of the published revision keeps working, and stored files
+ * are only deleted once no revision serves them.
+ * Caption tracks are stored as WebVTT per language (SRT is converted on upload)
+ * and their cue text is kept as a plain transcript. Playback position is saved
+ * per learner; watching every video/audio item to the end completes the module.
+ */
+class ModuleMediaService {
+    /**
+     * List a module's media with tracks and the user's playback position
+     * @param {boolean} includeUnpublished - Staff may list media of drafts
+     */
+    async getMedia(moduleId, userId, includeUnpublished = false) {
+        try {
+            const module = await this._findModule(moduleId, userId, includeUnpublished);
+
+            const media = includeUnpublished
+                ? await ModuleMedia.findAll({
+                    where: { module_id: module.id },
+                    include: [{ model: ModuleMediaTrack, as: 'tracks', required: false }],
+                    order: [
+                        ['sort_order', 'ASC'],
+                        ['id', 'ASC'],
+                        [{ model: ModuleMediaTrack, as: 'tracks' }, 'language', 'ASC']
+                    ]
+                })
+                : this._publishedMedia(module);
+
+            const playback = await ModuleMediaProgress.findAll({
+                where: { module_id: module.id, user_id: userId }
+            });
+            const playbackByMedia = new Map(playback.map(p => [p.media_id, p]));
+
+            return {
+                success: true,
+                media: media.map(item => item.toSafeJSON(
+                    item.isPlayable() ? playbackByMedia.get(item.id) || null : undefined
+                ))
+            };
+        } catch (error) {
+            console.error('ModuleMediaService.getMedia error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Attach a media file; duration is probed from the file
+     * @param {Object} file - Multer file (media field)
+     * @param {Object} data - { title, kind } - kind defaults to the file type
+     */
+    async addMedia(moduleId, file, data = {}, userId) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const count = await ModuleMedia.count({ where: { module_id: module.id } });
+            if (count >= MAX_MEDIA_PER_MODULE) {
+                throw this._invalid(`A module can have at most ${MAX_MEDIA_PER_MODULE} media items`, 'MEDIA_LIMIT_REACHED');
+            }
+
+            const kind = this._resolveKind(file.mimetype, data.kind);
+            const title = this._resolveTitle(data.title, file.originalname);
+            const duration = kind === 'slides' ? null : MediaProbeService.probeDuration(file.buffer, file.mimetype);
+
+            const upload = await FileStorageService.uploadModuleMedia(
+                file.buffer,
+                module.id,
+                file.mimetype,
+                file.originalname,
+                { uploadedBy: userId }
+            );
+
+            let media;
+            try {
+                const lastOrder = await ModuleMedia.max('sort_order', { where: { module_id: module.id } });
+
+                media = await ModuleMedia.create({
+                    module_id: module.id,
+                    kind,
+                    title,
+                    file_key: upload.key,
+                    file_name: file.originalname,
+                    mime_type: file.mimetype,
+                    file_size: upload.size,
+                    duration_seconds: duration,
+                    sort_order: (lastOrder === null || lastOrder === undefined ? -1 : lastOrder) + 1,
+                    uploaded_by: userId
+                });
+                media.tracks = [];
+            } catch (error) {
+                await FileStorageService.deleteFile(upload.key).catch(() => {});
+                throw error;
+            }
+
+            await ModuleRevisionService.recordRevision(module, userId, { note: `Added media "${media.title}"` });
+
+            return {
+                success: true,
+                media: media.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleMediaService.addMedia error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rename a media item
+     * @param {Object} data - { title }
+     */
+    async updateMedia(moduleId, mediaId, data = {}, userId = null) {
+        try {
+            const media = await this._findMedia(moduleId, mediaId);
+
+            if (data.title !== undefined) {
+                media.title = typeof data.title === 'string' ? data.title.trim() : data.title;
+            }
+            if (media.changed()) {
+                await media.save();
+                await ModuleRevisionService.recordRevision(media.module, userId, { note: `Renamed media "${media.title}"` });
+            }
+
+            return {
+                success: true,
+                media: media.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleMediaService.updateMedia error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the play order
+     * @param {Array<number>} mediaIds - Every media ID of the module, in the new order
+     */
+    async reorderMedia(moduleId, mediaIds, userId = null) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const media = await ModuleMedia.findAll({ where: { module_id: module.id } });
+            const ids = Array.isArray(mediaIds) ? mediaIds.map(Number) : [];
+            const known = new Set(media.map(item => item.id));
+
+            if (ids.length !== media.length || new Set(ids).size !== ids.length || !ids.every(id => known.has(id))) {
+                throw this._invalid('media_ids must list every media item of the module exactly once', 'INVALID_MEDIA_ORDER');
+            }
+
+            await sequelize.transaction(async (transaction) => {
+                for (const [index, id] of ids.entries()) {
+                    await ModuleMedia.update({ sort_order: index }, { where: { id }, transaction });
+                }
+            });
+            await ModuleRevisionService.recordRevision(module, userId, { note: 'Reordered media' });
+
+            return await this.getMedia(module.id, null, true);
+        } catch (error) {
+            console.error('ModuleMediaService.reorderMedia error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a media item from the draft (its files are kept while a revision still serves them)
+     */
+    async removeMedia(moduleId, mediaId, userId = null) {
+        try {
+            const media = await this._findMedia(moduleId, mediaId);
+            const tracks = await ModuleMediaTrack.findAll({ where: { media_id: media.id } });
+
+            // Soft delete: learners may still be playing it in the published revision
+            await media.destroy();
+            await ModuleRevisionService.recordRevision(media.module, userId, { note: `Removed media "${media.title}"` });
+
+            await this._deleteUnreferencedFiles(media.module, [media.file_key, ...tracks.map(track => track.file_key)]);
+
+            return {
+                success: true,
+                message: 'Media removed'
+            };
+        } catch (error) {
+            console.error('ModuleMediaService.removeMedia error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add (or replace) the caption track of a language on a video/audio item
+     * @param {Object} file - Multer file (track field), WebVTT or SRT
+     * @param {Object} data - { language, kind: captions|subtitles, label, is_default }
+     */
+    async addTrack(moduleId, mediaId, file, data = {}, userId) {
+        try {
+            const media = await this._findMedia(moduleId, mediaId);
+            if (!media.isPlayable()) {
+                throw this._invalid('Captions can only be added to video and audio', 'INVALID_TRACK');
+            }
+
+            const language = resolveLocale(data.language);
+            if (!language) {
+                throw this._invalid(
+                    `Unsupported language. Use one of: ${Object.keys(SUPPORTED_LOCALES).join(', ')}`,
+                    'UNSUPPORTED_LOCALE'
+                );
+            }
+
+            const kind = data.kind || 'captions';
+            if (!['captions', 'subtitles'].includes(kind)) {
+                throw this._invalid('kind must be captions or subtitles', 'INVALID_TRACK');
+            }
+
+            const isDefault = data.is_default === true || data.is_default === 'true';
+            const label = data.label ? String(data.label).trim().slice(0, 100) : SUPPORTED_LOCALES[language];
+
+            const { vtt, cues } = this._toWebVtt(file.buffer, path.extname(file.originalname).toLowerCase());
+            const upload = await FileStorageService.uploadMediaTrack(vtt, media.module_id, media.id, language);
+
+            const existing = await ModuleMediaTrack.findOne({
+                where: { media_id: media.id, kind, language }
+            });
+            const previousKey = existing ? existing.file_key : null;
+
+            const track = await sequelize.transaction(async (transaction) => {
+                if (isDefault) {
+                    await ModuleMediaTrack.update(
+                        { is_default: false },
+                        { where: { media_id: media.id }, transaction }
+                    );
+                }
+
+                const values = {
+                    label,
+                    file_key: upload.key,
+                    cue_count: cues.length,
+                    transcript: this._transcript(cues),
+                    is_default: isDefault,
+                    uploaded_by: userId
+                };
+
+                if (existing) {
+                    return await existing.update(values, { transaction });
+                }
+                return await ModuleMediaTrack.create({
+                    media_id: media.id,
+                    kind,
+                    language,
+                    ...values
+                }, { transaction });
+            });
+
+            await ModuleRevisionService.recordRevision(media.module, userId, {
+                note: `${existing ? 'Replaced' : 'Added'} ${language} ${kind} on "${media.title}"`
+            });
+
+            if (previousKey) {
+                await this._deleteUnreferencedFiles(media.module, [previousKey]);
+            }
+
+            return {
+                success: true,
+                track: track.toSafeJSON(),
+                replaced: !!existing
+            };
+        } catch (error) {
+            console.error('ModuleMediaService.addTrack error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a caption track (its file is kept while a revision still serves it)
+     */
+    async removeTrack(moduleId, mediaId, trackId, userId = null) {
+        try {
+            const media = await this._findMedia(moduleId, mediaId);
+            const track = await ModuleMediaTrack.findOne({
+                where: { id: trackId, media_id: media.id }
+            });
+            if (!track) {
+                throw new Error('Track not found');
+            }
+
+            await track.destroy();
+            await ModuleRevisionService.recordRevision(media.module, userId, {
+                note: `Removed ${track.language} ${track.kind} from "${media.title}"`
+            });
+
+            await this._deleteUnreferencedFiles(media.module, [track.file_key]);
+
+            return {
+                success: true,
+                message: 'Track removed'
+            };
+        } catch (error) {
+            console.error('ModuleMediaService.removeTrack error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Plain-text transcript of a media item
+     * @param {string} language - Preferred language; falls back to the default track, then any
+     */
+    async getTranscript(moduleId, mediaId, userId, language = null, includeUnpublished = false) {
+        try {
+            const module = await this._findModule(moduleId, userId, includeUnpublished);
+            const media = includeUnpublished
+                ? await this._findMedia(module.id, mediaId)
+                : this._findPublishedMedia(module, mediaId);
+
+            const tracks = includeUnpublished
+                ? await ModuleMediaTrack.findAll({
+                    where: { media_id: media.id },
+                    order: [['is_default', 'DESC'], ['kind', 'ASC'], ['language', 'ASC']]
+                })
+                : [...media.tracks].sort((a, b) => (
+                    Number(b.is_default) - Number(a.is_default) ||
+                    a.kind.localeCompare(b.kind) ||
+                    a.language.localeCompare(b.language)
+                ));
+
+            const locale = resolveLocale(language);
+            const track = (locale && tracks.find(t => t.language === locale)) || tracks[0];
+            if (!track) {
+                throw new Error('Track not found');
+            }
+
+            return {
+                success: true,
+                transcript: {
+                    media_id: media.id,
+                    track_id: track.id,
+                    language: track.language,
+                    label: track.label,
+                    text: track.transcript || ''
+                }
+            };
+        } catch (error) {
+            console.error('ModuleMediaService.getTranscript error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the learner's playback position and roll it up into module progress
+     * @param {Object} data - { position_seconds, time_spent_seconds, ended }
+     * @returns {Promise<Object>} - Progress result (see ModuleProgressService.updateProgress) with playback
+     */
+    async savePlayback(moduleId, mediaId, userId, data = {}) {
+        try {
+            const module = await this._findModule(moduleId, userId, false);
+            const media = this._findPublishedMedia(module, mediaId);
+            if (!media.isPlayable()) {
+                throw this._invalid('Playback is only tracked for video and audio', 'INVALID_PLAYBACK');
+            }
+
+            const duration = media.duration_seconds !== null ? Number(media.duration_seconds) : null;
+            let position = Number(data.position_seconds);
+            if (!Number.isFinite(position) || position < 0) {
+                throw this._invalid('position_seconds must be a non-negative number', 'INVALID_PLAYBACK');
+            }
+            if (duration !== null) {
+                position = Math.min(position, duration);
+            }
+            position = Math.round(position * 100) / 100;
+
+            const [playback] = await ModuleMediaProgress.findOrCreate({
+                where: { user_id: userId, media_id: media.id },
+                defaults: {
+                    user_id: userId,
+                    media_id: media.id,
+                    module_id: module.id
+                }
+            });
+
+            playback.position_seconds = position;
+            playback.furthest_seconds = Math.max(Number(playback.furthest_seconds), position);
+
+            const ended = data.ended === true || data.ended === 'true';
+            const reachedEnd = duration !== null && Number(playback.furthest_seconds) >= duration * MEDIA_COMPLETION_RATIO;
+            if (!playback.completed_at && (ended || reachedEnd)) {
+                playback.completed_at = new Date();
+            }
+
+            // Finished items start from the beginning next time
+            if (ended) {
+                playback.position_seconds = 0;
+            }
+            await playback.save();
+
+            const percent = await this._moduleMediaPercent(module, userId);
+            const progressData = {
+                progress_percent: module.isAssessment() ? Math.min(percent, 99) : percent,
+                last_position: `media:${media.id}@${Math.floor(position)}`
+            };
+            if (data.time_spent_seconds !== undefined) {
+                progressData.time_spent_seconds = data.time_spent_seconds;
+            }
+
+            const result = await ModuleProgressService.updateProgress(module.id, userId, progressData);
+
+            return {
+                ...result,
+                playback: playback.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleMediaService.savePlayback error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Load a module the user may see: the published version if eligible, or the draft of any module for staff
+     * @private
+     */
+    async _findModule(moduleId, userId, includeUnpublished) {
+        const where = { id: moduleId };
+        if (!includeUnpublished) {
+            where.is_published = true;
+        }
+
+        const module = await Module.findOne({ where });
+        if (!module) {
+            throw new Error('Module not found');
+        }
+
+        if (includeUnpublished) {
+            return module;
+        }
+
+        await ModuleService.assertAgeEligible(module, userId);
+        await ModuleService.assertPrerequisitesMet(module, userId);
+
+        return await ModuleService.getPublishedVersion(module);
+    }
+
+    /**
+     * Load a draft media item with its module
+     * @private
+     */
+    async _findMedia(moduleId, mediaId) {
+        const media = await ModuleMedia.findOne({
+            where: { id: mediaId, module_id: moduleId },
+            include: [{ model: Module, as: 'module' }]
+        });
+        if (!media) {
+            throw new Error('Media not found');
+        }
+        return media;
+    }
+
+    /**
+     * Media of the published revision (see ModuleRevision.getMedia)
+     * @private
+     */
+    _publishedMedia(module) {
+        return module.publishedRevision ? module.publishedRevision.getMedia() : [];
+    }
+
+    /**
+     * @private
+     */
+    _findPublishedMedia(module, mediaId) {
+        const media = this._publishedMedia(module).find(item => item.id === Number(mediaId));
+        if (!media) {
+            throw new Error('Media not found');
+        }
+        return media;
+    }
+
+    /**
+     * Delete stored media/caption files unless the draft or a revision still uses them
+     * @private
+     */
+    async _deleteUnreferencedFiles(module, keys) {
+        const draft = await ModuleMedia.findAll({
+            where: { module_id: module.id },
+            attributes: ['file_key'],
+            include: [{ model: ModuleMediaTrack, as: 'tracks', attributes: ['file_key'], required: false }]
+        });
+        const referenced = new Set([
+            ...await ModuleRevisionService.getReferencedKeys(module),
+            ...draft.flatMap(item => [item.file_key, ...item.tracks.map(track => track.file_key)])
+        ]);
+
+        for (const key of keys.filter(key => key && !referenced.has(key))) {
+            await FileStorageService.deleteFile(key).catch(err => {
+                console.error(`Failed to delete media file: ${key}`, err);
+            });
+        }
+    }
+
+    /**
+     * Share of the published video/audio the learner has got through (0-100)
+     * Items without a probed duration count once they are completed
+     * @private
+     */
+    async _moduleMediaPercent(module, userId) {
+        const media = this._publishedMedia(module).filter(item => item.isPlayable());
+        if (media.length === 0) return 0;
+
+        const playback = await ModuleMediaProgress.findAll({
+            where: { module_id: module.id, user_id: userId }
+        });
+        const playbackByMedia = new Map(playback.map(p => [p.media_id, p]));
+
+        const total = media.reduce((sum, item) => {
+            const record = playbackByMedia.get(item.id);
+            if (!record) return sum;
+            if (record.completed_at) return sum + 1;
+
+            const duration = item.duration_seconds !== null ? Number(item.duration_seconds) : 0;
+            return sum + (duration > 0 ? Math.min(1, Number(record.furthest_seconds) / duration) : 0);
+        }, 0);
+
+        return Math.floor((total / media.length) * 100);
+    }
+
+    /**
+     * @private
+     */
+    _resolveKind(mimetype, requested) {
+        const detected = MEDIA_KINDS[mimetype];
+        if (!detected) {
+            throw this._invalid(`File type ${mimetype} is not supported for media`, 'INVALID_MEDIA');
+        }
+
+        // Audio-only video containers (e.g. an .mp4 podcast) may be labelled audio
+        if (requested && requested !== detected) {
+            const allowed = detected === 'video' && requested === 'audio';
+            if (!allowed) {
+                throw this._invalid(`A ${mimetype} file cannot be added as ${requested}`, 'INVALID_MEDIA');
+            }
+            return requested;
+        }
+        return detected;
+    }
+
+    /**
+     * Title from the request, or the file name without its extension
+     * @private
+     */
+    _resolveTitle(title, originalName) {
+        const value = typeof title === 'string' && title.trim()
+            ? title.trim()
+            : path.basename(originalName || 'Media', path.extname(originalName || ''));
+        return value.slice(0, 255);
+    }
+
+    /**
+     * Parse an SRT or WebVTT upload into a normalized WebVTT document
+     * @private
+     * @returns {Object} - { vtt, cues: [{ start, end, text }] }
+     */
+    _toWebVtt(buffer, ext) {
+        const source = buffer.toString('utf8')
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n');
+
+        const isVtt = /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(source);
+        if (ext === '.vtt' && !isVtt) {
+            throw this._invalid('WebVTT files must start with "WEBVTT"', 'INVALID_TRACK');
+        }
+
+        const blocks = source.split(/\n{2,}/);
+        const cues = [];
+
+        // WebVTT: the header block, NOTE/STYLE/REGION blocks and cue identifiers are skipped
+        for (const block of isVtt ? blocks.slice(1) : blocks) {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1 || timingIndex > 1) continue;
+
+            const [startText, rest] = lines[timingIndex].split('-->');
+            const endText = rest.trim().split(/\s+/)[0];
+            const settings = isVtt ? rest.trim().split(/\s+/).slice(1).join(' ') : '';
+            const start = this._parseTimestamp(startText.trim());
+            const end = this._parseTimestamp(endText);
+
+            if (start === null || end === null || end <= start) {
+                throw this._invalid(`Invalid cue timing "${lines[timingIndex].trim()}"`, 'INVALID_TRACK');
+            }
+
+            const text = lines.slice(timingIndex + 1).join('\n').trim();
+            if (!text) continue;
+
+            cues.push({
+                start,
+                end,
+                settings,
+                // SubRip <font> tags have no WebVTT equivalent
+                text: isVtt ? text : text.replace(/<\/?font[^>]*>/gi, '')
+            });
+
+            if (cues.length > MAX_TRACK_CUES) {
+                throw this._invalid(`Caption files can have at most ${MAX_TRACK_CUES} cues`, 'INVALID_TRACK');
+            }
+        }
+
+        if (cues.length === 0) {
+            throw this._invalid('No captions found in the file', 'INVALID_TRACK');
+        }
+
+        const body = cues.map(cue => {
+            const timing = `${this._formatTimestamp(cue.start)} --> ${this._formatTimestamp(cue.end)}`;
+            return `${cue.settings ? `${timing} ${cue.settings}` : timing}\n${cue.text}`;
+        }).join('\n\n');
+
+        return { vtt: `WEBVTT\n\n${body}\n`, cues };
+    }
+
+    /**
+     * Cue text as readable paragraphs (markup removed, repeated lines dropped)
+     * @private
+     */
+    _transcript(cues) {
+        const lines = [];
+        cues.forEach(cue => {
+            const text = cue.text
+                .replace(/<v(?:\.[^\s>]+)?\s+([^>]+)>/g, '$1: ')
+                .replace(/<[^>]+>/g, '')
+                .replace(/&amp;/g, '&')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/\s*\n\s*/g, ' ')
+                .trim();
+
+            if (text && text !== lines[lines.length - 1]) {
+                lines.push(text);
+            }
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * @private
+     * @returns {number|null} - Milliseconds
+     */
+    _parseTimestamp(value) {
+        const match = TIMESTAMP.exec(value);
+        if (!match) return null;
+
+        const [, hours, minutes, seconds, millis] = match;
+        if (Number(minutes) > 59 || Number(seconds) > 59) return null;
+
+        return ((Number(hours || 0) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis);
+    }
+
+    /**
+     * @private
+     */
+    _formatTimestamp(ms) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const hours = Math.floor(ms / 3600000);
+        const minutes = Math.floor(ms / 60000) % 60;
+        const seconds = Math.floor(ms / 1000) % 60;
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+    }
+
+    /**
+     * @private
+     */
+    _invalid(message, code) {
+        return Object.assign(new Error(message), { statusCode: 400, code });
+    }
+}
+
+module.exports = new ModuleMediaService();
@@ -0,0 +1,181 @@
+// src/services/ModuleNoteService.js
+const { Module, ModuleNote } = require('../model');
+const ModuleService = require('./ModuleService');
+const EncryptionService = require('./EncryptionService');
+
+const MAX_NOTE_LENGTH = 10000;
+const MAX_POSITION_LENGTH = 255;
+
+/**
+ * Module Note Service - Private learner notes, encrypted at rest
+ * Notes are only ever returned to their owner; other users get "Note not found"
+ */
+class ModuleNoteService {
+    /**
+     * Get the current user's notes on a module (oldest first)
+     */
+    async getNotes(moduleId, userId) {
+        try {
+            const notes = await ModuleNote.findAll({
+                where: { module_id: moduleId, user_id: userId },
+                order: [['created_at', 'ASC']]
+            });
+
+            return {
+                success: true,
+                notes: notes.map(note => note.toOwnerJSON(this._decryptBody(note)))
+            };
+        } catch (error) {
+            console.error('ModuleNoteService.getNotes error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a note to a published module
+     * @param {Object} data - { body, position }
+     */
+    async createNote(moduleId, userId, data = {}) {
+        try {
+            const module = await Module.findOne({
+                where: { id: moduleId, is_published: true }
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            await ModuleService.assertAgeEligible(module, userId);
+
+            const body = this._validateBody(data.body);
+            const note = await ModuleNote.create({
+                module_id: module.id,
+                user_id: userId,
+                body_encrypted: EncryptionService.encrypt(body, this._associatedData(userId, module.id)),
+                position: this._normalizePosition(data.position)
+            });
+
+            return {
+                success: true,
+                note: note.toOwnerJSON(body)
+            };
+        } catch (error) {
+            console.error('ModuleNoteService.createNote error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a note
+     * @param {Object} data - { body, position } - omitted fields are kept
+     */
+    async updateNote(moduleId, noteId, userId, data = {}) {
+        try {
+            const note = await this._findOwnNote(moduleId, noteId, userId);
+
+            const changes = {};
+            let body;
+            if (data.body !== undefined) {
+                body = this._validateBody(data.body);
+                changes.body_encrypted = EncryptionService.encrypt(body, this._associatedData(userId, note.module_id));
+            }
+            if (data.position !== undefined) {
+                changes.position = this._normalizePosition(data.position);
+            }
+
+            await note.update(changes);
+
+            return {
+                success: true,
+                note: note.toOwnerJSON(body !== undefined ? body : this._decryptBody(note))
+            };
+        } catch (error) {
+            console.error('ModuleNoteService.updateNote error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a note
+     */
+    async deleteNote(moduleId, noteId, userId) {
+        try {
+            const note = await this._findOwnNote(moduleId, noteId, userId);
+            await note.destroy();
+
+            return {
+                success: true,
+                message: 'Note deleted'
+            };
+        } catch (error) {
+            console.error('ModuleNoteService.deleteNote error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    async _findOwnNote(moduleId, noteId, userId) {
+        const note = await ModuleNote.findOne({
+            where: { id: noteId, module_id: moduleId, user_id: userId }
+        });
+        if (!note) {
+            throw new Error('Note not found');
+        }
+        return note;
+    }
+
+    /**
+     * Bind ciphertext to its owner and module
+     * @private
+     */
+    _associatedData(userId, moduleId) {
+        return `module-note:${userId}:${moduleId}`;
+    }
+
+    /**
+     * Decrypt a stored note; a payload that fails authentication is reported, not returned
+     * @private
+     */
+    _decryptBody(note) {
+        try {
+            return EncryptionService.decrypt(note.body_encrypted, this._associatedData(note.user_id, note.module_id));
+        } catch (error) {
+            if (error.code === 'ENCRYPTION_UNAVAILABLE') throw error;
+            console.error(`ModuleNoteService: note ${note.id} could not be decrypted:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _validateBody(body) {
+        const text = typeof body === 'string' ? body.trim() : '';
+        if (!text) {
+            throw Object.assign(new Error('Note cannot be empty'), {
+                statusCode: 400,
+                code: 'INVALID_NOTE'
+            });
+        }
+        if (text.length > MAX_NOTE_LENGTH) {
+            throw Object.assign(new Error(`Note must not exceed ${MAX_NOTE_LENGTH} characters`), {
+                statusCode: 400,
+                code: 'INVALID_NOTE'
+            });
+        }
+        return text;
+    }
+
+    /**
+     * @private
+     */
+    _normalizePosition(position) {
+        if (position === undefined || position === null || position === '') return null;
+        return String(position).slice(0, MAX_POSITION_LENGTH);
+    }
+}
+
+module.exports = new ModuleNoteService();
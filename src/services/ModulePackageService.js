@@ -0,0 +1,368 @@
+// src/services/ModulePackageService.js
+const crypto = require('crypto');
+const path = require('path');
+const JSZip = require('jszip');
+const { Module, ModuleRevision } = require('../model');
+const ModuleService = require('./ModuleService');
+const ModulePermissionService = require('./ModulePermissionService');
+const FileStorageService = require('./FileStorageService');
+const { validateModuleFile, validateThumbnail } = require('../middleware/FileUploadMiddleware');
+const { Op } = require('sequelize');
+
+const PACKAGE_FORMAT = 'bckprotected-module';
+const PACKAGE_VERSION = 1;
+const MAX_PACKAGE_ENTRIES = 20;
+const MAX_MANIFEST_BYTES = 5 * 1024 * 1024;
+
+// Module fields carried in the manifest (files and prerequisites are handled separately)
+const EXPORT_FIELDS = [
+    'title', 'description', 'content', 'type', 'category', 'difficulty_level',
+    'age_group', 'min_age', 'max_age', 'points', 'passing_score', 'max_attempts',
+    'shuffle_questions', 'tags', 'content_advisories', 'metadata'
+];
+
+const CONFLICT_MODES = ['fail', 'update', 'copy'];
+
+/**
+ * Module Package Service - Export/import modules as portable zip packages
+ *
+ * A package holds manifest.json (module fields, prerequisite slugs, file descriptors),
+ * the module file under files/ and thumbnail.jpg. Modules are matched across
+ * environments by slug; a slug that already exists is a conflict resolved by
+ * on_conflict: fail (default), update the existing module, or copy under a new slug.
+ * Imported modules land as drafts and go through the review workflow.
+ */
+class ModulePackageService {
+    /**
+     * Build a package for a module
+     * @param {Object} options - { source } 'published' (default when live) or 'draft'
+     * @returns {Promise<Object>} - { success, filename, buffer }
+     */
+    async exportModule(moduleId, options = {}) {
+        try {
+            const module = await Module.findByPk(moduleId, {
+                include: [{ model: ModuleRevision, as: 'publishedRevision', required: false }]
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            if (!module.slug) {
+                await module.update({ slug: await ModuleService.resolveSlug(null, module.title, module.id) }, { hooks: false });
+            }
+
+            const useDraft = options.source === 'draft' || !module.publishedRevision;
+            const source = useDraft ? module : module.publishedRevision;
+
+            const required = await Module.findAll({
+                where: { id: module.getRequiredModuleIds() },
+                attributes: ['id', 'slug'],
+                paranoid: false,
+                raw: true
+            });
+
+            const manifest = {
+                format: PACKAGE_FORMAT,
+                version: PACKAGE_VERSION,
+                exported_at: new Date().toISOString(),
+                source: useDraft ? 'draft' : 'published',
+                revision_number: useDraft ? null : module.publishedRevision.revision_number,
+                module: {
+                    slug: module.slug,
+                    ...this._pick(module, EXPORT_FIELDS),
+                    // Content fields come from the exported revision
+                    ...this._pick(source, ['title', 'description', 'content']),
+                    tags: Module.normalizeTags(source.tags),
+                    content_advisories: Module.normalizeContentAdvisories(module.content_advisories),
+                    metadata: this._parseJSON(source.metadata),
+                    required_modules: required.map(m => m.slug).filter(Boolean)
+                },
+                file: null,
+                thumbnail: null
+            };
+
+            const zip = new JSZip();
+
+            if (source.file_key) {
+                const buffer = await FileStorageService.getFileBuffer(source.file_key);
+                const name = path.basename(source.file_name || `module${path.extname(source.file_key)}`);
+                manifest.file = {
+                    path: `files/${name}`,
+                    name,
+                    type: source.file_type,
+                    size: buffer.length,
+                    sha256: this._sha256(buffer)
+                };
+                zip.file(manifest.file.path, buffer);
+            }
+
+            if (source.thumbnail_key) {
+                // Stored thumbnails are always processed to JPEG
+                const buffer = await FileStorageService.getFileBuffer(source.thumbnail_key);
+                manifest.thumbnail = {
+                    path: 'thumbnail.jpg',
+                    type: 'image/jpeg',
+                    size: buffer.length,
+                    sha256: this._sha256(buffer)
+                };
+                zip.file(manifest.thumbnail.path, buffer);
+            }
+
+            zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+            return {
+                success: true,
+                filename: `${module.slug}.zip`,
+                buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+            };
+        } catch (error) {
+            console.error('ModulePackageService.exportModule error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update a module from a package
+     * @param {Buffer} buffer - Zip package
+     * @param {Object} user - { id, role } importing user
+     * @param {Object} options - { on_conflict } fail | update | copy
+     * @returns {Promise<Object>} - { success, action: created|updated, module, warnings }
+     */
+    async importPackage(buffer, user, options = {}) {
+        try {
+            const onConflict = options.on_conflict || 'fail';
+            if (!CONFLICT_MODES.includes(onConflict)) {
+                throw Object.assign(new Error(`on_conflict must be one of: ${CONFLICT_MODES.join(', ')}`), {
+                    statusCode: 400,
+                    code: 'INVALID_PACKAGE'
+                });
+            }
+
+            // Read and validate everything before touching the database
+            const { manifest, file, thumbnail } = await this._readPackage(buffer);
+            const warnings = [];
+
+            const slug = Module.slugify(manifest.module.slug || manifest.module.title);
+            const data = {
+                ...this._pick(manifest.module, EXPORT_FIELDS),
+                required_modules: await this._resolveRequired(manifest.module.required_modules, slug, warnings)
+            };
+
+            const existing = slug
+                ? await Module.findOne({ where: { slug }, paranoid: false })
+                : null;
+
+            let module;
+            let action = 'created';
+
+            if (existing && onConflict !== 'copy') {
+                if (existing.deleted_at) {
+                    throw Object.assign(new Error(`Module "${slug}" is in the trash; restore or permanently delete it first`), {
+                        statusCode: 409,
+                        code: 'MODULE_IN_TRASH',
+                        existing_module_id: existing.id
+                    });
+                }
+                if (onConflict === 'fail') {
+                    throw Object.assign(new Error(`A module with slug "${slug}" already exists`), {
+                        statusCode: 409,
+                        code: 'MODULE_SLUG_CONFLICT',
+                        existing_module_id: existing.id
+                    });
+                }
+
+                await ModulePermissionService.assertCan(existing, user, 'edit');
+                await ModuleService.updateModule(existing.id, { ...data, revision_note: 'Imported from package' }, user.id);
+                module = existing;
+                action = 'updated';
+            } else {
+                const result = await ModuleService.createModule({
+                    ...data,
+                    // A copy gets the next free slug (e.g. consent-basics-2)
+                    slug: existing ? await ModuleService.resolveSlug(null, slug) : slug || null
+                }, user.id);
+                module = { id: result.module.id };
+            }
+
+            // Unchanged files (same name and size) are not uploaded again on update
+            if (file && !(action === 'updated' && existing.file_name === file.name && existing.file_size === file.buffer.length)) {
+                await ModuleService.uploadModuleFile(module.id, file.buffer, file.type, file.name, user.id, {
+                    skipPreview: !!thumbnail
+                });
+            }
+            if (thumbnail) {
+                await ModuleService.uploadModuleThumbnail(module.id, thumbnail.buffer, thumbnail.type, 'thumbnail.jpg', user.id);
+            }
+
+            const saved = await Module.findByPk(module.id);
+
+            return {
+                success: true,
+                action,
+                module: saved.toSafeJSON(),
+                warnings
+            };
+        } catch (error) {
+            console.error('ModulePackageService.importPackage error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Unzip and validate a package
+     * @private
+     * @returns {Promise<Object>} - { manifest, file, thumbnail } with file buffers
+     */
+    async _readPackage(buffer) {
+        const invalid = (message) => Object.assign(new Error(message), {
+            statusCode: 400,
+            code: 'INVALID_PACKAGE'
+        });
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (error) {
+            throw invalid('Package is not a valid zip file');
+        }
+
+        if (Object.keys(zip.files).length > MAX_PACKAGE_ENTRIES) {
+            throw invalid('Package contains too many files');
+        }
+
+        const manifestEntry = zip.file('manifest.json');
+        if (!manifestEntry) {
+            throw invalid('Package is missing manifest.json');
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await this._readEntry(manifestEntry, MAX_MANIFEST_BYTES, 'string'));
+        } catch (error) {
+            throw error.code === 'INVALID_PACKAGE' ? error : invalid('manifest.json is not valid JSON');
+        }
+
+        if (!manifest || manifest.format !== PACKAGE_FORMAT) {
+            throw invalid('Not a module package');
+        }
+        if (!Number.isInteger(manifest.version) || manifest.version > PACKAGE_VERSION) {
+            throw invalid(`Unsupported package version ${manifest.version}; this server reads up to version ${PACKAGE_VERSION}`);
+        }
+        if (!manifest.module || typeof manifest.module.title !== 'string' || !manifest.module.title.trim()) {
+            throw invalid('Package manifest has no module title');
+        }
+
+        const readAsset = async (descriptor, label, validate) => {
+            if (!descriptor) return null;
+
+            const entry = typeof descriptor.path === 'string' ? zip.file(descriptor.path) : null;
+            if (!entry) {
+                throw invalid(`Package is missing its ${label}`);
+            }
+
+            const name = path.basename(descriptor.name || descriptor.path);
+            const content = await this._readEntry(entry, FileStorageService.config.sizeLimits.document, 'nodebuffer');
+            if (descriptor.sha256 && descriptor.sha256 !== this._sha256(content)) {
+                throw invalid(`The ${label} does not match its checksum`);
+            }
+
+            const validation = validate({ mimetype: descriptor.type, originalname: name, size: content.length });
+            if (!validation.valid) {
+                throw invalid(`Invalid ${label}: ${validation.error}`);
+            }
+
+            return { name, type: descriptor.type, buffer: content };
+        };
+
+        return {
+            manifest,
+            file: await readAsset(manifest.file, 'module file', validateModuleFile),
+            thumbnail: await readAsset(manifest.thumbnail, 'thumbnail', validateThumbnail)
+        };
+    }
+
+    /**
+     * Inflate a zip entry, refusing entries that expand beyond maxBytes
+     * @private
+     */
+    async _readEntry(entry, maxBytes, type) {
+        // Declared size from the zip directory; checked before inflating to stop zip bombs
+        const declared = entry._data && entry._data.uncompressedSize;
+        if (declared > maxBytes) {
+            throw Object.assign(new Error(`Package entry ${entry.name} is too large`), {
+                statusCode: 400,
+                code: 'INVALID_PACKAGE'
+            });
+        }
+
+        const content = await entry.async(type);
+        if (content.length > maxBytes) {
+            throw Object.assign(new Error(`Package entry ${entry.name} is too large`), {
+                statusCode: 400,
+                code: 'INVALID_PACKAGE'
+            });
+        }
+        return content;
+    }
+
+    /**
+     * Map prerequisite slugs to modules in this environment
+     * @private
+     */
+    async _resolveRequired(slugs, ownSlug, warnings) {
+        const wanted = (Array.isArray(slugs) ? slugs : [])
+            .map(slug => Module.slugify(slug))
+            .filter(slug => slug && slug !== ownSlug);
+        if (wanted.length === 0) return [];
+
+        const found = await Module.findAll({
+            where: { slug: { [Op.in]: wanted } },
+            attributes: ['id', 'slug'],
+            raw: true
+        });
+        const bySlug = new Map(found.map(m => [m.slug, m.id]));
+
+        wanted.filter(slug => !bySlug.has(slug)).forEach(slug => {
+            warnings.push(`Prerequisite "${slug}" does not exist here and was skipped`);
+        });
+
+        return wanted.filter(slug => bySlug.has(slug)).map(slug => bySlug.get(slug));
+    }
+
+    /**
+     * @private
+     */
+    _pick(source, fields) {
+        const data = {};
+        fields.forEach(field => {
+            if (source[field] !== undefined) {
+                data[field] = source[field];
+            }
+        });
+        return data;
+    }
+
+    /**
+     * MySQL may hand JSON columns back as strings
+     * @private
+     */
+    _parseJSON(value) {
+        if (typeof value !== 'string') return value || {};
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sha256(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+}
+
+module.exports = new ModulePackageService();
@@ -0,0 +1,252 @@
+// src/services/ModulePermissionService.js
+const { Module, ModuleCollaborator, User } = require('../model');
+
+// Roles that may author modules (and be invited as co-authors)
+const AUTHOR_ROLES = ['admin', 'educator'];
+
+// Roles that may read drafts, revisions and reports
+const REVIEWER_ROLES = ['admin', 'educator', 'moderator'];
+
+// Roles whose approval counts toward publishing
+const APPROVER_ROLES = ['admin', 'moderator'];
+
+/**
+ * Who may perform each module action
+ * owner: the module's creator; collaborator: an invited co-author
+ * notAuthor: the owner and co-authors are refused even if their role allows it
+ */
+const ACTION_RULES = {
+    review: { roles: REVIEWER_ROLES },
+    edit: { roles: ['admin'], owner: true, collaborator: true },
+    publish: { roles: ['admin'], owner: true },
+    approve: { roles: APPROVER_ROLES, notAuthor: true },
+    assign_reviewers: { roles: APPROVER_ROLES, owner: true },
+    delete: { roles: ['admin'], owner: true },
+    manage_collaborators: { roles: ['admin'], owner: true }
+};
+
+const DENIED_MESSAGES = {
+    create: 'You do not have permission to create modules',
+    review: 'You do not have permission to review this module',
+    edit: 'You do not have permission to edit this module',
+    publish: 'Only the module owner or an admin can publish this module',
+    approve: 'Only a moderator or admin who is not an author of this module can approve it',
+    assign_reviewers: 'Only the module owner, a moderator or an admin can assign reviewers',
+    delete: 'Only the module owner or an admin can delete this module',
+    manage_collaborators: 'Only the module owner or an admin can manage collaborators'
+};
+
+/**
+ * Module Permission Service - Ownership, co-authors and per-module permissions
+ */
+class ModulePermissionService {
+    /**
+     * Check if a user may create modules
+     */
+    canCreate(user) {
+        return !!user && AUTHOR_ROLES.includes(user.role);
+    }
+
+    /**
+     * Check if a user may read drafts and editor-only data
+     */
+    canReview(user) {
+        return !!user && REVIEWER_ROLES.includes(user.role);
+    }
+
+    /**
+     * Get the user's relation to a module
+     * @returns {Promise<string|null>} - 'owner', 'collaborator' or null
+     */
+    async getRelation(module, user) {
+        if (!user) return null;
+        if (module.created_by === user.id) return 'owner';
+
+        const collaborator = await ModuleCollaborator.findOne({
+            where: { module_id: module.id, user_id: user.id },
+            attributes: ['id']
+        });
+        return collaborator ? 'collaborator' : null;
+    }
+
+    /**
+     * Get everything the user may do with a module
+     * @returns {Promise<Object>} - { relation, can_review, can_edit, can_publish, can_approve, can_assign_reviewers, can_delete, can_manage_collaborators }
+     */
+    async getPermissions(module, user) {
+        const relation = await this.getRelation(module, user);
+
+        const permissions = { relation };
+        Object.keys(ACTION_RULES).forEach(action => {
+            permissions[`can_${action}`] = this._allows(action, user, relation);
+        });
+        return permissions;
+    }
+
+    /**
+     * Throw MODULE_PERMISSION_DENIED unless the user may perform the action
+     * @param {Module} module
+     * @param {Object} user - { id, role }
+     * @param {string} action - review | edit | publish | approve | assign_reviewers | delete | manage_collaborators
+     */
+    async assertCan(module, user, action) {
+        if (!ACTION_RULES[action]) {
+            throw new Error(`Unknown module action: ${action}`);
+        }
+
+        const rule = ACTION_RULES[action];
+        // Only look up the relation when the role alone does not decide
+        const needsRelation = rule.notAuthor
+            ? rule.roles.includes(user && user.role)
+            : user && !rule.roles.includes(user.role) && (rule.owner || rule.collaborator);
+        const relation = needsRelation ? await this.getRelation(module, user) : null;
+
+        if (!this._allows(action, user, relation)) {
+            throw this.denied(action);
+        }
+    }
+
+    /**
+     * Check if a user's role lets their approval count (ignores authorship)
+     */
+    canApprove(user) {
+        return !!user && APPROVER_ROLES.includes(user.role);
+    }
+
+    /**
+     * Error for a refused module action (consistent 403 body across routes)
+     */
+    denied(action) {
+        return Object.assign(new Error(DENIED_MESSAGES[action] || 'You do not have permission to change this module'), {
+            statusCode: 403,
+            code: 'MODULE_PERMISSION_DENIED',
+            action
+        });
+    }
+
+    // ==================== COLLABORATORS ====================
+
+    /**
+     * List a module's owner and co-authors
+     */
+    async getCollaborators(moduleId) {
+        try {
+            const module = await Module.findByPk(moduleId, {
+                attributes: ['id', 'created_by'],
+                include: [{ model: User, as: 'creator', attributes: ['id', 'name', 'email', 'role'] }]
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const collaborators = await ModuleCollaborator.findAll({
+                where: { module_id: module.id },
+                include: [
+                    { model: User, as: 'user', attributes: ['id', 'name', 'email', 'role'] },
+                    { model: User, as: 'inviter', attributes: ['id', 'name'] }
+                ],
+                order: [['created_at', 'ASC']]
+            });
+
+            return {
+                success: true,
+                owner: module.creator ? {
+                    id: module.creator.id,
+                    name: module.creator.name,
+                    email: module.creator.email,
+                    role: module.creator.role
+                } : null,
+                collaborators: collaborators.map(c => c.toSafeJSON())
+            };
+        } catch (error) {
+            console.error('ModulePermissionService.getCollaborators error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Invite a co-author (must be an educator or admin)
+     */
+    async addCollaborator(moduleId, userId, invitedBy) {
+        try {
+            const module = await Module.findByPk(moduleId, { attributes: ['id', 'created_by'] });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const user = await User.findByPk(userId, { attributes: ['id', 'name', 'email', 'role', 'account_status'] });
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (!AUTHOR_ROLES.includes(user.role) || user.account_status !== 'active') {
+                throw Object.assign(new Error('Only active educators and admins can be co-authors'), {
+                    statusCode: 400,
+                    code: 'INVALID_COLLABORATOR'
+                });
+            }
+            if (user.id === module.created_by) {
+                throw Object.assign(new Error('The owner is already an author of this module'), {
+                    statusCode: 400,
+                    code: 'INVALID_COLLABORATOR'
+                });
+            }
+
+            const [collaborator, created] = await ModuleCollaborator.findOrCreate({
+                where: { module_id: module.id, user_id: user.id },
+                defaults: { invited_by: invitedBy }
+            });
+            collaborator.user = user;
+
+            return {
+                success: true,
+                created,
+                collaborator: collaborator.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModulePermissionService.addCollaborator error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a co-author
+     */
+    async removeCollaborator(moduleId, userId) {
+        try {
+            const deleted = await ModuleCollaborator.destroy({
+                where: { module_id: moduleId, user_id: userId }
+            });
+            if (!deleted) {
+                throw new Error('Collaborator not found');
+            }
+
+            return {
+                success: true,
+                message: 'Collaborator removed'
+            };
+        } catch (error) {
+            console.error('ModulePermissionService.removeCollaborator error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    _allows(action, user, relation) {
+        if (!user) return false;
+
+        const rule = ACTION_RULES[action];
+        if (rule.notAuthor) return rule.roles.includes(user.role) && !relation;
+        if (rule.roles.includes(user.role)) return true;
+        // Ownership only counts while the user can still author modules
+        if (!AUTHOR_ROLES.includes(user.role)) return false;
+        if (rule.owner && relation === 'owner') return true;
+        if (rule.collaborator && relation === 'collaborator') return true;
+        return false;
+    }
+}
+
+module.exports = new ModulePermissionService();
@@ -0,0 +1,229 @@
+// src/services/ModuleProgressService.js
+const { Module, ModuleProgress, ModuleRevision, User } = require('../model');
+const ModuleService = require('./ModuleService');
+const LearningPathService = require('./LearningPathService');
+const CertificateService = require('./CertificateService');
+const XapiService = require('./XapiService');
+
+/**
+ * Module Progress Service - Tracks learner progress through modules
+ */
+class ModuleProgressService {
+    /**
+     * Record progress for a user in a module
+     * @param {number} moduleId - Module ID
+     * @param {number} userId - Learner ID
+     * @param {Object} data - { progress_percent, last_position, time_spent_seconds, status }
+     * @param {Object} options - { quizPassed } set when completion comes from a passed quiz
+     * @returns {Promise<Object>} - Updated progress
+     */
+    async updateProgress(moduleId, userId, data = {}, options = {}) {
+        try {
+            const module = await Module.findOne({
+                where: { id: moduleId, is_published: true }
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            await ModuleService.assertAgeEligible(module, userId);
+            await ModuleService.assertPrerequisitesMet(module, userId);
+
+            // Quizzes and assessments can only be completed by passing an attempt
+            const wantsCompletion = data.status === 'completed' || Number(data.progress_percent) >= 100;
+            if (wantsCompletion && module.isAssessment() && !options.quizPassed) {
+                throw Object.assign(new Error('Pass the quiz to complete this module'), {
+                    statusCode: 409,
+                    code: 'QUIZ_NOT_PASSED'
+                });
+            }
+
+            const now = new Date();
+            const [progress] = await ModuleProgress.findOrCreate({
+                where: { user_id: userId, module_id: module.id },
+                defaults: {
+                    user_id: userId,
+                    module_id: module.id,
+                    started_at: now
+                }
+            });
+
+            const wasCompleted = progress.isCompleted();
+
+            // Progress never moves backwards
+            if (data.progress_percent !== undefined) {
+                const percent = Math.min(100, Math.max(0, Math.round(Number(data.progress_percent))));
+                progress.progress_percent = Math.max(progress.progress_percent, percent);
+            }
+
+            if (data.last_position !== undefined) {
+                progress.last_position = data.last_position === null ? null : String(data.last_position).slice(0, 255);
+            }
+
+            // Time is reported as seconds spent since the last report
+            if (data.time_spent_seconds !== undefined) {
+                progress.time_spent_seconds += Math.max(0, Math.round(Number(data.time_spent_seconds)));
+            }
+
+            if (data.status === 'completed' || progress.progress_percent === 100) {
+                progress.status = 'completed';
+                progress.progress_percent = 100;
+                if (!progress.completed_at) {
+                    progress.completed_at = now;
+                }
+            } else if (!wasCompleted) {
+                progress.status = progress.progress_percent > 0 ? 'in_progress' : 'started';
+            }
+
+            progress.last_accessed_at = now;
+            await progress.save();
+
+            const justCompleted = !wasCompleted && progress.isCompleted();
+            let completedPaths = [];
+            let certificate = null;
+            if (justCompleted) {
+                completedPaths = await this._onModuleCompleted(module, userId, progress);
+                certificate = await this._issueCertificate(module, userId);
+                await XapiService.moduleCompleted(module, userId, progress);
+            }
+
+            return {
+                success: true,
+                progress: progress.toSafeJSON(),
+                just_completed: justCompleted,
+                completed_paths: completedPaths,
+                certificate
+            };
+        } catch (error) {
+            console.error('ModuleProgressService.updateProgress error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a module as completed for a user
+     */
+    async markComplete(moduleId, userId, options = {}) {
+        return await this.updateProgress(moduleId, userId, { status: 'completed' }, options);
+    }
+
+    /**
+     * Get a user's progress in a single module
+     */
+    async getModuleProgress(moduleId, userId) {
+        try {
+            const progress = await ModuleProgress.findOne({
+                where: { module_id: moduleId, user_id: userId }
+            });
+
+            return {
+                success: true,
+                progress: progress ? progress.toSafeJSON() : {
+                    module_id: parseInt(moduleId),
+                    status: 'not_started',
+                    progress_percent: 0,
+                    score: null,
+                    last_position: null,
+                    time_spent_seconds: 0,
+                    started_at: null,
+                    completed_at: null,
+                    last_accessed_at: null
+                }
+            };
+        } catch (error) {
+            console.error('ModuleProgressService.getModuleProgress error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all progress records for a user
+     * @param {number} userId - Learner ID
+     * @param {Object} filters - { status }
+     */
+    async getUserProgress(userId, filters = {}) {
+        try {
+            const where = { user_id: userId };
+            if (filters.status) where.status = filters.status;
+
+            const records = await ModuleProgress.findAll({
+                where,
+                include: [{
+                    model: Module,
+                    as: 'module',
+                    attributes: ['id', 'title', 'category', 'difficulty_level', 'thumbnail_key', 'published_revision_id'],
+                    include: [{
+                        model: ModuleRevision,
+                        as: 'publishedRevision',
+                        attributes: ['id', 'title', 'category', 'thumbnail_key'],
+                        required: false
+                    }]
+                }],
+                order: [['last_accessed_at', 'DESC']]
+            });
+
+            // Skip records whose module was deleted
+            const progress = records
+                .filter(record => record.module)
+                .map(record => record.toSafeJSON());
+
+            return {
+                success: true,
+                progress,
+                summary: {
+                    total: progress.length,
+                    completed: progress.filter(p => p.status === 'completed').length,
+                    in_progress: progress.filter(p => p.status !== 'completed').length,
+                    time_spent_seconds: progress.reduce((sum, p) => sum + p.time_spent_seconds, 0)
+                }
+            };
+        } catch (error) {
+            console.error('ModuleProgressService.getUserProgress error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Side effects of a learner completing a module for the first time
+     * @private
+     * @returns {Promise<Array>} - Learning paths completed by this module
+     */
+    async _onModuleCompleted(module, userId, progress) {
+        try {
+            await module.incrementCompletionCount();
+
+            // Award completion points
+            if (module.points > 0) {
+                const user = await User.findByPk(userId);
+                if (user) {
+                    await user.awardPoints(module.points);
+                }
+            }
+
+            // Complete (and reward) any enrolled learning paths this module finishes
+            return await LearningPathService.handleModuleCompleted(module.id, userId);
+        } catch (error) {
+            console.error('ModuleProgressService._onModuleCompleted error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Issue the module's completion certificate (never blocks recording progress)
+     * @private
+     * @returns {Promise<Object|null>} - Certificate
+     */
+    async _issueCertificate(module, userId) {
+        try {
+            const result = await CertificateService.issueModuleCertificate(module.id, userId);
+            return result.certificate;
+        } catch (error) {
+            console.error('ModuleProgressService._issueCertificate error:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = new ModuleProgressService();
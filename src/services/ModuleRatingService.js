@@ -0,0 +1,322 @@
+// src/services/ModuleRatingService.js
+const { sequelize, Module, ModuleRating, ModuleProgress, User } = require('../model');
+const ModuleService = require('./ModuleService');
+const { Op } = require('sequelize');
+
+const MAX_FEEDBACK_LENGTH = 2000;
+const MODERATION_STATUSES = ['visible', 'hidden', 'flagged'];
+
+/**
+ * Module Rating Service - Learner ratings, feedback and moderation
+ */
+class ModuleRatingService {
+    /**
+     * Rate a module (one rating per learner; rating again updates it)
+     * Learners must have opened the module first
+     * @param {Object} data - { rating, feedback }
+     */
+    async rateModule(moduleId, userId, data = {}) {
+        try {
+            const module = await Module.findOne({
+                where: { id: moduleId, is_published: true }
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            await ModuleService.assertAgeEligible(module, userId);
+
+            const progress = await ModuleProgress.findOne({
+                where: { user_id: userId, module_id: module.id },
+                attributes: ['id']
+            });
+            if (!progress) {
+                throw Object.assign(new Error('Open the module before rating it'), {
+                    statusCode: 403,
+                    code: 'RATING_REQUIRES_PROGRESS'
+                });
+            }
+
+            const rating = Number(data.rating);
+            if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+                throw Object.assign(new Error('Rating must be a whole number from 1 to 5'), {
+                    statusCode: 400,
+                    code: 'INVALID_RATING'
+                });
+            }
+
+            const changes = { rating };
+            if (data.feedback !== undefined) {
+                const feedback = data.feedback === null ? '' : String(data.feedback).trim();
+                if (feedback.length > MAX_FEEDBACK_LENGTH) {
+                    throw Object.assign(new Error(`Feedback must not exceed ${MAX_FEEDBACK_LENGTH} characters`), {
+                        statusCode: 400,
+                        code: 'INVALID_RATING'
+                    });
+                }
+                changes.feedback = feedback || null;
+            }
+
+            let record = await ModuleRating.findOne({
+                where: { module_id: module.id, user_id: userId }
+            });
+            const isNew = !record;
+
+            if (isNew) {
+                record = await ModuleRating.create({
+                    module_id: module.id,
+                    user_id: userId,
+                    ...changes
+                });
+            } else {
+                // Moderation status is kept, so edits cannot bring back hidden feedback
+                await record.update(changes);
+            }
+
+            const summary = await this.refreshAggregates(module.id);
+
+            return {
+                success: true,
+                created: isNew,
+                rating: record.toSafeJSON(),
+                summary
+            };
+        } catch (error) {
+            console.error('ModuleRatingService.rateModule error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the current user's rating
+     */
+    async deleteMyRating(moduleId, userId) {
+        try {
+            const record = await ModuleRating.findOne({
+                where: { module_id: moduleId, user_id: userId }
+            });
+            if (!record) {
+                throw new Error('Rating not found');
+            }
+
+            await record.destroy();
+            const summary = await this.refreshAggregates(record.module_id);
+
+            return {
+                success: true,
+                message: 'Rating removed',
+                summary
+            };
+        } catch (error) {
+            console.error('ModuleRatingService.deleteMyRating error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rating summary and public reviews of a published module
+     * @param {Object} options - { sort: recent|highest|lowest, page, limit }
+     * @param {number|null} viewerId - Current user (adds my_rating)
+     */
+    async getModuleRatings(moduleId, options = {}, viewerId = null) {
+        try {
+            const module = await Module.findOne({
+                where: { id: moduleId, is_published: true }
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            await ModuleService.assertAgeEligible(module, viewerId);
+
+            const page = parseInt(options.page) || 1;
+            const limit = Math.min(parseInt(options.limit) || 10, 50);
+            const offset = (page - 1) * limit;
+
+            const order = {
+                highest: [['rating', 'DESC'], ['updated_at', 'DESC']],
+                lowest: [['rating', 'ASC'], ['updated_at', 'DESC']]
+            }[options.sort] || [['updated_at', 'DESC']];
+
+            // Only written reviews are listed; star-only ratings show in the summary
+            const { count, rows } = await ModuleRating.findAndCountAll({
+                where: {
+                    module_id: module.id,
+                    status: 'visible',
+                    feedback: { [Op.ne]: null }
+                },
+                order,
+                limit,
+                offset
+            });
+
+            const mine = viewerId
+                ? await ModuleRating.findOne({ where: { module_id: module.id, user_id: viewerId } })
+                : null;
+
+            return {
+                success: true,
+                summary: this._summary(module),
+                my_rating: mine ? mine.toSafeJSON() : null,
+                reviews: rows.map(r => r.toPublicJSON(viewerId)),
+                pagination: {
+                    total: count,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.error('ModuleRatingService.getModuleRatings error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Feedback inbox for editors
+     * @param {Object} filters - { status, module_id, has_feedback, max_rating, page, limit }
+     */
+    async getFeedbackInbox(filters = {}) {
+        try {
+            const where = {};
+            if (filters.status) where.status = filters.status;
+            if (filters.module_id) where.module_id = filters.module_id;
+            if (filters.has_feedback !== false) where.feedback = { [Op.ne]: null };
+            if (filters.max_rating) where.rating = { [Op.lte]: parseInt(filters.max_rating) };
+
+            const page = parseInt(filters.page) || 1;
+            const limit = Math.min(parseInt(filters.limit) || 20, 100);
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await ModuleRating.findAndCountAll({
+                where,
+                include: [
+                    { model: User, as: 'user', attributes: ['id', 'name'] },
+                    { model: Module, as: 'module', attributes: ['id', 'title'] }
+                ],
+                order: [['updated_at', 'DESC']],
+                limit,
+                offset
+            });
+
+            // Counts per status for inbox tabs (same filters apart from status)
+            const countWhere = { ...where };
+            delete countWhere.status;
+            const statusRows = await ModuleRating.findAll({
+                where: countWhere,
+                attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+                group: ['status'],
+                raw: true
+            });
+            const statusCounts = MODERATION_STATUSES.reduce((counts, status) => {
+                const row = statusRows.find(r => r.status === status);
+                counts[status] = row ? Number(row.count) : 0;
+                return counts;
+            }, {});
+
+            return {
+                success: true,
+                feedback: rows.map(r => r.toSafeJSON()),
+                status_counts: statusCounts,
+                pagination: {
+                    total: count,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.error('ModuleRatingService.getFeedbackInbox error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Hide, flag or restore a rating
+     * @param {Object} data - { status: visible|hidden|flagged, note }
+     */
+    async moderateRating(ratingId, moderatorId, data = {}) {
+        try {
+            if (!MODERATION_STATUSES.includes(data.status)) {
+                throw Object.assign(new Error(`Status must be one of: ${MODERATION_STATUSES.join(', ')}`), {
+                    statusCode: 400,
+                    code: 'INVALID_STATUS'
+                });
+            }
+
+            const record = await ModuleRating.findByPk(ratingId);
+            if (!record) {
+                throw new Error('Rating not found');
+            }
+
+            const countedBefore = record.countsTowardAverage();
+
+            await record.update({
+                status: data.status,
+                moderated_by: moderatorId,
+                moderated_at: new Date(),
+                moderation_note: data.note ? String(data.note).slice(0, 255) : null
+            });
+
+            if (countedBefore !== record.countsTowardAverage()) {
+                await this.refreshAggregates(record.module_id);
+            }
+
+            return {
+                success: true,
+                rating: record.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleRatingService.moderateRating error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Recompute a module's rating average, count and distribution
+     * @returns {Promise<Object>} - { average, count, distribution }
+     */
+    async refreshAggregates(moduleId) {
+        const rows = await ModuleRating.findAll({
+            where: { module_id: moduleId, status: { [Op.ne]: 'hidden' } },
+            attributes: ['rating', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+            group: ['rating'],
+            raw: true
+        });
+
+        const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        let total = 0;
+        let sum = 0;
+        rows.forEach(row => {
+            const count = Number(row.count);
+            distribution[row.rating] = count;
+            total += count;
+            sum += row.rating * count;
+        });
+
+        const average = total > 0 ? Math.round((sum / total) * 100) / 100 : null;
+
+        // Aggregates are not an edit: no revision, no updated_at bump
+        await Module.update(
+            { rating_average: average, rating_count: total, rating_distribution: distribution },
+            { where: { id: moduleId }, silent: true, hooks: false, paranoid: false }
+        );
+
+        return { average, count: total, distribution };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * @private
+     */
+    _summary(module) {
+        return {
+            average: module.rating_average !== null ? Number(module.rating_average) : null,
+            count: module.rating_count || 0,
+            distribution: module.getRatingDistribution()
+        };
+    }
+}
+
+module.exports = new ModuleRatingService();
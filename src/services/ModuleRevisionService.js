@@ -0,0 +1,517 @@
+// src/services/ModuleRevisionService.js
+const {
+    Module,
+    ModuleRevision,
+    ModuleTranslation,
+    ModuleMedia,
+    ModuleMediaTrack,
+    ModuleWorkflowTransition,
+    Question,
+    User,
+    File
+} = require('../model');
+const ModulePermissionService = require('./ModulePermissionService');
+const FileStorageService = require('./FileStorageService');
+const DocumentExtractionService = require('./DocumentExtractionService');
+const { Op } = require('sequelize');
+
+// Upper bound on the LCS table (changed lines in "from" x changed lines in "to")
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Module Revision Service - Revision history, diff, restore and published revisions
+ *
+ * The Module row (with its questions, translations, media and attachments) is the editors' working draft. Every save is
+ * snapshotted as a ModuleRevision, and learners are served Module.published_revision_id.
+ * Only revisions that cleared review (see ModuleWorkflowService) can be made live.
+ */
+class ModuleRevisionService {
+    /**
+     * Snapshot the module's current state as a new revision
+     * @param {Object} options - { note, transaction }
+     */
+    async recordRevision(module, authorId, options = {}) {
+        try {
+            return await ModuleRevision.createFromModule(module, authorId, options);
+        } catch (error) {
+            console.error('ModuleRevisionService.recordRevision error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether the draft has revisions newer than the published one
+     */
+    async hasUnpublishedChanges(module) {
+        const latest = await ModuleRevision.findLatest(module.id, { attributes: ['id'] });
+        return !!latest && latest.id !== module.published_revision_id;
+    }
+
+    /**
+     * List a module's revisions (newest first, without content bodies)
+     */
+    async getRevisions(moduleId) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const revisions = await ModuleRevision.findAll({
+                where: { module_id: module.id },
+                include: [{
+                    model: User,
+                    as: 'author',
+                    attributes: ['id', 'name']
+                }],
+                order: [['revision_number', 'DESC']]
+            });
+
+            return {
+                success: true,
+                published_revision_id: module.published_revision_id,
+                revisions: revisions.map(revision => ({
+                    ...revision.toSafeJSON(false),
+                    is_published: revision.id === module.published_revision_id
+                }))
+            };
+        } catch (error) {
+            console.error('ModuleRevisionService.getRevisions error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single revision with content
+     */
+    async getRevision(moduleId, revisionId) {
+        try {
+            const { module, revision } = await this._findRevision(moduleId, revisionId);
+
+            return {
+                success: true,
+                revision: {
+                    ...revision.toSafeJSON(),
+                    is_published: revision.id === module.published_revision_id
+                }
+            };
+        } catch (error) {
+            console.error('ModuleRevisionService.getRevision error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Line diff of content between two revisions
+     * @param {number} fromId - Older revision ID
+     * @param {number|null} toId - Newer revision ID (defaults to the latest draft)
+     */
+    async diffRevisions(moduleId, fromId, toId = null) {
+        try {
+            const { revision: from } = await this._findRevision(moduleId, fromId);
+            const to = toId
+                ? (await this._findRevision(moduleId, toId)).revision
+                : await ModuleRevision.findLatest(from.module_id);
+
+            const changedFields = [...ModuleRevision.SNAPSHOT_FIELDS, ...ModuleRevision.COLLECTION_FIELDS]
+                .filter(field => field !== 'content')
+                .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]));
+
+            const { hunks, stats } = this._diffLines(from.content, to.content);
+
+            return {
+                success: true,
+                from: { id: from.id, revision_number: from.revision_number, created_at: from.created_at },
+                to: { id: to.id, revision_number: to.revision_number, created_at: to.created_at },
+                changed_fields: changedFields,
+                content_diff: hunks,
+                stats
+            };
+        } catch (error) {
+            console.error('ModuleRevisionService.diffRevisions error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore an older revision into the draft (recorded as a new revision)
+     * @param {Object} user - { id, role } of the editor
+     * @param {Object} options - { publish } also serve the restored revision to learners
+     *   (approved revisions only; needs publish permission, see ModulePermissionService)
+     */
+    async restoreRevision(moduleId, revisionId, user, options = {}) {
+        try {
+            const { module, revision } = await this._findRevision(moduleId, revisionId);
+            const fileChanged = module.file_key !== revision.file_key;
+
+            const publish = options.publish && module.is_published;
+            if (publish) {
+                await ModulePermissionService.assertCan(module, user, 'publish');
+                await this._assertApproved(module, revision);
+            }
+            await this.assertPrerequisitesAcyclic(module, revision);
+
+            await module.update({
+                ...revision.getSnapshot(),
+                updated_by: user.id
+            });
+            await this._restoreQuestions(module, revision);
+            await this._restoreTranslations(module, revision);
+            await this._restoreMedia(module, revision);
+            await this._restoreAttachments(module, revision);
+
+            // Search text is not snapshotted, so rebuild it for the restored file;
+            // the restored file also takes over as the primary attachment
+            if (fileChanged) {
+                await this._refreshExtractedText(module);
+                await File.syncModulePrimary(module, user.id, { replace: true });
+            }
+
+            const restored = await this.recordRevision(module, user.id, {
+                note: `Restored from revision ${revision.revision_number}`
+            });
+
+            if (publish) {
+                // The restored copy carries the approval of the revision it was restored from
+                await module.update({ published_revision_id: restored.id }, { hooks: false });
+                await this._recordLiveRevision(module, restored, user.id, `Restored from revision ${revision.revision_number}`);
+            }
+
+            return {
+                success: true,
+                message: `Revision ${revision.revision_number} restored`,
+                module: module.toSafeJSON(),
+                revision: restored.toSafeJSON(false)
+            };
+        } catch (error) {
+            console.error('ModuleRevisionService.restoreRevision error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Serve a specific revision to learners (it must have been approved or live before)
+     */
+    async publishRevision(moduleId, revisionId, userId) {
+        try {
+            const { module, revision } = await this._findRevision(moduleId, revisionId);
+
+            if (!module.is_published) {
+                throw Object.assign(new Error('Publish the module before publishing a revision'), {
+                    statusCode: 409,
+                    code: 'MODULE_NOT_PUBLISHED'
+                });
+            }
+
+            await this._assertApproved(module, revision);
+            await this.assertPrerequisitesAcyclic(module, revision);
+
+            await module.update({
+                published_revision_id: revision.id,
+                updated_by: userId
+            });
+            await this._recordLiveRevision(module, revision, userId, `Revision ${revision.revision_number} made live`);
+
+            return {
+                success: true,
+                message: `Revision ${revision.revision_number} is now live`,
+                published_revision_id: revision.id
+            };
+        } catch (error) {
+            console.error('ModuleRevisionService.publishRevision error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Refuse a revision whose prerequisites would close a cycle with other modules' prerequisites
+     * The cycle check on save only covers the draft, and an older revision may predate other modules' changes
+     */
+    async assertPrerequisitesAcyclic(module, revision) {
+        const cycle = await Module.findPrerequisiteCycle(module.id, revision.getRequiredModuleIds());
+        if (cycle) {
+            throw Object.assign(new Error(`Prerequisites of this revision would create a cycle: ${cycle.join(' -> ')}`), {
+                statusCode: 409,
+                code: 'PREREQUISITE_CYCLE',
+                cycle
+            });
+        }
+    }
+
+    /**
+     * All storage keys referenced by a module or any of its revisions (see ModuleRevision.getFileKeys)
+     */
+    async getReferencedKeys(module) {
+        const revisions = await ModuleRevision.findAll({
+            where: { module_id: module.id },
+            attributes: ['file_key', 'thumbnail_key', 'translations', 'media', 'attachments']
+        });
+
+        const keys = new Set([module.file_key, module.thumbnail_key]);
+        revisions.forEach(revision => {
+            revision.getFileKeys().forEach(key => keys.add(key));
+        });
+        keys.delete(null);
+        keys.delete(undefined);
+
+        return [...keys];
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Replace the draft question bank with the one of a revision (question IDs are kept)
+     * @private
+     */
+    async _restoreQuestions(module, revision) {
+        const questions = revision.getQuestions();
+
+        await Question.destroy({
+            where: {
+                module_id: module.id,
+                id: { [Op.notIn]: questions.length ? questions.map(q => q.id) : [0] }
+            }
+        });
+        for (const question of questions) {
+            await Question.upsert(question.get({ plain: true }));
+        }
+    }
+
+    /**
+     * Replace the draft translations with the ones of a revision (files are shared, not copied)
+     * @private
+     */
+    async _restoreTranslations(module, revision) {
+        const translations = revision.getTranslations();
+
+        await ModuleTranslation.destroy({
+            where: {
+                module_id: module.id,
+                locale: { [Op.notIn]: translations.length ? translations.map(t => t.locale) : [''] }
+            }
+        });
+        for (const translation of translations) {
+            const [row] = await ModuleTranslation.findOrCreate({
+                where: { module_id: module.id, locale: translation.locale },
+                defaults: { created_by: module.updated_by }
+            });
+            await row.update({ ...translation.get({ plain: true }), updated_by: module.updated_by });
+        }
+    }
+
+    /**
+     * Replace the draft media with the one of a revision
+     * Media IDs are kept (learners' playback points at them), so removed items are brought back
+     * from the soft-deleted rows; files are shared, not copied
+     * @private
+     */
+    async _restoreMedia(module, revision) {
+        const media = revision.getMedia();
+
+        await ModuleMedia.destroy({
+            where: {
+                module_id: module.id,
+                id: { [Op.notIn]: media.length ? media.map(item => item.id) : [0] }
+            }
+        });
+        for (const item of media) {
+            await ModuleMedia.upsert({ ...item.get({ plain: true }), deleted_at: null });
+
+            await ModuleMediaTrack.destroy({
+                where: {
+                    media_id: item.id,
+                    id: { [Op.notIn]: item.tracks.length ? item.tracks.map(track => track.id) : [0] }
+                }
+            });
+            for (const track of item.tracks) {
+                await ModuleMediaTrack.upsert(track.get({ plain: true }));
+            }
+        }
+    }
+
+    /**
+     * Replace the draft attachments with the ones of a revision (IDs are kept, files are shared)
+     * Hooks off: File.afterDestroy would delete stored objects that revisions still serve
+     * @private
+     */
+    async _restoreAttachments(module, revision) {
+        const attachments = revision.getAttachments();
+
+        await File.destroy({
+            where: {
+                entity_type: 'module',
+                entity_id: module.id,
+                file_category: 'attachment',
+                id: { [Op.notIn]: attachments.length ? attachments.map(attachment => attachment.id) : [0] }
+            },
+            force: true,
+            hooks: false
+        });
+        for (const attachment of attachments) {
+            await File.upsert({ ...attachment.get({ plain: true }), deleted_at: null });
+        }
+    }
+
+    /**
+     * Refuse to serve a revision that never cleared review
+     * @private
+     */
+    async _assertApproved(module, revision) {
+        if (!await ModuleWorkflowTransition.isApprovedRevision(module.id, revision.id)) {
+            throw Object.assign(new Error('Only approved revisions can be published; submit it for review first'), {
+                statusCode: 409,
+                code: 'REVISION_NOT_APPROVED'
+            });
+        }
+    }
+
+    /**
+     * Audit a change of the live revision outside the review flow
+     * @private
+     */
+    async _recordLiveRevision(module, revision, userId, note) {
+        await ModuleWorkflowTransition.create({
+            module_id: module.id,
+            action: 'publish_revision',
+            from_status: module.workflow_status,
+            to_status: module.workflow_status,
+            revision_id: revision.id,
+            actor_id: userId,
+            note
+        });
+    }
+
+    /**
+     * Re-extract search text from the module's current file
+     * @private
+     */
+    async _refreshExtractedText(module) {
+        let text = null;
+
+        if (module.file_key && DocumentExtractionService.supports(module.file_type)) {
+            try {
+                const buffer = await FileStorageService.getFileBuffer(module.file_key);
+                const extraction = await DocumentExtractionService.extract(buffer, module.file_type);
+                text = extraction ? extraction.text : null;
+            } catch (error) {
+                console.warn('Failed to re-extract module document text:', error.message);
+                return;
+            }
+        }
+
+        await module.update({ extracted_text: text }, { hooks: false });
+    }
+
+    /**
+     * Load a module and one of its revisions
+     * @private
+     */
+    async _findRevision(moduleId, revisionId) {
+        const module = await Module.findByPk(moduleId);
+        if (!module) {
+            throw new Error('Module not found');
+        }
+
+        const revision = await ModuleRevision.findOne({
+            where: { id: revisionId, module_id: module.id },
+            include: [{
+                model: User,
+                as: 'author',
+                attributes: ['id', 'name']
+            }]
+        });
+        if (!revision) {
+            throw new Error('Revision not found');
+        }
+
+        return { module, revision };
+    }
+
+    /**
+     * Line-based diff (longest common subsequence)
+     * @private
+     * @returns {{ hunks: Array<{ type: 'equal'|'added'|'removed', lines: string[] }>, stats: Object }}
+     */
+    _diffLines(fromText, toText) {
+        const a = fromText ? String(fromText).split(/\r?\n/) : [];
+        const b = toText ? String(toText).split(/\r?\n/) : [];
+
+        // Skip the common prefix and suffix so the table only covers changed lines
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const n = endA - start;
+        const m = endB - start;
+        if (n * m > MAX_DIFF_CELLS) {
+            throw Object.assign(new Error('Revisions differ too much to diff line by line'), {
+                statusCode: 422,
+                code: 'DIFF_TOO_LARGE'
+            });
+        }
+
+        // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+        const width = m + 1;
+        const lcs = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[start + i] === b[start + j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        const hunks = [];
+        const push = (type, line) => {
+            const last = hunks[hunks.length - 1];
+            if (last && last.type === type) {
+                last.lines.push(line);
+            } else {
+                hunks.push({ type, lines: [line] });
+            }
+        };
+
+        a.slice(0, start).forEach(line => push('equal', line));
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[start + i] === b[start + j]) {
+                push('equal', a[start + i]);
+                i++;
+                j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                push('removed', a[start + i]);
+                i++;
+            } else {
+                push('added', b[start + j]);
+                j++;
+            }
+        }
+        while (i < n) push('removed', a[start + i++]);
+        while (j < m) push('added', b[start + j++]);
+
+        a.slice(endA).forEach(line => push('equal', line));
+
+        const count = type => hunks
+            .filter(hunk => hunk.type === type)
+            .reduce((sum, hunk) => sum + hunk.lines.length, 0);
+
+        return {
+            hunks,
+            stats: {
+                lines_added: count('added'),
+                lines_removed: count('removed'),
+                lines_unchanged: count('equal')
+            }
+        };
+    }
+}
+
+module.exports = new ModuleRevisionService();
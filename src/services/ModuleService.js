@@ -1,38 +1,63 @@
 // src/services/ModuleService.js
-const { Module, User, ModuleView } = require('../model'); // Import from the index.js loader
+const { sequelize, Module, User, UserProfile, UserContentPreferences, ModuleView, ModuleProgress, ModuleRevision, ModuleBookmark, File } = require('../model'); // Import from the index.js loader
 const FileStorageService = require('./FileStorageService');
+const ModuleRevisionService = require('./ModuleRevisionService');
+const ModuleWorkflowService = require('./ModuleWorkflowService');
+const ModuleTranslationService = require('./ModuleTranslationService');
+const SearchService = require('./SearchService');
+const DocumentExtractionService = require('./DocumentExtractionService');
+const XapiService = require('./XapiService');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { ADVISORY_TYPES, SUPPORT_HOTLINES, isAdvisoryType } = require('../config/contentSafety');
 const { Op } = require('sequelize');
 
+// Facilitator and staff roles see age-restricted modules regardless of their own age
+const AGE_GATE_EXEMPT_ROLES = ['admin', 'educator', 'moderator'];
+const MAX_AGE = 120;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
 /**
  * Module Service - Business logic for module management
  */
 class ModuleService {
     /**
      * Create a new module
+     * New modules start as drafts; they go live through the review workflow (see ModuleWorkflowService)
      */
     async createModule(data, createdBy) {
         try {
+            const requiredModules = await this.validateRequiredModules(null, data.required_modules || []);
+            const ageRange = this._normalizeAgeRange(data);
+
             const moduleData = {
                 title: data.title,
+                slug: await this.resolveSlug(data.slug, data.title),
                 description: data.description,
                 content: data.content,
                 type: data.type || 'lesson',
                 category: data.category || 'general',
                 difficulty_level: data.difficulty_level || 'beginner',
                 age_group: data.age_group,
+                min_age: ageRange.min_age !== undefined ? ageRange.min_age : null,
+                max_age: ageRange.max_age !== undefined ? ageRange.max_age : null,
                 // duration_minutes: data.duration_minutes,
-                // points: data.points || 0,
+                points: data.points || 0,
+                passing_score: data.passing_score !== undefined ? data.passing_score : 70,
+                max_attempts: data.max_attempts || null,
+                shuffle_questions: data.shuffle_questions || false,
                 order: data.order || 0,
-                is_published: data.is_published || false,
                 is_featured: data.is_featured || false,
-                required_modules: data.required_modules || [],
+                required_modules: requiredModules,
                 tags: data.tags || [],
+                content_advisories: this._normalizeContentAdvisories(data.content_advisories),
                 metadata: data.metadata || {},
                 created_by: createdBy
             };
 
             const module = await Module.create(moduleData);
 
+            await ModuleRevisionService.recordRevision(module, createdBy, { note: data.revision_note || 'Created' });
+
             return {
                 success: true,
                 module: module.toSafeJSON()
@@ -45,20 +70,17 @@ class ModuleService {
 
     /**
      * Upload module file (PDF/DOCX)
+     * Replaces the module's primary attachment (see applyModuleFile)
+     * @param {Object} options - { skipPreview } set when a thumbnail is uploaded in the same request
      */
-    async uploadModuleFile(moduleId, fileBuffer, mimetype, originalFilename, uploadedBy) {
+    async uploadModuleFile(moduleId, fileBuffer, mimetype, originalFilename, uploadedBy, options = {}) {
         try {
             const module = await Module.findByPk(moduleId);
             if (!module) {
                 throw new Error('Module not found');
             }
 
-            // Delete old file if exists
-            if (module.file_key) {
-                await FileStorageService.deleteFile(module.file_key).catch(err => {
-                    console.warn('Failed to delete old module file:', err);
-                });
-            }
+            // The old file is kept: earlier revisions still reference it
 
             // Upload new file
             const uploadResult = await FileStorageService.uploadModuleFile(
@@ -70,26 +92,87 @@ class ModuleService {
                 { uploadedBy }
             );
 
-            // Update module with file info
-            await module.update({
-                file_key: uploadResult.key,
-                file_name: originalFilename,
-                file_type: mimetype,
-                file_size: uploadResult.size,
+            return await this.applyModuleFile(module, {
+                key: uploadResult.key,
+                name: originalFilename,
+                type: mimetype,
+                size: uploadResult.size,
+                buffer: fileBuffer
+            }, uploadedBy, { ...options, replace: true });
+        } catch (error) {
+            console.error('ModuleService.uploadModuleFile error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Make a stored file the module file (Modules.file_*) and its primary attachment
+     * Extracts searchable text and reading statistics, and uses the first PDF page
+     * as the thumbnail when the module has no uploaded thumbnail
+     * @param {Object|null} file - { key, name, type, size, buffer }, or null to clear the module file
+     * @param {Object} options - { skipPreview, replace } - replace drops the previous primary attachment
+     */
+    async applyModuleFile(module, file, uploadedBy, options = {}) {
+        try {
+            const wantsPreview = !!file && !options.skipPreview && (!module.thumbnail_key || module.thumbnail_generated);
+            const extraction = file ? await this._extractDocument(file.buffer, file.type, wantsPreview) : null;
+
+            const updateData = {
+                file_key: file ? file.key : null,
+                file_name: file ? file.name : null,
+                file_type: file ? file.type : null,
+                file_size: file ? file.size : null,
+                extracted_text: extraction ? extraction.text : null,
+                page_count: extraction ? extraction.page_count : null,
+                word_count: extraction ? extraction.word_count : null,
+                estimated_reading_minutes: extraction ? extraction.estimated_reading_minutes : null,
                 updated_by: uploadedBy
+            };
+
+            // First-page preview as thumbnail (never replaces an uploaded thumbnail)
+            let thumbnail = null;
+            if (extraction && extraction.preview) {
+                try {
+                    const previewResult = await FileStorageService.uploadModuleFile(
+                        extraction.preview,
+                        module.id,
+                        'thumbnail',
+                        'image/png',
+                        'preview.png',
+                        { uploadedBy }
+                    );
+                    updateData.thumbnail_key = previewResult.key;
+                    updateData.thumbnail_generated = true;
+                    thumbnail = { url: previewResult.url, generated: true };
+                } catch (err) {
+                    console.warn('Failed to upload generated preview:', err);
+                }
+            }
+
+            // Update module with file info
+            await module.update(updateData);
+            const attachment = await File.syncModulePrimary(module, uploadedBy, { replace: options.replace });
+
+            await ModuleRevisionService.recordRevision(module, uploadedBy, {
+                note: file ? 'Replaced module file' : 'Removed module file'
             });
 
             return {
                 success: true,
-                file: {
-                    url: uploadResult.url,
-                    name: originalFilename,
-                    type: mimetype,
-                    size: uploadResult.size
-                }
+                file: file ? {
+                    url: module.getFileUrl(),
+                    name: module.file_name,
+                    type: module.file_type,
+                    size: module.file_size,
+                    page_count: module.page_count,
+                    word_count: module.word_count,
+                    estimated_reading_minutes: module.estimated_reading_minutes,
+                    attachment_id: attachment ? attachment.id : null
+                } : null,
+                thumbnail
             };
         } catch (error) {
-            console.error('ModuleService.uploadModuleFile error:', error);
+            console.error('ModuleService.applyModuleFile error:', error);
             throw error;
         }
     }
@@ -104,12 +187,7 @@ class ModuleService {
                 throw new Error('Module not found');
             }
 
-            // Delete old thumbnail if exists
-            if (module.thumbnail_key) {
-                await FileStorageService.deleteFile(module.thumbnail_key).catch(err => {
-                    console.warn('Failed to delete old thumbnail:', err);
-                });
-            }
+            // The old thumbnail is kept: earlier revisions still reference it
 
             // Upload new thumbnail
             const uploadResult = await FileStorageService.uploadModuleFile(
@@ -124,9 +202,12 @@ class ModuleService {
             // Update module
             await module.update({
                 thumbnail_key: uploadResult.key,
+                thumbnail_generated: false,
                 updated_by: uploadedBy
             });
 
+            await ModuleRevisionService.recordRevision(module, uploadedBy, { note: 'Replaced thumbnail' });
+
             return {
                 success: true,
                 thumbnail: {
@@ -157,9 +238,10 @@ class ModuleService {
             const allowedFields = [
                 'title', 'description', 'content', 'type', 'category',
                 'difficulty_level', 'age_group',
-                // 'duration_minutes', 'points',
-                'order', 'is_published', 'is_featured', 'required_modules',
-                'tags', 'metadata'
+                // 'duration_minutes',
+                'points', 'passing_score', 'max_attempts', 'shuffle_questions',
+                'order', 'is_featured', 'required_modules',
+                'tags', 'content_advisories', 'metadata'
             ];
 
             allowedFields.forEach(field => {
@@ -168,11 +250,27 @@ class ModuleService {
                 }
             });
 
+            if (updateData.required_modules !== undefined) {
+                updateData.required_modules = await this.validateRequiredModules(module.id, updateData.required_modules || []);
+            }
+            if (updateData.content_advisories !== undefined) {
+                updateData.content_advisories = this._normalizeContentAdvisories(updateData.content_advisories);
+            }
+            if (data.slug !== undefined && data.slug !== module.slug) {
+                updateData.slug = await this.resolveSlug(data.slug, data.title || module.title, module.id);
+            }
+            Object.assign(updateData, this._normalizeAgeRange(data, module));
+
             await module.update(updateData);
 
+            // Edits to a published module stay in the draft until reviewed and published
+            const revision = await ModuleRevisionService.recordRevision(module, updatedBy, { note: data.revision_note });
+
             return {
                 success: true,
-                module: module.toSafeJSON()
+                module: module.toSafeJSON(),
+                revision: revision.toSafeJSON(false),
+                has_unpublished_changes: module.is_published && module.published_revision_id !== revision.id
             };
         } catch (error) {
             console.error('ModuleService.updateModule error:', error);
@@ -182,20 +280,25 @@ class ModuleService {
 
     /**
      * Delete module (soft delete)
+     * The module moves to the trash and is purged after the retention period (see purgeTrash)
      */
-    async deleteModule(moduleId) {
+    async deleteModule(moduleId, deletedBy = null) {
         try {
             const module = await Module.findByPk(moduleId);
             if (!module) {
                 throw new Error('Module not found');
             }
 
-            // Soft delete (paranoid: true in model)
+            // Soft delete (paranoid: true in model); saved together with deleted_at
+            module.deleted_by = deletedBy;
             await module.destroy();
 
+            const retentionDays = this.getTrashRetentionDays();
+
             return {
                 success: true,
-                message: 'Module deleted successfully'
+                message: 'Module moved to trash',
+                purge_at: retentionDays ? this._purgeDate(module.deleted_at, retentionDays) : null
             };
         } catch (error) {
             console.error('ModuleService.deleteModule error:', error);
@@ -205,6 +308,7 @@ class ModuleService {
 
     /**
      * Permanently delete module and files
+     * Storage cleanup runs in the Module beforeDestroy hook
      */
     async permanentlyDeleteModule(moduleId) {
         try {
@@ -213,19 +317,6 @@ class ModuleService {
                 throw new Error('Module not found');
             }
 
-            // Delete files from storage
-            if (module.file_key) {
-                await FileStorageService.deleteFile(module.file_key).catch(err => {
-                    console.error('Failed to delete module file:', err);
-                });
-            }
-
-            if (module.thumbnail_key) {
-                await FileStorageService.deleteFile(module.thumbnail_key).catch(err => {
-                    console.error('Failed to delete thumbnail:', err);
-                });
-            }
-
             // Hard delete from database
             await module.destroy({ force: true });
 
@@ -239,10 +330,139 @@ class ModuleService {
         }
     }
 
+    // ==================== TRASH ====================
+
+    /**
+     * Days soft-deleted modules stay in the trash (MODULE_TRASH_RETENTION_DAYS, default 30)
+     * @returns {number} - 0 when automatic purging is disabled
+     */
+    getTrashRetentionDays() {
+        const days = parseInt(process.env.MODULE_TRASH_RETENTION_DAYS);
+        if (Number.isNaN(days) || days < 0) return DEFAULT_TRASH_RETENTION_DAYS;
+        return days;
+    }
+
+    /**
+     * List soft-deleted modules (most recently deleted first)
+     * @param {Object} filters - { created_by, category, search, page, limit }
+     */
+    async getTrash(filters = {}) {
+        try {
+            const where = { deleted_at: { [Op.ne]: null } };
+            if (filters.created_by) where.created_by = filters.created_by;
+            if (filters.category) where.category = filters.category;
+            if (filters.search) where.title = { [Op.like]: `%${filters.search}%` };
+
+            const page = parseInt(filters.page) || 1;
+            const limit = Math.min(parseInt(filters.limit) || 20, 100);
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await Module.findAndCountAll({
+                where,
+                paranoid: false,
+                attributes: { exclude: ['content', 'extracted_text'] },
+                include: [
+                    { model: User, as: 'creator', attributes: ['id', 'name'] },
+                    { model: User, as: 'deleter', attributes: ['id', 'name'] }
+                ],
+                order: [['deleted_at', 'DESC']],
+                limit,
+                offset
+            });
+
+            const retentionDays = this.getTrashRetentionDays();
+
+            return {
+                success: true,
+                retention_days: retentionDays,
+                modules: rows.map(module => {
+                    return {
+                        ...module.toSafeJSON(),
+                        creator: module.creator ? { id: module.creator.id, name: module.creator.name } : null,
+                        deleted_at: module.deleted_at,
+                        deleted_by: module.deleter ? { id: module.deleter.id, name: module.deleter.name } : null,
+                        purge_at: retentionDays ? this._purgeDate(module.deleted_at, retentionDays) : null
+                    };
+                }),
+                pagination: {
+                    total: count,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.error('ModuleService.getTrash error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a module from the trash (publish state is kept)
+     */
+    async restoreModule(moduleId, restoredBy) {
+        try {
+            const module = await Module.findOne({
+                where: { id: moduleId, deleted_at: { [Op.ne]: null } },
+                paranoid: false
+            });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            // Saved together with the cleared deleted_at
+            module.deleted_by = null;
+            module.updated_by = restoredBy;
+            await module.restore();
+
+            return {
+                success: true,
+                message: 'Module restored',
+                module: module.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleService.restoreModule error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete modules that have been in the trash longer than the retention period
+     * @param {Date} now - Current time (injectable for testing)
+     * @returns {Promise<Object>} - { purged: [ids], failed: [ids] }
+     */
+    async purgeTrash(now = new Date()) {
+        const result = { purged: [], failed: [] };
+
+        const retentionDays = this.getTrashRetentionDays();
+        if (!retentionDays) return result;
+
+        const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+        const expired = await Module.findAll({
+            where: { deleted_at: { [Op.lte]: cutoff } },
+            paranoid: false,
+            attributes: ['id', 'file_key', 'thumbnail_key', 'deleted_at']
+        });
+
+        for (const module of expired) {
+            try {
+                await module.destroy({ force: true });
+                result.purged.push(module.id);
+            } catch (error) {
+                console.error(`ModuleService.purgeTrash failed for module ${module.id}:`, error);
+                result.failed.push(module.id);
+            }
+        }
+
+        return result;
+    }
+
     /**
      * Get module by ID
+     * Learners (includeUnpublished = false) must have completed the module's prerequisites
+     * @param {string|null} locale - Serve this translation where available (default locale otherwise)
      */
-    async getModuleById(moduleId, includeUnpublished = false) {
+    async getModuleById(moduleId, includeUnpublished = false, userId = null, locale = null) {
         try {
             const where = { id: moduleId };
             if (!includeUnpublished) {
@@ -251,20 +471,48 @@ class ModuleService {
 
             const module = await Module.findOne({
                 where,
-                include: [{
-                    model: User,
-                    as: 'creator',
-                    attributes: ['id', 'name', 'email']
-                }]
+                include: [
+                    {
+                        model: User,
+                        as: 'creator',
+                        attributes: ['id', 'name', 'email']
+                    },
+                    ...this._publishedRevisionInclude(includeUnpublished)
+                ]
             });
 
             if (!module) {
                 throw new Error('Module not found');
             }
 
+            if (!includeUnpublished) {
+                await this.assertAgeEligible(module, userId);
+                await this.assertPrerequisitesMet(module, userId);
+
+                const [localized] = await ModuleTranslationService.localizeModules([module.toPublishedJSON()], locale, { published: true });
+                const isBookmarked = userId
+                    ? await ModuleBookmark.count({ where: { module_id: module.id, user_id: userId } }) > 0
+                    : false;
+
+                return {
+                    success: true,
+                    module: {
+                        ...localized,
+                        is_bookmarked: isBookmarked,
+                        ...await this.getContentInterstitial(module, userId)
+                    }
+                };
+            }
+
+            // Editors see the working draft
+            const [localized] = await ModuleTranslationService.localizeModules([module.toSafeJSON()], locale);
+
             return {
                 success: true,
-                module: module.toSafeJSON()
+                module: {
+                    ...localized,
+                    has_unpublished_changes: module.is_published && await ModuleRevisionService.hasUnpublishedChanges(module)
+                }
             };
         } catch (error) {
             console.error('ModuleService.getModuleById error:', error);
@@ -272,37 +520,88 @@ class ModuleService {
         }
     }
 
+    /**
+     * Warning screen for learners who opted in to content warnings (see UserContentPreferences)
+     * Clients show the advisories and hotlines before the module content when required
+     * @returns {Promise<Object>} - { requires_interstitial, interstitial: { advisories, hotlines } | null }
+     */
+    async getContentInterstitial(module, userId) {
+        const advisories = (await this.getPublishedVersion(module)).getContentAdvisories();
+        const preferences = userId && advisories.length
+            ? await UserContentPreferences.findOne({ where: { user_id: userId } })
+            : null;
+        const matched = preferences ? preferences.matchAdvisories(advisories) : [];
+
+        return {
+            requires_interstitial: matched.length > 0,
+            interstitial: matched.length
+                ? { advisories: matched, hotlines: SUPPORT_HOTLINES }
+                : null
+        };
+    }
+
     /**
      * Get all modules with filtering
+     * filters.locale serves translated text where available (see ModuleTranslationService.localizeModules)
      */
     async getModules(filters = {}) {
         try {
             const where = {};
             const order = [];
 
-            // Apply filters
-            // if (filters.type) where.type = filters.type;
-            if (filters.category) where.category = filters.category;
+            // Apply filters (learners filter on the published revision's type and category)
+            where[Op.and] = [];
+            if (filters.includeUnpublished) {
+                if (filters.type) where.type = filters.type;
+                if (filters.category) where.category = filters.category;
+            } else if (filters.type || filters.category) {
+                where[Op.and].push(Module.publishedFieldsCondition({
+                    ...(filters.type ? { type: filters.type } : {}),
+                    ...(filters.category ? { category: filters.category } : {})
+                }));
+            }
             if (filters.difficulty_level) where.difficulty_level = filters.difficulty_level;
             if (filters.is_featured !== undefined) where.is_featured = filters.is_featured;
+            if (filters.workflow_status && filters.includeUnpublished) where.workflow_status = filters.workflow_status;
+            if (filters.scheduled) {
+                where[Op.and].push({
+                    [Op.or]: [
+                        { publish_at: { [Op.ne]: null } },
+                        { unpublish_at: { [Op.ne]: null } }
+                    ]
+                });
+            }
 
             // Only show published unless admin
             if (!filters.includeUnpublished) {
                 where.is_published = true;
+
+                // Hide modules outside the learner's age range
+                const viewer = await this.getViewerAge(filters.userId);
+                if (!viewer.exempt) {
+                    where[Op.and].push(Module.ageCondition(viewer.age));
+                }
             }
 
-            // Search
+            // Full-text search (see SearchService for ranking, snippets and facets)
             if (filters.search) {
-                where[Op.or] = [
-                    { title: { [Op.like]: `%${filters.search}%` } },
-                    { description: { [Op.like]: `%${filters.search}%` } }
-                ];
+                where[Op.and].push(SearchService.buildMatchCondition(filters.search, { published: !filters.includeUnpublished }));
             }
 
             // Ordering
-            if (filters.orderBy) {
+            if (filters.orderBy === 'rating') {
+                // Unrated modules sort last either way; ties go to the more-rated module
+                const direction = filters.orderDirection || 'DESC';
+                order.push(
+                    [sequelize.literal('`Module`.`rating_average` IS NULL'), 'ASC'],
+                    ['rating_average', direction],
+                    ['rating_count', 'DESC']
+                );
+            } else if (filters.orderBy) {
                 const direction = filters.orderDirection || 'ASC';
                 order.push([filters.orderBy, direction]);
+            } else if (filters.search) {
+                order.push(...SearchService.buildRelevanceOrder(filters.search, { published: !filters.includeUnpublished }));
             } else {
                 order.push(['order', 'ASC'], ['created_at', 'DESC']);
             }
@@ -314,20 +613,42 @@ class ModuleService {
 
             const { count, rows } = await Module.findAndCountAll({
                 where,
-                include: [{
-                    model: User,
-                    as: 'creator',
-                    attributes: ['id', 'name', 'email']
-                }],
+                include: [
+                    {
+                        model: User,
+                        as: 'creator',
+                        attributes: ['id', 'name', 'email']
+                    },
+                    ...this._publishedRevisionInclude(filters.includeUnpublished)
+                ],
                 order,
                 limit,
-                offset
+                offset,
+                distinct: true
             });
 
-            const modules = rows.map(module => module.toSafeJSON());
+            // Flag modules the current user cannot open yet
+            const completedIds = filters.includeUnpublished || !filters.userId
+                ? []
+                : await ModuleProgress.findCompletedModuleIds(filters.userId);
+            const versions = rows.map(module => (filters.includeUnpublished ? module : module.getPublishedVersion()));
+            const publishedIds = await this._getPublishedIds(versions.flatMap(m => m.getRequiredModuleIds()));
+
+            const modules = await ModuleTranslationService.localizeModules(versions.map(module => {
+                const missing = filters.includeUnpublished
+                    ? []
+                    : module.getRequiredModuleIds().filter(id => publishedIds.has(id) && !completedIds.includes(id));
+
+                return {
+                    ...module.toSafeJSON(),
+                    is_locked: missing.length > 0,
+                    missing_prerequisites: missing
+                };
+            }), filters.locale, { published: !filters.includeUnpublished });
 
             return {
                 success: true,
+                locale: filters.locale || DEFAULT_LOCALE,
                 modules,
                 pagination: {
                     total: count,
@@ -345,25 +666,35 @@ class ModuleService {
     /**
      * Get featured modules
      */
-    async getFeaturedModules(limit = 6) {
+    async getFeaturedModules(limit = 6, userId = null) {
         try {
+            const where = {
+                is_published: true,
+                is_featured: true
+            };
+
+            const viewer = await this.getViewerAge(userId);
+            if (!viewer.exempt) {
+                where[Op.and] = [Module.ageCondition(viewer.age)];
+            }
+
             const modules = await Module.findAll({
-                where: {
-                    is_published: true,
-                    is_featured: true
-                },
-                include: [{
-                    model: User,
-                    as: 'creator',
-                    attributes: ['id', 'name']
-                }],
+                where,
+                include: [
+                    {
+                        model: User,
+                        as: 'creator',
+                        attributes: ['id', 'name']
+                    },
+                    ...this._publishedRevisionInclude(false)
+                ],
                 order: [['order', 'ASC']],
                 limit
             });
 
             return {
                 success: true,
-                modules: modules.map(m => m.toSafeJSON())
+                modules: modules.map(m => m.toPublishedJSON())
             };
         } catch (error) {
             console.error('ModuleService.getFeaturedModules error:', error);
@@ -372,30 +703,163 @@ class ModuleService {
     }
 
     /**
-     * Publish/unpublish module
+     * Publish an approved module, or archive a published one
+     * Kept for the PATCH /publish route; both go through the review workflow
+     * @param {Object} user - { id, role }
      */
-    async togglePublish(moduleId, updatedBy) {
+    async togglePublish(moduleId, user) {
+        try {
+            const module = await Module.findByPk(moduleId, { attributes: ['id', 'is_published'] });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const result = await ModuleWorkflowService.transition(module.id, module.is_published ? 'archive' : 'publish', user);
+
+            return {
+                success: true,
+                is_published: result.workflow.is_published,
+                workflow_status: result.workflow.status,
+                message: result.workflow.is_published ? 'Module published' : 'Module unpublished'
+            };
+        } catch (error) {
+            console.error('ModuleService.togglePublish error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule automatic publish/unpublish (a scheduled publish waits until the module is approved)
+     * @param {Object} schedule - { publish_at, unpublish_at } (null clears)
+     */
+    async scheduleModule(moduleId, schedule, updatedBy) {
         try {
             const module = await Module.findByPk(moduleId);
             if (!module) {
                 throw new Error('Module not found');
             }
 
-            if (module.is_published) {
-                await module.unpublish();
-            } else {
-                await module.publish();
+            const updateData = { updated_by: updatedBy };
+            for (const field of ['publish_at', 'unpublish_at']) {
+                if (schedule[field] === undefined) continue;
+
+                if (schedule[field] === null || schedule[field] === '') {
+                    updateData[field] = null;
+                    continue;
+                }
+
+                const date = new Date(schedule[field]);
+                if (isNaN(date.getTime())) {
+                    throw Object.assign(new Error(`${field} must be a valid date`), {
+                        statusCode: 400,
+                        code: 'INVALID_SCHEDULE'
+                    });
+                }
+                if (date <= new Date()) {
+                    throw Object.assign(new Error(`${field} must be in the future`), {
+                        statusCode: 400,
+                        code: 'INVALID_SCHEDULE'
+                    });
+                }
+                updateData[field] = date;
             }
 
-            await module.update({ updated_by: updatedBy });
+            if (updateData.publish_at && module.is_published) {
+                throw Object.assign(new Error('Module is already published'), {
+                    statusCode: 400,
+                    code: 'INVALID_SCHEDULE'
+                });
+            }
+
+            const publishAt = updateData.publish_at !== undefined ? updateData.publish_at : module.publish_at;
+            const unpublishAt = updateData.unpublish_at !== undefined ? updateData.unpublish_at : module.unpublish_at;
+            if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+                throw Object.assign(new Error('unpublish_at must be after publish_at'), {
+                    statusCode: 400,
+                    code: 'INVALID_SCHEDULE'
+                });
+            }
+
+            await module.update(updateData);
 
             return {
                 success: true,
-                is_published: module.is_published,
-                message: module.is_published ? 'Module published' : 'Module unpublished'
+                message: module.hasSchedule() ? 'Module schedule updated' : 'Module schedule cleared',
+                schedule: {
+                    is_published: module.is_published,
+                    publish_at: module.publish_at,
+                    unpublish_at: module.unpublish_at
+                }
             };
         } catch (error) {
-            console.error('ModuleService.togglePublish error:', error);
+            console.error('ModuleService.scheduleModule error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Publish/unpublish modules whose scheduled time has passed
+     * Only approved modules are published; others stay scheduled until approved
+     * Called by ModuleScheduleJob
+     */
+    async processSchedules(now = new Date()) {
+        try {
+            const toPublish = await Module.findAll({
+                where: {
+                    is_published: false,
+                    workflow_status: 'approved',
+                    publish_at: { [Op.lte]: now },
+                    [Op.or]: [
+                        { unpublish_at: null },
+                        { unpublish_at: { [Op.gt]: now } }
+                    ]
+                }
+            });
+
+            // Each module is handled on its own so one failure does not hold up the rest
+            const published = [];
+            const unpublished = [];
+            const failed = [];
+
+            for (const module of toPublish) {
+                try {
+                    await ModuleWorkflowService.transition(module.id, 'publish', null, { note: 'Scheduled publish' });
+                    published.push(module.id);
+                } catch (error) {
+                    console.error(`ModuleService.processSchedules publish error (module ${module.id}):`, error);
+                    failed.push({ module_id: module.id, action: 'publish', message: error.message });
+                }
+            }
+
+            const toUnpublish = await Module.findAll({
+                where: {
+                    unpublish_at: { [Op.lte]: now }
+                }
+            });
+
+            for (const module of toUnpublish) {
+                try {
+                    if (module.is_published) {
+                        await ModuleWorkflowService.transition(module.id, 'archive', null, { note: 'Scheduled unpublish' });
+                    } else {
+                        // Windows that closed before they opened are dropped entirely
+                        await module.update({ publish_at: null, unpublish_at: null });
+                    }
+                    unpublished.push(module.id);
+                } catch (error) {
+                    console.error(`ModuleService.processSchedules unpublish error (module ${module.id}):`, error);
+                    failed.push({ module_id: module.id, action: 'unpublish', message: error.message });
+                }
+            }
+
+            return {
+                success: true,
+                published,
+                unpublished,
+                failed
+            };
+        } catch (error) {
+            console.error('ModuleService.processSchedules error:', error);
             throw error;
         }
     }
@@ -441,11 +905,17 @@ class ModuleService {
 
     /**
      * Increment view count (Unique per user)
+     * Every view is also recorded as an xAPI "viewed" statement
      */
     async incrementViewCount(moduleId, userId) {
         if (!userId) return; // Don't track views for guests if not required
 
         try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) return;
+
+            await XapiService.moduleViewed(module, userId);
+
             // Check if this user has already viewed this module
             const existingView = await ModuleView.findOne({
                 where: { module_id: moduleId, user_id: userId }
@@ -456,31 +926,215 @@ class ModuleService {
                 await ModuleView.create({ module_id: moduleId, user_id: userId });
 
                 // Increment the total view count on the Module model
-                const module = await Module.findByPk(moduleId);
-                if (module) {
-                    module.view_count += 1;
-                    await module.save({ fields: ['view_count'], hooks: false });
-                }
+                module.view_count += 1;
+                await module.save({ fields: ['view_count'], hooks: false });
             }
         } catch (error) {
             console.error('ModuleService.incrementViewCount error:', error);
         }
     }
 
-    // /**
-    //  * Increment completion count
-    //  */
-    // async incrementCompletionCount(moduleId) {
-    //     try {
-    //         const module = await Module.findByPk(moduleId);
-    //         if (module) {
-    //             await module.incrementCompletionCount();
-    //         }
-    //     } catch (error) {
-    //         console.error('ModuleService.incrementCompletionCount error:', error);
-    //         // Don't throw - this is not critical
-    //     }
-    // }
+    // ==================== AGE GATING ====================
+
+    /**
+     * Age of the viewer for age-restricted modules
+     * Learners are matched on their profile date of birth; facilitator and staff roles are exempt
+     * @returns {Promise<Object>} - { exempt, age } (age is null when unknown)
+     */
+    async getViewerAge(userId = null) {
+        if (!userId) {
+            return { exempt: false, age: null };
+        }
+
+        const user = await User.findByPk(userId, {
+            attributes: ['id', 'role'],
+            include: [{ model: UserProfile, as: 'profile', attributes: ['id', 'date_of_birth'] }]
+        });
+        if (!user) {
+            return { exempt: false, age: null };
+        }
+
+        return {
+            exempt: AGE_GATE_EXEMPT_ROLES.includes(user.role),
+            age: user.profile ? user.profile.getAge() : null
+        };
+    }
+
+    /**
+     * The module as learners see it (see Module.getPublishedVersion), loading its published revision if needed
+     */
+    async getPublishedVersion(module) {
+        if (module.publishedRevision === undefined && module.published_revision_id) {
+            module.publishedRevision = await ModuleRevision.findByPk(module.published_revision_id);
+        }
+        return module.getPublishedVersion();
+    }
+
+    /**
+     * Throw AGE_VERIFICATION_REQUIRED or AGE_RESTRICTED if the user may not open the module
+     * The age range is the one of the published revision
+     */
+    async assertAgeEligible(module, userId = null) {
+        module = await this.getPublishedVersion(module);
+        if (!module.isAgeRestricted()) return;
+
+        const viewer = await this.getViewerAge(userId);
+        if (viewer.exempt || module.allowsAge(viewer.age)) return;
+
+        const ageRange = { min_age: module.min_age, max_age: module.max_age };
+
+        if (viewer.age === null) {
+            throw Object.assign(new Error(userId
+                ? 'Add your date of birth to your profile to open this module'
+                : 'Sign in and add your date of birth to open this module'), {
+                statusCode: 403,
+                code: 'AGE_VERIFICATION_REQUIRED',
+                age_range: ageRange
+            });
+        }
+
+        throw Object.assign(new Error('This module is not available for your age group'), {
+            statusCode: 403,
+            code: 'AGE_RESTRICTED',
+            age_range: ageRange
+        });
+    }
+
+    // ==================== PREREQUISITES ====================
+
+    /**
+     * Get prerequisite status of a module for a user
+     * Prerequisites that are unpublished or deleted are ignored so learners are never locked out permanently
+     * The prerequisites are the ones of the published revision
+     * @returns {Promise<Object>} - { met, missing: [{ id, title }] }
+     */
+    async getPrerequisiteStatus(module, userId = null) {
+        const requiredIds = (await this.getPublishedVersion(module)).getRequiredModuleIds();
+        if (requiredIds.length === 0) {
+            return { met: true, missing: [] };
+        }
+
+        const completedIds = userId ? await ModuleProgress.findCompletedModuleIds(userId) : [];
+        const pendingIds = requiredIds.filter(id => !completedIds.includes(id));
+        if (pendingIds.length === 0) {
+            return { met: true, missing: [] };
+        }
+
+        const missing = await Module.findAll({
+            where: { id: pendingIds, is_published: true },
+            attributes: ['id', 'title']
+        });
+
+        return {
+            met: missing.length === 0,
+            missing: missing.map(m => ({ id: m.id, title: m.title }))
+        };
+    }
+
+    /**
+     * Throw PREREQUISITES_NOT_MET if the user has not completed the module's prerequisites
+     */
+    async assertPrerequisitesMet(module, userId = null) {
+        const status = await this.getPrerequisiteStatus(module, userId);
+        if (!status.met) {
+            throw Object.assign(new Error('Complete the required modules before starting this one'), {
+                statusCode: 403,
+                code: 'PREREQUISITES_NOT_MET',
+                missing_prerequisites: status.missing
+            });
+        }
+    }
+
+    /**
+     * Validate a required_modules list: existing modules, no self reference, no cycles
+     * @param {number|null} moduleId - Module being saved (null when creating)
+     * @param {Array} requiredModules - Module IDs
+     * @returns {Promise<Array<number>>} - Normalized, de-duplicated IDs
+     */
+    async validateRequiredModules(moduleId, requiredModules) {
+        if (!Array.isArray(requiredModules)) {
+            throw Object.assign(new Error('required_modules must be an array of module IDs'), {
+                statusCode: 400,
+                code: 'INVALID_PREREQUISITES'
+            });
+        }
+
+        const ids = [...new Set(requiredModules.map(id => parseInt(id)))];
+        if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+            throw Object.assign(new Error('required_modules must be an array of module IDs'), {
+                statusCode: 400,
+                code: 'INVALID_PREREQUISITES'
+            });
+        }
+
+        if (ids.length === 0) return ids;
+
+        if (moduleId && ids.includes(parseInt(moduleId))) {
+            throw Object.assign(new Error('A module cannot require itself'), {
+                statusCode: 400,
+                code: 'PREREQUISITE_CYCLE'
+            });
+        }
+
+        const existing = await Module.findAll({ where: { id: ids }, attributes: ['id'] });
+        if (existing.length !== ids.length) {
+            const existingIds = existing.map(m => m.id);
+            throw Object.assign(new Error(`Required modules not found: ${ids.filter(id => !existingIds.includes(id)).join(', ')}`), {
+                statusCode: 400,
+                code: 'INVALID_PREREQUISITES'
+            });
+        }
+
+        // A new module has no dependents, so it cannot close a cycle
+        if (moduleId) {
+            const cycle = await Module.findPrerequisiteCycle(parseInt(moduleId), ids);
+            if (cycle) {
+                throw Object.assign(new Error(`Prerequisites would create a cycle: ${cycle.join(' -> ')}`), {
+                    statusCode: 400,
+                    code: 'PREREQUISITE_CYCLE',
+                    cycle
+                });
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Pick a unique slug for a module (soft-deleted modules keep theirs)
+     * A requested slug must be free (409 SLUG_TAKEN); one derived from the title gets a numeric suffix instead
+     * @param {string|null} slug - Requested slug
+     * @param {string} title - Used when no slug is requested
+     * @param {number|null} excludeId - Module being updated
+     */
+    async resolveSlug(slug, title, excludeId = null) {
+        const requested = slug !== undefined && slug !== null && slug !== '';
+        const base = Module.slugify(requested ? slug : title) || 'module';
+
+        const where = { slug: { [Op.or]: [base, { [Op.like]: `${base}-%` }] } };
+        if (excludeId) {
+            where.id = { [Op.ne]: excludeId };
+        }
+        const taken = new Set(
+            (await Module.findAll({ where, attributes: ['slug'], paranoid: false, raw: true })).map(m => m.slug)
+        );
+
+        if (!taken.has(base)) {
+            return base;
+        }
+        if (requested) {
+            throw Object.assign(new Error(`Slug "${base}" is already used by another module`), {
+                statusCode: 409,
+                code: 'SLUG_TAKEN'
+            });
+        }
+
+        let suffix = 2;
+        while (taken.has(`${base}-${suffix}`)) {
+            suffix += 1;
+        }
+        return `${base}-${suffix}`;
+    }
 
     /**
      * Get module statistics
@@ -498,14 +1152,14 @@ class ModuleService {
 
             const totalModules = await Module.count({ where: { is_published: true } });
             const totalViews = await Module.sum('view_count', { where: { is_published: true } });
-            // const totalCompletions = await Module.sum('completion_count', { where: { is_published: true } });
+            const totalCompletions = await Module.sum('completion_count', { where: { is_published: true } });
 
             return {
                 success: true,
                 stats: {
                     total_modules: totalModules,
                     total_views: totalViews || 0,
-                    // total_completions: totalCompletions || 0,
+                    total_completions: totalCompletions || 0,
                     by_category: stats
                 }
             };
@@ -514,6 +1168,129 @@ class ModuleService {
             throw error;
         }
     }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Extract text and statistics from an uploaded document
+     * Extraction problems never block the upload itself
+     * @private
+     */
+    async _extractDocument(fileBuffer, mimetype, preview) {
+        if (!DocumentExtractionService.supports(mimetype)) {
+            return null;
+        }
+
+        try {
+            return await DocumentExtractionService.extract(fileBuffer, mimetype, { preview });
+        } catch (error) {
+            console.warn('Failed to extract module document text:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Validate min_age/max_age from request data
+     * Without an explicit range, a recognisable age_group ("13-15", "18+") sets it
+     * @param {Object|null} module - Module being updated (null when creating)
+     * @private
+     * @returns {Object} - Range fields to save
+     */
+    _normalizeAgeRange(data, module = null) {
+        const invalid = (message) => Object.assign(new Error(message), {
+            statusCode: 400,
+            code: 'INVALID_AGE_RANGE'
+        });
+        const range = {};
+
+        ['min_age', 'max_age'].forEach(field => {
+            if (data[field] === undefined) return;
+            if (data[field] === null || data[field] === '') {
+                range[field] = null;
+                return;
+            }
+
+            const value = Number(data[field]);
+            if (!Number.isInteger(value) || value < 0 || value > MAX_AGE) {
+                throw invalid(`${field} must be a whole number between 0 and ${MAX_AGE}`);
+            }
+            range[field] = value;
+        });
+
+        if (range.min_age === undefined && range.max_age === undefined && data.age_group) {
+            Object.assign(range, Module.parseAgeGroup(data.age_group) || {});
+        }
+
+        const min = range.min_age !== undefined ? range.min_age : (module ? module.min_age : null);
+        const max = range.max_age !== undefined ? range.max_age : (module ? module.max_age : null);
+        if (min !== null && max !== null && min > max) {
+            throw invalid('Minimum age cannot be greater than maximum age');
+        }
+
+        return range;
+    }
+
+    /**
+     * Validate content_advisories from request data
+     * Accepts type strings or { type, note } objects
+     * @private
+     * @returns {Array<Object>} - [{ type, note }]
+     */
+    _normalizeContentAdvisories(advisories) {
+        if (advisories === undefined || advisories === null || advisories === '') return [];
+
+        const invalid = (message) => Object.assign(new Error(message), {
+            statusCode: 400,
+            code: 'INVALID_CONTENT_ADVISORY'
+        });
+
+        if (!Array.isArray(advisories)) {
+            throw invalid('content_advisories must be a list');
+        }
+        advisories.forEach(entry => {
+            const type = typeof entry === 'string' ? entry : entry && entry.type;
+            if (!isAdvisoryType(String(type || '').trim().toLowerCase())) {
+                throw invalid(`Unknown content advisory "${type}". Use one of: ${Object.keys(ADVISORY_TYPES).join(', ')}`);
+            }
+        });
+
+        return Module.normalizeContentAdvisories(advisories);
+    }
+
+    /**
+     * Include the published revision for learner-facing queries
+     * @private
+     */
+    _publishedRevisionInclude(includeUnpublished) {
+        if (includeUnpublished) return [];
+        return [{
+            model: ModuleRevision,
+            as: 'publishedRevision',
+            required: false
+        }];
+    }
+
+    /**
+     * When a trashed module will be purged
+     * @private
+     */
+    _purgeDate(deletedAt, retentionDays) {
+        return new Date(new Date(deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Filter module IDs down to published modules
+     * @private
+     */
+    async _getPublishedIds(ids) {
+        if (ids.length === 0) return new Set();
+
+        const modules = await Module.findAll({
+            where: { id: [...new Set(ids)], is_published: true },
+            attributes: ['id']
+        });
+        return new Set(modules.map(m => m.id));
+    }
 }
 
 module.exports = new ModuleService();
\ No newline at end of file
@@ -0,0 +1,322 @@
+// src/services/ModuleTemplateService.js
+const { Module, ModuleTemplate, Question, User } = require('../model');
+const ModuleService = require('./ModuleService');
+const ModuleRevisionService = require('./ModuleRevisionService');
+const QuizService = require('./QuizService');
+const { Op } = require('sequelize');
+
+// Module fields a template can preset (prerequisites and files are module-specific)
+const SKELETON_FIELDS = [
+    'description', 'content', 'type', 'category', 'difficulty_level',
+    'age_group', 'min_age', 'max_age', 'points', 'passing_score', 'max_attempts',
+    'shuffle_questions', 'tags', 'content_advisories', 'metadata'
+];
+
+const MAX_TEMPLATE_QUESTIONS = 100;
+
+/**
+ * Module Template Service - Library of reusable module skeletons
+ *
+ * A template presets module fields (content outline, type, category, age range,
+ * quiz settings, tags, advisories) and example questions. Starting from a template
+ * creates a draft through ModuleService.createModule. Built-in templates have no
+ * owner and only admins may change them; other templates belong to their creator.
+ */
+class ModuleTemplateService {
+    /**
+     * List templates (without skeletons)
+     * @param {Object} filters - { category, type, search }
+     */
+    async getTemplates(filters = {}) {
+        try {
+            const where = {};
+            if (filters.category) where.category = filters.category;
+            if (filters.type) where.type = filters.type;
+            if (filters.search) {
+                where[Op.or] = [
+                    { name: { [Op.like]: `%${filters.search}%` } },
+                    { description: { [Op.like]: `%${filters.search}%` } }
+                ];
+            }
+
+            const templates = await ModuleTemplate.findAll({
+                where,
+                include: [{ model: User, as: 'creator', attributes: ['id', 'name'] }],
+                order: [['is_builtin', 'DESC'], ['usage_count', 'DESC'], ['name', 'ASC']]
+            });
+
+            return {
+                success: true,
+                templates: templates.map(template => template.toSafeJSON(false))
+            };
+        } catch (error) {
+            console.error('ModuleTemplateService.getTemplates error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a template with its skeleton
+     */
+    async getTemplate(templateId) {
+        try {
+            const template = await ModuleTemplate.findByPk(templateId, {
+                include: [{ model: User, as: 'creator', attributes: ['id', 'name'] }]
+            });
+            if (!template) {
+                throw new Error('Template not found');
+            }
+
+            return {
+                success: true,
+                template: template.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleTemplateService.getTemplate error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a template from a skeleton
+     * @param {Object} data - { name, description, skeleton: { ...module fields, questions } }
+     * @param {Object} user - { id, role }; only admins may mark a template is_builtin
+     */
+    async createTemplate(data, user) {
+        try {
+            const skeleton = await this._normalizeSkeleton(data.skeleton || {});
+            const isBuiltin = user.role === 'admin' && (data.is_builtin === true || data.is_builtin === 'true');
+
+            const template = await ModuleTemplate.create({
+                name: data.name,
+                description: data.description || null,
+                category: skeleton.category || 'general',
+                type: skeleton.type || 'lesson',
+                skeleton,
+                is_builtin: isBuiltin,
+                created_by: isBuiltin ? null : user.id
+            });
+
+            return {
+                success: true,
+                template: template.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleTemplateService.createTemplate error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a module's draft fields and questions as a template (stored files are not included)
+     * @param {Object} data - { name, description }
+     */
+    async createTemplateFromModule(moduleId, data, user) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const questions = await Question.findByModule(module.id);
+            const skeleton = {};
+            SKELETON_FIELDS.forEach(field => {
+                skeleton[field] = module[field];
+            });
+            skeleton.questions = questions.map(question => ({
+                question_type: question.question_type,
+                prompt: question.prompt,
+                options: question.options,
+                correct_answer: question.correct_answer,
+                explanation: question.explanation,
+                points: question.points,
+                order: question.order
+            }));
+
+            const result = await this.createTemplate({
+                name: data.name || module.title,
+                description: data.description !== undefined ? data.description : module.description,
+                skeleton
+            }, user);
+
+            await ModuleTemplate.update({ source_module_id: module.id }, { where: { id: result.template.id } });
+            result.template.source_module_id = module.id;
+
+            return result;
+        } catch (error) {
+            console.error('ModuleTemplateService.createTemplateFromModule error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a template
+     * @param {Object} data - { name, description, skeleton } (skeleton replaces the previous one)
+     */
+    async updateTemplate(templateId, data, user) {
+        try {
+            const template = await this._findManageable(templateId, user);
+
+            if (data.name !== undefined) template.name = data.name;
+            if (data.description !== undefined) template.description = data.description;
+            if (data.skeleton !== undefined) {
+                const skeleton = await this._normalizeSkeleton(data.skeleton || {});
+                template.skeleton = skeleton;
+                template.category = skeleton.category || 'general';
+                template.type = skeleton.type || 'lesson';
+            }
+
+            await template.save();
+
+            return {
+                success: true,
+                template: template.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleTemplateService.updateTemplate error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a template (modules created from it are not affected)
+     */
+    async deleteTemplate(templateId, user) {
+        try {
+            const template = await this._findManageable(templateId, user);
+            await template.destroy();
+
+            return {
+                success: true,
+                message: 'Template deleted'
+            };
+        } catch (error) {
+            console.error('ModuleTemplateService.deleteTemplate error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start a new draft module from a template
+     * @param {Object} data - { title, slug } (title defaults to the template name)
+     * @returns {Promise<Object>} - { success, module, questions, template_id }
+     */
+    async createModuleFromTemplate(templateId, data, userId) {
+        let module = null;
+
+        try {
+            const template = await ModuleTemplate.findByPk(templateId);
+            if (!template) {
+                throw new Error('Template not found');
+            }
+
+            const { questions = [], ...fields } = template.getSkeleton();
+
+            const result = await ModuleService.createModule({
+                ...fields,
+                title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : template.name,
+                slug: data.slug,
+                revision_note: `Created from template "${template.name}"`
+            }, userId);
+            module = result.module;
+
+            const created = [];
+            for (const question of questions) {
+                created.push((await QuizService.createQuestion(module.id, question, userId, { recordRevision: false })).question);
+            }
+            // One revision for the whole question bank, so the draft can be reviewed with it
+            if (created.length) {
+                await ModuleRevisionService.recordRevision(await Module.findByPk(module.id), userId, {
+                    note: `Added ${created.length} questions from template "${template.name}"`
+                });
+            }
+
+            await template.increment('usage_count');
+
+            return {
+                success: true,
+                module,
+                questions: created,
+                template_id: template.id
+            };
+        } catch (error) {
+            console.error('ModuleTemplateService.createModuleFromTemplate error:', error);
+            if (module) {
+                await Module.destroy({ where: { id: module.id }, force: true }).catch(() => {});
+            }
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Load a template the user may change: its creator or an admin (built-ins: admins only)
+     * @private
+     */
+    async _findManageable(templateId, user) {
+        const template = await ModuleTemplate.findByPk(templateId);
+        if (!template) {
+            throw new Error('Template not found');
+        }
+
+        const allowed = user.role === 'admin' || (!template.is_builtin && template.created_by === user.id);
+        if (!allowed) {
+            throw Object.assign(new Error(template.is_builtin
+                ? 'Only admins can change built-in templates'
+                : 'Only the template creator or an admin can change this template'), {
+                statusCode: 403,
+                code: 'TEMPLATE_PERMISSION_DENIED'
+            });
+        }
+
+        return template;
+    }
+
+    /**
+     * Keep known module fields and validate example questions
+     * @private
+     */
+    async _normalizeSkeleton(input) {
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            throw this._invalid('skeleton must be an object');
+        }
+
+        const skeleton = {};
+        SKELETON_FIELDS.forEach(field => {
+            if (input[field] !== undefined) skeleton[field] = input[field];
+        });
+
+        // Same checks a module gets, so starting from the template cannot fail on these fields
+        await Module.build({ title: 'Template', created_by: 0, ...skeleton }).validate({
+            fields: ['type', 'category', 'difficulty_level', 'points', 'passing_score', 'max_attempts']
+        });
+        if (skeleton.content_advisories !== undefined) {
+            skeleton.content_advisories = Module.normalizeContentAdvisories(skeleton.content_advisories);
+        }
+        if (skeleton.tags !== undefined) {
+            skeleton.tags = Module.normalizeTags(skeleton.tags);
+        }
+
+        const questions = input.questions === undefined || input.questions === null ? [] : input.questions;
+        if (!Array.isArray(questions) || questions.length > MAX_TEMPLATE_QUESTIONS) {
+            throw this._invalid(`questions must be a list of at most ${MAX_TEMPLATE_QUESTIONS} questions`);
+        }
+
+        skeleton.questions = [];
+        for (const [index, question] of questions.entries()) {
+            skeleton.questions.push(await QuizService.validateQuestion({ order: index, ...question }));
+        }
+
+        return skeleton;
+    }
+
+    /**
+     * @private
+     */
+    _invalid(message) {
+        return Object.assign(new Error(message), { statusCode: 400, code: 'INVALID_TEMPLATE' });
+    }
+}
+
+module.exports = new ModuleTemplateService();
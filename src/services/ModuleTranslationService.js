@@ -0,0 +1,508 @@
+// src/services/ModuleTranslationService.js
+const { Module, ModuleRevision, ModuleTranslation, User } = require('../model');
+const FileStorageService = require('./FileStorageService');
+const ModuleRevisionService = require('./ModuleRevisionService');
+const DocumentExtractionService = require('./DocumentExtractionService');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, resolveLocale } = require('../config/locales');
+const { Op } = require('sequelize');
+
+const TEXT_FIELDS = ['title', 'description', 'content'];
+const MAX_TITLE_LENGTH = 255;
+
+/**
+ * Module Translation Service - Per-locale module text and files
+ *
+ * Translations belong to the module draft: every change is recorded as a module revision
+ * and reviewed with it. Learners get the translations of the published revision.
+ */
+class ModuleTranslationService {
+    /**
+     * Get a module's translations and per-locale completeness
+     */
+    async getTranslations(moduleId) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const translations = await ModuleTranslation.findAll({
+                where: { module_id: module.id },
+                include: [{ model: User, as: 'translator', attributes: ['id', 'name'] }],
+                order: [['locale', 'ASC']]
+            });
+            const byLocale = new Map(translations.map(t => [t.locale, t]));
+
+            return {
+                success: true,
+                module_id: module.id,
+                default_locale: DEFAULT_LOCALE,
+                locales: this._translatableLocales().map(locale => ({
+                    locale,
+                    name: SUPPORTED_LOCALES[locale],
+                    ...this._completeness(module, byLocale.get(locale))
+                })),
+                translations: translations.map(t => t.toSafeJSON())
+            };
+        } catch (error) {
+            console.error('ModuleTranslationService.getTranslations error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one translation
+     */
+    async getTranslation(moduleId, locale) {
+        try {
+            const code = this._validateLocale(locale);
+
+            const translation = await ModuleTranslation.findOne({
+                where: { module_id: moduleId, locale: code },
+                include: [{ model: User, as: 'translator', attributes: ['id', 'name'] }]
+            });
+            if (!translation) {
+                throw new Error('Translation not found');
+            }
+
+            return {
+                success: true,
+                translation: translation.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleTranslationService.getTranslation error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update a translation's text
+     * Only fields present in data are changed; null or '' clears a field (it then falls back)
+     * @param {Object} data - { title, description, content }
+     */
+    async saveTranslation(moduleId, locale, data, userId) {
+        try {
+            const code = this._validateLocale(locale);
+
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const changes = this._normalizeText(data);
+
+            let translation = await ModuleTranslation.findOne({
+                where: { module_id: module.id, locale: code }
+            });
+            const isNew = !translation;
+
+            if (isNew) {
+                if (!Object.values(changes).some(Boolean)) {
+                    throw Object.assign(
+                        new Error('A translation needs at least a title, description or content'),
+                        { statusCode: 400, code: 'INVALID_TRANSLATION' }
+                    );
+                }
+
+                translation = await ModuleTranslation.create({
+                    module_id: module.id,
+                    locale: code,
+                    ...changes,
+                    created_by: userId,
+                    updated_by: userId
+                });
+            } else {
+                await translation.update({ ...changes, updated_by: userId });
+            }
+
+            const revision = await ModuleRevisionService.recordRevision(module, userId, {
+                note: `${isNew ? 'Added' : 'Edited'} ${code} translation`
+            });
+
+            return {
+                success: true,
+                created: isNew,
+                translation: translation.toSafeJSON(),
+                ...this._completeness(module, translation),
+                has_unpublished_changes: module.is_published && module.published_revision_id !== revision.id
+            };
+        } catch (error) {
+            console.error('ModuleTranslationService.saveTranslation error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload/replace the translated module file (PDF/DOCX)
+     */
+    async uploadTranslationFile(moduleId, locale, fileBuffer, mimetype, originalFilename, uploadedBy) {
+        try {
+            const code = this._validateLocale(locale);
+
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const uploadResult = await FileStorageService.uploadModuleFile(
+                fileBuffer,
+                module.id,
+                `translations/${code}`,
+                mimetype,
+                originalFilename,
+                { uploadedBy }
+            );
+
+            // Reading statistics for the translated file (never blocks the upload)
+            let extraction = null;
+            if (DocumentExtractionService.supports(mimetype)) {
+                try {
+                    extraction = await DocumentExtractionService.extract(fileBuffer, mimetype);
+                } catch (err) {
+                    console.warn('Failed to extract translation document text:', err.message);
+                }
+            }
+
+            const fileData = {
+                file_key: uploadResult.key,
+                file_name: originalFilename,
+                file_type: mimetype,
+                file_size: uploadResult.size,
+                page_count: extraction ? extraction.page_count : null,
+                word_count: extraction ? extraction.word_count : null,
+                estimated_reading_minutes: extraction ? extraction.estimated_reading_minutes : null,
+                updated_by: uploadedBy
+            };
+
+            let translation = await ModuleTranslation.findOne({
+                where: { module_id: module.id, locale: code }
+            });
+            const oldKey = translation ? translation.file_key : null;
+
+            if (translation) {
+                await translation.update(fileData);
+            } else {
+                translation = await ModuleTranslation.create({
+                    module_id: module.id,
+                    locale: code,
+                    ...fileData,
+                    created_by: uploadedBy
+                });
+            }
+
+            await ModuleRevisionService.recordRevision(module, uploadedBy, { note: `Replaced ${code} translation file` });
+
+            // Files of earlier revisions stay until the module is deleted
+            if (oldKey && oldKey !== uploadResult.key) {
+                await this._deleteUnreferencedFile(module, oldKey);
+            }
+
+            return {
+                success: true,
+                translation: translation.toSafeJSON(),
+                file: {
+                    url: uploadResult.url,
+                    name: originalFilename,
+                    type: mimetype,
+                    size: uploadResult.size,
+                    page_count: translation.page_count,
+                    word_count: translation.word_count,
+                    estimated_reading_minutes: translation.estimated_reading_minutes
+                }
+            };
+        } catch (error) {
+            console.error('ModuleTranslationService.uploadTranslationFile error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a translation (its file is kept while a revision still serves it)
+     */
+    async deleteTranslation(moduleId, locale, userId = null) {
+        try {
+            const code = this._validateLocale(locale);
+
+            const translation = await ModuleTranslation.findOne({
+                where: { module_id: moduleId, locale: code },
+                include: [{ model: Module, as: 'module' }]
+            });
+            if (!translation) {
+                throw new Error('Translation not found');
+            }
+
+            const fileKey = translation.file_key;
+            await translation.destroy();
+            await ModuleRevisionService.recordRevision(translation.module, userId, { note: `Deleted ${code} translation` });
+
+            if (fileKey) {
+                await this._deleteUnreferencedFile(translation.module, fileKey);
+            }
+
+            return {
+                success: true,
+                message: 'Translation deleted successfully'
+            };
+        } catch (error) {
+            console.error('ModuleTranslationService.deleteTranslation error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Translation completeness across modules, per locale
+     * @param {Object} filters - { locale, category, is_published, page, limit }
+     */
+    async getCompletenessReport(filters = {}) {
+        try {
+            const locales = filters.locale ? [this._validateLocale(filters.locale)] : this._translatableLocales();
+
+            const where = {};
+            if (filters.category) where.category = filters.category;
+            if (filters.is_published !== undefined) where.is_published = filters.is_published;
+
+            const modules = await Module.findAll({
+                where,
+                attributes: ['id', 'title', 'description', 'content', 'file_key', 'category', 'is_published'],
+                order: [['order', 'ASC'], ['id', 'ASC']]
+            });
+
+            const translations = modules.length === 0 ? [] : await ModuleTranslation.findAll({
+                where: {
+                    module_id: { [Op.in]: modules.map(m => m.id) },
+                    locale: { [Op.in]: locales }
+                }
+            });
+            const byKey = new Map(translations.map(t => [`${t.module_id}:${t.locale}`, t]));
+
+            const summary = new Map(locales.map(locale => [locale, {
+                locale,
+                name: SUPPORTED_LOCALES[locale],
+                complete: 0,
+                partial: 0,
+                missing: 0,
+                percent_complete: 0
+            }]));
+
+            const rows = modules.map(module => {
+                const status = {};
+                locales.forEach(locale => {
+                    const result = this._completeness(module, byKey.get(`${module.id}:${locale}`));
+                    const totals = summary.get(locale);
+                    totals[result.status] += 1;
+                    totals.percent_complete += result.completeness;
+                    status[locale] = result;
+                });
+
+                return {
+                    id: module.id,
+                    title: module.title,
+                    category: module.category,
+                    is_published: module.is_published,
+                    locales: status
+                };
+            });
+
+            summary.forEach(totals => {
+                totals.percent_complete = modules.length > 0
+                    ? Math.round(totals.percent_complete / modules.length)
+                    : 100;
+            });
+
+            const page = parseInt(filters.page) || 1;
+            const limit = Math.min(parseInt(filters.limit) || 50, 200);
+            const offset = (page - 1) * limit;
+
+            return {
+                success: true,
+                default_locale: DEFAULT_LOCALE,
+                summary: [...summary.values()],
+                modules: rows.slice(offset, offset + limit),
+                pagination: {
+                    total: rows.length,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(rows.length / limit)
+                }
+            };
+        } catch (error) {
+            console.error('ModuleTranslationService.getCompletenessReport error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Overlay translations onto serialized modules
+     * Fields without a translation keep the default-locale value and are listed in fallback_fields
+     * @param {Array<Object>} modules - Module JSON (toSafeJSON/toPublishedJSON)
+     * @param {string} locale - Negotiated locale
+     * @param {Object} options - { published } use the translations of each module's published revision (learners)
+     */
+    async localizeModules(modules, locale, options = {}) {
+        if (modules.length === 0) return modules;
+
+        const ids = modules.map(m => m.id);
+        let available;
+        let translations;
+
+        if (options.published) {
+            available = await this._getPublishedTranslations(ids);
+            translations = available.filter(t => t.locale === locale);
+        } else {
+            available = await ModuleTranslation.findAll({
+                where: { module_id: { [Op.in]: ids } },
+                attributes: ['module_id', 'locale'],
+                raw: true
+            });
+            translations = locale && locale !== DEFAULT_LOCALE
+                ? await ModuleTranslation.findAll({ where: { module_id: { [Op.in]: ids }, locale } })
+                : [];
+        }
+        const byModule = new Map(translations.map(t => [t.module_id, t]));
+
+        return modules.map(data => {
+            const translation = byModule.get(data.id);
+            const translated = translation ? translation.toContentJSON() : {};
+            const isTranslated = Object.keys(translated).length > 0;
+
+            return {
+                ...data,
+                ...translated,
+                locale: isTranslated ? locale : DEFAULT_LOCALE,
+                fallback_fields: isTranslated
+                    ? translation.getMissingFields(data)
+                    : (locale && locale !== DEFAULT_LOCALE ? ModuleTranslation.requiredFields(data) : []),
+                available_locales: [
+                    DEFAULT_LOCALE,
+                    ...available.filter(row => row.module_id === data.id).map(row => row.locale).sort()
+                ]
+            };
+        });
+    }
+
+    /**
+     * Storage keys of a module's translated files
+     */
+    async getFileKeys(moduleId) {
+        const translations = await ModuleTranslation.findAll({
+            where: { module_id: moduleId, file_key: { [Op.ne]: null } },
+            attributes: ['file_key']
+        });
+        return translations.map(t => t.file_key);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Translations of each module's published revision
+     * @private
+     * @returns {Promise<Array<ModuleTranslation>>} - Unsaved instances
+     */
+    async _getPublishedTranslations(moduleIds) {
+        const modules = await Module.findAll({
+            where: { id: { [Op.in]: moduleIds } },
+            attributes: ['id', 'published_revision_id'],
+            include: [{
+                model: ModuleRevision,
+                as: 'publishedRevision',
+                attributes: ['id', 'module_id', 'translations'],
+                required: false
+            }]
+        });
+
+        return modules.flatMap(module => (module.publishedRevision ? module.publishedRevision.getTranslations() : []));
+    }
+
+    /**
+     * Delete a replaced translation file unless the draft or a revision still uses it
+     * @private
+     */
+    async _deleteUnreferencedFile(module, key) {
+        const referenced = new Set([
+            ...await ModuleRevisionService.getReferencedKeys(module),
+            ...await this.getFileKeys(module.id)
+        ]);
+        if (referenced.has(key)) return;
+
+        await FileStorageService.deleteFile(key).catch(err => {
+            console.error(`Failed to delete translation file: ${key}`, err);
+        });
+    }
+
+    /**
+     * Locales that translations can be written in
+     * @private
+     */
+    _translatableLocales() {
+        return Object.keys(SUPPORTED_LOCALES).filter(locale => locale !== DEFAULT_LOCALE);
+    }
+
+    /**
+     * Resolve a locale parameter, rejecting unsupported and default locales
+     * @private
+     */
+    _validateLocale(locale) {
+        const code = resolveLocale(locale);
+
+        if (!code) {
+            throw Object.assign(
+                new Error(`Unsupported locale. Use one of: ${this._translatableLocales().join(', ')}`),
+                { statusCode: 400, code: 'UNSUPPORTED_LOCALE' }
+            );
+        }
+        if (code === DEFAULT_LOCALE) {
+            throw Object.assign(
+                new Error('Default-locale text is edited on the module itself'),
+                { statusCode: 400, code: 'DEFAULT_LOCALE' }
+            );
+        }
+
+        return code;
+    }
+
+    /**
+     * Pick and clean the text fields present in a request body
+     * @private
+     */
+    _normalizeText(data = {}) {
+        const changes = {};
+
+        TEXT_FIELDS.forEach(field => {
+            if (data[field] === undefined) return;
+
+            const value = data[field] === null ? '' : String(data[field]).trim();
+            changes[field] = value === '' ? null : value;
+        });
+
+        if (changes.title && changes.title.length > MAX_TITLE_LENGTH) {
+            throw Object.assign(
+                new Error(`Title must be at most ${MAX_TITLE_LENGTH} characters`),
+                { statusCode: 400, code: 'INVALID_TRANSLATION' }
+            );
+        }
+
+        return changes;
+    }
+
+    /**
+     * Completeness of one translation against its module
+     * @private
+     */
+    _completeness(module, translation) {
+        const required = ModuleTranslation.requiredFields(module);
+        const missing = translation ? translation.getMissingFields(module) : required;
+        const done = required.length - missing.length;
+
+        let status = 'missing';
+        if (translation && missing.length === 0) status = 'complete';
+        else if (done > 0) status = 'partial';
+
+        return {
+            status,
+            completeness: required.length > 0 ? Math.round((done / required.length) * 100) : 100,
+            missing_fields: missing
+        };
+    }
+}
+
+module.exports = new ModuleTranslationService();
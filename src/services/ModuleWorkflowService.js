@@ -0,0 +1,648 @@
+// src/services/ModuleWorkflowService.js
+const {
+    sequelize, Module, ModuleRevision, ModuleReviewer, ModuleReviewComment, ModuleWorkflowTransition, User
+} = require('../model');
+const ModulePermissionService = require('./ModulePermissionService');
+const ModuleRevisionService = require('./ModuleRevisionService');
+
+const DEFAULT_REQUIRED_APPROVALS = 1;
+
+/**
+ * Allowed transitions: the statuses each action starts from and the permission it needs
+ * (see ModulePermissionService ACTION_RULES). Actions without a "to" return the module
+ * to its resting status: published while a revision is live, draft otherwise.
+ */
+const TRANSITIONS = {
+    submit: { from: ['draft', 'published'], to: 'in_review', permission: 'edit' },
+    withdraw: { from: ['in_review', 'approved'], permission: 'edit' },
+    approve: { from: ['in_review'], permission: 'approve' },
+    request_changes: { from: ['in_review', 'approved'], permission: 'approve', noteRequired: true },
+    publish: { from: ['approved'], to: 'published', permission: 'publish' },
+    archive: { from: ['draft', 'in_review', 'approved', 'published'], to: 'archived', permission: 'publish' },
+    reopen: { from: ['archived'], to: 'draft', permission: 'publish' }
+};
+
+const INVALID_MESSAGES = {
+    submit: 'Only drafts and published modules can be submitted for review',
+    withdraw: 'Only modules in review or approved can be withdrawn',
+    approve: 'Only modules in review can be approved',
+    request_changes: 'Only modules in review or approved can be sent back for changes',
+    publish: 'The module must be approved before it can be published',
+    archive: 'The module is already archived',
+    reopen: 'Only archived modules can be reopened'
+};
+
+const SUCCESS_MESSAGES = {
+    submit: 'Module submitted for review',
+    withdraw: 'Review withdrawn',
+    approve: 'Approval recorded',
+    request_changes: 'Changes requested',
+    publish: 'Module published',
+    archive: 'Module archived',
+    reopen: 'Module reopened as a draft'
+};
+
+/**
+ * Module Workflow Service - Editorial review before modules go live
+ *
+ * draft → in_review → approved → published → archived
+ * Authors submit the latest revision for review; moderators and admins who are not
+ * authors of the module approve it or request changes. Once MODULE_REQUIRED_APPROVALS
+ * reviewers approved the submitted revision, the owner or an admin can publish it.
+ * A live module stays published (is_published) while a newer revision is reviewed.
+ * Revisions also carry the question bank, translations, media and attachments, so
+ * edits to those reach learners only through an approved revision.
+ * Every transition is recorded in ModuleWorkflowTransitions.
+ */
+class ModuleWorkflowService {
+    /**
+     * Number of approvals a submitted revision needs
+     */
+    getRequiredApprovals() {
+        const value = parseInt(process.env.MODULE_REQUIRED_APPROVALS, 10);
+        return Number.isNaN(value) || value < 1 ? DEFAULT_REQUIRED_APPROVALS : value;
+    }
+
+    /**
+     * Move a module through the workflow
+     * @param {string} action - submit | withdraw | approve | request_changes | publish | archive | reopen
+     * @param {Object|null} actor - { id, role }; null for scheduled (system) transitions
+     * @param {Object} options - { note }
+     */
+    async transition(moduleId, action, actor, options = {}) {
+        try {
+            const rule = TRANSITIONS[action];
+            if (!rule) {
+                throw Object.assign(new Error(`Unknown workflow action: ${action}`), {
+                    statusCode: 400,
+                    code: 'INVALID_WORKFLOW_ACTION'
+                });
+            }
+
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            if (!rule.from.includes(module.workflow_status)) {
+                throw Object.assign(new Error(INVALID_MESSAGES[action]), {
+                    statusCode: 409,
+                    code: 'WORKFLOW_TRANSITION_INVALID',
+                    workflow_status: module.workflow_status,
+                    allowed_actions: this._actionsFrom(module.workflow_status)
+                });
+            }
+
+            if (actor) {
+                await ModulePermissionService.assertCan(module, actor, rule.permission);
+            }
+
+            const note = typeof options.note === 'string' ? options.note.trim() : '';
+            if (rule.noteRequired && !note) {
+                throw Object.assign(new Error('A note explaining the requested changes is required'), {
+                    statusCode: 400,
+                    code: 'INVALID_WORKFLOW_NOTE'
+                });
+            }
+
+            const fromStatus = module.workflow_status;
+            const transaction = await sequelize.transaction();
+            try {
+                const { updates, revisionId } = await this[`_${action}`](module, actor, note, transaction);
+                const toStatus = updates.workflow_status || rule.to || fromStatus;
+
+                await module.update({
+                    ...updates,
+                    workflow_status: toStatus,
+                    ...(actor ? { updated_by: actor.id } : {})
+                }, { transaction });
+
+                await ModuleWorkflowTransition.create({
+                    module_id: module.id,
+                    action,
+                    from_status: fromStatus,
+                    to_status: toStatus,
+                    revision_id: revisionId,
+                    actor_id: actor ? actor.id : null,
+                    note: note || null
+                }, { transaction });
+
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback();
+                throw error;
+            }
+
+            return {
+                success: true,
+                message: action === 'approve' && module.workflow_status === 'approved'
+                    ? 'Module approved'
+                    : SUCCESS_MESSAGES[action],
+                workflow: await this._summary(module)
+            };
+        } catch (error) {
+            console.error('ModuleWorkflowService.transition error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Workflow status, approvals, reviewers and transition history
+     * @param {Object} user - Included to list the actions the user may take
+     */
+    async getWorkflow(moduleId, user) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const [summary, reviewers, history, openComments, permissions] = await Promise.all([
+                this._summary(module),
+                this._reviewers(module.id),
+                ModuleWorkflowTransition.findAll({
+                    where: { module_id: module.id },
+                    include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'role'] }],
+                    order: [['created_at', 'DESC'], ['id', 'DESC']]
+                }),
+                ModuleReviewComment.count({ where: { module_id: module.id, resolved_at: null } }),
+                ModulePermissionService.getPermissions(module, user)
+            ]);
+
+            return {
+                success: true,
+                workflow: {
+                    ...summary,
+                    available_actions: this._actionsFrom(module.workflow_status)
+                        .filter(action => permissions[`can_${TRANSITIONS[action].permission}`]),
+                    open_comment_count: openComments
+                },
+                reviewers: reviewers.map(reviewer => reviewer.toSafeJSON()),
+                history: history.map(entry => entry.toSafeJSON())
+            };
+        } catch (error) {
+            console.error('ModuleWorkflowService.getWorkflow error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Modules waiting for review
+     * @param {Object} filters - { status, assigned_to, page, limit }
+     */
+    async getReviewQueue(filters = {}) {
+        try {
+            const page = parseInt(filters.page) || 1;
+            const limit = Math.min(parseInt(filters.limit) || 20, 100);
+            const offset = (page - 1) * limit;
+
+            const reviewerInclude = {
+                model: ModuleReviewer,
+                as: 'reviewers',
+                attributes: ['reviewer_id', 'decision', 'revision_id'],
+                required: !!filters.assigned_to
+            };
+            if (filters.assigned_to) {
+                reviewerInclude.where = { reviewer_id: filters.assigned_to };
+            }
+
+            const { count, rows } = await Module.findAndCountAll({
+                where: { workflow_status: filters.status || 'in_review' },
+                attributes: ['id', 'title', 'category', 'difficulty_level', 'workflow_status', 'is_published',
+                    'submitted_revision_id', 'approved_revision_id', 'created_by', 'updated_at'],
+                include: [
+                    { model: User, as: 'creator', attributes: ['id', 'name', 'email'] },
+                    reviewerInclude
+                ],
+                order: [['updated_at', 'ASC']],
+                distinct: true,
+                limit,
+                offset
+            });
+
+            return {
+                success: true,
+                required_approvals: this.getRequiredApprovals(),
+                modules: rows.map(module => ({
+                    id: module.id,
+                    title: module.title,
+                    category: module.category,
+                    difficulty_level: module.difficulty_level,
+                    workflow_status: module.workflow_status,
+                    is_published: module.is_published,
+                    submitted_revision_id: module.submitted_revision_id,
+                    creator: module.creator ? { id: module.creator.id, name: module.creator.name } : null,
+                    approval_count: module.reviewers.filter(r => r.hasApproved(module.submitted_revision_id)).length,
+                    waiting_since: module.updated_at
+                })),
+                pagination: {
+                    total: count,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.error('ModuleWorkflowService.getReviewQueue error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== REVIEWERS ====================
+
+    /**
+     * List assigned reviewers and their decisions
+     */
+    async getReviewers(moduleId) {
+        try {
+            const module = await Module.findByPk(moduleId, { attributes: ['id', 'submitted_revision_id'] });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const reviewers = await this._reviewers(module.id);
+
+            return {
+                success: true,
+                reviewers: reviewers.map(reviewer => reviewer.toSafeJSON())
+            };
+        } catch (error) {
+            console.error('ModuleWorkflowService.getReviewers error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign a reviewer (an active moderator or admin who is not an author of the module)
+     */
+    async assignReviewer(moduleId, reviewerId, assignedBy) {
+        try {
+            const module = await Module.findByPk(moduleId, { attributes: ['id', 'created_by', 'submitted_revision_id'] });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const user = await User.findByPk(reviewerId, { attributes: ['id', 'name', 'role', 'account_status'] });
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (!ModulePermissionService.canApprove(user) || user.account_status !== 'active') {
+                throw Object.assign(new Error('Only active moderators and admins can review modules'), {
+                    statusCode: 400,
+                    code: 'INVALID_REVIEWER'
+                });
+            }
+            if (await ModulePermissionService.getRelation(module, user)) {
+                throw Object.assign(new Error('Authors of a module cannot review it'), {
+                    statusCode: 400,
+                    code: 'INVALID_REVIEWER'
+                });
+            }
+
+            const [reviewer, created] = await ModuleReviewer.findOrCreate({
+                where: { module_id: module.id, reviewer_id: user.id },
+                defaults: { assigned_by: assignedBy, revision_id: module.submitted_revision_id }
+            });
+            reviewer.reviewer = user;
+
+            return {
+                success: true,
+                created,
+                reviewer: reviewer.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleWorkflowService.assignReviewer error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Unassign a reviewer (their decision no longer counts)
+     */
+    async removeReviewer(moduleId, reviewerId) {
+        try {
+            const deleted = await ModuleReviewer.destroy({
+                where: { module_id: moduleId, reviewer_id: reviewerId }
+            });
+            if (!deleted) {
+                throw new Error('Reviewer not found');
+            }
+
+            return {
+                success: true,
+                message: 'Reviewer removed'
+            };
+        } catch (error) {
+            console.error('ModuleWorkflowService.removeReviewer error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== REVIEW COMMENTS ====================
+
+    /**
+     * List review comments (oldest first)
+     * @param {Object} filters - { includeResolved }
+     */
+    async getComments(moduleId, filters = {}) {
+        try {
+            const module = await Module.findByPk(moduleId, { attributes: ['id'] });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const where = { module_id: module.id };
+            if (!filters.includeResolved) {
+                where.resolved_at = null;
+            }
+
+            const comments = await ModuleReviewComment.findAll({
+                where,
+                include: [{ model: User, as: 'author', attributes: ['id', 'name', 'role'] }],
+                order: [['created_at', 'ASC']]
+            });
+
+            return {
+                success: true,
+                comments: comments.map(comment => comment.toSafeJSON())
+            };
+        } catch (error) {
+            console.error('ModuleWorkflowService.getComments error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Comment on the revision under review (or the latest draft)
+     */
+    async addComment(moduleId, authorId, body) {
+        try {
+            const module = await Module.findByPk(moduleId, { attributes: ['id', 'submitted_revision_id'] });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const text = typeof body === 'string' ? body.trim() : '';
+            if (!text) {
+                throw Object.assign(new Error('Comment body is required'), {
+                    statusCode: 400,
+                    code: 'INVALID_COMMENT'
+                });
+            }
+
+            const latest = module.submitted_revision_id
+                ? null
+                : await ModuleRevision.findLatest(module.id, { attributes: ['id'] });
+
+            const comment = await ModuleReviewComment.create({
+                module_id: module.id,
+                revision_id: module.submitted_revision_id || (latest ? latest.id : null),
+                author_id: authorId,
+                body: text
+            });
+
+            return {
+                success: true,
+                comment: comment.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleWorkflowService.addComment error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a comment resolved (its author or anyone who may edit the module)
+     */
+    async resolveComment(moduleId, commentId, user) {
+        try {
+            const comment = await ModuleReviewComment.findOne({
+                where: { id: commentId, module_id: moduleId },
+                include: [{ model: Module, as: 'module', attributes: ['id', 'created_by'] }]
+            });
+            if (!comment) {
+                throw new Error('Comment not found');
+            }
+
+            if (comment.author_id !== user.id) {
+                await ModulePermissionService.assertCan(comment.module, user, 'edit');
+            }
+
+            if (!comment.resolved_at) {
+                await comment.update({ resolved_at: new Date(), resolved_by: user.id });
+            }
+
+            return {
+                success: true,
+                comment: comment.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ModuleWorkflowService.resolveComment error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Submit the latest revision; earlier decisions no longer count
+     * A live module can only be submitted once it has changes since the live revision
+     * @private
+     */
+    async _submit(module, actor, note, transaction) {
+        const latest = await ModuleRevision.findLatest(module.id, { attributes: ['id'], transaction });
+        if (!latest || (module.is_published && latest.id === module.published_revision_id)) {
+            throw Object.assign(new Error('There are no changes to review since the live revision'), {
+                statusCode: 409,
+                code: 'NOTHING_TO_REVIEW'
+            });
+        }
+
+        await ModuleReviewer.update(
+            { decision: 'pending', revision_id: latest.id, decided_at: null },
+            { where: { module_id: module.id }, transaction }
+        );
+
+        return {
+            updates: { submitted_revision_id: latest.id },
+            revisionId: latest.id
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _withdraw(module) {
+        return {
+            updates: { workflow_status: this._restingStatus(module), submitted_revision_id: null },
+            revisionId: module.submitted_revision_id
+        };
+    }
+
+    /**
+     * Record the reviewer's approval (assigning them if needed) and approve once enough reviewers agree
+     * @private
+     */
+    async _approve(module, actor, note, transaction) {
+        const revisionId = module.submitted_revision_id;
+
+        await this._decide(module, actor, 'approved', transaction);
+
+        const approvals = await ModuleReviewer.findAll({
+            where: { module_id: module.id, decision: 'approved', revision_id: revisionId },
+            include: [{ model: User, as: 'reviewer', attributes: ['id', 'role'] }],
+            transaction
+        });
+        // Approvals from reviewers who have since lost the role no longer count
+        const count = approvals.filter(a => ModulePermissionService.canApprove(a.reviewer)).length;
+
+        if (count < this.getRequiredApprovals()) {
+            return { updates: {}, revisionId };
+        }
+
+        return {
+            updates: { workflow_status: 'approved', approved_revision_id: revisionId },
+            revisionId
+        };
+    }
+
+    /**
+     * Send the module back to its authors; the note is also posted as a review comment
+     * @private
+     */
+    async _request_changes(module, actor, note, transaction) {
+        const revisionId = module.submitted_revision_id || module.approved_revision_id;
+
+        if (actor) {
+            await this._decide(module, actor, 'changes_requested', transaction);
+            await ModuleReviewComment.create({
+                module_id: module.id,
+                revision_id: revisionId,
+                author_id: actor.id,
+                body: note
+            }, { transaction });
+        }
+
+        return {
+            updates: { workflow_status: this._restingStatus(module), submitted_revision_id: null },
+            revisionId
+        };
+    }
+
+    /**
+     * Serve the approved revision to learners
+     * Its prerequisites are checked again: other modules may have changed since it was approved
+     * @private
+     */
+    async _publish(module, actor, note, transaction) {
+        const revision = await ModuleRevision.findByPk(module.approved_revision_id, {
+            attributes: ['id', 'required_modules'],
+            transaction
+        });
+        if (revision) {
+            await ModuleRevisionService.assertPrerequisitesAcyclic(module, revision);
+        }
+
+        return {
+            updates: {
+                is_published: true,
+                published_at: module.published_at || new Date(),
+                published_revision_id: module.approved_revision_id,
+                submitted_revision_id: null,
+                publish_at: null
+            },
+            revisionId: module.approved_revision_id
+        };
+    }
+
+    /**
+     * Take the module offline and drop any pending review or schedule
+     * @private
+     */
+    async _archive(module) {
+        return {
+            updates: {
+                is_published: false,
+                submitted_revision_id: null,
+                publish_at: null,
+                unpublish_at: null
+            },
+            revisionId: module.published_revision_id
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _reopen() {
+        return { updates: {}, revisionId: null };
+    }
+
+    /**
+     * Record a reviewer decision on the submitted revision
+     * @private
+     */
+    async _decide(module, actor, decision, transaction) {
+        const [reviewer] = await ModuleReviewer.findOrCreate({
+            where: { module_id: module.id, reviewer_id: actor.id },
+            defaults: { assigned_by: actor.id },
+            transaction
+        });
+
+        await reviewer.update({
+            decision,
+            revision_id: module.submitted_revision_id || module.approved_revision_id,
+            decided_at: new Date()
+        }, { transaction });
+    }
+
+    /**
+     * Status a module returns to when a review ends without publishing
+     * @private
+     */
+    _restingStatus(module) {
+        return module.is_published ? 'published' : 'draft';
+    }
+
+    /**
+     * @private
+     */
+    _actionsFrom(status) {
+        return Object.keys(TRANSITIONS).filter(action => TRANSITIONS[action].from.includes(status));
+    }
+
+    /**
+     * @private
+     */
+    async _reviewers(moduleId) {
+        return await ModuleReviewer.findAll({
+            where: { module_id: moduleId },
+            include: [{ model: User, as: 'reviewer', attributes: ['id', 'name', 'role'] }],
+            order: [['created_at', 'ASC']]
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _summary(module) {
+        const approvals = module.submitted_revision_id
+            ? await ModuleReviewer.count({
+                where: { module_id: module.id, decision: 'approved', revision_id: module.submitted_revision_id }
+            })
+            : 0;
+
+        return {
+            module_id: module.id,
+            status: module.workflow_status,
+            is_published: module.is_published,
+            submitted_revision_id: module.submitted_revision_id,
+            approved_revision_id: module.approved_revision_id,
+            published_revision_id: module.published_revision_id,
+            approval_count: approvals,
+            required_approvals: this.getRequiredApprovals()
+        };
+    }
+}
+
+module.exports = new ModuleWorkflowService();
@@ -0,0 +1,424 @@
+// src/services/QuizService.js
+const crypto = require('crypto');
+const { Module, ModuleRevision, Question, QuizAttempt } = require('../model');
+const ModuleService = require('./ModuleService');
+const ModuleRevisionService = require('./ModuleRevisionService');
+const ModuleProgressService = require('./ModuleProgressService');
+const XapiService = require('./XapiService');
+
+/**
+ * Quiz Service - Question banks, attempts and scoring for quiz/assessment modules
+ *
+ * Editors change the draft question bank; every change is recorded as a module revision,
+ * so it goes through review like other edits. Learners take the questions and quiz
+ * settings of the published revision.
+ */
+class QuizService {
+    // ==================== QUESTION BANK ====================
+
+    /**
+     * Get all questions for a module (editor view, includes answers)
+     */
+    async getQuestions(moduleId) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const questions = await Question.findByModule(module.id);
+
+            return {
+                success: true,
+                questions: questions.map(q => q.toSafeJSON())
+            };
+        } catch (error) {
+            console.error('QuizService.getQuestions error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a question to a module
+     * @param {Object} options - { recordRevision } false when the caller records one revision for several changes
+     */
+    async createQuestion(moduleId, data, userId = null, options = {}) {
+        try {
+            const module = await Module.findByPk(moduleId);
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const question = await Question.create({
+                module_id: module.id,
+                ...this._questionFields(data)
+            });
+
+            if (options.recordRevision !== false) {
+                await ModuleRevisionService.recordRevision(module, userId, { note: 'Added a question' });
+            }
+
+            return {
+                success: true,
+                question: question.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('QuizService.createQuestion error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Validate question data without saving it (e.g. example questions in module templates)
+     * @returns {Promise<Object>} - Normalized question fields
+     */
+    async validateQuestion(data) {
+        const fields = this._questionFields(data);
+        await Question.build({ module_id: 0, ...fields }).validate({ skip: ['module_id'] });
+        return fields;
+    }
+
+    /**
+     * Update a question
+     */
+    async updateQuestion(moduleId, questionId, data, userId = null) {
+        try {
+            const question = await Question.findOne({
+                where: { id: questionId, module_id: moduleId },
+                include: [{ model: Module, as: 'module' }]
+            });
+            if (!question) {
+                throw new Error('Question not found');
+            }
+
+            await question.update(this._questionFields({
+                question_type: question.question_type,
+                ...data
+            }));
+            await ModuleRevisionService.recordRevision(question.module, userId, { note: 'Edited a question' });
+
+            return {
+                success: true,
+                question: question.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('QuizService.updateQuestion error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a question
+     */
+    async deleteQuestion(moduleId, questionId, userId = null) {
+        try {
+            const question = await Question.findOne({
+                where: { id: questionId, module_id: moduleId },
+                include: [{ model: Module, as: 'module' }]
+            });
+            if (!question) {
+                throw new Error('Question not found');
+            }
+
+            await question.destroy();
+            await ModuleRevisionService.recordRevision(question.module, userId, { note: 'Deleted a question' });
+
+            return {
+                success: true,
+                message: 'Question deleted successfully'
+            };
+        } catch (error) {
+            console.error('QuizService.deleteQuestion error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== ATTEMPTS ====================
+
+    /**
+     * Start (or resume) a quiz attempt
+     * @returns {Promise<Object>} - Attempt and questions in presentation order (no answers)
+     */
+    async startAttempt(moduleId, userId) {
+        try {
+            const module = await this._getPublishedAssessment(moduleId);
+            await ModuleService.assertAgeEligible(module, userId);
+            await ModuleService.assertPrerequisitesMet(module, userId);
+
+            // Resume an unfinished attempt instead of burning a new one
+            let attempt = await QuizAttempt.findOne({
+                where: { user_id: userId, module_id: module.id, status: 'in_progress' },
+                order: [['started_at', 'DESC']]
+            });
+
+            if (!attempt) {
+                const submittedCount = await QuizAttempt.countSubmitted(userId, module.id);
+                if (module.max_attempts && submittedCount >= module.max_attempts) {
+                    throw Object.assign(new Error(`Maximum of ${module.max_attempts} attempts reached`), {
+                        statusCode: 403,
+                        code: 'MAX_ATTEMPTS_REACHED'
+                    });
+                }
+
+                const questions = this._getPublishedQuestions(module);
+                if (questions.length === 0) {
+                    throw Object.assign(new Error('This quiz has no questions yet'), {
+                        statusCode: 409,
+                        code: 'QUIZ_EMPTY'
+                    });
+                }
+
+                let questionOrder = questions.map(q => q.id);
+                if (module.shuffle_questions) {
+                    questionOrder = this._shuffle(questionOrder);
+                }
+
+                attempt = await QuizAttempt.create({
+                    user_id: userId,
+                    module_id: module.id,
+                    attempt_number: submittedCount + 1,
+                    question_order: questionOrder,
+                    started_at: new Date()
+                });
+            }
+
+            const questions = this._getOrderedQuestions(module, attempt.question_order);
+
+            return {
+                success: true,
+                attempt: attempt.toSafeJSON(),
+                settings: this._settings(module),
+                questions: questions.map(q => q.toLearnerJSON())
+            };
+        } catch (error) {
+            console.error('QuizService.startAttempt error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Submit answers for an attempt and score it
+     * @param {Object} answers - { [questionId]: answer }
+     */
+    async submitAttempt(moduleId, attemptId, userId, answers = {}) {
+        try {
+            const module = await this._getPublishedAssessment(moduleId);
+
+            const attempt = await QuizAttempt.findOne({
+                where: { id: attemptId, module_id: module.id, user_id: userId }
+            });
+            if (!attempt) {
+                throw new Error('Attempt not found');
+            }
+            if (attempt.isSubmitted()) {
+                throw Object.assign(new Error('Attempt has already been submitted'), {
+                    statusCode: 409,
+                    code: 'ATTEMPT_ALREADY_SUBMITTED'
+                });
+            }
+
+            // Questions removed from the live revision after the attempt started are not graded
+            const questions = this._getOrderedQuestions(module, attempt.question_order);
+
+            let score = 0;
+            let maxScore = 0;
+            const results = questions.map(question => {
+                const answer = answers[question.id];
+                const correct = question.isCorrect(answer);
+
+                maxScore += question.points;
+                if (correct) score += question.points;
+
+                return {
+                    question_id: question.id,
+                    answer: answer === undefined ? null : answer,
+                    correct,
+                    points_awarded: correct ? question.points : 0,
+                    correct_answer: question.correct_answer,
+                    explanation: question.explanation
+                };
+            });
+
+            const scorePercent = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+            const passed = scorePercent >= module.passing_score;
+
+            await attempt.update({
+                status: 'submitted',
+                answers: results.reduce((acc, r) => {
+                    acc[r.question_id] = r.answer;
+                    return acc;
+                }, {}),
+                score,
+                max_score: maxScore,
+                score_percent: scorePercent,
+                passed,
+                submitted_at: new Date()
+            });
+
+            await XapiService.quizAnswered(module, attempt, questions, results, userId);
+
+            // Passing completes the module (and awards its points once)
+            let progress = null;
+            if (passed) {
+                const progressResult = await ModuleProgressService.markComplete(module.id, userId, { quizPassed: true });
+                progress = progressResult.progress;
+            }
+
+            const submittedCount = await QuizAttempt.countSubmitted(userId, module.id);
+            const attemptsRemaining = module.max_attempts ? Math.max(0, module.max_attempts - submittedCount) : null;
+
+            // The answer key is only shown once it can no longer help a retake
+            const revealAnswers = passed || attemptsRemaining === 0 ||
+                await QuizAttempt.count({ where: { user_id: userId, module_id: module.id, passed: true } }) > 0;
+
+            return {
+                success: true,
+                attempt: attempt.toSafeJSON(),
+                results: revealAnswers
+                    ? results
+                    : results.map(({ correct_answer, explanation, ...result }) => result),
+                answers_revealed: revealAnswers,
+                progress,
+                attempts_remaining: attemptsRemaining
+            };
+        } catch (error) {
+            console.error('QuizService.submitAttempt error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's attempts for a module
+     */
+    async getUserAttempts(moduleId, userId) {
+        try {
+            const draft = await Module.findByPk(moduleId);
+            if (!draft) {
+                throw new Error('Module not found');
+            }
+            const module = await ModuleService.getPublishedVersion(draft);
+
+            const attempts = await QuizAttempt.findAll({
+                where: { user_id: userId, module_id: module.id },
+                order: [['attempt_number', 'DESC']]
+            });
+
+            const submitted = attempts.filter(a => a.isSubmitted());
+
+            return {
+                success: true,
+                settings: this._settings(module),
+                attempts: attempts.map(a => a.toSafeJSON()),
+                best_score_percent: submitted.length > 0 ? Math.max(...submitted.map(a => a.score_percent)) : null,
+                passed: submitted.some(a => a.passed),
+                attempts_remaining: module.max_attempts ? Math.max(0, module.max_attempts - submitted.length) : null
+            };
+        } catch (error) {
+            console.error('QuizService.getUserAttempts error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Load a published quiz/assessment module as learners see it (settings of the published revision)
+     * @private
+     */
+    async _getPublishedAssessment(moduleId) {
+        const found = await Module.findOne({
+            where: { id: moduleId, is_published: true },
+            include: [{ model: ModuleRevision, as: 'publishedRevision', required: false }]
+        });
+        if (!found) {
+            throw new Error('Module not found');
+        }
+
+        const module = found.getPublishedVersion();
+        if (!module.isAssessment()) {
+            throw Object.assign(new Error('This module is not a quiz or assessment'), {
+                statusCode: 400,
+                code: 'NOT_A_QUIZ'
+            });
+        }
+        return module;
+    }
+
+    /**
+     * Questions of the published revision
+     * @private
+     */
+    _getPublishedQuestions(module) {
+        return module.publishedRevision ? module.publishedRevision.getQuestions() : [];
+    }
+
+    /**
+     * Published questions in the given ID order
+     * @private
+     */
+    _getOrderedQuestions(module, questionIds) {
+        const byId = new Map(this._getPublishedQuestions(module).map(q => [q.id, q]));
+        return questionIds.map(id => byId.get(id)).filter(Boolean);
+    }
+
+    /**
+     * Pick allowed question fields and normalize options
+     * @private
+     */
+    _questionFields(data) {
+        const fields = {};
+        ['question_type', 'prompt', 'options', 'correct_answer', 'explanation', 'points', 'order'].forEach(field => {
+            if (data[field] !== undefined) {
+                fields[field] = data[field];
+            }
+        });
+
+        // Accept plain strings as options: ['Yes', 'No'] -> [{ id: 'a', text: 'Yes' }, ...]
+        if (Array.isArray(fields.options)) {
+            fields.options = fields.options.map((option, index) => (
+                typeof option === 'string'
+                    ? { id: String.fromCharCode(97 + index), text: option }
+                    : { id: String(option.id), text: option.text }
+            ));
+        }
+
+        if (data.question_type === 'true_false') {
+            fields.options = null;
+        }
+
+        // Accept a single accepted answer for short answer questions
+        if (data.question_type === 'short_answer' && typeof fields.correct_answer === 'string') {
+            fields.correct_answer = [fields.correct_answer];
+        }
+
+        return fields;
+    }
+
+    /**
+     * Fisher-Yates shuffle
+     * @private
+     */
+    _shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = crypto.randomInt(i + 1);
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Quiz settings exposed to learners
+     * @private
+     */
+    _settings(module) {
+        return {
+            passing_score: module.passing_score,
+            max_attempts: module.max_attempts,
+            shuffle_questions: module.shuffle_questions,
+            points: module.points
+        };
+    }
+}
+
+module.exports = new QuizService();
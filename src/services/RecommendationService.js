@@ -0,0 +1,369 @@
+// src/services/RecommendationService.js
+const { Module, ModuleProgress, ModuleView, ModuleRevision } = require('../model');
+const ModuleService = require('./ModuleService');
+const ModuleTranslationService = require('./ModuleTranslationService');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { Op } = require('sequelize');
+
+const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+const CATEGORY_LABELS = {
+    gad: 'Gender and Development',
+    sexual_health: 'Sexual Health',
+    vawc: 'VAWC',
+    general: 'General'
+};
+
+// Signal weights; the strongest signal on a module becomes its explanation
+const WEIGHTS = {
+    nextStep: 6,
+    inProgress: 5,
+    sharedTag: 1.5,
+    sharedTagCap: 4.5,
+    category: 1,
+    categoryCap: 3,
+    difficultyFit: 1.5,
+    difficultyTooHard: -3,
+    difficultyBelow: -1,
+    viewed: 1,
+    ageGroup: 1,
+    viewedHistory: 0.5 // Viewed-only modules count for half of a completed one
+};
+
+/**
+ * Recommendation Service - Personalized "what to learn next"
+ *
+ * Candidates are published, age-appropriate, unlocked modules the learner has not completed.
+ * Each is scored from the learner's history:
+ * - Next step: it lists a completed module as a prerequisite
+ * - In progress: started but not finished
+ * - Shared tags and category with completed (and, at half weight, viewed) modules
+ * - Difficulty progression: same or next level up in the category; bigger jumps are penalized
+ * - Age group: written for the learner's age range
+ * Learners without history get well-rated, popular beginner modules.
+ */
+class RecommendationService {
+    /**
+     * Get recommended modules for a learner
+     * @param {number} userId - Learner ID
+     * @param {Object} options - { limit, locale }
+     */
+    async getRecommendations(userId, options = {}) {
+        try {
+            const limit = Math.min(parseInt(options.limit) || 6, 20);
+
+            const [history, viewer] = await Promise.all([
+                this._getHistory(userId),
+                ModuleService.getViewerAge(userId)
+            ]);
+
+            const where = {
+                is_published: true,
+                id: { [Op.notIn]: history.completedIds.length ? history.completedIds : [0] }
+            };
+            if (!viewer.exempt) {
+                where[Op.and] = [Module.ageCondition(viewer.age)];
+            }
+
+            const candidates = await Module.findAll({
+                where,
+                attributes: [
+                    'id', 'title', 'category', 'difficulty_level', 'tags', 'required_modules',
+                    'min_age', 'max_age', 'view_count', 'rating_average', 'rating_count', 'is_featured'
+                ],
+                include: [{
+                    model: ModuleRevision,
+                    as: 'publishedRevision',
+                    attributes: ['id', 'tags', 'category', 'min_age', 'max_age', 'required_modules'],
+                    required: false
+                }]
+            });
+
+            const publishedIds = new Set(
+                (await Module.findAll({ where: { is_published: true }, attributes: ['id'], raw: true })).map(m => m.id)
+            );
+
+            // Prerequisites, category and age range come from the published revision
+            const scored = candidates
+                .map(module => module.getPublishedVersion())
+                .filter(module => this._isUnlocked(module, history.completedIds, publishedIds))
+                .map(module => this._score(module, history, viewer))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit);
+
+            const titles = await this._localizedTitles(history, options.locale);
+
+            // Load full records for the picks only
+            const picked = await Module.findAll({
+                where: { id: scored.map(s => s.id) },
+                include: [{
+                    model: ModuleRevision,
+                    as: 'publishedRevision',
+                    required: false
+                }]
+            });
+            const byId = new Map(picked.map(m => [m.id, m]));
+
+            const modules = await ModuleTranslationService.localizeModules(
+                scored.filter(s => byId.has(s.id)).map(s => ({
+                    ...byId.get(s.id).toPublishedJSON(),
+                    recommendation: {
+                        score: Math.round(s.score * 100) / 100,
+                        reason: s.reason,
+                        explanation: this._explain(s, titles),
+                        based_on: s.basedOn ? { id: s.basedOn, title: titles.get(s.basedOn) || null } : null
+                    }
+                })),
+                options.locale,
+                { published: true }
+            );
+
+            return {
+                success: true,
+                locale: options.locale || DEFAULT_LOCALE,
+                personalized: history.hasHistory,
+                modules
+            };
+        } catch (error) {
+            console.error('RecommendationService.getRecommendations error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Completed, in-progress and viewed modules with their tags and categories
+     * @private
+     */
+    async _getHistory(userId) {
+        const historyAttributes = ['id', 'title', 'category', 'difficulty_level', 'tags'];
+        const revisionInclude = {
+            model: ModuleRevision,
+            as: 'publishedRevision',
+            attributes: ['id', 'title', 'tags'],
+            required: false
+        };
+
+        const [progress, views] = await Promise.all([
+            ModuleProgress.findAll({
+                where: { user_id: userId },
+                attributes: ['module_id', 'status', 'completed_at', 'last_accessed_at'],
+                include: [{ model: Module, as: 'module', attributes: historyAttributes, include: [revisionInclude] }]
+            }),
+            ModuleView.findAll({
+                where: { user_id: userId },
+                attributes: ['module_id', 'created_at'],
+                include: [{ model: Module, attributes: historyAttributes, include: [revisionInclude] }]
+            })
+        ]);
+
+        const completed = progress.filter(p => p.status === 'completed' && p.module);
+        const inProgressIds = new Set(progress.filter(p => p.status !== 'completed').map(p => p.module_id));
+        const touchedIds = new Set(progress.map(p => p.module_id));
+        const viewedOnly = views.filter(v => v.Module && !touchedIds.has(v.module_id));
+
+        const entries = [
+            ...completed.map(p => ({ module: p.module, weight: 1, kind: 'completed' })),
+            ...viewedOnly.map(v => ({ module: v.Module, weight: WEIGHTS.viewedHistory, kind: 'viewed' }))
+        ];
+
+        // Highest level reached per category, from completed modules
+        const levelByCategory = {};
+        completed.forEach(p => {
+            const level = DIFFICULTY_LEVELS.indexOf(p.module.difficulty_level);
+            if (level > (levelByCategory[p.module.category] ?? -1)) {
+                levelByCategory[p.module.category] = level;
+            }
+        });
+
+        const titles = new Map(entries.map(e => [
+            e.module.id,
+            e.module.publishedRevision ? e.module.publishedRevision.title : e.module.title
+        ]));
+
+        return {
+            hasHistory: entries.length > 0 || inProgressIds.size > 0,
+            completedIds: completed.map(p => p.module_id),
+            inProgressIds,
+            viewedIds: new Set(viewedOnly.map(v => v.module_id)),
+            entries: entries.map(e => ({
+                id: e.module.id,
+                kind: e.kind,
+                weight: e.weight,
+                category: e.module.category,
+                tags: this._tagsOf(e.module)
+            })),
+            levelByCategory,
+            titles
+        };
+    }
+
+    /**
+     * Hide modules whose published prerequisites are not completed yet
+     * @private
+     */
+    _isUnlocked(module, completedIds, publishedIds) {
+        return module.getRequiredModuleIds()
+            .every(id => !publishedIds.has(id) || completedIds.includes(id));
+    }
+
+    /**
+     * Score a candidate and keep the strongest signal as its reason
+     * @private
+     * @returns {Object} - { id, score, reason, basedOn, category }
+     */
+    _score(module, history, viewer) {
+        const signals = [];
+        const add = (reason, points, basedOn = null) => {
+            if (points !== 0) signals.push({ reason, points, basedOn });
+        };
+
+        // Popularity only breaks ties between otherwise equal modules
+        const popularity = (Number(module.rating_average) || 0) * 0.2 +
+            Math.log10((module.view_count || 0) + 1) * 0.3 +
+            (module.is_featured ? 0.3 : 0);
+
+        if (!history.hasHistory) {
+            const level = DIFFICULTY_LEVELS.indexOf(module.difficulty_level);
+            add('starter', level === 0 ? WEIGHTS.difficultyFit : WEIGHTS.difficultyBelow * level);
+            add('popular', popularity);
+            return this._pick(module, signals);
+        }
+
+        // Unlocked by a completed module
+        const unlockedBy = module.getRequiredModuleIds().find(id => history.completedIds.includes(id));
+        if (unlockedBy) add('next_step', WEIGHTS.nextStep, unlockedBy);
+
+        if (history.inProgressIds.has(module.id)) add('in_progress', WEIGHTS.inProgress);
+        if (history.viewedIds.has(module.id)) add('viewed', WEIGHTS.viewed);
+
+        // Shared tags: credit the history module with the biggest overlap
+        const related = history.entries.filter(entry => entry.id !== module.id);
+        const tags = this._tagsOf(module);
+        let bestTagMatch = null;
+        related.forEach(entry => {
+            const shared = entry.tags.filter(tag => tags.includes(tag)).length;
+            const points = Math.min(shared * WEIGHTS.sharedTag, WEIGHTS.sharedTagCap) * entry.weight;
+            if (shared > 0 && (!bestTagMatch || points > bestTagMatch.points)) {
+                bestTagMatch = { points, entry };
+            }
+        });
+        if (bestTagMatch) {
+            add(bestTagMatch.entry.kind === 'completed' ? 'similar_to_completed' : 'similar_to_viewed',
+                bestTagMatch.points, bestTagMatch.entry.id);
+        }
+
+        // Category affinity
+        const categoryWeight = related
+            .filter(entry => entry.category === module.category)
+            .reduce((sum, entry) => sum + entry.weight * WEIGHTS.category, 0);
+        add('category', Math.min(categoryWeight, WEIGHTS.categoryCap));
+
+        // Difficulty progression within the category
+        const reached = history.levelByCategory[module.category];
+        const level = DIFFICULTY_LEVELS.indexOf(module.difficulty_level);
+        if (reached === undefined) {
+            add('difficulty', level === 0 ? WEIGHTS.difficultyFit / 2 : WEIGHTS.difficultyBelow * level);
+        } else if (level === reached + 1) {
+            add('level_up', WEIGHTS.difficultyFit);
+        } else if (level === reached) {
+            add('difficulty', WEIGHTS.difficultyFit / 2);
+        } else if (level > reached + 1) {
+            add('difficulty', WEIGHTS.difficultyTooHard);
+        } else {
+            add('difficulty', WEIGHTS.difficultyBelow);
+        }
+
+        // Written for the learner's age range
+        if (module.isAgeRestricted() && viewer.age !== null && module.allowsAge(viewer.age)) {
+            add('age_group', WEIGHTS.ageGroup);
+        }
+
+        add('popular', popularity);
+
+        return this._pick(module, signals);
+    }
+
+    /**
+     * @private
+     */
+    _pick(module, signals) {
+        const score = signals.reduce((sum, s) => sum + s.points, 0);
+        // Penalties and tie-breakers never explain a pick
+        const explaining = signals
+            .filter(s => s.points > 0 && s.reason !== 'difficulty')
+            .sort((a, b) => b.points - a.points);
+        const top = explaining[0] || { reason: 'popular', basedOn: null };
+
+        return {
+            id: module.id,
+            score,
+            reason: top.reason,
+            basedOn: top.basedOn,
+            category: module.category,
+            difficulty: module.difficulty_level
+        };
+    }
+
+    /**
+     * Human-readable explanation of a recommendation
+     * @private
+     */
+    _explain(pick, titles) {
+        const title = pick.basedOn ? titles.get(pick.basedOn) : null;
+        const category = CATEGORY_LABELS[pick.category] || pick.category;
+
+        switch (pick.reason) {
+            case 'next_step':
+            case 'similar_to_completed':
+                return `Because you completed "${title}"`;
+            case 'similar_to_viewed':
+                return `Because you viewed "${title}"`;
+            case 'in_progress':
+                return 'Pick up where you left off';
+            case 'viewed':
+                return 'You looked at this before';
+            case 'category':
+                return `More on ${category}`;
+            case 'level_up':
+                return `Ready for ${pick.difficulty} ${category}`;
+            case 'age_group':
+                return 'Made for your age group';
+            case 'starter':
+                return 'A good place to start';
+            default:
+                return 'Popular with other learners';
+        }
+    }
+
+    /**
+     * Titles of history modules in the requested locale
+     * @private
+     */
+    async _localizedTitles(history, locale) {
+        if (!locale || locale === DEFAULT_LOCALE || history.titles.size === 0) {
+            return history.titles;
+        }
+
+        const localized = await ModuleTranslationService.localizeModules(
+            [...history.titles.entries()].map(([id, title]) => ({ id, title })),
+            locale,
+            { published: true }
+        );
+        return new Map(localized.map(m => [m.id, m.title]));
+    }
+
+    /**
+     * Published tags take precedence over draft tags
+     * @private
+     */
+    _tagsOf(module) {
+        if (module.publishedRevision && module.publishedRevision.tags) {
+            return Module.normalizeTags(module.publishedRevision.tags);
+        }
+        return module.getTags();
+    }
+}
+
+module.exports = new RecommendationService();
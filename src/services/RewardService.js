@@ -2,6 +2,7 @@
 const { Reward, UserRedemption, User } = require('../model');
 const { Op } = require('sequelize');
 const sequelize = require('../model').sequelize;
+const XapiService = require('./XapiService');
 
 class RewardService {
     /**
@@ -65,6 +66,8 @@ class RewardService {
 
             await transaction.commit();
 
+            await XapiService.rewardRedeemed(reward, userId, redemption);
+
             // Return with full details
             const fullRedemption = await UserRedemption.findByPk(redemption.id, {
                 include: [
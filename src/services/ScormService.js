@@ -0,0 +1,663 @@
+// src/services/ScormService.js
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { XMLParser } = require('fast-xml-parser');
+const { Module, ModuleRevision, ModuleProgress, ModuleScormPackage, User } = require('../model');
+const ModuleService = require('./ModuleService');
+const ModuleRevisionService = require('./ModuleRevisionService');
+const ModuleProgressService = require('./ModuleProgressService');
+const FileStorageService = require('./FileStorageService');
+
+const MAX_PACKAGE_ENTRIES = 2000;
+const MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+const MAX_MANIFEST_BYTES = 2 * 1024 * 1024;
+const MAX_CMI_KEYS = 500;
+const MAX_CMI_VALUE_LENGTH = 4096;
+
+// suspend_data size allowed by each version of the standard
+const SUSPEND_DATA_LIMITS = { '1.2': 4096, '2004': 64000 };
+
+// Data model elements a SCO may write, per version
+const WRITABLE_CMI = {
+    '1.2': [
+        'cmi.core.lesson_status', 'cmi.core.lesson_location', 'cmi.core.exit', 'cmi.core.session_time',
+        'cmi.core.score.raw', 'cmi.core.score.min', 'cmi.core.score.max',
+        'cmi.suspend_data', 'cmi.comments',
+        'cmi.student_preference.audio', 'cmi.student_preference.language',
+        'cmi.student_preference.speed', 'cmi.student_preference.text'
+    ],
+    '2004': [
+        'cmi.completion_status', 'cmi.success_status', 'cmi.progress_measure', 'cmi.location',
+        'cmi.exit', 'cmi.session_time', 'cmi.suspend_data',
+        'cmi.score.scaled', 'cmi.score.raw', 'cmi.score.min', 'cmi.score.max',
+        'cmi.learner_preference.audio_level', 'cmi.learner_preference.language',
+        'cmi.learner_preference.delivery_speed', 'cmi.learner_preference.audio_captioning'
+    ]
+};
+
+// Indexed collections (objectives, interactions, learner comments)
+const WRITABLE_CMI_PATTERNS = {
+    '1.2': /^cmi\.(objectives|interactions)\.\d+\.[a-z_]+(\.\d+)?(\.[a-z_]+)?$/,
+    '2004': /^cmi\.(objectives|interactions|comments_from_learner)\.\d+\.[a-z_]+(\.\d+)?(\.[a-z_]+)?$/
+};
+
+/**
+ * SCORM Service - SCORM 1.2 / 2004 package import and runtime tracking
+ *
+ * A package is unpacked to storage under modules/{id}/scorm/{packageKey}/ and
+ * launched from there. The module (and each revision) points at the package it
+ * serves, so replacing a package goes through review like any other edit.
+ * The player's runtime API adapter commits flat cmi values here; they are kept
+ * in ModuleProgress.scorm_data and mapped onto learner progress.
+ */
+class ScormService {
+    /**
+     * Create a module from a SCORM package
+     * @param {Buffer} buffer - Zip package
+     * @param {Object} user - { id, role } uploading user
+     * @param {Object} data - Module fields (title defaults to the manifest title)
+     * @returns {Promise<Object>} - { success, module, package }
+     */
+    async importPackage(buffer, user, data = {}) {
+        try {
+            // Read and validate everything before touching the database
+            const parsed = await this._readPackage(buffer);
+
+            const result = await ModuleService.createModule({
+                ...data,
+                title: data.title || parsed.title || 'SCORM module',
+                type: data.type || 'activity'
+            }, user.id);
+
+            let scormPackage;
+            try {
+                scormPackage = await this._storePackage(result.module.id, parsed, user.id);
+            } catch (error) {
+                // Do not leave an empty module behind
+                await ModuleService.permanentlyDeleteModule(result.module.id).catch(() => {});
+                throw error;
+            }
+
+            const module = await Module.findByPk(result.module.id);
+
+            return {
+                success: true,
+                module: module.toSafeJSON(),
+                package: scormPackage.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ScormService.importPackage error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the SCORM package of an existing module
+     * Older packages stay in storage: earlier revisions still reference them
+     */
+    async replacePackage(moduleId, buffer, userId) {
+        try {
+            const module = await Module.findByPk(moduleId, { attributes: ['id'] });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const parsed = await this._readPackage(buffer);
+            const scormPackage = await this._storePackage(module.id, parsed, userId);
+
+            return {
+                success: true,
+                package: scormPackage.toSafeJSON()
+            };
+        } catch (error) {
+            console.error('ScormService.replacePackage error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Current draft package and all packages uploaded for a module (staff)
+     */
+    async getPackages(moduleId) {
+        try {
+            const module = await Module.findByPk(moduleId, { attributes: ['id', 'scorm_package_id'] });
+            if (!module) {
+                throw new Error('Module not found');
+            }
+
+            const packages = await ModuleScormPackage.findAll({
+                where: { module_id: module.id },
+                order: [['created_at', 'DESC']]
+            });
+
+            return {
+                success: true,
+                scorm_package_id: module.scorm_package_id,
+                packages: packages.map(p => p.toSafeJSON())
+            };
+        } catch (error) {
+            console.error('ScormService.getPackages error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Launch data for the player: the published package, learner and stored cmi values
+     * @returns {Promise<Object>} - { success, scorm: { version, launch_url, entry, learner, cmi } }
+     */
+    async getLaunch(moduleId, userId) {
+        try {
+            const { module, scormPackage } = await this._findLaunchable(moduleId, userId);
+
+            const [user, progress] = await Promise.all([
+                User.findByPk(userId, { attributes: ['id', 'name'] }),
+                ModuleProgress.findOne({ where: { module_id: module.id, user_id: userId } })
+            ]);
+
+            const state = this._storedState(progress, scormPackage);
+            const exitKey = scormPackage.version === '1.2' ? 'cmi.core.exit' : 'cmi.exit';
+
+            return {
+                success: true,
+                scorm: {
+                    package_id: scormPackage.id,
+                    version: scormPackage.version,
+                    launch_url: scormPackage.getLaunchUrl(),
+                    mastery_score: scormPackage.mastery_score !== null ? Number(scormPackage.mastery_score) : null,
+                    entry: state.cmi[exitKey] === 'suspend' ? 'resume' : 'ab-initio',
+                    learner: {
+                        id: String(userId),
+                        name: user ? user.name : null
+                    },
+                    total_time_seconds: progress ? progress.time_spent_seconds : 0,
+                    cmi: state.cmi
+                }
+            };
+        } catch (error) {
+            console.error('ScormService.getLaunch error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record values committed by the SCO (LMSCommit / Commit)
+     * Session time is only added to time spent when the session finishes, since SCOs
+     * report the running session total on every commit.
+     * @param {Object} cmi - Flat map of data model element to value, e.g. { 'cmi.core.lesson_status': 'passed' }
+     * @param {Object} options - { finish } set on LMSFinish / Terminate
+     * @returns {Promise<Object>} - Progress result (see ModuleProgressService.updateProgress)
+     */
+    async commit(moduleId, userId, cmi, options = {}) {
+        try {
+            const { module, scormPackage } = await this._findLaunchable(moduleId, userId);
+            const values = this._validateCmi(cmi, scormPackage.version);
+
+            const outcome = scormPackage.version === '1.2'
+                ? this._outcome12(values, scormPackage)
+                : this._outcome2004(values);
+
+            const progressData = {};
+            if (outcome.location !== undefined) progressData.last_position = outcome.location;
+            if (outcome.progress_percent !== undefined) progressData.progress_percent = outcome.progress_percent;
+            if (outcome.completed) progressData.status = 'completed';
+            if (options.finish && outcome.session_seconds) progressData.time_spent_seconds = outcome.session_seconds;
+
+            // A passed SCORM assessment completes quiz/assessment modules
+            const result = await ModuleProgressService.updateProgress(module.id, userId, progressData, {
+                quizPassed: outcome.completed
+            });
+
+            const progress = await ModuleProgress.findOne({ where: { module_id: module.id, user_id: userId } });
+            const state = this._storedState(progress, scormPackage);
+            Object.assign(state.cmi, values);
+
+            // An attempt that ends without suspend starts over on the next launch
+            const exitKey = scormPackage.version === '1.2' ? 'cmi.core.exit' : 'cmi.exit';
+            if (options.finish && state.cmi[exitKey] !== 'suspend') {
+                state.cmi = {};
+            }
+
+            progress.scorm_data = state;
+            if (outcome.score !== undefined && (progress.score === null || outcome.score > Number(progress.score))) {
+                progress.score = outcome.score;
+            }
+            await progress.save();
+
+            return {
+                ...result,
+                progress: progress.toSafeJSON(),
+                scorm: {
+                    completed: outcome.completed,
+                    score: outcome.score !== undefined ? outcome.score : null
+                }
+            };
+        } catch (error) {
+            console.error('ScormService.commit error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Unzip and validate a package and parse imsmanifest.xml
+     * @private
+     * @returns {Promise<Object>} - { zip, root, entries, version, identifier, title, launch_path, scos, mastery_score, total_size }
+     */
+    async _readPackage(buffer) {
+        const invalid = (message) => Object.assign(new Error(message), {
+            statusCode: 400,
+            code: 'INVALID_SCORM_PACKAGE'
+        });
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (error) {
+            throw invalid('Package is not a valid zip file');
+        }
+
+        const files = Object.values(zip.files).filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/'));
+        if (files.length > MAX_PACKAGE_ENTRIES) {
+            throw invalid(`Package contains more than ${MAX_PACKAGE_ENTRIES} files`);
+        }
+
+        // The manifest sits at the root, or in a single top-level folder when the folder itself was zipped
+        const manifestEntry = files.find(entry => /^([^/]+\/)?imsmanifest\.xml$/i.test(entry.name));
+        if (!manifestEntry) {
+            throw invalid('Package is missing imsmanifest.xml');
+        }
+        const root = manifestEntry.name.slice(0, manifestEntry.name.length - 'imsmanifest.xml'.length);
+
+        let totalSize = 0;
+        const entries = [];
+        for (const entry of files) {
+            if (!entry.name.startsWith(root)) continue;
+
+            const relativePath = entry.name.slice(root.length);
+            if (relativePath.includes('\\') || relativePath.split('/').some(part => part === '..' || part === '')) {
+                throw invalid(`Package contains an invalid path: ${entry.name}`);
+            }
+
+            // Declared size from the zip directory; checked before inflating to stop zip bombs
+            totalSize += (entry._data && entry._data.uncompressedSize) || 0;
+            if (totalSize > MAX_UNPACKED_BYTES) {
+                throw invalid(`Unpacked package exceeds ${MAX_UNPACKED_BYTES / (1024 * 1024)}MB`);
+            }
+
+            entries.push({ entry, relativePath });
+        }
+
+        if ((manifestEntry._data && manifestEntry._data.uncompressedSize) > MAX_MANIFEST_BYTES) {
+            throw invalid('imsmanifest.xml is too large');
+        }
+        const manifest = this._parseManifest(await manifestEntry.async('string'), invalid);
+
+        const launchFile = manifest.launch_path.split(/[?#]/)[0];
+        let decoded = launchFile;
+        try {
+            decoded = decodeURI(launchFile);
+        } catch (error) {
+            // Not percent-encoded; match the href as written
+        }
+        if (!entries.some(item => item.relativePath === launchFile || item.relativePath === decoded)) {
+            throw invalid(`Launch file ${launchFile} is not in the package`);
+        }
+
+        return { ...manifest, entries, total_size: totalSize };
+    }
+
+    /**
+     * Parse imsmanifest.xml: version, default organization and its SCOs
+     * @private
+     */
+    _parseManifest(xml, invalid) {
+        const asArray = ['organization', 'item', 'resource'];
+        const parser = new XMLParser({
+            ignoreAttributes: false,
+            attributeNamePrefix: '@_',
+            removeNSPrefix: true,
+            parseTagValue: false,
+            isArray: name => asArray.includes(name)
+        });
+
+        let manifest;
+        try {
+            manifest = parser.parse(xml).manifest;
+        } catch (error) {
+            throw invalid('imsmanifest.xml is not valid XML');
+        }
+        if (!manifest) {
+            throw invalid('imsmanifest.xml has no manifest element');
+        }
+
+        const schemaVersion = this._text(manifest.metadata && manifest.metadata.schemaversion);
+        let version;
+        if (schemaVersion === '1.2') {
+            version = '1.2';
+        } else if (/2004|CAM 1\.3/i.test(schemaVersion)) {
+            version = '2004';
+        } else if (/adlcp_v1p3/.test(xml)) {
+            version = '2004';
+        } else if (/adlcp_rootv1p2/.test(xml)) {
+            version = '1.2';
+        } else {
+            throw invalid('Unsupported SCORM version; only SCORM 1.2 and 2004 packages are accepted');
+        }
+
+        const resources = (manifest.resources && manifest.resources.resource) || [];
+        const resourcesBase = (manifest.resources && manifest.resources['@_base']) || '';
+        const resourceById = new Map(resources.map(resource => [resource['@_identifier'], resource]));
+
+        const organizations = (manifest.organizations && manifest.organizations.organization) || [];
+        const defaultId = manifest.organizations && manifest.organizations['@_default'];
+        const organization = organizations.find(org => org['@_identifier'] === defaultId) || organizations[0];
+        if (!organization) {
+            throw invalid('imsmanifest.xml has no organization');
+        }
+
+        // Items in tree order; only those pointing at a SCO with an href can be launched
+        const scos = [];
+        const walk = (items) => (items || []).forEach(item => {
+            const resource = resourceById.get(item['@_identifierref']);
+            const type = resource && (resource['@_scormtype'] || resource['@_scormType']);
+            if (resource && resource['@_href'] && String(type).toLowerCase() === 'sco') {
+                scos.push({
+                    identifier: item['@_identifier'],
+                    title: this._text(item.title) || null,
+                    href: this._withParameters(
+                        `${manifest['@_base'] || ''}${resourcesBase}${resource['@_base'] || ''}${resource['@_href']}`,
+                        item['@_parameters']
+                    ),
+                    mastery_score: this._number(this._text(item.masteryscore))
+                });
+            }
+            walk(item.item);
+        });
+        walk(organization.item);
+
+        if (scos.length === 0) {
+            throw invalid('imsmanifest.xml has no launchable SCO');
+        }
+
+        const launch = scos[0];
+        const relative = launch.href.replace(/^\.\//, '');
+        if (/^[a-z][a-z0-9+.-]*:/i.test(relative) || relative.startsWith('/') || relative.split('/').includes('..')) {
+            throw invalid('The launch SCO must be a file inside the package');
+        }
+
+        return {
+            version,
+            identifier: manifest['@_identifier'] ? String(manifest['@_identifier']).slice(0, 255) : null,
+            title: (this._text(organization.title) || launch.title || '').slice(0, 255) || null,
+            launch_path: relative,
+            mastery_score: version === '1.2' ? launch.mastery_score : null,
+            scos: scos.map(({ identifier, title, href }) => ({ identifier, title, href }))
+        };
+    }
+
+    /**
+     * Upload the package assets and point the module's draft at the new package
+     * @private
+     */
+    async _storePackage(moduleId, parsed, userId) {
+        const packageKey = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+        const baseKey = `modules/${moduleId}/scorm/${packageKey}/`;
+
+        try {
+            // One file at a time keeps memory bounded for large packages
+            for (const { entry, relativePath } of parsed.entries) {
+                const content = await entry.async('nodebuffer');
+                if (content.length > MAX_UNPACKED_BYTES) {
+                    throw Object.assign(new Error(`Package entry ${entry.name} is too large`), {
+                        statusCode: 400,
+                        code: 'INVALID_SCORM_PACKAGE'
+                    });
+                }
+                await FileStorageService.uploadScormAsset(content, moduleId, packageKey, relativePath);
+            }
+        } catch (error) {
+            await FileStorageService.deleteFilesByPrefix(baseKey).catch(() => {});
+            throw error;
+        }
+
+        const scormPackage = await ModuleScormPackage.create({
+            module_id: moduleId,
+            version: parsed.version,
+            identifier: parsed.identifier,
+            title: parsed.title,
+            base_key: baseKey,
+            launch_path: parsed.launch_path,
+            scos: parsed.scos,
+            mastery_score: parsed.mastery_score,
+            file_count: parsed.entries.length,
+            total_size: parsed.total_size,
+            uploaded_by: userId
+        });
+
+        const module = await Module.findByPk(moduleId);
+        await module.update({
+            scorm_package_id: scormPackage.id,
+            updated_by: userId
+        });
+        await ModuleRevisionService.recordRevision(module, userId, {
+            note: `Uploaded SCORM ${parsed.version} package`
+        });
+
+        return scormPackage;
+    }
+
+    /**
+     * Load a published module and the package its live revision serves
+     * @private
+     */
+    async _findLaunchable(moduleId, userId) {
+        const module = await Module.findOne({
+            where: { id: moduleId, is_published: true },
+            include: [{ model: ModuleRevision, as: 'publishedRevision', required: false }]
+        });
+        if (!module) {
+            throw new Error('Module not found');
+        }
+
+        await ModuleService.assertAgeEligible(module, userId);
+        await ModuleService.assertPrerequisitesMet(module, userId);
+
+        const packageId = module.publishedRevision
+            ? module.publishedRevision.scorm_package_id
+            : module.scorm_package_id;
+        const scormPackage = packageId ? await ModuleScormPackage.findByPk(packageId) : null;
+        if (!scormPackage) {
+            throw new Error('SCORM package not found');
+        }
+
+        return { module, scormPackage };
+    }
+
+    /**
+     * Stored runtime data for the package; data from a replaced package is dropped
+     * @private
+     */
+    _storedState(progress, scormPackage) {
+        let data = progress ? progress.scorm_data : null;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                data = null;
+            }
+        }
+
+        if (!data || data.package_id !== scormPackage.id) {
+            return { package_id: scormPackage.id, version: scormPackage.version, cmi: {} };
+        }
+        return { ...data, cmi: { ...(data.cmi || {}) } };
+    }
+
+    /**
+     * Check committed keys against the writable data model
+     * @private
+     */
+    _validateCmi(cmi, version) {
+        const invalid = (message) => Object.assign(new Error(message), {
+            statusCode: 400,
+            code: 'INVALID_SCORM_DATA'
+        });
+
+        if (!cmi || typeof cmi !== 'object' || Array.isArray(cmi)) {
+            throw invalid('cmi must be an object of data model elements');
+        }
+
+        const keys = Object.keys(cmi);
+        if (keys.length > MAX_CMI_KEYS) {
+            throw invalid(`At most ${MAX_CMI_KEYS} cmi elements can be committed at once`);
+        }
+
+        const values = {};
+        keys.forEach(key => {
+            if (!WRITABLE_CMI[version].includes(key) && !WRITABLE_CMI_PATTERNS[version].test(key)) {
+                throw invalid(`${key} is not a writable SCORM ${version} element`);
+            }
+
+            const value = cmi[key];
+            if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+                throw invalid(`${key} must be a string or number`);
+            }
+
+            const text = value === null ? '' : String(value);
+            const limit = key === 'cmi.suspend_data' ? SUSPEND_DATA_LIMITS[version] : MAX_CMI_VALUE_LENGTH;
+            if (text.length > limit) {
+                throw invalid(`${key} exceeds ${limit} characters`);
+            }
+
+            values[key] = text;
+        });
+
+        return values;
+    }
+
+    /**
+     * Map SCORM 1.2 values onto progress
+     * With a mastery score, a reported score decides passed/failed (as the 1.2 LMS must)
+     * @private
+     */
+    _outcome12(values, scormPackage) {
+        const outcome = {
+            location: values['cmi.core.lesson_location'],
+            session_seconds: this._parseSessionTime(values['cmi.core.session_time']),
+            score: this._percent(values['cmi.core.score.raw'], values['cmi.core.score.min'], values['cmi.core.score.max'])
+        };
+
+        let status = values['cmi.core.lesson_status'];
+        const raw = this._number(values['cmi.core.score.raw']);
+        const mastery = scormPackage.mastery_score !== null ? Number(scormPackage.mastery_score) : null;
+        if (mastery !== null && raw !== null && ['completed', 'passed', 'failed'].includes(status)) {
+            status = raw >= mastery ? 'passed' : 'failed';
+        }
+
+        outcome.completed = status === 'passed' || status === 'completed';
+        if (outcome.completed) outcome.progress_percent = 100;
+
+        return outcome;
+    }
+
+    /**
+     * Map SCORM 2004 values onto progress
+     * @private
+     */
+    _outcome2004(values) {
+        const scaled = this._number(values['cmi.score.scaled']);
+        const measure = this._number(values['cmi.progress_measure']);
+
+        const outcome = {
+            location: values['cmi.location'],
+            session_seconds: this._parseSessionTime(values['cmi.session_time']),
+            score: scaled !== null
+                ? Math.min(100, Math.max(0, Math.round(scaled * 10000) / 100))
+                : this._percent(values['cmi.score.raw'], values['cmi.score.min'], values['cmi.score.max']),
+            completed: values['cmi.completion_status'] === 'completed' && values['cmi.success_status'] !== 'failed'
+        };
+
+        if (outcome.completed) {
+            outcome.progress_percent = 100;
+        } else if (measure !== null) {
+            outcome.progress_percent = Math.min(99, Math.max(0, Math.round(measure * 100)));
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Score as a percentage of its range (raw alone is taken as a percentage)
+     * @private
+     */
+    _percent(raw, min, max) {
+        const score = this._number(raw);
+        if (score === null) return undefined;
+
+        const low = this._number(min) !== null ? this._number(min) : 0;
+        const high = this._number(max);
+        const percent = high !== null && high > low ? ((score - low) / (high - low)) * 100 : score;
+
+        return Math.min(100, Math.max(0, Math.round(percent * 100) / 100));
+    }
+
+    /**
+     * Session time in seconds: SCORM 1.2 HHHH:MM:SS(.SS) or SCORM 2004 ISO 8601 duration
+     * @private
+     */
+    _parseSessionTime(value) {
+        if (!value) return 0;
+
+        const clock = /^(\d{1,4}):(\d{2}):(\d{2})(\.\d{1,2})?$/.exec(value);
+        if (clock) {
+            return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+        }
+
+        const iso = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value);
+        if (iso) {
+            const [, years, months, days, hours, minutes, seconds] = iso.map(part => Number(part) || 0);
+            return Math.round(((years * 365 + months * 30 + days) * 24 + hours) * 3600 + minutes * 60 + seconds);
+        }
+
+        return 0;
+    }
+
+    /**
+     * Append item parameters to a launch href (IMS CP rules)
+     * @private
+     */
+    _withParameters(href, parameters) {
+        if (!parameters) return href;
+
+        const params = String(parameters).trim();
+        if (params.startsWith('#')) {
+            return href.includes('#') ? href : `${href}${params}`;
+        }
+
+        const query = params.replace(/^[?&]+/, '');
+        if (!query) return href;
+        return `${href}${href.includes('?') ? '&' : '?'}${query}`;
+    }
+
+    /**
+     * Text of a parsed element (elements with attributes parse to objects)
+     * @private
+     */
+    _text(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return String(value['#text'] || '').trim();
+        return String(value).trim();
+    }
+
+    /**
+     * @private
+     */
+    _number(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+}
+
+module.exports = new ScormService();
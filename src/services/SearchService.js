@@ -0,0 +1,372 @@
+// src/services/SearchService.js
+const { sequelize, Module, ModuleRevision } = require('../model');
+const { Op } = require('sequelize');
+
+// Columns covered by the modules_fulltext_search index (order must match the index).
+// Qualified with the query alias because revisions joined in share the same column names.
+const FULLTEXT_COLUMNS = '`Module`.`title`, `Module`.`description`, `Module`.`content`, `Module`.`extracted_text`';
+const TITLE_COLUMN = '`Module`.`title`';
+
+// Same columns on the published revision (module_revisions_fulltext_search), aliased r as in Module.publishedCondition
+const REVISION_FULLTEXT_COLUMNS = 'r.`title`, r.`description`, r.`content`, r.`extracted_text`';
+const REVISION_TITLE_COLUMN = 'r.`title`';
+
+// InnoDB ignores tokens shorter than innodb_ft_min_token_size (default 3)
+const MIN_TERM_LENGTH = 3;
+
+// Title matches count this many times more than body matches
+const TITLE_WEIGHT = 3;
+
+const SNIPPET_RADIUS = 80;
+const MAX_FACET_ROWS = 1000;
+
+/**
+ * Search Service - Full-text module search with relevance, highlighting and facets
+ *
+ * Staff search the draft columns of Modules; learners search, filter and facet on the
+ * published revision, so unpublished edits and files never surface in their results.
+ */
+class SearchService {
+    /**
+     * Search modules
+     * @param {string} query - Free text
+     * @param {Object} filters - { category, difficulty_level, type, tag, includeUnpublished, viewer, page, limit }
+     *   viewer is { exempt, age } from ModuleService.getViewerAge (unknown age when omitted)
+     */
+    async searchModules(query, filters = {}) {
+        try {
+            const terms = this.parseTerms(query);
+            const published = !filters.includeUnpublished;
+            const where = this._buildWhere(query, filters);
+
+            const page = parseInt(filters.page) || 1;
+            const limit = Math.min(parseInt(filters.limit) || 20, 100);
+            const offset = (page - 1) * limit;
+
+            const { count, rows } = await Module.findAndCountAll({
+                where,
+                attributes: {
+                    include: [[this._relevanceLiteral(query, published), 'relevance']]
+                },
+                include: filters.includeUnpublished ? [] : [{
+                    model: ModuleRevision,
+                    as: 'publishedRevision',
+                    required: false
+                }],
+                order: this.buildRelevanceOrder(query, { published }),
+                limit,
+                offset,
+                distinct: true
+            });
+
+            const results = rows.map(module => {
+                const data = filters.includeUnpublished ? module.toSafeJSON() : module.toPublishedJSON();
+                const content = data.content;
+                delete data.content;
+
+                // Learners only ever see highlights from the published text
+                const source = filters.includeUnpublished || !module.publishedRevision
+                    ? { title: module.title, description: module.description, content, extracted: module.extracted_text }
+                    : { title: data.title, description: data.description, content, extracted: module.publishedRevision.extracted_text };
+
+                return {
+                    ...data,
+                    relevance: Number(module.get('relevance')) || 0,
+                    highlights: {
+                        title: this.highlight(source.title, terms),
+                        snippet: this.snippet(
+                            [source.description, source.content, source.extracted],
+                            terms
+                        )
+                    }
+                };
+            });
+
+            const facets = await this._facets(where, published);
+
+            return {
+                success: true,
+                query,
+                results,
+                facets,
+                pagination: {
+                    total: count,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(count / limit)
+                }
+            };
+        } catch (error) {
+            console.error('SearchService.searchModules error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== QUERY BUILDING ====================
+
+    /**
+     * Split free text into search terms (boolean-mode operators removed)
+     */
+    parseTerms(query) {
+        return String(query || '')
+            .toLowerCase()
+            .replace(/[+\-<>()~*"@]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .slice(0, 10);
+    }
+
+    /**
+     * WHERE condition matching a query
+     * Falls back to LIKE when every term is too short for the FULLTEXT index
+     * @param {Object} options - { published } match the published revision instead of the draft
+     */
+    buildMatchCondition(query, options = {}) {
+        const terms = this.parseTerms(query);
+        const booleanQuery = this._booleanQuery(terms);
+
+        if (!booleanQuery) {
+            // Escape LIKE wildcards so they match literally
+            const pattern = `%${String(query || '').trim().replace(/[\\%_]/g, '\\$&')}%`;
+
+            if (options.published) {
+                const escaped = sequelize.escape(pattern);
+                return Module.publishedCondition(`(r.\`title\` LIKE ${escaped} OR r.\`description\` LIKE ${escaped})`);
+            }
+            return {
+                [Op.or]: [
+                    { title: { [Op.like]: pattern } },
+                    { description: { [Op.like]: pattern } }
+                ]
+            };
+        }
+
+        const against = `AGAINST(${sequelize.escape(booleanQuery)} IN BOOLEAN MODE)`;
+        return options.published
+            ? Module.publishedCondition(`MATCH(${REVISION_FULLTEXT_COLUMNS}) ${against}`)
+            : sequelize.literal(`MATCH(${FULLTEXT_COLUMNS}) ${against}`);
+    }
+
+    /**
+     * ORDER BY clause ranking title matches above body matches
+     * @param {Object} options - { published } rank on the published revision instead of the draft
+     */
+    buildRelevanceOrder(query, options = {}) {
+        if (!this._booleanQuery(this.parseTerms(query))) {
+            return [['order', 'ASC'], ['created_at', 'DESC']];
+        }
+        return [[this._relevanceLiteral(query, options.published), 'DESC'], ['created_at', 'DESC']];
+    }
+
+    // ==================== HIGHLIGHTING ====================
+
+    /**
+     * Escape text and wrap matching terms in <mark>
+     */
+    highlight(text, terms) {
+        if (!text) return text || null;
+
+        const escaped = this._escapeHtml(text);
+        const pattern = this._termPattern(terms);
+        return pattern ? escaped.replace(pattern, '<mark>$1</mark>') : escaped;
+    }
+
+    /**
+     * Short highlighted excerpt around the first match in the given texts
+     */
+    snippet(texts, terms) {
+        const candidates = texts.filter(Boolean).map(text => this._stripHtml(text));
+        if (candidates.length === 0) return null;
+
+        const pattern = this._termPattern(terms);
+        let text = candidates[0];
+        let index = -1;
+
+        if (pattern) {
+            for (const candidate of candidates) {
+                const match = candidate.search(pattern);
+                if (match !== -1) {
+                    text = candidate;
+                    index = match;
+                    break;
+                }
+            }
+        }
+
+        const start = Math.max(0, index - SNIPPET_RADIUS);
+        const end = Math.min(text.length, (index === -1 ? 0 : index) + SNIPPET_RADIUS * 2);
+        const excerpt = (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+
+        return this.highlight(excerpt, terms);
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Filters shared by results and facets
+     * @private
+     */
+    _buildWhere(query, filters) {
+        const conditions = [];
+
+        const published = !filters.includeUnpublished;
+
+        if (query && String(query).trim()) {
+            conditions.push(this.buildMatchCondition(query, { published }));
+        }
+        if (filters.tag) {
+            const tag = `JSON_QUOTE(${sequelize.escape(String(filters.tag))})`;
+            conditions.push(published
+                ? Module.publishedCondition(`JSON_CONTAINS(r.\`tags\`, ${tag})`)
+                : sequelize.literal(`JSON_CONTAINS(\`Module\`.\`tags\`, ${tag})`));
+        }
+
+        const where = { [Op.and]: conditions };
+        if (filters.difficulty_level) where.difficulty_level = filters.difficulty_level;
+        if (filters.includeUnpublished) {
+            if (filters.category) where.category = filters.category;
+            if (filters.type) where.type = filters.type;
+        } else {
+            where.is_published = true;
+
+            // Learners filter on the published revision's category and type
+            if (filters.category || filters.type) {
+                conditions.push(Module.publishedFieldsCondition({
+                    ...(filters.category ? { category: filters.category } : {}),
+                    ...(filters.type ? { type: filters.type } : {})
+                }));
+            }
+
+            // Learners only find modules for their age range
+            const viewer = filters.viewer || { exempt: false, age: null };
+            if (!viewer.exempt) conditions.push(Module.ageCondition(viewer.age));
+        }
+
+        return where;
+    }
+
+    /**
+     * Category, difficulty and tag counts over the matching modules
+     * @param {boolean} published - Count category and tags of the published revision (learners)
+     * @private
+     */
+    async _facets(where, published = false) {
+        const include = published
+            ? [{ model: ModuleRevision, as: 'publishedRevision', attributes: [], required: true }]
+            : [];
+        const source = published ? 'publishedRevision' : 'Module';
+
+        const countBy = async (field, table) => {
+            const column = sequelize.col(`${table}.${field}`);
+            const rows = await Module.findAll({
+                where,
+                include,
+                attributes: [[column, field], [sequelize.fn('COUNT', sequelize.col('Module.id')), 'count']],
+                group: [column],
+                raw: true
+            });
+            return rows
+                .map(row => ({ value: row[field], count: Number(row.count) }))
+                .sort((a, b) => b.count - a.count);
+        };
+
+        // Tags live in a JSON array, so they are counted here rather than in SQL
+        const tagRows = await Module.findAll({
+            where,
+            include,
+            attributes: [[sequelize.col(`${source}.tags`), 'tags']],
+            limit: MAX_FACET_ROWS,
+            raw: true
+        });
+        const tagCounts = new Map();
+        tagRows.forEach(row => {
+            let tags = row.tags;
+            if (typeof tags === 'string') {
+                try {
+                    tags = JSON.parse(tags);
+                } catch (e) {
+                    tags = [];
+                }
+            }
+            if (!Array.isArray(tags)) return;
+
+            new Set(tags.map(tag => String(tag).trim()).filter(Boolean)).forEach(tag => {
+                tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+            });
+        });
+
+        return {
+            category: await countBy('category', source),
+            difficulty_level: await countBy('difficulty_level', 'Module'),
+            tags: [...tagCounts.entries()]
+                .map(([value, count]) => ({ value, count }))
+                .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+                .slice(0, 30)
+        };
+    }
+
+    /**
+     * Boolean-mode query requiring every usable term (prefix match)
+     * @private
+     */
+    _booleanQuery(terms) {
+        const usable = terms.filter(term => term.length >= MIN_TERM_LENGTH);
+        return usable.map(term => `+${term}*`).join(' ');
+    }
+
+    /**
+     * Relevance expression; 0 when the query has no indexable terms
+     * @param {boolean} published - Score the published revision instead of the draft
+     * @private
+     */
+    _relevanceLiteral(query, published = false) {
+        const booleanQuery = this._booleanQuery(this.parseTerms(query));
+        if (!booleanQuery) {
+            return sequelize.literal('0');
+        }
+
+        const against = `AGAINST(${sequelize.escape(booleanQuery)} IN BOOLEAN MODE)`;
+        if (published) {
+            return sequelize.literal(
+                `(SELECT MATCH(${REVISION_TITLE_COLUMN}) ${against} * ${TITLE_WEIGHT} + MATCH(${REVISION_FULLTEXT_COLUMNS}) ${against} ` +
+                'FROM `ModuleRevisions` r WHERE r.`id` = `Module`.`published_revision_id`)'
+            );
+        }
+        return sequelize.literal(
+            `(MATCH(${TITLE_COLUMN}) ${against} * ${TITLE_WEIGHT} + MATCH(${FULLTEXT_COLUMNS}) ${against})`
+        );
+    }
+
+    /**
+     * Case-insensitive pattern matching any term (as a word prefix)
+     * @private
+     */
+    _termPattern(terms) {
+        const escaped = terms
+            .filter(term => term.length >= 2)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (escaped.length === 0) return null;
+        return new RegExp(`\\b(${escaped.join('|')}\\w*)`, 'gi');
+    }
+
+    /**
+     * @private
+     */
+    _stripHtml(text) {
+        return String(text).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * @private
+     */
+    _escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,912 @@
+// src/services/XapiService.js
+const crypto = require('crypto');
+const { sequelize, XapiStatement } = require('../model');
+const ModulePermissionService = require('./ModulePermissionService');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { Op } = require('sequelize');
+
+const XAPI_VERSION = '1.0.3';
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+const MAX_BATCH_SIZE = 500;
+const FORWARD_BATCH_SIZE = 50;
+const MAX_FORWARD_ATTEMPTS = 5;
+const FORWARD_TIMEOUT_MS = 15000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:\S+$/i;
+const DURATION_PATTERN = /^P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+
+// ADL and Tin Can registry verbs for the events the platform emits
+const VERBS = {
+    viewed: 'http://id.tincanapi.com/verb/viewed',
+    completed: 'http://adlnet.gov/expapi/verbs/completed',
+    answered: 'http://adlnet.gov/expapi/verbs/answered'
+};
+
+// Quiz question types as xAPI interaction types
+const INTERACTION_TYPES = {
+    multiple_choice: 'choice',
+    multi_select: 'choice',
+    true_false: 'true-false',
+    short_answer: 'fill-in'
+};
+
+/**
+ * xAPI Service - Statement emission and the local learning record store (LRS)
+ *
+ * Learning events (module viewed/completed, quiz question answered, reward redeemed)
+ * are recorded as xAPI statements. Learners are identified by an account on
+ * XAPI_BASE_IRI (their user id), never by email. Statements are served through
+ * the xAPI statements resource and, when XAPI_FORWARD_ENABLED is set, copied to
+ * an external LRS by the forwarding job.
+ */
+class XapiService {
+    /**
+     * IRI base for activities, extensions and learner accounts (XAPI_BASE_IRI, default FRONTEND_URL)
+     */
+    getBaseIri() {
+        return (process.env.XAPI_BASE_IRI || process.env.FRONTEND_URL || 'http://localhost').replace(/\/+$/, '');
+    }
+
+    /**
+     * External LRS settings; forwarding is off unless enabled and an endpoint is set
+     * @returns {Object} - { enabled, endpoint, username, password }
+     */
+    getForwardConfig() {
+        const endpoint = process.env.XAPI_FORWARD_ENDPOINT || '';
+
+        return {
+            enabled: process.env.XAPI_FORWARD_ENABLED === 'true' && !!endpoint,
+            endpoint: endpoint && !endpoint.endsWith('/') ? `${endpoint}/` : endpoint,
+            username: process.env.XAPI_FORWARD_USERNAME || '',
+            password: process.env.XAPI_FORWARD_PASSWORD || ''
+        };
+    }
+
+    /**
+     * LRS information (GET /xapi/about)
+     */
+    about() {
+        return { version: [XAPI_VERSION] };
+    }
+
+    /**
+     * xAPI agent for a platform user
+     */
+    learnerAgent(userId) {
+        return {
+            objectType: 'Agent',
+            account: {
+                homePage: this.getBaseIri(),
+                name: String(userId)
+            }
+        };
+    }
+
+    // ==================== EMISSION ====================
+    // Recording a statement never fails the learning event that caused it
+
+    /**
+     * Learner opened a module
+     */
+    async moduleViewed(module, userId) {
+        return await this._emit([{
+            actor: this.learnerAgent(userId),
+            verb: this._verb(VERBS.viewed, 'viewed'),
+            object: this._moduleActivity(module)
+        }], userId);
+    }
+
+    /**
+     * Learner completed a module
+     * @param {Object} progress - ModuleProgress row (score and time spent, when known)
+     */
+    async moduleCompleted(module, userId, progress = null) {
+        const result = { completion: true };
+        if (progress && progress.score !== null && progress.score !== undefined) {
+            result.score = { scaled: Math.round(Number(progress.score) * 100) / 10000 };
+        }
+        if (progress && progress.time_spent_seconds > 0) {
+            result.duration = `PT${progress.time_spent_seconds}S`;
+        }
+
+        return await this._emit([{
+            actor: this.learnerAgent(userId),
+            verb: this._verb(VERBS.completed, 'completed'),
+            object: this._moduleActivity(module),
+            result
+        }], userId);
+    }
+
+    /**
+     * Learner answered the questions of a submitted quiz attempt (one statement per question)
+     * @param {Array} questions - Graded Question rows
+     * @param {Array} results - [{ question_id, answer, correct }] as returned to the learner
+     */
+    async quizAnswered(module, attempt, questions, results, userId) {
+        const base = this.getBaseIri();
+        const byId = new Map(questions.map(question => [question.id, question]));
+        const parent = this._moduleActivity(module);
+
+        const statements = results
+            .filter(result => byId.has(result.question_id))
+            .map(result => {
+                const question = byId.get(result.question_id);
+                const definition = {
+                    type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+                    name: { [DEFAULT_LOCALE]: String(question.prompt).slice(0, 500) },
+                    interactionType: INTERACTION_TYPES[question.question_type] || 'other'
+                };
+                if (definition.interactionType === 'choice' && Array.isArray(question.options)) {
+                    definition.choices = question.options.map(option => ({
+                        id: String(option.id),
+                        description: { [DEFAULT_LOCALE]: String(option.text || option.id) }
+                    }));
+                }
+
+                return {
+                    actor: this.learnerAgent(userId),
+                    verb: this._verb(VERBS.answered, 'answered'),
+                    object: {
+                        objectType: 'Activity',
+                        id: `${base}/modules/${module.id}/questions/${question.id}`,
+                        definition
+                    },
+                    result: {
+                        success: !!result.correct,
+                        response: this._formatResponse(result.answer)
+                    },
+                    context: {
+                        contextActivities: { parent: [parent] },
+                        extensions: {
+                            [`${base}/xapi/extensions/quiz-attempt-id`]: attempt.id
+                        }
+                    }
+                };
+            });
+
+        return await this._emit(statements, userId);
+    }
+
+    /**
+     * Learner redeemed a reward with their points
+     */
+    async rewardRedeemed(reward, userId, redemption) {
+        const base = this.getBaseIri();
+
+        return await this._emit([{
+            actor: this.learnerAgent(userId),
+            verb: this._verb(`${base}/xapi/verbs/redeemed`, 'redeemed'),
+            object: {
+                objectType: 'Activity',
+                id: `${base}/rewards/${reward.id}`,
+                definition: {
+                    type: `${base}/xapi/activity-types/reward`,
+                    name: { [DEFAULT_LOCALE]: reward.name }
+                }
+            },
+            result: {
+                extensions: {
+                    [`${base}/xapi/extensions/points-spent`]: redemption.points_spent,
+                    [`${base}/xapi/extensions/quantity`]: redemption.quantity
+                }
+            }
+        }], userId);
+    }
+
+    // ==================== LRS ====================
+
+    /**
+     * Store one statement or a batch (POST /xapi/statements); all or nothing
+     * @param {Object|Array} input - Statement(s)
+     * @param {Object} user - { id, role } authenticated user (becomes the authority)
+     * @returns {Promise<Array<string>>} - Statement ids, in order
+     */
+    async storeStatements(input, user) {
+        try {
+            const statements = Array.isArray(input) ? input : [input];
+            if (statements.length === 0 || statements.length > MAX_BATCH_SIZE) {
+                throw this._invalid(`Send between 1 and ${MAX_BATCH_SIZE} statements`);
+            }
+
+            statements.forEach(statement => {
+                this._validateStatement(statement);
+                this._assertCanWrite(statement, user);
+            });
+
+            const ids = statements.map(statement => statement.id).filter(Boolean).map(id => id.toLowerCase());
+            if (new Set(ids).size !== ids.length) {
+                throw this._invalid('Statement ids in a batch must be unique');
+            }
+
+            const ownKey = this._actorKey(this.learnerAgent(user.id));
+            return await sequelize.transaction(async (transaction) => {
+                return await this._store(statements, this.learnerAgent(user.id), {
+                    transaction,
+                    canVoidAny: user.role === 'admin',
+                    userIdFor: statement => this._actorKey(statement.actor) === ownKey ? user.id : null
+                });
+            });
+        } catch (error) {
+            console.error('XapiService.storeStatements error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a statement with a client-chosen id (PUT /xapi/statements?statementId=)
+     */
+    async putStatement(statementId, statement, user) {
+        try {
+            if (!UUID_PATTERN.test(statementId || '')) {
+                throw this._invalid('statementId must be a UUID');
+            }
+            if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+                throw this._invalid('PUT takes a single statement');
+            }
+            if (statement.id && statement.id.toLowerCase() !== statementId.toLowerCase()) {
+                throw this._invalid('statement.id does not match statementId');
+            }
+
+            await this.storeStatements({ ...statement, id: statementId }, user);
+        } catch (error) {
+            console.error('XapiService.putStatement error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch statements (GET /xapi/statements)
+     * Staff read every statement; learners only their own
+     * @param {Object} query - statementId | voidedStatementId, or filters: agent, verb, activity,
+     *                         registration, since, until, limit, ascending, format, cursor
+     * @param {string} basePath - Path of the statements resource, used for the "more" link
+     * @returns {Promise<Object>} - { statement } or { statements, more }
+     */
+    async getStatements(query, user, basePath) {
+        try {
+            const format = query.format || 'exact';
+            if (!['exact', 'ids', 'canonical'].includes(format)) {
+                throw this._invalid('format must be exact, ids or canonical');
+            }
+
+            const isStaff = ModulePermissionService.canReview(user);
+            const ownKey = this._actorKey(this.learnerAgent(user.id));
+
+            // Single statement
+            if (query.statementId || query.voidedStatementId) {
+                if (query.statementId && query.voidedStatementId) {
+                    throw this._invalid('Use either statementId or voidedStatementId');
+                }
+
+                const id = query.statementId || query.voidedStatementId;
+                const row = UUID_PATTERN.test(id)
+                    ? await XapiStatement.findOne({ where: { statement_id: id.toLowerCase(), voided: !!query.voidedStatementId } })
+                    : null;
+                if (!row || (!isStaff && row.actor_key !== ownKey)) {
+                    throw new Error('Statement not found');
+                }
+
+                return { statement: this._format(row.toStatement(), format) };
+            }
+
+            const where = { voided: false };
+
+            if (query.agent) {
+                let agent;
+                try {
+                    agent = JSON.parse(query.agent);
+                } catch (error) {
+                    throw this._invalid('agent must be a JSON agent object');
+                }
+                where.actor_key = this._actorKey(agent);
+                if (!where.actor_key) {
+                    throw this._invalid('agent must have an identifier (mbox, mbox_sha1sum, openid or account)');
+                }
+            }
+            if (!isStaff) {
+                if (where.actor_key && where.actor_key !== ownKey) {
+                    throw this._forbidden('Learners can only read their own statements');
+                }
+                where.actor_key = ownKey;
+            }
+
+            if (query.verb) where.verb_id = query.verb;
+            if (query.activity) where.activity_id = query.activity;
+            if (query.registration) where.registration = String(query.registration).toLowerCase();
+
+            const stored = {};
+            if (query.since) stored[Op.gt] = this._parseDate(query.since, 'since');
+            if (query.until) stored[Op.lte] = this._parseDate(query.until, 'until');
+            if (Object.getOwnPropertySymbols(stored).length) where.stored = stored;
+
+            const ascending = query.ascending === 'true';
+            if (query.cursor) {
+                const cursor = parseInt(query.cursor);
+                if (Number.isNaN(cursor)) {
+                    throw this._invalid('Invalid cursor');
+                }
+                where.id = { [ascending ? Op.gt : Op.lt]: cursor };
+            }
+
+            // limit=0 means the server maximum
+            const requested = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_QUERY_LIMIT;
+            const limit = !requested || requested < 0 ? MAX_QUERY_LIMIT : Math.min(requested, MAX_QUERY_LIMIT);
+
+            const rows = await XapiStatement.findAll({
+                where,
+                order: [['id', ascending ? 'ASC' : 'DESC']],
+                limit: limit + 1
+            });
+
+            const page = rows.slice(0, limit);
+            let more = '';
+            if (rows.length > limit) {
+                const params = new URLSearchParams();
+                Object.entries(query).forEach(([key, value]) => {
+                    if (key !== 'cursor' && value !== undefined) params.set(key, value);
+                });
+                params.set('cursor', String(page[page.length - 1].id));
+                more = `${basePath}?${params.toString()}`;
+            }
+
+            return {
+                statements: page.map(row => this._format(row.toStatement(), format)),
+                more
+            };
+        } catch (error) {
+            console.error('XapiService.getStatements error:', error);
+            throw error;
+        }
+    }
+
+    // ==================== FORWARDING ====================
+
+    /**
+     * Send statements not yet forwarded to the external LRS (oldest first)
+     * A batch rejected with 409 is retried one statement at a time so one conflict
+     * does not hold back the rest.
+     * @returns {Promise<Object>} - { enabled, forwarded, failed }
+     */
+    async forwardPending() {
+        const config = this.getForwardConfig();
+        if (!config.enabled) {
+            return { enabled: false, forwarded: 0, failed: 0 };
+        }
+
+        const rows = await XapiStatement.findAll({
+            where: { forwarded_at: null, forward_attempts: { [Op.lt]: MAX_FORWARD_ATTEMPTS } },
+            order: [['id', 'ASC']],
+            limit: FORWARD_BATCH_SIZE
+        });
+        if (rows.length === 0) {
+            return { enabled: true, forwarded: 0, failed: 0 };
+        }
+
+        try {
+            const response = await this._sendToLrs(config, 'POST', 'statements', rows.map(row => row.toStatement()));
+            if (response.status !== 409) {
+                if (!response.ok) {
+                    throw new Error(`External LRS responded with ${response.status}`);
+                }
+                await this._markForwarded(rows);
+                return { enabled: true, forwarded: rows.length, failed: 0 };
+            }
+        } catch (error) {
+            await this._markForwardFailed(rows, error.message);
+            return { enabled: true, forwarded: 0, failed: rows.length };
+        }
+
+        let forwarded = 0;
+        for (const row of rows) {
+            try {
+                const response = await this._sendToLrs(
+                    config, 'PUT', `statements?statementId=${row.statement_id}`, row.toStatement()
+                );
+                if (!response.ok) {
+                    throw new Error(`External LRS responded with ${response.status}`);
+                }
+                await this._markForwarded([row]);
+                forwarded++;
+            } catch (error) {
+                await this._markForwardFailed([row], error.message);
+            }
+        }
+
+        return { enabled: true, forwarded, failed: rows.length - forwarded };
+    }
+
+    // ==================== PRIVATE METHODS ====================
+
+    /**
+     * Store statements emitted by the platform
+     * @private
+     */
+    async _emit(statements, userId) {
+        if (statements.length === 0) return [];
+
+        try {
+            return await this._store(statements, this._systemAuthority(), { userIdFor: () => userId });
+        } catch (error) {
+            console.error('XapiService emit error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Assign ids, timestamps and authority, apply voiding and insert
+     * Statements already stored with the same content are skipped; a different
+     * statement with a used id is a 409 conflict.
+     * options.canVoidAny lets an admin void statements recorded by another authority.
+     * @private
+     */
+    async _store(statements, authority, options = {}) {
+        const { transaction } = options;
+        const now = new Date();
+        const ids = [];
+        const rows = [];
+
+        for (const statement of statements) {
+            const id = (statement.id || crypto.randomUUID()).toLowerCase();
+            ids.push(id);
+
+            const existing = statement.id
+                ? await XapiStatement.findOne({ where: { statement_id: id }, transaction })
+                : null;
+            if (existing) {
+                if (!this._sameStatement(existing.toStatement(), statement)) {
+                    throw Object.assign(new Error(`Statement ${id} already exists with different content`), {
+                        statusCode: 409,
+                        code: 'STATEMENT_CONFLICT'
+                    });
+                }
+                continue;
+            }
+
+            const stored = {
+                ...statement,
+                id,
+                timestamp: statement.timestamp || now.toISOString(),
+                stored: now.toISOString(),
+                authority,
+                version: statement.version || XAPI_VERSION
+            };
+
+            if (stored.verb.id === XapiStatement.VOIDED_VERB) {
+                await this._voidTarget(stored.object.id, authority, options);
+            }
+
+            const object = stored.object;
+            rows.push({
+                statement_id: id,
+                user_id: options.userIdFor ? options.userIdFor(stored) : null,
+                actor_key: this._actorKey(stored.actor),
+                verb_id: stored.verb.id,
+                activity_id: !object.objectType || object.objectType === 'Activity' ? object.id : null,
+                registration: stored.context && stored.context.registration
+                    ? stored.context.registration.toLowerCase()
+                    : null,
+                statement: stored,
+                timestamp: new Date(stored.timestamp),
+                stored: now
+            });
+        }
+
+        if (rows.length) {
+            await XapiStatement.bulkCreate(rows, { transaction });
+        }
+
+        return ids;
+    }
+
+    /**
+     * Mark the target of a voiding statement as voided
+     * Without canVoidAny, the target must be about the voiding authority and recorded
+     * by it, so learners cannot void statements the platform recorded for them.
+     * @private
+     */
+    async _voidTarget(statementId, authority, options = {}) {
+        const { transaction } = options;
+        const target = await XapiStatement.findOne({
+            where: { statement_id: String(statementId).toLowerCase() },
+            transaction
+        });
+        if (!target) return;
+
+        if (target.isVoiding()) {
+            throw this._invalid('A voiding statement cannot be voided');
+        }
+
+        if (!options.canVoidAny) {
+            const ownKey = this._actorKey(authority);
+            if (target.actor_key !== ownKey || this._actorKey(target.toStatement().authority) !== ownKey) {
+                throw this._forbidden('Only the authority that recorded a statement or an admin can void it');
+            }
+        }
+
+        await target.update({ voided: true }, { transaction });
+    }
+
+    /**
+     * Validate a statement's structure against the xAPI 1.0 spec
+     * @private
+     */
+    _validateStatement(statement, isSubStatement = false) {
+        if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+            throw this._invalid('A statement must be a JSON object');
+        }
+
+        if (statement.id !== undefined && (isSubStatement || !UUID_PATTERN.test(statement.id))) {
+            throw this._invalid(isSubStatement ? 'A SubStatement cannot have an id' : 'statement.id must be a UUID');
+        }
+
+        this._validateActor(statement.actor, 'actor');
+
+        const verb = statement.verb;
+        if (!verb || typeof verb !== 'object' || !IRI_PATTERN.test(verb.id || '')) {
+            throw this._invalid('verb.id must be an IRI');
+        }
+        if (verb.display !== undefined && (typeof verb.display !== 'object' || Array.isArray(verb.display))) {
+            throw this._invalid('verb.display must be a language map');
+        }
+
+        const object = statement.object;
+        if (!object || typeof object !== 'object') {
+            throw this._invalid('A statement needs an object');
+        }
+
+        const objectType = object.objectType || 'Activity';
+        switch (objectType) {
+            case 'Activity':
+                if (!IRI_PATTERN.test(object.id || '')) {
+                    throw this._invalid('object.id must be an IRI');
+                }
+                break;
+            case 'Agent':
+            case 'Group':
+                this._validateActor(object, 'object');
+                break;
+            case 'StatementRef':
+                if (!UUID_PATTERN.test(object.id || '')) {
+                    throw this._invalid('A StatementRef needs a statement UUID');
+                }
+                break;
+            case 'SubStatement':
+                if (isSubStatement) {
+                    throw this._invalid('A SubStatement cannot contain a SubStatement');
+                }
+                this._validateStatement(object, true);
+                break;
+            default:
+                throw this._invalid(`Unknown objectType ${objectType}`);
+        }
+
+        if (verb.id === XapiStatement.VOIDED_VERB && objectType !== 'StatementRef') {
+            throw this._invalid('A voiding statement must reference a statement (StatementRef)');
+        }
+
+        if (statement.result !== undefined) {
+            this._validateResult(statement.result);
+        }
+
+        const context = statement.context;
+        if (context !== undefined) {
+            if (!context || typeof context !== 'object') {
+                throw this._invalid('context must be an object');
+            }
+            if (context.registration !== undefined && !UUID_PATTERN.test(context.registration)) {
+                throw this._invalid('context.registration must be a UUID');
+            }
+        }
+
+        if (statement.timestamp !== undefined) {
+            this._parseDate(statement.timestamp, 'timestamp');
+        }
+        if (statement.version !== undefined && !/^1\.0(\.\d+)?$/.test(statement.version)) {
+            throw this._invalid('Only xAPI 1.0.x statements are accepted');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _validateActor(actor, label) {
+        if (!actor || typeof actor !== 'object' || Array.isArray(actor)) {
+            throw this._invalid(`${label} must be an Agent or Group`);
+        }
+
+        const type = actor.objectType || 'Agent';
+        if (!['Agent', 'Group'].includes(type)) {
+            throw this._invalid(`${label}.objectType must be Agent or Group`);
+        }
+
+        const identifiers = ['mbox', 'mbox_sha1sum', 'openid', 'account'].filter(key => actor[key] !== undefined);
+        if (identifiers.length > 1) {
+            throw this._invalid(`${label} must have exactly one identifier`);
+        }
+        if (identifiers.length === 0) {
+            // Only anonymous groups are identified by their members
+            if (type !== 'Group' || !Array.isArray(actor.member) || actor.member.length === 0) {
+                throw this._invalid(`${label} needs an identifier (mbox, mbox_sha1sum, openid or account)`);
+            }
+        }
+
+        if (actor.mbox !== undefined && !/^mailto:[^@\s]+@[^@\s]+$/i.test(actor.mbox)) {
+            throw this._invalid(`${label}.mbox must be a mailto: IRI`);
+        }
+        if (actor.mbox_sha1sum !== undefined && !/^[0-9a-f]{40}$/i.test(actor.mbox_sha1sum)) {
+            throw this._invalid(`${label}.mbox_sha1sum must be a SHA1 hex digest`);
+        }
+        if (actor.openid !== undefined && !IRI_PATTERN.test(actor.openid)) {
+            throw this._invalid(`${label}.openid must be a URI`);
+        }
+        if (actor.account !== undefined) {
+            const account = actor.account;
+            if (!account || !IRI_PATTERN.test(account.homePage || '') || typeof account.name !== 'string' || !account.name) {
+                throw this._invalid(`${label}.account needs a homePage IRI and a name`);
+            }
+        }
+
+        if (actor.member !== undefined) {
+            if (type !== 'Group' || !Array.isArray(actor.member)) {
+                throw this._invalid(`${label}.member is only allowed on Groups`);
+            }
+            actor.member.forEach(member => {
+                if (member && member.objectType === 'Group') {
+                    throw this._invalid('Group members must be Agents');
+                }
+                this._validateActor(member, `${label}.member`);
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _validateResult(result) {
+        if (!result || typeof result !== 'object' || Array.isArray(result)) {
+            throw this._invalid('result must be an object');
+        }
+
+        const score = result.score;
+        if (score !== undefined) {
+            if (!score || typeof score !== 'object') {
+                throw this._invalid('result.score must be an object');
+            }
+            if (score.scaled !== undefined && (typeof score.scaled !== 'number' || score.scaled < -1 || score.scaled > 1)) {
+                throw this._invalid('result.score.scaled must be between -1 and 1');
+            }
+            if (score.min !== undefined && score.max !== undefined && score.min > score.max) {
+                throw this._invalid('result.score.min cannot exceed max');
+            }
+            if (score.raw !== undefined && (
+                (score.min !== undefined && score.raw < score.min) ||
+                (score.max !== undefined && score.raw > score.max)
+            )) {
+                throw this._invalid('result.score.raw must be between min and max');
+            }
+        }
+
+        ['success', 'completion'].forEach(key => {
+            if (result[key] !== undefined && typeof result[key] !== 'boolean') {
+                throw this._invalid(`result.${key} must be a boolean`);
+            }
+        });
+
+        if (result.duration !== undefined && !DURATION_PATTERN.test(result.duration)) {
+            throw this._invalid('result.duration must be an ISO 8601 duration');
+        }
+    }
+
+    /**
+     * Learners may only record statements about themselves; admins may record any
+     * @private
+     */
+    _assertCanWrite(statement, user) {
+        if (user.role === 'admin') return;
+
+        if (this._actorKey(statement.actor) !== this._actorKey(this.learnerAgent(user.id))) {
+            throw this._forbidden('Statements can only be recorded for your own account');
+        }
+    }
+
+    /**
+     * Inverse functional identifier of an agent, used to match statements by actor
+     * @private
+     */
+    _actorKey(actor) {
+        if (!actor || typeof actor !== 'object') return null;
+
+        let key = null;
+        if (actor.mbox) key = `mbox:${String(actor.mbox).toLowerCase()}`;
+        else if (actor.mbox_sha1sum) key = `mbox_sha1sum:${String(actor.mbox_sha1sum).toLowerCase()}`;
+        else if (actor.openid) key = `openid:${actor.openid}`;
+        else if (actor.account) key = `account:${actor.account.homePage}|${actor.account.name}`;
+
+        return key ? key.slice(0, 500) : null;
+    }
+
+    /**
+     * Compare a stored statement with a resubmitted one, ignoring properties the LRS sets
+     * @private
+     */
+    _sameStatement(stored, incoming) {
+        const strip = (statement) => {
+            const copy = { ...statement };
+            ['id', 'stored', 'authority', 'version'].forEach(key => delete copy[key]);
+            if (!incoming.timestamp) delete copy.timestamp;
+            return copy;
+        };
+        return this._canonicalJSON(strip(stored)) === this._canonicalJSON(strip(incoming));
+    }
+
+    /**
+     * JSON with sorted keys
+     * @private
+     */
+    _canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this._canonicalJSON(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this._canonicalJSON(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Reduce a statement to identifiers (format=ids)
+     * @private
+     */
+    _format(statement, format) {
+        if (format !== 'ids') return statement;
+
+        const idsOnly = (agent) => {
+            if (!agent || typeof agent !== 'object') return agent;
+            const reduced = { objectType: agent.objectType || 'Agent' };
+            ['mbox', 'mbox_sha1sum', 'openid', 'account'].forEach(key => {
+                if (agent[key] !== undefined) reduced[key] = agent[key];
+            });
+            if (!this._actorKey(agent) && Array.isArray(agent.member)) {
+                reduced.member = agent.member.map(idsOnly);
+            }
+            return reduced;
+        };
+
+        const object = statement.object || {};
+        const objectType = object.objectType || 'Activity';
+
+        return {
+            ...statement,
+            actor: idsOnly(statement.actor),
+            verb: { id: statement.verb.id },
+            object: ['Agent', 'Group'].includes(objectType)
+                ? idsOnly(object)
+                : objectType === 'SubStatement' ? object : { objectType, id: object.id },
+            authority: idsOnly(statement.authority)
+        };
+    }
+
+    /**
+     * Authority of statements the platform records itself
+     * @private
+     */
+    _systemAuthority() {
+        return {
+            objectType: 'Agent',
+            name: 'ProtectEd',
+            account: {
+                homePage: this.getBaseIri(),
+                name: 'system'
+            }
+        };
+    }
+
+    /**
+     * @private
+     */
+    _verb(id, display) {
+        return { id, display: { 'en-US': display } };
+    }
+
+    /**
+     * @private
+     */
+    _moduleActivity(module) {
+        return {
+            objectType: 'Activity',
+            id: `${this.getBaseIri()}/modules/${module.id}`,
+            definition: {
+                type: 'http://adlnet.gov/expapi/activities/module',
+                name: { [DEFAULT_LOCALE]: module.title }
+            }
+        };
+    }
+
+    /**
+     * Quiz answer as an interaction response (choices joined with [,])
+     * @private
+     */
+    _formatResponse(answer) {
+        if (answer === null || answer === undefined) return '';
+        if (Array.isArray(answer)) return answer.map(String).join('[,]');
+        return String(answer);
+    }
+
+    /**
+     * @private
+     */
+    async _sendToLrs(config, method, path, body) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Experience-API-Version': XAPI_VERSION
+        };
+        if (config.username) {
+            headers.Authorization = `Basic ${Buffer.from(`${config.username}:${config.password}`).toString('base64')}`;
+        }
+
+        return await fetch(`${config.endpoint}${path}`, {
+            method,
+            headers,
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(FORWARD_TIMEOUT_MS)
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _markForwarded(rows) {
+        await XapiStatement.update(
+            { forwarded_at: new Date(), forward_error: null },
+            { where: { id: rows.map(row => row.id) } }
+        );
+    }
+
+    /**
+     * @private
+     */
+    async _markForwardFailed(rows, message) {
+        await XapiStatement.update(
+            {
+                forward_attempts: sequelize.literal('forward_attempts + 1'),
+                forward_error: String(message).slice(0, 500)
+            },
+            { where: { id: rows.map(row => row.id) } }
+        );
+    }
+
+    /**
+     * @private
+     */
+    _parseDate(value, label) {
+        const date = new Date(value);
+        if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+            throw this._invalid(`${label} must be an ISO 8601 timestamp`);
+        }
+        return date;
+    }
+
+    /**
+     * @private
+     */
+    _invalid(message) {
+        return Object.assign(new Error(message), {
+            statusCode: 400,
+            code: 'INVALID_STATEMENT'
+        });
+    }
+
+    /**
+     * @private
+     */
+    _forbidden(message) {
+        return Object.assign(new Error(message), {
+            statusCode: 403,
+            code: 'XAPI_FORBIDDEN'
+        });
+    }
+}
+
+module.exports = new XapiService();